@@ -3,6 +3,9 @@ import WazoApiClient from '../api-client';
 import ServerError from '../domain/ServerError';
 import BadResponse from '../domain/BadResponse';
 import Session from '../domain/Session';
+import RequestCancelled from '../domain/RequestCancelled';
+import CancellationToken from '../utils/CancellationToken';
+import EndpointOptions from '../utils/EndpointOptions';
 
 const mockedResponse = { data: { token: 1 } };
 const mockedNotFoundResponse = {
@@ -202,3 +205,76 @@ describe('With erroneous json API results', () => {
     expect(error.status).toBe(500);
   });
 });
+
+describe('With interceptors', () => {
+  it('should keep transport and interceptors when updating parameters', async () => {
+    const transport = jest.fn(() => Promise.resolve(mockedJson));
+    const interceptor = jest.fn();
+    const apiClient = new WazoApiClient({ server, transport });
+    apiClient.addRequestInterceptor(interceptor);
+
+    apiClient.updateParameters({ server: 'other', agent: null, clientId: null });
+    await apiClient.confd.getInfos();
+
+    expect(interceptor).toHaveBeenCalledTimes(1);
+    expect(transport.mock.calls[0][0]).toBe('https://other/api/confd/1.1/infos');
+  });
+});
+
+describe('With request options', () => {
+  it('should use request options for every endpoint', async () => {
+    const transport = jest.fn(() => Promise.resolve({ ...mockedJson, status: 503 }));
+    const apiClient = new WazoApiClient({ server, transport, retryPolicy: { baseDelay: 0 } });
+    apiClient.setToken(token);
+
+    await expect(apiClient.withOptions({ retry: { maxAttempts: 2 } }).confd.getInfos()).rejects.toThrow();
+    expect(transport).toHaveBeenCalledTimes(2);
+    expect(transport.mock.calls[0][1].headers['X-Auth-Token']).toBe(token);
+  });
+
+  it('should accept request options as last argument of an endpoint', async () => {
+    const transport = jest.fn(() => new Promise(() => {}));
+    const apiClient = new WazoApiClient({ server, transport });
+    apiClient.setToken(token);
+    const cancellationToken = new CancellationToken();
+
+    const search = apiClient.dird.search('default', 'alice', cancellationToken);
+    cancellationToken.cancel();
+    await expect(search).rejects.toBeInstanceOf(RequestCancelled);
+    expect(transport.mock.calls[0][0]).toBe('https://localhost/api/dird/0.1/directories/lookup/default?term=alice');
+
+    const error = await apiClient.confd.getInfos(new EndpointOptions({ timeout: 10 })).catch(e => e);
+    expect(error).toBeInstanceOf(RequestCancelled);
+    expect(error.isTimeout).toBe(true);
+    expect(transport.mock.calls[1][1].headers['X-Auth-Token']).toBe(token);
+  });
+});
+
+describe('Parking calls', () => {
+  const response = body => ({ ...mockedJson, status: 200, json: () => Promise.resolve(body) });
+
+  it('should park a call in the given parking', async () => {
+    const transport = jest.fn(() => Promise.resolve(response({ slot: '701', timeout_at: null })));
+    const apiClient = new WazoApiClient({ server, transport });
+
+    const parkedCall = await apiClient.calld.parkCall('1234', 1, '701', 0);
+
+    expect(transport.mock.calls[0][0]).toBe('https://localhost/api/calld/1.0/users/me/calls/1234/park');
+    expect(JSON.parse(transport.mock.calls[0][1].body)).toEqual({ parking_id: 1, preferred_slot: '701', timeout: 0 });
+    expect(parkedCall).toEqual(expect.objectContaining({ id: '1234', slot: '701', parkingId: 1 }));
+  });
+
+  it('should list the parked calls of every parking', async () => {
+    const parking = id => ({ id, name: `parking ${id}`, calls: [{ call_id: `call-${id}`, slot: `70${id}` }] });
+    const transport = jest.fn(() => Promise.resolve(response({ items: [parking(1), parking(2)] })));
+    const apiClient = new WazoApiClient({ server, transport });
+
+    const parkedCalls = await apiClient.calld.listAllParkedCalls();
+
+    expect(transport.mock.calls[0][0]).toBe('https://localhost/api/calld/1.0/parkings');
+    expect(parkedCalls.map(parkedCall => [parkedCall.id, parkedCall.parkingName])).toEqual([
+      ['call-1', 'parking 1'],
+      ['call-2', 'parking 2'],
+    ]);
+  });
+});
@@ -0,0 +1,78 @@
+import Wazo from '../simple/index';
+import Context from '../simple/Context';
+import getApiClient from '../service/getApiClient';
+import CallApi from '../service/CallApi';
+
+describe('Context', () => {
+  it('should create isolated Auth, Websocket and Phone instances', () => {
+    const context = Wazo.createContext({ server: 'stack1.example.com' });
+
+    expect(context).toBeInstanceOf(Context);
+    expect(context.Auth).not.toBe(Wazo.Auth);
+    expect(context.Websocket).not.toBe(Wazo.Websocket);
+    expect(context.Phone).not.toBe(Wazo.Phone);
+    expect(context.Auth.context).toBe(context);
+    expect(context.Auth.getHost()).toBe('stack1.example.com');
+  });
+
+  it('should not share tokens between contexts', () => {
+    const first = new Context({ server: 'stack1.example.com' });
+    const second = new Context({ server: 'stack2.example.com' });
+
+    first.Auth.setApiToken('token-1');
+    second.Auth.setApiToken('token-2');
+
+    expect(first.getApiClient()).not.toBe(second.getApiClient());
+    expect(first.getApiClient().client.token).toBe('token-1');
+    expect(second.getApiClient().client.token).toBe('token-2');
+    expect(first.getApiClient().client.server).toBe('stack1.example.com');
+    expect(second.getApiClient().client.server).toBe('stack2.example.com');
+  });
+
+  it('should not alter the global api client', () => {
+    Wazo.Auth.setHost('global.example.com');
+    Wazo.Auth.setApiToken('global-token');
+
+    const context = new Context({ server: 'stack1.example.com' });
+    context.Auth.setApiToken('context-token');
+
+    expect(getApiClient().client.token).toBe('global-token');
+    expect(context.getApiClient().client.token).toBe('context-token');
+  });
+
+  it('should use its own api client for the directory', async () => {
+    const context = new Context({ server: 'stack1.example.com' });
+    const { dird } = context.getApiClient();
+    dird.findMultipleContactsByNumber = jest.fn(() => Promise.resolve([]));
+
+    await context.Directory.findMultipleContactsByNumber(['8000']);
+
+    expect(dird.findMultipleContactsByNumber).toHaveBeenCalledWith(['8000']);
+    expect(context.Directory).not.toBe(Wazo.Directory);
+    expect(context.Configuration.context).toBe(context);
+  });
+
+  it('should keep the static CallApi methods on the global api client', async () => {
+    const context = new Context({ server: 'stack1.example.com' });
+    const globalCalld = getApiClient().calld;
+    const { calld } = context.getApiClient();
+    globalCalld.hold = jest.fn(() => Promise.resolve());
+    calld.hold = jest.fn(() => Promise.resolve());
+
+    await CallApi.hold('call-1');
+    await new CallApi(context.getApiClient()).hold('call-2');
+
+    expect(globalCalld.hold).toHaveBeenCalledWith('call-1');
+    expect(calld.hold).toHaveBeenCalledWith('call-2');
+    expect(globalCalld.hold).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep the token when changing server', () => {
+    const context = new Context({ server: 'stack1.example.com' });
+    context.Auth.setApiToken('token-1');
+    context.Auth.setHost('stack2.example.com');
+
+    expect(context.getApiClient().client.server).toBe('stack2.example.com');
+    expect(context.getApiClient().client.token).toBe('token-1');
+  });
+});
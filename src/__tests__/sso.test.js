@@ -0,0 +1,171 @@
+/* global window */
+import { randomFillSync } from 'crypto';
+import WazoApiClient from '../api-client';
+import Session from '../domain/Session';
+import { AuthClass, InvalidSsoResponse } from '../simple/Auth';
+import { generateCodeVerifier, generateCodeChallenge, parseAuthorizationCallback } from '../utils/pkce';
+
+const server = 'stack.example.com';
+const idp = 'https://idp.example.com/authorize';
+const redirectUri = 'https://app.example.com/callback';
+
+const jsonResponse = (data, status = 200) => ({
+  ok: status < 400,
+  status,
+  headers: { get: () => 'application/json' },
+  json: () => Promise.resolve(data),
+  text: () => Promise.resolve(JSON.stringify(data)),
+});
+
+const tokenResponse = token => jsonResponse({
+  data: { token, utc_expires_at: '2030-01-01T00:00:00', metadata: { uuid: 'user-uuid' } },
+});
+
+// Minimal identity provider and wazo-auth, checking the PKCE proof on code exchange
+const createStubIdentityProvider = () => {
+  const challenges = {};
+  const samlSessions = {};
+
+  return {
+    authorize: url => {
+      const params = {};
+      url.split('?')[1].split('&').forEach(pair => {
+        const [key, value] = pair.split('=');
+        params[key] = decodeURIComponent(value);
+      });
+      const code = `code-${Object.keys(challenges).length}`;
+      challenges[code] = { challenge: params.code_challenge, redirectUri: params.redirect_uri };
+
+      return `${params.redirect_uri}?code=${code}&state=${params.state}`;
+    },
+    completeSaml: id => {
+      samlSessions[id] = true;
+    },
+    transport: jest.fn((url, { body }) => {
+      const payload = JSON.parse(body);
+
+      if (url.endsWith('/saml/sso')) {
+        return Promise.resolve(jsonResponse({ location: `${payload.redirect_url}#idp`, saml_session_id: 'saml-1' }));
+      }
+      if (payload.saml_session_id) {
+        return Promise.resolve(samlSessions[payload.saml_session_id]
+          ? tokenResponse('saml-token')
+          : jsonResponse({ message: 'Unauthorized' }, 401));
+      }
+
+      const pending = challenges[payload.code];
+      if (!pending || pending.redirectUri !== payload.redirect_uri
+        || generateCodeChallenge(payload.code_verifier) !== pending.challenge) {
+        return Promise.resolve(jsonResponse({ message: 'Invalid code' }, 400));
+      }
+
+      return Promise.resolve(tokenResponse('oauth-token'));
+    }),
+  };
+};
+
+// jsdom doesn't provide the Web Crypto API
+beforeAll(() => {
+  global.crypto = { getRandomValues: array => randomFillSync(array) };
+});
+
+afterAll(() => {
+  delete global.crypto;
+});
+
+describe('PKCE', () => {
+  it('should compute the challenge from the RFC 7636 example', () => {
+    expect(generateCodeChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk'))
+      .toBe('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+  });
+
+  it('should generate url safe verifiers', () => {
+    expect(generateCodeVerifier()).toMatch(/^[A-Za-z0-9_-]{43}$/);
+  });
+
+  it('should refuse to generate verifiers without a secure random generator', () => {
+    const { crypto } = global;
+    delete global.crypto;
+
+    expect(() => generateCodeVerifier()).toThrow('No secure random generator');
+    global.crypto = crypto;
+  });
+
+  it('should parse callback errors', () => {
+    expect(parseAuthorizationCallback(`${redirectUri}?error=access_denied&error_description=User+denied`)).toEqual({
+      code: null,
+      state: null,
+      error: 'access_denied',
+      errorDescription: 'User denied',
+    });
+  });
+});
+
+describe('SSO login', () => {
+  let stub;
+  let client;
+
+  beforeEach(() => {
+    stub = createStubIdentityProvider();
+    client = new WazoApiClient({ server, transport: stub.transport });
+  });
+
+  it('should exchange an authorization code for a session', async () => {
+    const codeVerifier = generateCodeVerifier();
+    const url = client.auth.buildAuthorizeUrl({
+      authorizationEndpoint: idp,
+      clientId: 'my-app',
+      redirectUri,
+      codeChallenge: generateCodeChallenge(codeVerifier),
+      state: 'xyz',
+    });
+
+    expect(url).toContain('response_type=code');
+    expect(url).toContain('code_challenge_method=S256');
+
+    const { code, state } = parseAuthorizationCallback(stub.authorize(url));
+    expect(state).toBe('xyz');
+
+    const session = await client.auth.logInWithAuthorizationCode({ code, codeVerifier, redirectUri });
+
+    expect(session).toBeInstanceOf(Session);
+    expect(session.token).toBe('oauth-token');
+  });
+
+  it('should reject a code exchanged with another verifier', async () => {
+    const url = client.auth.buildAuthorizeUrl({
+      authorizationEndpoint: idp,
+      clientId: 'my-app',
+      redirectUri,
+      codeChallenge: generateCodeChallenge(generateCodeVerifier()),
+      state: 'xyz',
+    });
+    const { code } = parseAuthorizationCallback(stub.authorize(url));
+
+    await expect(client.auth.logInWithAuthorizationCode({ code, codeVerifier: generateCodeVerifier(), redirectUri }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  it('should log in with a SAML session', async () => {
+    const { location, samlSessionId } = await client.auth.initiateSamlLogin(redirectUri, 'example.com');
+    expect(location).toBe(`${redirectUri}#idp`);
+
+    stub.completeSaml(samlSessionId);
+    const session = await client.auth.logInWithSamlSession({ samlSessionId });
+
+    expect(session.token).toBe('saml-token');
+  });
+
+  it('should refuse a callback with an unexpected state', async () => {
+    const context = { getApiClient: () => client };
+    const auth = new AuthClass(context);
+    expect(auth.ssoStorage.storage).toBe(window.sessionStorage);
+    const url = await auth.getAuthorizeUrl({ authorizationEndpoint: idp, clientId: 'my-app', redirectUri });
+    const { code } = parseAuthorizationCallback(stub.authorize(url));
+
+    await expect(auth.logInWithAuthorizationCallback(`${redirectUri}?code=${code}&state=forged`))
+      .rejects.toBeInstanceOf(InvalidSsoResponse);
+    expect(stub.transport).not.toBeCalled();
+    expect(window.sessionStorage.length).toBe(0);
+  });
+});
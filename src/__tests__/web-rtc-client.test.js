@@ -0,0 +1,181 @@
+/* eslint-disable no-underscore-dangle */
+// Loaded first to resolve the circular import between IssueReporter and ApiRequester
+import '../utils/api-requester';
+import EventEmitter from 'events';
+import { SessionState } from 'sip.js/lib/api/session-state';
+import WebRTCClient from '../web-rtc-client';
+
+const ON_ICE_RESTARTING = 'onIceRestarting';
+const ON_ICE_RESTARTED = 'onIceRestarted';
+const ON_ICE_RESTART_FAILED = 'onIceRestartFailed';
+
+// Only the ICE recovery is exercised, without a user agent connecting to a SIP server
+const createClient = config => {
+  const client = Object.create(WebRTCClient.prototype);
+  client.eventEmitter = new EventEmitter();
+  client.config = config;
+  client.iceRecoveries = {};
+
+  return client;
+};
+
+const createSipSession = () => {
+  const listeners = {};
+  const peerConnection = {
+    iceConnectionState: 'connected',
+    addEventListener: jest.fn((event, callback) => {
+      listeners[event] = callback;
+    }),
+    removeEventListener: jest.fn(),
+  };
+
+  return {
+    id: 'session',
+    state: SessionState.Established,
+    message: { callId: 'session' },
+    sessionDescriptionHandler: { peerConnection },
+    setIceState: state => {
+      peerConnection.iceConnectionState = state;
+      listeners.iceconnectionstatechange();
+    },
+  };
+};
+
+describe('WebRTCClient ICE recovery', () => {
+  let client;
+  let sipSession;
+  let events;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    client = createClient({
+      iceRestartMaxAttempts: 2,
+      iceRestartDelay: 1000,
+      iceDisconnectedTimeout: 500,
+    });
+    client.isConnected = () => true;
+    client.reinvite = jest.fn(() => Promise.resolve());
+    sipSession = createSipSession();
+
+    events = [];
+    [ON_ICE_RESTARTING, ON_ICE_RESTARTED, ON_ICE_RESTART_FAILED].forEach(event => {
+      client.on(event, (session, attempt) => events.push([event, attempt]));
+    });
+    client._watchIceConnection(sipSession);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should restart ICE when the connection stays disconnected', () => {
+    sipSession.setIceState('disconnected');
+    jest.advanceTimersByTime(400);
+    expect(client.reinvite).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(100);
+    expect(client.reinvite).toHaveBeenCalledWith(sipSession);
+
+    sipSession.setIceState('connected');
+    jest.advanceTimersByTime(5000);
+
+    expect(client.reinvite).toHaveBeenCalledTimes(1);
+    expect(events).toEqual([[ON_ICE_RESTARTING, 1], [ON_ICE_RESTARTED, 1]]);
+  });
+
+  it('should not restart ICE when the connection comes back by itself', () => {
+    sipSession.setIceState('disconnected');
+    sipSession.setIceState('connected');
+    jest.advanceTimersByTime(5000);
+
+    expect(client.reinvite).not.toHaveBeenCalled();
+    expect(events).toEqual([]);
+  });
+
+  it('should give up after the maximum attempts', () => {
+    sipSession.setIceState('failed');
+    jest.advanceTimersByTime(0);
+    jest.advanceTimersByTime(1000);
+    jest.advanceTimersByTime(1000);
+
+    expect(client.reinvite).toHaveBeenCalledTimes(2);
+    expect(events).toEqual([
+      [ON_ICE_RESTARTING, 1],
+      [ON_ICE_RESTARTING, 2],
+      [ON_ICE_RESTART_FAILED, undefined],
+    ]);
+  });
+
+  it('should wait for the transport before counting attempts', () => {
+    client.isConnected = () => false;
+    sipSession.setIceState('failed');
+    jest.advanceTimersByTime(3000);
+    expect(client.reinvite).not.toHaveBeenCalled();
+
+    client.isConnected = () => true;
+    jest.advanceTimersByTime(1000);
+    expect(events).toEqual([[ON_ICE_RESTARTING, 1]]);
+
+    client._stopWatchingIce(sipSession);
+    jest.advanceTimersByTime(5000);
+    expect(client.reinvite).toHaveBeenCalledTimes(1);
+    expect(sipSession.sessionDescriptionHandler.peerConnection.removeEventListener).toHaveBeenCalled();
+  });
+});
+
+describe('WebRTCClient transfer', () => {
+  let client;
+  let sipSession;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    client = createClient({});
+    client._makeURI = target => target;
+    client.hold = jest.fn();
+    client.unhold = jest.fn();
+    client.hangup = jest.fn();
+    sipSession = createSipSession();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should resume the call when the REFER times out', async () => {
+    sipSession.refer = jest.fn((target, { requestDelegate }) => {
+      requestDelegate.onReject({ message: { statusCode: 408, reasonPhrase: 'Request Timeout' } });
+      return Promise.resolve();
+    });
+
+    const transfer = client.transfer(sipSession, '8001');
+    jest.advanceTimersByTime(50);
+
+    await expect(transfer).rejects.toThrow('408 Request Timeout');
+    expect(client.unhold).toHaveBeenCalledWith(sipSession);
+    expect(client.hangup).not.toHaveBeenCalled();
+  });
+
+  it('should resume the call when the REFER never gets an answer', async () => {
+    sipSession.refer = jest.fn(() => Promise.resolve());
+
+    const transfer = client.transfer(sipSession, '8001');
+    jest.advanceTimersByTime(40000);
+
+    await expect(transfer).rejects.toThrow('Transfer timed out');
+    expect(client.unhold).toHaveBeenCalledTimes(1);
+  });
+
+  it('should hang up the call once the REFER is accepted', async () => {
+    sipSession.refer = jest.fn((target, { requestDelegate }) => {
+      requestDelegate.onAccept();
+      return Promise.resolve();
+    });
+
+    const transfer = client.transfer(sipSession, '8001');
+    jest.advanceTimersByTime(40000);
+
+    await transfer;
+    expect(client.hangup).toHaveBeenCalledWith(sipSession);
+    expect(client.unhold).not.toHaveBeenCalled();
+  });
+});
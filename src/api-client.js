@@ -12,6 +12,12 @@ import webhookdMethods from './api/webhookd';
 import amidMethods from './api/amid';
 
 import ApiRequester from './utils/api-requester';
+import EndpointOptions from './utils/EndpointOptions';
+import type { Transport, RetryPolicy, RequestOptions } from './utils/api-requester';
+import type OfflineQueue from './service/OfflineQueue';
+import type ResponseCache from './service/ResponseCache';
+import TokenRefreshScheduler from './service/TokenRefreshScheduler';
+import type Session from './domain/Session';
 import IssueReporter from './service/IssueReporter';
 
 type ConstructorParams = {
@@ -20,6 +26,9 @@ type ConstructorParams = {
   clientId?: string,
   refreshToken?: ?string,
   isMobile?: ?boolean,
+  transport?: ?Transport,
+  retryPolicy?: ?$Shape<RetryPolicy>,
+  refreshMargin?: number,
 };
 
 const AUTH_VERSION = '0.1';
@@ -55,31 +64,82 @@ export default class ApiClient {
   refreshExpiration: ?number;
   refreshBackend: ?string;
   isMobile: boolean;
+  tokenRefreshScheduler: TokenRefreshScheduler;
 
   // @see https://github.com/facebook/flow/issues/183#issuecomment-358607052
-  constructor({ server, agent = null, refreshToken, clientId, isMobile = false }: ConstructorParams) {
+  constructor({
+    server,
+    agent = null,
+    refreshToken,
+    clientId,
+    isMobile = false,
+    transport = null,
+    retryPolicy = null,
+    refreshMargin,
+  }: ConstructorParams) {
     this.updateParameters({ server, agent, clientId });
+    this.setTransport(transport);
+    this.setRetryPolicy(retryPolicy);
     this.refreshToken = refreshToken;
     this.isMobile = isMobile || false;
+    this.tokenRefreshScheduler = new TokenRefreshScheduler({
+      refresh: this.refreshSession.bind(this),
+      canRefresh: () => !!this.refreshToken,
+      margin: refreshMargin,
+    });
   }
 
   initializeEndpoints(): void {
-    this.auth = authMethods(this.client, `auth/${AUTH_VERSION}`);
-    this.application = applicationMethods(this.client, `calld/${APPLICATION_VERSION}/applications`);
-    this.confd = confdMethods(this.client, `confd/${CONFD_VERSION}`);
-    this.ctidNg = ctidNgMethods(this.client, `ctid-ng/${CTIDNG_VERSION}`);
-    this.dird = dirdMethods(this.client, `dird/${DIRD_VERSION}`);
-    this.callLogd = callLogdMethods(this.client, `call-logd/${CALL_LOGD_VERSION}`);
-    this.chatd = chatdMethods(this.client, `chatd/${CHATD_VERSION}`);
-    this.calld = calldMethods(this.client, `calld/${CALLD_VERSION}`);
-    this.agentd = agentdMethods(this.client, `agentd/${AGENTD_VERSION}`);
-    this.webhookd = webhookdMethods(this.client, `webhookd/${WEBHOOKD_VERSION}`);
-    this.amid = amidMethods(this.client, `amid/${AMID_VERSION}`);
+    this.auth = this._createEndpoints(authMethods, `auth/${AUTH_VERSION}`);
+    this.application = this._createEndpoints(applicationMethods, `calld/${APPLICATION_VERSION}/applications`);
+    this.confd = this._createEndpoints(confdMethods, `confd/${CONFD_VERSION}`);
+    this.ctidNg = this._createEndpoints(ctidNgMethods, `ctid-ng/${CTIDNG_VERSION}`);
+    this.dird = this._createEndpoints(dirdMethods, `dird/${DIRD_VERSION}`);
+    this.callLogd = this._createEndpoints(callLogdMethods, `call-logd/${CALL_LOGD_VERSION}`);
+    this.chatd = this._createEndpoints(chatdMethods, `chatd/${CHATD_VERSION}`);
+    this.calld = this._createEndpoints(calldMethods, `calld/${CALLD_VERSION}`);
+    this.agentd = this._createEndpoints(agentdMethods, `agentd/${AGENTD_VERSION}`);
+    this.webhookd = this._createEndpoints(webhookdMethods, `webhookd/${WEBHOOKD_VERSION}`);
+    this.amid = this._createEndpoints(amidMethods, `amid/${AMID_VERSION}`);
+  }
+
+  // Every endpoint method accepts an `EndpointOptions`, an `AbortSignal` or a `CancellationToken` as last argument
+  _createEndpoints(factory: (client: ApiRequester, baseUrl: string) => Object, baseUrl: string): Object {
+    const endpoints = factory(this.client, baseUrl);
+
+    return Object.keys(endpoints).reduce((acc, name) => {
+      const method = endpoints[name];
+      acc[name] = typeof method !== 'function' ? method : (...args) => {
+        const requestOptions = EndpointOptions.extract(args);
+        if (!requestOptions) {
+          return method(...args);
+        }
+
+        return factory(this.client.withOptions(requestOptions), baseUrl)[name](...args);
+      };
+
+      return acc;
+    }, {});
   }
 
   updateParameters({ server, agent, clientId }: { server: string, agent: ?Object, clientId: ?string }) {
     const refreshTokenCallback = this.refreshTokenCallback.bind(this);
-    this.client = new ApiRequester({ server, agent, refreshTokenCallback, clientId });
+    // Keep transport, interceptors, retry policy, offline queue and cache when the server changes
+    const { transport, interceptors, retryPolicy, offlineQueue, responseCache } = this.client || {};
+    this.client = new ApiRequester({
+      server,
+      agent,
+      refreshTokenCallback,
+      clientId,
+      transport,
+      interceptors,
+      retryPolicy,
+      responseCache,
+    });
+
+    if (offlineQueue) {
+      this.client.setOfflineQueue(offlineQueue);
+    }
 
     this.initializeEndpoints();
   }
@@ -90,6 +150,12 @@ export default class ApiClient {
   }
 
   async refreshTokenCallback() {
+    const session = await this.refreshSession();
+
+    return session ? session.token : null;
+  }
+
+  async refreshSession(): Promise<?Session> {
     logger.info('refresh token callback called', {
       refreshToken: this.refreshToken,
       refreshBackend: this.refreshBackend,
@@ -115,12 +181,38 @@ export default class ApiClient {
     }
 
     this.setToken(session.token);
+    if (session.refreshToken) {
+      this.refreshToken = session.refreshToken;
+    }
+
+    // Keep the proactive refresh aligned when the token was refreshed after a 401
+    if (this.tokenRefreshScheduler.isActive()) {
+      this.tokenRefreshScheduler.schedule(session.expiresAt);
+    }
+
+    return session;
+  }
 
-    return session.token;
+  // Refreshes the token `margin` ms before `expiresAt`, see `TokenRefreshScheduler`
+  scheduleTokenRefresh(expiresAt: ?Date, margin: ?number) {
+    if (typeof margin === 'number') {
+      this.tokenRefreshScheduler.setMargin(margin);
+    }
+    this.tokenRefreshScheduler.schedule(expiresAt);
+  }
+
+  stopTokenRefresh() {
+    this.tokenRefreshScheduler.stop();
   }
 
   setToken(token: string) {
+    const hasChanged = token !== this.client.token;
     this.client.setToken(token);
+
+    // Replay requests stored while the token was invalid
+    if (hasChanged && this.client.offlineQueue) {
+      this.client.offlineQueue.flush();
+    }
   }
 
   setTenant(tenant: string) {
@@ -150,4 +242,49 @@ export default class ApiClient {
   setIsMobile(isMobile: boolean) {
     this.isMobile = isMobile;
   }
+
+  setTransport(transport: ?Transport) {
+    this.client.setTransport(transport);
+  }
+
+  setRetryPolicy(retryPolicy: ?$Shape<RetryPolicy>) {
+    this.client.setRetryPolicy(retryPolicy);
+  }
+
+  setOfflineQueue(offlineQueue: ?OfflineQueue) {
+    this.client.setOfflineQueue(offlineQueue);
+  }
+
+  setResponseCache(responseCache: ?ResponseCache) {
+    this.client.setResponseCache(responseCache);
+  }
+
+  // Removes all cached responses when no pattern is given
+  invalidateCache(pattern: ?(string | RegExp) = null) {
+    if (this.client.responseCache) {
+      this.client.responseCache.invalidate(pattern);
+    }
+  }
+
+  // Returns a client whose endpoints use `requestOptions`, eg: `client.withOptions({ retry: false }).confd.getInfos()`
+  // For a single call, see `EndpointOptions`
+  withOptions(requestOptions: RequestOptions): ApiClient {
+    const apiClient = Object.create(this);
+    apiClient.client = this.client.withOptions(requestOptions);
+    apiClient.initializeEndpoints();
+
+    return apiClient;
+  }
+
+  addRequestInterceptor(interceptor: Function): Function {
+    return this.client.addRequestInterceptor(interceptor);
+  }
+
+  addResponseInterceptor(interceptor: Function): Function {
+    return this.client.addResponseInterceptor(interceptor);
+  }
+
+  addErrorInterceptor(interceptor: Function): Function {
+    return this.client.addErrorInterceptor(interceptor);
+  }
 }
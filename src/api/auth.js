@@ -15,11 +15,15 @@ import type {
   GetUserResponse,
 } from '../domain/types';
 import Session from '../domain/Session';
+import Paginator from '../utils/Paginator';
+import { CODE_CHALLENGE_METHOD } from '../utils/pkce';
 
 const DEFAULT_BACKEND_USER = 'wazo_user';
+const DEFAULT_BACKEND_OAUTH2 = 'wazo_oauth2';
+const DEFAULT_OAUTH_SCOPE = 'openid profile email';
 export const DETAULT_EXPIRATION = 3600;
 
-export default (client: ApiRequester, baseUrl: string) => ({
+const authMethods = (client: ApiRequester, baseUrl: string) => ({
   checkToken: (token: Token): Promise<Boolean> => client.head(`${baseUrl}/token/${token}`, null, {}),
 
   authenticate: (token: Token): Promise<?Session> =>
@@ -77,6 +81,93 @@ export default (client: ApiRequester, baseUrl: string) => ({
     return client.post(`${baseUrl}/token`, body, headers, ApiRequester.defaultParser, false).then(Session.parse);
   },
 
+  buildAuthorizeUrl: ({
+    authorizationEndpoint,
+    clientId,
+    redirectUri,
+    codeChallenge,
+    state,
+    scope = DEFAULT_OAUTH_SCOPE,
+    extraParams = {},
+  }: {
+    authorizationEndpoint: string,
+    clientId: string,
+    redirectUri: string,
+    codeChallenge: string,
+    state: string,
+    scope?: string,
+    extraParams?: Object,
+  }): string => {
+    const query = ApiRequester.getQueryString({
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope,
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: CODE_CHALLENGE_METHOD,
+      ...extraParams,
+    });
+    const separator = authorizationEndpoint.indexOf('?') === -1 ? '?' : '&';
+
+    return `${authorizationEndpoint}${separator}${query}`;
+  },
+
+  // The code is exchanged by wazo-auth with the identity provider configured for `backend`
+  logInWithAuthorizationCode: (params: {
+    code: string,
+    codeVerifier: string,
+    redirectUri: string,
+    backend?: string,
+    expiration?: number,
+    mobile?: boolean,
+  }): Promise<?Session> => {
+    const body: Object = {
+      backend: params.backend || DEFAULT_BACKEND_OAUTH2,
+      expiration: params.expiration || DETAULT_EXPIRATION,
+      code: params.code,
+      code_verifier: params.codeVerifier,
+      redirect_uri: params.redirectUri,
+    };
+    const headers: Object = {
+      'Content-Type': 'application/json',
+      ...(params.mobile ? { 'Wazo-Session-Type': 'mobile' } : {}),
+    };
+
+    if (client.clientId) {
+      body.access_type = 'offline';
+      body.client_id = client.clientId;
+    }
+
+    return client.post(`${baseUrl}/token`, body, headers, ApiRequester.defaultParser, false).then(Session.parse);
+  },
+
+  initiateSamlLogin: (redirectUrl: string, domain: string): Promise<{ location: string, samlSessionId: string }> =>
+    client.post(`${baseUrl}/saml/sso`, { redirect_url: redirectUrl, domain }, null, ApiRequester.defaultParser, false)
+      .then(response => ({ location: response.location, samlSessionId: response.saml_session_id })),
+
+  logInWithSamlSession: (params: {
+    samlSessionId: string,
+    expiration?: number,
+    mobile?: boolean,
+  }): Promise<?Session> => {
+    const body: Object = {
+      saml_session_id: params.samlSessionId,
+      expiration: params.expiration || DETAULT_EXPIRATION,
+    };
+    const headers: Object = {
+      'Content-Type': 'application/json',
+      ...(params.mobile ? { 'Wazo-Session-Type': 'mobile' } : {}),
+    };
+
+    if (client.clientId) {
+      body.access_type = 'offline';
+      body.client_id = client.clientId;
+    }
+
+    return client.post(`${baseUrl}/token`, body, headers, ApiRequester.defaultParser, false).then(Session.parse);
+  },
+
   deleteRefreshToken: (clientId: string): Promise<boolean> =>
     client.delete(`${baseUrl}/users/me/tokens/${clientId}`, null, null, ApiRequester.successResponseParser),
 
@@ -192,11 +283,18 @@ export default (client: ApiRequester, baseUrl: string) => ({
   deleteUserSession: (userUuid: UUID, sessionUuids: UUID) =>
     client.delete(`${baseUrl}/users/${userUuid}/sessions/${sessionUuids}`),
 
-  listUsers: (): Promise<ListUsersResponse> => client.get(`${baseUrl}/users`),
+  listUsers: (queryParams: ?Object = null): Promise<ListUsersResponse> => client.get(`${baseUrl}/users`, queryParams),
+
+  paginateUsers: (queryParams: ?Object = null): Paginator =>
+    Paginator.fromList(authMethods(client, baseUrl).listUsers, queryParams),
 
   deleteUser: (userUuid: UUID): Promise<Boolean | RequestError> => client.delete(`${baseUrl}/users/${userUuid}`),
 
-  listTenants: (): Promise<ListTenantsResponse> => client.get(`${baseUrl}/tenants`),
+  listTenants: (queryParams: ?Object = null): Promise<ListTenantsResponse> =>
+    client.get(`${baseUrl}/tenants`, queryParams),
+
+  paginateTenants: (queryParams: ?Object = null): Paginator =>
+    Paginator.fromList(authMethods(client, baseUrl).listTenants, queryParams),
 
   getTenant: (tenantUuid: UUID): Promise<GetTenantResponse> => client.get(`${baseUrl}/tenants/${tenantUuid}`),
 
@@ -223,7 +321,11 @@ export default (client: ApiRequester, baseUrl: string) => ({
 
   createGroup: (name: string) => client.post(`${baseUrl}/groups`, { name }),
 
-  listGroups: (): Promise<ListGroupsResponse> => client.get(`${baseUrl}/groups`),
+  listGroups: (queryParams: ?Object = null): Promise<ListGroupsResponse> =>
+    client.get(`${baseUrl}/groups`, queryParams),
+
+  paginateGroups: (queryParams: ?Object = null): Paginator =>
+    Paginator.fromList(authMethods(client, baseUrl).listGroups, queryParams),
 
   deleteGroup: (uuid: UUID): Promise<Boolean | RequestError> => client.delete(`${baseUrl}/groups/${uuid}`),
 
@@ -237,7 +339,11 @@ export default (client: ApiRequester, baseUrl: string) => ({
     client.post(`${baseUrl}/policies`, body);
   },
 
-  listPolicies: (): Promise<ListPoliciesResponse> => client.get(`${baseUrl}/policies`),
+  listPolicies: (queryParams: ?Object = null): Promise<ListPoliciesResponse> =>
+    client.get(`${baseUrl}/policies`, queryParams),
+
+  paginatePolicies: (queryParams: ?Object = null): Paginator =>
+    Paginator.fromList(authMethods(client, baseUrl).listPolicies, queryParams),
 
   deletePolicy: (policyUuid: UUID): Promise<Boolean | RequestError> =>
     client.delete(`${baseUrl}/policies/${policyUuid}`),
@@ -253,3 +359,5 @@ export default (client: ApiRequester, baseUrl: string) => ({
   deleteProviderToken: (userUuid: UUID, provider: string) =>
     client.delete(`${baseUrl}/users/${userUuid}/external/${provider}`),
 });
+
+export default authMethods;
@@ -1,8 +1,15 @@
 /* @flow */
 import ApiRequester from '../utils/api-requester';
 import CallLog from '../domain/CallLog';
+import Paginator from '../utils/Paginator';
 
-export default (client: ApiRequester, baseUrl: string) => ({
+type CallLogQueryParams = {
+  limit?: number,
+  offset?: number,
+  distinct?: string,
+};
+
+const callLogdMethods = (client: ApiRequester, baseUrl: string) => ({
   search: (search: string, limit: number = 5): Promise<Array<CallLog>> =>
     client.get(`${baseUrl}/users/me/cdr`, { search, limit }).then(CallLog.parseMany),
 
@@ -15,6 +22,15 @@ export default (client: ApiRequester, baseUrl: string) => ({
   listDistinctCallLogs: (offset: number, limit: number = 5, distinct: string): Promise<Array<CallLog>> =>
     client.get(`${baseUrl}/users/me/cdr`, { offset, limit, distinct }).then(CallLog.parseMany),
 
+  paginateCallLogs: (queryParams: ?CallLogQueryParams = null): Paginator => {
+    const { listCallLogs, listDistinctCallLogs } = callLogdMethods(client, baseUrl);
+
+    return Paginator.fromList(({ offset, limit, distinct }) =>
+      (distinct ? listDistinctCallLogs(offset, limit, distinct) : listCallLogs(offset, limit)), queryParams);
+  },
+
   listCallLogsFromDate: (from: Date, number: string): Promise<Array<CallLog>> =>
     client.get(`${baseUrl}/users/me/cdr`, { from: from.toISOString(), number }).then(CallLog.parseMany),
 });
+
+export default callLogdMethods;
@@ -7,6 +7,7 @@ import ChatMessage from '../domain/ChatMessage';
 import Voicemail from '../domain/Voicemail';
 import Call from '../domain/Call';
 import IndirectTransfer from '../domain/IndirectTransfer';
+import ParkedCall from '../domain/ParkedCall';
 
 type CallQuery = {
   from_mobile: boolean,
@@ -133,6 +134,25 @@ export default (client: ApiRequester, baseUrl: string) => ({
   getConferenceParticipantsAsUser: async (conferenceId: string): Promise<Object> =>
     client.get(`${baseUrl}/users/me/conferences/${conferenceId}/participants`),
 
+  // Conference moderation is not available to user tokens: they need the `calld.conferences.{id}.*` ACLs
+  muteConferenceParticipant: (conferenceId: string, participantId: string) =>
+    client.put(`${baseUrl}/conferences/${conferenceId}/participants/${participantId}/mute`, null, null,
+      ApiRequester.successResponseParser),
+
+  unmuteConferenceParticipant: (conferenceId: string, participantId: string) =>
+    client.put(`${baseUrl}/conferences/${conferenceId}/participants/${participantId}/unmute`, null, null,
+      ApiRequester.successResponseParser),
+
+  kickConferenceParticipant: (conferenceId: string, participantId: string) =>
+    client.delete(`${baseUrl}/conferences/${conferenceId}/participants/${participantId}`, null, null,
+      ApiRequester.successResponseParser),
+
+  startConferenceRecording: (conferenceId: string) =>
+    client.post(`${baseUrl}/conferences/${conferenceId}/record`, null, null, ApiRequester.successResponseParser),
+
+  stopConferenceRecording: (conferenceId: string) =>
+    client.delete(`${baseUrl}/conferences/${conferenceId}/record`, null, null, ApiRequester.successResponseParser),
+
   listTrunks: () => client.get(`${baseUrl}/trunks`),
 
   mute: (callId: string) =>
@@ -147,6 +167,41 @@ export default (client: ApiRequester, baseUrl: string) => ({
   resume: (callId: string) =>
     client.put(`${baseUrl}/users/me/calls/${callId}/hold/stop`, null, null, ApiRequester.successResponseParser),
 
+  startRecording: (callId: string) =>
+    client.put(`${baseUrl}/users/me/calls/${callId}/record/start`, null, null, ApiRequester.successResponseParser),
+
+  stopRecording: (callId: string) =>
+    client.put(`${baseUrl}/users/me/calls/${callId}/record/stop`, null, null, ApiRequester.successResponseParser),
+
+  pauseRecording: (callId: string) =>
+    client.put(`${baseUrl}/users/me/calls/${callId}/record/pause`, null, null, ApiRequester.successResponseParser),
+
+  resumeRecording: (callId: string) =>
+    client.put(`${baseUrl}/users/me/calls/${callId}/record/resume`, null, null, ApiRequester.successResponseParser),
+
+  parkCall: (callId: string, parkingId: number, preferredSlot: ?string = null, timeout: ?number = null) => {
+    const body: Object = { parking_id: parkingId };
+
+    if (preferredSlot) {
+      body.preferred_slot = preferredSlot;
+    }
+
+    // In seconds, 0 means no timeout
+    if (typeof timeout === 'number') {
+      body.timeout = timeout;
+    }
+
+    return client.put(`${baseUrl}/users/me/calls/${callId}/park`, body)
+      .then(response => ParkedCall.parse({ ...response, call_id: callId, parking_id: parkingId }));
+  },
+
+  listAllParkedCalls: (): Promise<Array<ParkedCall>> =>
+    client.get(`${baseUrl}/parkings`, null)
+      .then(response => response.items.reduce((acc, parking) => [...acc, ...ParkedCall.parseParking(parking)], [])),
+
+  listParkedCalls: (parkingId: number): Promise<Array<ParkedCall>> =>
+    client.get(`${baseUrl}/parkings/${parkingId}`, null).then(ParkedCall.parseParking),
+
   // eslint-disable-next-line camelcase
   transferCall: (initiator_call: string, exten: string, flow: string) =>
     client.post(`${baseUrl}/users/me/transfers`, { initiator_call, exten, flow }).then(IndirectTransfer.parseFromApi),
@@ -5,6 +5,7 @@ import Profile from '../domain/Profile';
 import ChatRoom from '../domain/ChatRoom';
 import type { ChatUser, ChatMessageListResponse } from '../domain/ChatMessage';
 import ChatMessage from '../domain/ChatMessage';
+import Paginator from '../utils/Paginator';
 
 export type PresenceResponse = {
   lines: Array<{ id: number, state: string }>,
@@ -29,7 +30,7 @@ type GetMessagesOptions = {
   distinct: string,
 };
 
-export default (client: ApiRequester, baseUrl: string) => ({
+const chatdMethods = (client: ApiRequester, baseUrl: string) => ({
   updateState: (contactUuid: UUID, state: string): Promise<Boolean> =>
     client.put(`${baseUrl}/users/${contactUuid}/presences`, { state }, null, ApiRequester.successResponseParser),
 
@@ -70,4 +71,9 @@ export default (client: ApiRequester, baseUrl: string) => ({
 
   getMessages: async (options: GetMessagesOptions): Promise<ChatMessage> =>
     client.get(`${baseUrl}/users/me/rooms/messages`, options),
+
+  paginateMessages: (options: $Shape<GetMessagesOptions> = {}): Paginator =>
+    Paginator.fromList(chatdMethods(client, baseUrl).getMessages, options, ChatMessage.parseMany),
 });
+
+export default chatdMethods;
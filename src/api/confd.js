@@ -4,9 +4,14 @@ import type { UUID, ListConfdUsersResponse, ListApplicationsResponse } from '../
 import Profile from '../domain/Profile';
 import SipLine from '../domain/SipLine';
 import ExternalApp from '../domain/ExternalApp';
+import Paginator from '../utils/Paginator';
 
-export default (client: ApiRequester, baseUrl: string) => ({
-  listUsers: (): Promise<ListConfdUsersResponse> => client.get(`${baseUrl}/users`, null),
+const confdMethods = (client: ApiRequester, baseUrl: string) => ({
+  listUsers: (queryParams: ?Object = null): Promise<ListConfdUsersResponse> =>
+    client.get(`${baseUrl}/users`, queryParams),
+
+  paginateUsers: (queryParams: ?Object = null): Paginator =>
+    Paginator.fromList(confdMethods(client, baseUrl).listUsers, queryParams),
 
   getUser: (userUuid: string): Promise<Profile> => client.get(`${baseUrl}/users/${userUuid}`, null).then(Profile.parse),
 
@@ -68,3 +73,5 @@ export default (client: ApiRequester, baseUrl: string) => ({
     }
   },
 });
+
+export default confdMethods;
@@ -87,6 +87,18 @@ export default (client: ApiRequester, baseUrl: string) => ({
     return client.post(`${baseUrl}/users/me/relocates`, body).then(response => Relocation.parse(response));
   },
 
+  startRecording: (callId: number) =>
+    client.put(`${baseUrl}/users/me/calls/${callId}/record/start`, null, null, ApiRequester.successResponseParser),
+
+  stopRecording: (callId: number) =>
+    client.put(`${baseUrl}/users/me/calls/${callId}/record/stop`, null, null, ApiRequester.successResponseParser),
+
+  pauseRecording: (callId: number) =>
+    client.put(`${baseUrl}/users/me/calls/${callId}/record/pause`, null, null, ApiRequester.successResponseParser),
+
+  resumeRecording: (callId: number) =>
+    client.put(`${baseUrl}/users/me/calls/${callId}/record/resume`, null, null, ApiRequester.successResponseParser),
+
   transferCall(
     callId: number,
     number: string,
@@ -7,6 +7,7 @@ import Contact from '../domain/Contact';
 import type { NewContact } from '../domain/Contact';
 import type { DirectorySource, DirectorySources } from '../domain/DirectorySource';
 import type { Sources } from '../index';
+import Paginator from '../utils/Paginator';
 
 const getContactPayload = (contact: NewContact | Contact) => ({
   email: contact.email,
@@ -28,13 +29,16 @@ type ContactSearchQueryParams = {
   uuid?: string,
 } | null;
 
-export default (client: ApiRequester, baseUrl: string) => ({
+const dirdMethods = (client: ApiRequester, baseUrl: string) => ({
   search: (context: string, term: string): Promise<Array<Contact>> =>
     client.get(`${baseUrl}/directories/lookup/${context}`, { term }).then(Contact.parseMany),
 
   listPersonalContacts: (queryParams: ContactSearchQueryParams = null): Promise<Array<Contact>> =>
     client.get(`${baseUrl}/personal`, queryParams).then(response => Contact.parseManyPersonal(response.items)),
 
+  paginatePersonalContacts: (queryParams: ContactSearchQueryParams = null): Paginator =>
+    Paginator.fromList(dirdMethods(client, baseUrl).listPersonalContacts, queryParams),
+
   addContact: (contact: NewContact): Promise<Contact> =>
     client.post(`${baseUrl}/personal`, getContactPayload(contact)).then(Contact.parsePersonal),
 
@@ -81,6 +85,12 @@ export default (client: ApiRequester, baseUrl: string) => ({
       .then(response => Contact.parseManyOffice365(response.items, source));
   },
 
+  paginateOffice365Contacts: (source: DirectorySource, queryParams: ContactSearchQueryParams = null): Paginator => {
+    const { fetchOffice365Contacts } = dirdMethods(client, baseUrl);
+
+    return Paginator.fromList(params => fetchOffice365Contacts(source, params) || Promise.resolve([]), queryParams);
+  },
+
   fetchWazoSource: (context: string): Promise<Sources> =>
     client.get(`${baseUrl}/directories/${context}/sources`, { backend: 'wazo' }),
 
@@ -94,6 +104,12 @@ export default (client: ApiRequester, baseUrl: string) => ({
       .then(response => Contact.parseManyWazo(response.items, source));
   },
 
+  paginateWazoContacts: (source: DirectorySource, queryParams: ContactSearchQueryParams = null): Paginator => {
+    const { fetchWazoContacts } = dirdMethods(client, baseUrl);
+
+    return Paginator.fromList(params => fetchWazoContacts(source, params) || Promise.resolve([]), queryParams);
+  },
+
   fetchGoogleSource: (context: string): Promise<Sources> =>
     client.get(`${baseUrl}/directories/${context}/sources`, { backend: 'google' }),
 
@@ -107,6 +123,12 @@ export default (client: ApiRequester, baseUrl: string) => ({
       .then(response => Contact.parseManyGoogle(response.items, source));
   },
 
+  paginateGoogleContacts: (source: DirectorySource, queryParams: ContactSearchQueryParams = null): Paginator => {
+    const { fetchGoogleContacts } = dirdMethods(client, baseUrl);
+
+    return Paginator.fromList(params => fetchGoogleContacts(source, params) || Promise.resolve([]), queryParams);
+  },
+
   fetchConferenceSource: (context: string): Promise<Sources> =>
     client.get(`${baseUrl}/directories/${context}/sources`, { backend: 'conference' }),
 
@@ -152,3 +174,5 @@ export default (client: ApiRequester, baseUrl: string) => ({
   },
 
 });
+
+export default dirdMethods;
@@ -0,0 +1,163 @@
+// @flow
+
+import CallSession from './CallSession';
+import type WebRTCPhone from './Phone/WebRTCPhone';
+
+export type LocalConferenceArguments = {
+  phone: WebRTCPhone,
+  host: CallSession,
+  finished?: boolean,
+  participants: {[string]: CallSession};
+  started?: boolean,
+  startTime?: ?number,
+  muted?: boolean,
+  paused?: boolean,
+};
+
+// Adhoc conference mixed in the browser, used when the engine doesn't provide the adhoc conference API
+export default class AdHocLocalConference {
+  phone: WebRTCPhone;
+
+  host: CallSession;
+
+  // Indexed by sip call id
+  participants: {[string]: CallSession};
+
+  started: boolean;
+
+  finished: boolean;
+
+  startTime: ?number;
+
+  muted: boolean;
+
+  paused: boolean;
+
+  constructor({
+    phone,
+    host,
+    participants,
+    started,
+    finished,
+    startTime,
+    muted,
+    paused,
+  }: LocalConferenceArguments) {
+    this.phone = phone;
+    this.host = host;
+    this.participants = participants || {};
+    this.started = started || false;
+    this.finished = finished || false;
+    this.startTime = startTime;
+    this.muted = muted || false;
+    this.paused = paused || false;
+  }
+
+  async start(): Promise<AdHocLocalConference> {
+    const participants = this.getParticipants();
+    this.started = true;
+    // $FlowFixMe
+    this.startTime = participants.length ? participants[0].startTime : null;
+
+    const merged = await this.phone.mergeCalls(participants);
+    if (!merged) {
+      throw new Error('Local conferences need an AudioContext');
+    }
+
+    return this;
+  }
+
+  getParticipants(): CallSession[] {
+    return Object.keys(this.participants).map(id => this.participants[id]);
+  }
+
+  async addParticipant(newParticipant: CallSession): Promise<AdHocLocalConference> {
+    const participantId: string = newParticipant.getId();
+    const participants = { ...this.participants, [participantId]: newParticipant };
+
+    await this.phone.mergeCalls([newParticipant]);
+
+    return new AdHocLocalConference({
+      ...this,
+      participants,
+    });
+  }
+
+  participantHasLeft(leaver: CallSession): AdHocLocalConference {
+    delete this.participants[leaver.getId()];
+
+    return new AdHocLocalConference({ ...this, participants: this.participants });
+  }
+
+  hasParticipants() {
+    return Object.keys(this.participants).length > 0;
+  }
+
+  mute(): AdHocLocalConference {
+    this.muted = true;
+    this.phone.muteMerge();
+    return new AdHocLocalConference({
+      ...this,
+    });
+  }
+
+  unmute(): AdHocLocalConference {
+    this.muted = false;
+    this.phone.unmuteMerge();
+    return new AdHocLocalConference({
+      ...this,
+    });
+  }
+
+  hold(): AdHocLocalConference {
+    this.paused = true;
+    this.getParticipants().forEach(participant => this.phone.hold(participant));
+    return new AdHocLocalConference({
+      ...this,
+    });
+  }
+
+  async resume(): Promise<AdHocLocalConference> {
+    // Unholds the participants before mixing them again
+    const merged = await this.phone.mergeCalls(this.getParticipants());
+    if (!merged) {
+      throw new Error('Local conferences need an AudioContext');
+    }
+
+    this.paused = false;
+    return new AdHocLocalConference({
+      ...this,
+    });
+  }
+
+  isOnHold(): boolean {
+    return this.paused;
+  }
+
+  isMuted(): boolean {
+    return this.muted;
+  }
+
+  async hangup(): Promise<AdHocLocalConference> {
+    this.phone.unmergeCalls();
+    await Promise.all(this.getParticipants().map(participant => this.phone.hangup(participant)));
+
+    return new AdHocLocalConference({
+      ...this,
+      finished: true,
+      participants: {},
+    });
+  }
+
+  async removeParticipant(participantToRemove: CallSession): Promise<AdHocLocalConference> {
+    delete this.participants[participantToRemove.getId()];
+
+    this.phone.removeFromMerge(participantToRemove);
+    await this.phone.hangup(participantToRemove);
+
+    return new AdHocLocalConference({
+      ...this,
+      participants: this.participants,
+    });
+  }
+}
@@ -3,6 +3,10 @@
 import moment from 'moment';
 import newFrom from '../utils/new-from';
 
+export const RECORD_STATE_ACTIVE = 'active';
+export const RECORD_STATE_INACTIVE = 'inactive';
+export const RECORD_STATE_PAUSED = 'paused';
+
 type CallResponse = {
   call_id: string,
   sip_call_id: string,
@@ -18,6 +22,7 @@ type CallResponse = {
   on_hold: boolean,
   muted: boolean,
   talking_to: Object,
+  record_state?: string,
 };
 
 type CallArguments = {
@@ -35,6 +40,7 @@ type CallArguments = {
   status: string,
   startingTime: Date,
   talkingToIds: string[],
+  recordState?: ?string,
 };
 
 export default class Call {
@@ -54,6 +60,7 @@ export default class Call {
   status: string;
   startingTime: Date;
   talkingToIds: string[];
+  recordState: ?string;
 
   static parseMany(plain: Array<CallResponse>): Array<Call> {
     return plain.map((plainCall: CallResponse) => Call.parse(plainCall));
@@ -75,6 +82,7 @@ export default class Call {
       lineId: plain.line_id,
       startingTime: moment(plain.creation_time).toDate(),
       talkingToIds: Object.keys(plain.talking_to || {}),
+      recordState: plain.record_state,
     });
   }
 
@@ -97,6 +105,7 @@ export default class Call {
     status,
     startingTime,
     talkingToIds,
+    recordState,
   }: CallArguments = {}) {
     this.id = id;
     this.sipCallId = sipCallId;
@@ -112,6 +121,7 @@ export default class Call {
     this.status = status;
     this.startingTime = startingTime;
     this.talkingToIds = talkingToIds || [];
+    this.recordState = recordState || RECORD_STATE_INACTIVE;
 
     // Useful to compare instead of instanceof with minified code
     this.type = 'Call';
@@ -170,6 +180,14 @@ export default class Call {
     return this.onHold;
   }
 
+  isRecording(): boolean {
+    return this.recordState === RECORD_STATE_ACTIVE;
+  }
+
+  isRecordingPaused(): boolean {
+    return this.recordState === RECORD_STATE_PAUSED;
+  }
+
   putOnHold(): void {
     this.onHold = true;
   }
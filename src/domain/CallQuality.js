@@ -0,0 +1,202 @@
+// @flow
+
+export const QUALITY_GOOD = 'good';
+export const QUALITY_FAIR = 'fair';
+export const QUALITY_POOR = 'poor';
+
+export type CallQualityLevel = typeof QUALITY_GOOD | typeof QUALITY_FAIR | typeof QUALITY_POOR;
+
+// MOS under `fair` is considered fair, under `poor` is considered poor
+export type CallQualityThresholds = {
+  fair: number,
+  poor: number,
+};
+
+export const DEFAULT_CALL_QUALITY_THRESHOLDS: CallQualityThresholds = { fair: 3.6, poor: 3.1 };
+
+export const getQualityLevel = (
+  mos: ?number,
+  thresholds: CallQualityThresholds = DEFAULT_CALL_QUALITY_THRESHOLDS,
+): ?CallQualityLevel => {
+  if (typeof mos !== 'number') {
+    return null;
+  }
+  if (mos < thresholds.poor) {
+    return QUALITY_POOR;
+  }
+
+  return mos < thresholds.fair ? QUALITY_FAIR : QUALITY_GOOD;
+};
+
+// Durations in ms, packet loss in percent and bitrates in kbps
+export type MediaQuality = {
+  rtt: ?number,
+  jitter: ?number,
+  packetLoss: ?number,
+  inboundBitrate: ?number,
+  outboundBitrate: ?number,
+  codec: ?string,
+};
+
+type Counters = {
+  timestamp: number,
+  bytesReceived: number,
+  bytesSent: number,
+  packetsReceived: number,
+  packetsLost: number,
+};
+
+type CallQualityArguments = {
+  audio: MediaQuality,
+  video: MediaQuality,
+  mos: ?number,
+  timestamp: number,
+  counters?: { [string]: Counters },
+};
+
+const emptyMediaQuality = (): MediaQuality => ({
+  rtt: null,
+  jitter: null,
+  packetLoss: null,
+  inboundBitrate: null,
+  outboundBitrate: null,
+  codec: null,
+});
+
+const round = (value: ?number, decimals: number = 2): ?number =>
+  (typeof value === 'number' ? Number(value.toFixed(decimals)) : null);
+
+const roundMediaQuality = (quality: MediaQuality): MediaQuality => ({
+  ...quality,
+  rtt: round(quality.rtt),
+  jitter: round(quality.jitter),
+  packetLoss: round(quality.packetLoss),
+  inboundBitrate: round(quality.inboundBitrate),
+  outboundBitrate: round(quality.outboundBitrate),
+});
+
+export default class CallQuality {
+  audio: MediaQuality;
+  video: MediaQuality;
+  mos: ?number;
+  timestamp: number;
+
+  // Cumulative RTP counters, used to compute rates with the next report
+  counters: { [string]: Counters };
+
+  // `stats` are the values of an `RTCStatsReport`
+  static parse(stats: Object[], previous: ?CallQuality = null): CallQuality {
+    const byId = {};
+    stats.forEach(stat => {
+      byId[stat.id] = stat;
+    });
+    const media = { audio: emptyMediaQuality(), video: emptyMediaQuality() };
+    const counters = {};
+    let timestamp = 0;
+    let connectionRtt = null;
+
+    stats.forEach(stat => {
+      const kind = stat.kind || stat.mediaType;
+      const quality = media[kind];
+      timestamp = Math.max(timestamp, stat.timestamp || 0);
+
+      if (stat.type === 'candidate-pair' && stat.nominated && stat.state === 'succeeded'
+        && typeof stat.currentRoundTripTime === 'number') {
+        connectionRtt = stat.currentRoundTripTime * 1000;
+      }
+
+      if (!quality) {
+        return;
+      }
+
+      const counter = counters[kind] || {
+        timestamp: stat.timestamp || 0,
+        bytesReceived: 0,
+        bytesSent: 0,
+        packetsReceived: 0,
+        packetsLost: 0,
+      };
+      counter.timestamp = Math.max(counter.timestamp, stat.timestamp || 0);
+      counters[kind] = counter;
+
+      if (stat.codecId && byId[stat.codecId] && !quality.codec) {
+        quality.codec = byId[stat.codecId].mimeType;
+      }
+
+      switch (stat.type) {
+        case 'inbound-rtp':
+          counter.bytesReceived += stat.bytesReceived || 0;
+          counter.packetsReceived += stat.packetsReceived || 0;
+          counter.packetsLost += stat.packetsLost || 0;
+          if (typeof stat.jitter === 'number') {
+            quality.jitter = stat.jitter * 1000;
+          }
+          break;
+        case 'outbound-rtp':
+          counter.bytesSent += stat.bytesSent || 0;
+          break;
+        case 'remote-inbound-rtp':
+          if (typeof stat.roundTripTime === 'number') {
+            quality.rtt = stat.roundTripTime * 1000;
+          }
+          break;
+        default:
+          break;
+      }
+    });
+
+    Object.keys(counters).forEach(kind => {
+      const counter = counters[kind];
+      const quality = media[kind];
+      const last = previous ? previous.counters[kind] : null;
+      const elapsed = last ? counter.timestamp - last.timestamp : 0;
+      const lost = counter.packetsLost - (last ? last.packetsLost : 0);
+      const received = counter.packetsReceived - (last ? last.packetsReceived : 0);
+
+      if (quality.rtt === null) {
+        quality.rtt = connectionRtt;
+      }
+      if (lost + received > 0) {
+        quality.packetLoss = (Math.max(lost, 0) / (lost + received)) * 100;
+      }
+      // bits per ms are kbps
+      if (last && elapsed > 0) {
+        quality.inboundBitrate = (Math.max(counter.bytesReceived - last.bytesReceived, 0) * 8) / elapsed;
+        quality.outboundBitrate = (Math.max(counter.bytesSent - last.bytesSent, 0) * 8) / elapsed;
+      }
+    });
+
+    const audio = roundMediaQuality(media.audio);
+    const video = roundMediaQuality(media.video);
+    const reference = counters.audio ? audio : video;
+    const mos = counters.audio || counters.video
+      ? CallQuality.computeMos(reference.rtt || 0, reference.jitter || 0, reference.packetLoss || 0)
+      : null;
+
+    return new CallQuality({ audio, video, mos, timestamp, counters });
+  }
+
+  // Simplified E-model (ITU-T G.107), from 1 (bad) to 4.5 (excellent)
+  static computeMos(rtt: number, jitter: number, packetLoss: number): number {
+    const effectiveLatency = rtt / 2 + jitter * 2 + 10;
+    let rFactor = effectiveLatency < 160 ? 93.2 - effectiveLatency / 40 : 93.2 - (effectiveLatency - 120) / 10;
+    rFactor -= packetLoss * 2.5;
+    rFactor = Math.min(Math.max(rFactor, 0), 100);
+
+    const mos = 1 + 0.035 * rFactor + 0.000007 * rFactor * (rFactor - 60) * (100 - rFactor);
+
+    return Number(Math.min(Math.max(mos, 1), 4.5).toFixed(2));
+  }
+
+  constructor({ audio, video, mos, timestamp, counters = {} }: CallQualityArguments) {
+    this.audio = audio;
+    this.video = video;
+    this.mos = mos;
+    this.timestamp = timestamp;
+    this.counters = counters;
+  }
+
+  getLevel(thresholds: CallQualityThresholds = DEFAULT_CALL_QUALITY_THRESHOLDS): ?CallQualityLevel {
+    return getQualityLevel(this.mos, thresholds);
+  }
+}
@@ -0,0 +1,79 @@
+// @flow
+import type CallQuality, { CallQualityLevel, CallQualityThresholds } from './CallQuality';
+import { DEFAULT_CALL_QUALITY_THRESHOLDS, QUALITY_POOR, getQualityLevel } from './CallQuality';
+
+const average = (total: number, count: number): ?number => (count ? Number((total / count).toFixed(2)) : null);
+
+// Aggregates the quality reports of a call, attached to the `CallSession` when the call ends
+export default class CallQualitySummary {
+  samples: number;
+  averageMos: ?number;
+  minMos: ?number;
+  maxRtt: ?number;
+  averageJitter: ?number;
+  averagePacketLoss: ?number;
+  audioCodec: ?string;
+  videoCodec: ?string;
+  poorSamples: number;
+  // The ones of the phone, so the summary agrees with `ON_CALL_QUALITY_CHANGED`
+  thresholds: CallQualityThresholds;
+
+  _totals: {
+    mos: number,
+    jitter: number,
+    packetLoss: number,
+    mosCount: number,
+    jitterCount: number,
+    lossCount: number,
+  };
+
+  constructor(thresholds: CallQualityThresholds = DEFAULT_CALL_QUALITY_THRESHOLDS) {
+    this.samples = 0;
+    this.averageMos = null;
+    this.minMos = null;
+    this.maxRtt = null;
+    this.averageJitter = null;
+    this.averagePacketLoss = null;
+    this.audioCodec = null;
+    this.videoCodec = null;
+    this.poorSamples = 0;
+    this.thresholds = thresholds;
+    this._totals = { mos: 0, jitter: 0, packetLoss: 0, mosCount: 0, jitterCount: 0, lossCount: 0 };
+  }
+
+  add(quality: CallQuality) {
+    const { audio, video, mos } = quality;
+    const totals = this._totals;
+    this.samples++;
+
+    if (typeof mos === 'number') {
+      totals.mos += mos;
+      totals.mosCount++;
+      this.minMos = this.minMos === null || typeof this.minMos === 'undefined' ? mos : Math.min(this.minMos, mos);
+    }
+    if (typeof audio.rtt === 'number') {
+      this.maxRtt = Math.max(this.maxRtt || 0, audio.rtt);
+    }
+    if (typeof audio.jitter === 'number') {
+      totals.jitter += audio.jitter;
+      totals.jitterCount++;
+    }
+    if (typeof audio.packetLoss === 'number') {
+      totals.packetLoss += audio.packetLoss;
+      totals.lossCount++;
+    }
+    if (quality.getLevel(this.thresholds) === QUALITY_POOR) {
+      this.poorSamples++;
+    }
+
+    this.audioCodec = audio.codec || this.audioCodec;
+    this.videoCodec = video.codec || this.videoCodec;
+    this.averageMos = average(totals.mos, totals.mosCount);
+    this.averageJitter = average(totals.jitter, totals.jitterCount);
+    this.averagePacketLoss = average(totals.packetLoss, totals.lossCount);
+  }
+
+  getLevel(thresholds: CallQualityThresholds = this.thresholds): ?CallQualityLevel {
+    return getQualityLevel(this.averageMos, thresholds);
+  }
+}
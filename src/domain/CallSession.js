@@ -3,9 +3,13 @@ import { SessionState } from 'sip.js/lib/api/session-state';
 
 import Call from './Call';
 import Session from './Session';
+import type CallQualitySummary from './CallQualitySummary';
 import newFrom from '../utils/new-from';
 import updateFrom from '../utils/update-from';
 
+// Feature code to pick up a ringing call, followed by an extension for directed pickup
+export const PICKUP_PREFIX = '*8';
+
 type CallSessionArguments = {
   answered: boolean,
   answeredBySystem: boolean,
@@ -28,6 +32,9 @@ type CallSessionArguments = {
   autoAnswer?: boolean,
   ignored?: boolean,
   screensharing: boolean,
+  qualitySummary?: ?CallQualitySummary,
+  recording?: boolean,
+  recordingPaused?: boolean,
 };
 
 export default class CallSession {
@@ -77,6 +84,13 @@ export default class CallSession {
 
   screensharing: boolean;
 
+  recording: boolean;
+
+  recordingPaused: boolean;
+
+  // Set by `WebRTCPhone` when the call ends
+  qualitySummary: ?CallQualitySummary;
+
   type: string;
 
   constructor({
@@ -100,6 +114,9 @@ export default class CallSession {
     autoAnswer,
     ignored,
     screensharing,
+    qualitySummary,
+    recording,
+    recordingPaused,
   }: CallSessionArguments) {
     this.callId = callId;
     this.sipCallId = sipCallId;
@@ -121,6 +138,9 @@ export default class CallSession {
     this.autoAnswer = autoAnswer || false;
     this.ignored = ignored || false;
     this.screensharing = screensharing || false;
+    this.qualitySummary = qualitySummary || null;
+    this.recording = recording || false;
+    this.recordingPaused = recordingPaused || false;
 
     // Useful to compare instead of instanceof with minified code
     this.type = 'CallSession';
@@ -174,6 +194,24 @@ export default class CallSession {
     this.screensharing = false;
   }
 
+  startRecording() {
+    this.recording = true;
+    this.recordingPaused = false;
+  }
+
+  stopRecording() {
+    this.recording = false;
+    this.recordingPaused = false;
+  }
+
+  pauseRecording() {
+    this.recordingPaused = true;
+  }
+
+  resumeRecording() {
+    this.recordingPaused = false;
+  }
+
   isIncoming(): boolean {
     return !this.isCaller && !this.answered;
   }
@@ -222,12 +260,20 @@ export default class CallSession {
     return this.screensharing;
   }
 
+  isRecording(): boolean {
+    return this.recording;
+  }
+
+  isRecordingPaused(): boolean {
+    return this.recordingPaused;
+  }
+
   hasAnInitialInterceptionNumber(): boolean {
-    return this.number.startsWith('*8');
+    return this.number.startsWith(PICKUP_PREFIX);
   }
 
   isAnInterception(): boolean {
-    return this.dialedExtension.startsWith('*8');
+    return this.dialedExtension.startsWith(PICKUP_PREFIX);
   }
 
   isEstablished(): boolean {
@@ -305,6 +351,8 @@ export default class CallSession {
       answeredBySystem: call.isUp() && call.talkingToIds.length === 0,
       cameraEnabled: false,
       dialedExtension: call.dialedExtension,
+      recording: call.isRecording() || call.isRecordingPaused(),
+      recordingPaused: call.isRecordingPaused(),
       call,
     });
   }
@@ -4,11 +4,34 @@ import CallSession from './CallSession';
 import newFrom from '../utils/new-from';
 import updateFrom from '../utils/update-from';
 
+export const TRANSFER_FLOW_ATTENDED = 'attended';
+export const TRANSFER_FLOW_BLIND = 'blind';
+
+export const TRANSFER_STATUS_STARTING = 'starting';
+export const TRANSFER_STATUS_RINGBACK = 'ringback';
+export const TRANSFER_STATUS_ANSWERED = 'answered';
+export const TRANSFER_STATUS_COMPLETED = 'completed';
+export const TRANSFER_STATUS_CANCELLED = 'cancelled';
+export const TRANSFER_STATUS_FAILED = 'failed';
+
+const ENDED_STATUSES = [TRANSFER_STATUS_COMPLETED, TRANSFER_STATUS_CANCELLED, TRANSFER_STATUS_FAILED];
+
+// Statuses carried by the `transfer_*` WebSocket events
+const EVENT_STATUSES = {
+  transfer_answered: TRANSFER_STATUS_ANSWERED,
+  transfer_completed: TRANSFER_STATUS_COMPLETED,
+  transfer_cancelled: TRANSFER_STATUS_CANCELLED,
+  transfer_abandoned: TRANSFER_STATUS_FAILED,
+};
+
 export type IndirectTransferArguments = {
-  status?: string,
-  id?: string,
-  destinationId: string,
+  status?: ?string,
+  id?: ?string,
+  destinationId?: ?string,
   sourceId: string,
+  flow?: string,
+  number?: ?string,
+  swapped?: boolean,
 };
 
 type Reponse = {
@@ -19,7 +42,7 @@ type Reponse = {
   recipient_call: string,
   status: string,
   flow: string,
-}
+};
 
 export default class IndirectTransfer {
   status: ?string;
@@ -28,13 +51,26 @@ export default class IndirectTransfer {
 
   sourceId: string;
 
-  destinationId: string;
+  // Not set for blind transfers until the destination is known
+  destinationId: ?string;
+
+  // Attended when not set
+  flow: ?string;
+
+  // The extension dialed to reach the destination
+  number: ?string;
 
-  constructor({ sourceId, destinationId, status, id }: IndirectTransferArguments) {
+  // True when talking to the source while the destination is on hold
+  swapped: ?boolean;
+
+  constructor({ sourceId, destinationId, status, id, flow, number, swapped }: IndirectTransferArguments) {
     this.sourceId = sourceId;
     this.destinationId = destinationId;
     this.status = status;
     this.id = id;
+    this.flow = flow;
+    this.number = number;
+    this.swapped = swapped;
   }
 
   static parseFromCallSession(source: CallSession, destination: CallSession) {
@@ -44,17 +80,41 @@ export default class IndirectTransfer {
     });
   }
 
+  static parseFromEvent(name: string, plain: Reponse) {
+    const transfer = IndirectTransfer.parseFromApi(plain);
+    transfer.status = EVENT_STATUSES[name] || transfer.status;
+
+    return transfer;
+  }
+
   static parseFromApi(plain: Reponse) {
     return new IndirectTransfer({
       id: plain.id,
       status: plain.status,
       sourceId: plain.initiator_call,
       destinationId: plain.recipient_call,
+      flow: plain.flow,
     });
   }
 
+  isAttended(): boolean {
+    return !this.isBlind();
+  }
+
+  isBlind(): boolean {
+    return this.flow === TRANSFER_FLOW_BLIND;
+  }
+
+  isAnswered(): boolean {
+    return this.status === TRANSFER_STATUS_ANSWERED;
+  }
+
+  isEnded(): boolean {
+    return ENDED_STATUSES.indexOf(this.status) !== -1;
+  }
+
   destinationIs(callSession: CallSession): boolean {
-    return callSession.isId(this.destinationId);
+    return !!this.destinationId && callSession.isId(this.destinationId);
   }
 
   sourceIs(callSession: CallSession): boolean {
@@ -0,0 +1,120 @@
+// @flow
+
+import moment from 'moment';
+import newFrom from '../utils/new-from';
+
+export type ParkedCallResponse = {
+  call_id: string,
+  slot: string,
+  parking_id?: number,
+  parked_at?: string,
+  timeout_at?: ?string,
+  caller_id_name?: string,
+  caller_id_num?: string,
+  connected_line_name?: string,
+  connected_line_num?: string,
+};
+
+export type ParkingResponse = {
+  id: number,
+  name: string,
+  slots_start: string,
+  slots_end: string,
+  timeout: ?number,
+  calls: Array<ParkedCallResponse>,
+};
+
+type ParkedCallArguments = {
+  id: string,
+  slot: string,
+  parkingId: ?number,
+  parkingName?: ?string,
+  callerName?: ?string,
+  callerNumber?: ?string,
+  parkerName?: ?string,
+  parkerNumber?: ?string,
+  parkedAt?: ?Date,
+  timeoutAt?: ?Date,
+};
+
+export default class ParkedCall {
+  type: string;
+
+  // Wazo's callId of the parked call
+  id: string;
+
+  // Extension to dial to retrieve the call
+  slot: string;
+
+  parkingId: ?number;
+  parkingName: ?string;
+  callerName: ?string;
+  callerNumber: ?string;
+  parkerName: ?string;
+  parkerNumber: ?string;
+  parkedAt: ?Date;
+  timeoutAt: ?Date;
+
+  static parse(plain: ParkedCallResponse, parking: ?{ id: number, name: string } = null): ParkedCall {
+    return new ParkedCall({
+      id: plain.call_id,
+      slot: plain.slot,
+      parkingId: parking ? parking.id : plain.parking_id,
+      parkingName: parking ? parking.name : null,
+      callerName: plain.caller_id_name,
+      callerNumber: plain.caller_id_num,
+      parkerName: plain.connected_line_name,
+      parkerNumber: plain.connected_line_num,
+      parkedAt: plain.parked_at ? moment(plain.parked_at).toDate() : null,
+      timeoutAt: plain.timeout_at ? moment(plain.timeout_at).toDate() : null,
+    });
+  }
+
+  static parseMany(plain: Array<ParkedCallResponse>): Array<ParkedCall> {
+    return plain.map(item => ParkedCall.parse(item));
+  }
+
+  static parseParking(plain: ParkingResponse): Array<ParkedCall> {
+    return (plain.calls || []).map(item => ParkedCall.parse(item, plain));
+  }
+
+  static newFrom(parkedCall: ParkedCall) {
+    return newFrom(parkedCall, ParkedCall);
+  }
+
+  constructor({
+    id,
+    slot,
+    parkingId,
+    parkingName,
+    callerName,
+    callerNumber,
+    parkerName,
+    parkerNumber,
+    parkedAt,
+    timeoutAt,
+  }: ParkedCallArguments = {}) {
+    this.id = id;
+    this.slot = slot;
+    this.parkingId = parkingId;
+    this.parkingName = parkingName;
+    this.callerName = callerName;
+    this.callerNumber = callerNumber;
+    this.parkerName = parkerName;
+    this.parkerNumber = parkerNumber;
+    this.parkedAt = parkedAt;
+    this.timeoutAt = timeoutAt;
+
+    // Useful to compare instead of instanceof with minified code
+    this.type = 'ParkedCall';
+  }
+
+  is(other: ?ParkedCall): boolean {
+    return !!other && this.id === other.id;
+  }
+
+  // Remaining time before the call rings back the parker, in seconds
+  getRemainingTimeInSeconds(): ?number {
+    return this.timeoutAt ? Math.max((+this.timeoutAt - Date.now()) / 1000, 0) : null;
+  }
+}
@@ -1,17 +1,35 @@
 // @flow
 
 import Session from '../Session';
-import Call from '../Call';
+import Call, { RECORD_STATE_ACTIVE, RECORD_STATE_INACTIVE, RECORD_STATE_PAUSED } from '../Call';
+import type ParkedCall from '../ParkedCall';
 import Line from '../Line';
 import CallSession from '../CallSession';
+import IndirectTransfer, {
+  TRANSFER_FLOW_ATTENDED,
+  TRANSFER_FLOW_BLIND,
+  TRANSFER_STATUS_ANSWERED,
+  TRANSFER_STATUS_CANCELLED,
+  TRANSFER_STATUS_COMPLETED,
+  TRANSFER_STATUS_FAILED,
+} from '../IndirectTransfer';
+import {
+  ON_TRANSFER_STARTED,
+  ON_TRANSFER_ANSWERED,
+  ON_TRANSFER_SWAPPED,
+  ON_TRANSFER_COMPLETED,
+  ON_TRANSFER_CANCELLED,
+  ON_TRANSFER_FAILED,
+} from './Phone';
 import type { Phone, AvailablePhoneOptions } from './Phone';
 import Emitter from '../../utils/Emitter';
 
 import CallApi from '../../service/CallApi';
+import getApiClient from '../../service/getApiClient';
+import type WazoApiClient from '../../api-client';
 import IssueReporter from '../../service/IssueReporter';
 
-export const TRANSFER_FLOW_ATTENDED = 'attended';
-export const TRANSFER_FLOW_BLIND = 'blind';
+export { TRANSFER_FLOW_ATTENDED, TRANSFER_FLOW_BLIND };
 
 // const MINIMUM_WAZO_ENGINE_VERSION_FOR_CTI_HOLD = '20.11';
 
@@ -26,12 +44,24 @@ export default class CTIPhone extends Emitter implements Phone {
 
   currentCall: ?Call;
 
-  constructor(session: Session, isMobile: boolean = false, callbackAllLines: boolean = false) {
+  transfers: { [string]: IndirectTransfer };
+
+  // Used for calld requests, the default `ApiClient` when not set
+  apiClient: ?WazoApiClient;
+
+  constructor(session: Session, isMobile: boolean = false, callbackAllLines: boolean = false,
+    apiClient: ?WazoApiClient = null) {
     super();
     logger.info('CTI Phone created');
     this.session = session;
     this.isMobile = isMobile;
     this.callbackAllLines = callbackAllLines;
+    this.transfers = {};
+    this.apiClient = apiClient;
+  }
+
+  _getCallApi(): CallApi {
+    return new CallApi(this.apiClient || getApiClient());
   }
 
   getOptions(): AvailablePhoneOptions {
@@ -46,7 +76,7 @@ export default class CTIPhone extends Emitter implements Phone {
       transfer: true,
       sendKey: true,
       addParticipant: false,
-      record: false,
+      record: true,
       merge: false,
     };
   }
@@ -89,7 +119,7 @@ export default class CTIPhone extends Emitter implements Phone {
       return null;
     }
     try {
-      this.currentCall = await CallApi.makeCall(line, number, this.isMobile, this.callbackAllLines);
+      this.currentCall = await this._getCallApi().makeCall(line, number, this.isMobile, this.callbackAllLines);
     } catch (_) {
       // We have to deal with error like `User has no mobile phone number` error in the UI.
     }
@@ -132,7 +162,7 @@ export default class CTIPhone extends Emitter implements Phone {
     logger.info('hangup CTI call', { callId: callSession.getId(), number: callSession.number });
 
     try {
-      await CallApi.cancelCall(callSession);
+      await this._getCallApi().cancelCall(callSession);
       if (this.currentCall && callSession.callId === this.currentCall.id) {
         this.endCurrentCall(callSession);
       }
@@ -155,7 +185,7 @@ export default class CTIPhone extends Emitter implements Phone {
     }
     logger.info('reject CTI call', { callId: callSession.getId(), number: callSession.number });
 
-    await CallApi.cancelCall(callSession);
+    await this._getCallApi().cancelCall(callSession);
     this.eventEmitter.emit('onCallEnded', callSession);
   }
 
@@ -165,30 +195,234 @@ export default class CTIPhone extends Emitter implements Phone {
     }
     logger.info('transfer CTI call', { callId: callSession.getId(), number: callSession.number, to: number });
 
-    await CallApi.transferCall(callSession.callId, number, TRANSFER_FLOW_BLIND);
+    await this._getCallApi().transferCall(callSession.callId, number, TRANSFER_FLOW_BLIND);
+  }
+
+  // Completes the pending transfer between both calls
+  async indirectTransfer(source: CallSession, destination: CallSession): Promise<void> {
+    const transfer = this.getTransfers().find(pending => pending.sourceIs(source)
+      && pending.destinationIs(destination));
+    if (!transfer) {
+      logger.warn('indirect CTI transfer, no transfer found', { from: source.getId(), to: destination.getId() });
+      return;
+    }
+
+    return this.completeTransfer(transfer);
+  }
+
+  async initiateCTIIndirectTransfer(callSession: CallSession, number: string): Promise<?IndirectTransfer> {
+    return this.initiateTransfer(callSession, number, TRANSFER_FLOW_ATTENDED);
+  }
+
+  async cancelCTIIndirectTransfer(transferId: string): Promise<void> {
+    const transfer = this.transfers[transferId];
+    if (!transfer) {
+      logger.warn('cancel CTI transfer, unknown transfer', { transferId });
+      return;
+    }
+
+    return this.cancelTransfer(transfer);
+  }
+
+  async confirmCTIIndirectTransfer(transferId: string): Promise<void> {
+    const transfer = this.transfers[transferId];
+    if (!transfer) {
+      logger.warn('confirm CTI transfer, unknown transfer', { transferId });
+      return;
+    }
+
+    return this.completeTransfer(transfer);
+  }
+
+  async initiateTransfer(callSession: CallSession, number: string,
+    flow: string = TRANSFER_FLOW_ATTENDED): Promise<?IndirectTransfer> {
+    if (!callSession) {
+      return null;
+    }
+    logger.info('CTI initiate transfer', { callId: callSession.getId(), number: callSession.number, to: number, flow });
+
+    let transfer;
+    try {
+      transfer = await this._getCallApi().transferCall(callSession.callId, number, flow);
+    } catch (error) {
+      logger.error('CTI initiate transfer, error', error);
+      const failed = new IndirectTransfer({
+        sourceId: callSession.getId(),
+        flow,
+        number,
+        status: TRANSFER_STATUS_FAILED,
+      });
+      this.eventEmitter.emit(ON_TRANSFER_FAILED, failed, error);
+      return null;
+    }
+
+    transfer.flow = flow;
+    transfer.number = number;
+    if (transfer.id) {
+      this.transfers[transfer.id] = transfer;
+    }
+    this.eventEmitter.emit(ON_TRANSFER_STARTED, transfer);
+
+    return transfer;
+  }
+
+  async completeTransfer(transfer: IndirectTransfer): Promise<void> {
+    logger.info('CTI complete transfer', { transferId: transfer.id });
+
+    await this._getCallApi().confirmCallTransfer(transfer.id || '');
+    this._endTransfer(transfer, TRANSFER_STATUS_COMPLETED, ON_TRANSFER_COMPLETED);
+  }
+
+  async cancelTransfer(transfer: IndirectTransfer): Promise<void> {
+    logger.info('CTI cancel transfer', { transferId: transfer.id });
+
+    await this._getCallApi().cancelCallTransfer(transfer.id || '');
+    this._endTransfer(transfer, TRANSFER_STATUS_CANCELLED, ON_TRANSFER_CANCELLED);
+  }
+
+  // Switches between the source and the destination of an attended transfer
+  async swapTransfer(transfer: IndirectTransfer): Promise<void> {
+    const { sourceId, destinationId } = transfer;
+    if (!destinationId) {
+      return;
+    }
+    logger.info('CTI swap transfer', { transferId: transfer.id, swapped: !transfer.swapped });
+
+    const [held, active] = transfer.swapped ? [sourceId, destinationId] : [destinationId, sourceId];
+    await this._getCallApi().hold(held);
+    await this._getCallApi().resume(active);
+
+    // eslint-disable-next-line no-param-reassign
+    transfer.swapped = !transfer.swapped;
+    this.eventEmitter.emit(ON_TRANSFER_SWAPPED, transfer);
+  }
+
+  // Applies the progress received from `transfer_*` WebSocket events
+  updateTransfer(transfer: IndirectTransfer): void {
+    const known = transfer.id ? this.transfers[transfer.id] : null;
+    if (!known || known.status === transfer.status) {
+      return;
+    }
+    logger.info('CTI transfer updated', { transferId: transfer.id, status: transfer.status });
+
+    switch (transfer.status) {
+      case TRANSFER_STATUS_ANSWERED:
+        known.status = transfer.status;
+        this.eventEmitter.emit(ON_TRANSFER_ANSWERED, known);
+        break;
+      case TRANSFER_STATUS_COMPLETED:
+        this._endTransfer(known, TRANSFER_STATUS_COMPLETED, ON_TRANSFER_COMPLETED);
+        break;
+      case TRANSFER_STATUS_CANCELLED:
+        this._endTransfer(known, TRANSFER_STATUS_CANCELLED, ON_TRANSFER_CANCELLED);
+        break;
+      case TRANSFER_STATUS_FAILED:
+        this._endTransfer(known, TRANSFER_STATUS_FAILED, ON_TRANSFER_FAILED);
+        break;
+      default:
+        known.updateFrom(transfer);
+    }
+  }
+
+  getTransfers(): IndirectTransfer[] {
+    return Object.keys(this.transfers).map(id => this.transfers[id]);
+  }
+
+  _endTransfer(transfer: IndirectTransfer, status: string, event: string): void {
+    const known = (transfer.id && this.transfers[transfer.id]) || transfer;
+    if (transfer.id) {
+      delete this.transfers[transfer.id];
+    }
+
+    known.status = status;
+    this.eventEmitter.emit(event, known);
+  }
+
+  async startRecording(callSession: CallSession): Promise<void> {
+    if (!callSession) {
+      return;
+    }
+    logger.info('CTI start recording', { callId: callSession.getId(), number: callSession.number });
+
+    await this._getCallApi().startRecording(callSession.callId);
+    callSession.startRecording();
+    this._setRecordState(callSession, RECORD_STATE_ACTIVE);
+    this.eventEmitter.emit('onCallRecordingStarted', callSession);
+  }
+
+  async stopRecording(callSession: CallSession): Promise<void> {
+    if (!callSession) {
+      return;
+    }
+    logger.info('CTI stop recording', { callId: callSession.getId(), number: callSession.number });
+
+    await this._getCallApi().stopRecording(callSession.callId);
+    callSession.stopRecording();
+    this._setRecordState(callSession, RECORD_STATE_INACTIVE);
+    this.eventEmitter.emit('onCallRecordingStopped', callSession);
   }
 
-  indirectTransfer() {}
+  async pauseRecording(callSession: CallSession): Promise<void> {
+    if (!callSession) {
+      return;
+    }
+    logger.info('CTI pause recording', { callId: callSession.getId(), number: callSession.number });
 
-  async initiateCTIIndirectTransfer(callSession: CallSession, number: string): Promise<any> {
+    await this._getCallApi().pauseRecording(callSession.callId);
+    callSession.pauseRecording();
+    this._setRecordState(callSession, RECORD_STATE_PAUSED);
+    this.eventEmitter.emit('onCallRecordingPaused', callSession);
+  }
+
+  async resumeRecording(callSession: CallSession): Promise<void> {
     if (!callSession) {
       return;
     }
-    logger.info('indirect CTI transfer', { callId: callSession.getId(), number: callSession.number, to: number });
+    logger.info('CTI resume recording', { callId: callSession.getId(), number: callSession.number });
 
-    return CallApi.transferCall(callSession.callId, number, TRANSFER_FLOW_ATTENDED);
+    await this._getCallApi().resumeRecording(callSession.callId);
+    callSession.resumeRecording();
+    this._setRecordState(callSession, RECORD_STATE_ACTIVE);
+    this.eventEmitter.emit('onCallRecordingResumed', callSession);
   }
 
-  async cancelCTIIndirectTransfer(transferId: string): Promise<any> {
-    logger.info('cancel CTI transfer', { transferId });
+  // Keeps the stored call in sync, so the `call_updated` event confirming the new state is not notified again
+  _setRecordState(callSession: CallSession, recordState: string): void {
+    const { currentCall } = this;
+    if (currentCall && currentCall.id === callSession.callId) {
+      currentCall.recordState = recordState;
+    }
+  }
+
+  updateRecordState(call: Call): void {
+    const { currentCall } = this;
+    if (!currentCall || !currentCall.is(call) || currentCall.recordState === call.recordState) {
+      return;
+    }
+
+    let event = 'onCallRecordingStopped';
+    if (call.isRecordingPaused()) {
+      event = 'onCallRecordingPaused';
+    } else if (call.isRecording()) {
+      event = currentCall.isRecordingPaused() ? 'onCallRecordingResumed' : 'onCallRecordingStarted';
+    }
 
-    return CallApi.cancelCallTransfer(transferId);
+    logger.info('CTI record state updated', { callId: call.id, recordState: call.recordState });
+    currentCall.recordState = call.recordState;
+    this.eventEmitter.emit(event, CallSession.parseCall(this.session, currentCall));
   }
 
-  async confirmCTIIndirectTransfer(transferId: string): Promise<any> {
-    logger.info('confirm CTI transfer', { transferId });
+  async parkCall(callSession: CallSession, parkingId: number, preferredSlot: ?string = null,
+    timeout: ?number = null): Promise<?ParkedCall> {
+    if (!callSession) {
+      return null;
+    }
+    logger.info('CTI park call', { callId: callSession.getId(), number: callSession.number, parkingId });
+
+    const parkedCall = await this._getCallApi().parkCall(callSession.callId, parkingId, preferredSlot, timeout);
+    this.eventEmitter.emit('onCallParked', callSession, parkedCall);
 
-    return CallApi.confirmCallTransfer(transferId);
+    return parkedCall;
   }
 
   sendKey(callSession: CallSession, digits: string) {
@@ -197,7 +431,7 @@ export default class CTIPhone extends Emitter implements Phone {
     }
     logger.info('send CTI key', { callId: callSession.getId(), number: callSession.number, digits });
 
-    return CallApi.sendDTMF(callSession.callId, digits);
+    return this._getCallApi().sendDTMF(callSession.callId, digits);
   }
 
   onConnectionMade() {
@@ -218,7 +452,7 @@ export default class CTIPhone extends Emitter implements Phone {
     }
     logger.info('CTI hold', { callId: callSession.getId(), number: callSession.number });
 
-    return CallApi.hold(callSession.callId);
+    return this._getCallApi().hold(callSession.callId);
   }
 
   async resume(callSession: CallSession): Promise<void> {
@@ -227,7 +461,7 @@ export default class CTIPhone extends Emitter implements Phone {
     }
     logger.info('CTI resume', { callId: callSession.getId(), number: callSession.number });
 
-    return CallApi.resume(callSession.callId);
+    return this._getCallApi().resume(callSession.callId);
   }
 
   async mute(callSession: CallSession): Promise<void> {
@@ -236,7 +470,7 @@ export default class CTIPhone extends Emitter implements Phone {
     }
     logger.info('CTI mute', { callId: callSession.getId(), number: callSession.number });
 
-    return CallApi.mute(callSession.callId);
+    return this._getCallApi().mute(callSession.callId);
   }
 
   async unmute(callSession: CallSession): Promise<void> {
@@ -245,7 +479,7 @@ export default class CTIPhone extends Emitter implements Phone {
     }
     logger.info('CTI unmute', { callId: callSession.getId(), number: callSession.number });
 
-    return CallApi.unmute(callSession.callId);
+    return this._getCallApi().unmute(callSession.callId);
   }
 
   putOnSpeaker() {}
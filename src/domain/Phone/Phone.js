@@ -1,6 +1,9 @@
 // @flow
 import Line from '../Line';
 import CallSession from '../CallSession';
+import type Call from '../Call';
+import type IndirectTransfer from '../IndirectTransfer';
+import type ParkedCall from '../ParkedCall';
 
 export type PhoneEventCallbacks = {
   onCallIncoming?: (number: string) => {},
@@ -11,10 +14,29 @@ export type PhoneEventCallbacks = {
   onCallResumed?: () => void,
   onCallMuted?: () => void,
   onCallUnmuted?: () => void,
+  onCallRecordingStarted?: () => void,
+  onCallRecordingStopped?: () => void,
+  onCallRecordingPaused?: () => void,
+  onCallRecordingResumed?: () => void,
+  onTransferStarted?: (transfer: IndirectTransfer) => void,
+  onTransferAnswered?: (transfer: IndirectTransfer) => void,
+  onTransferSwapped?: (transfer: IndirectTransfer) => void,
+  onTransferCompleted?: (transfer: IndirectTransfer) => void,
+  onTransferCancelled?: (transfer: IndirectTransfer) => void,
+  onTransferFailed?: (transfer: IndirectTransfer) => void,
+  onCallParked?: (callSession: CallSession, parkedCall: ParkedCall) => void,
   onCallEnded?: () => {},
   onCallFailed?: (message: string) => {},
 };
 
+// Transfer events, emitted by both phones
+export const ON_TRANSFER_STARTED = 'onTransferStarted';
+export const ON_TRANSFER_ANSWERED = 'onTransferAnswered';
+export const ON_TRANSFER_SWAPPED = 'onTransferSwapped';
+export const ON_TRANSFER_COMPLETED = 'onTransferCompleted';
+export const ON_TRANSFER_CANCELLED = 'onTransferCancelled';
+export const ON_TRANSFER_FAILED = 'onTransferFailed';
+
 type PhoneVoid = Promise<void> | void;
 
 export type AvailablePhoneOptions = {
@@ -70,12 +92,25 @@ export interface Phone {
 
   indirectTransfer(source: CallSession, destination: CallSession): PhoneVoid;
 
-  initiateCTIIndirectTransfer(callSession: CallSession, number: string): PhoneVoid;
+  initiateCTIIndirectTransfer(callSession: CallSession, number: string): Promise<?IndirectTransfer> | void;
 
   cancelCTIIndirectTransfer(transferId: string): PhoneVoid;
 
   confirmCTIIndirectTransfer(transferId: string): PhoneVoid;
 
+  initiateTransfer(callSession: CallSession, number: string, flow?: string): Promise<?IndirectTransfer>;
+
+  completeTransfer(transfer: IndirectTransfer): Promise<void>;
+
+  cancelTransfer(transfer: IndirectTransfer): Promise<void>;
+
+  swapTransfer(transfer: IndirectTransfer): Promise<void>;
+
+  getTransfers(): IndirectTransfer[];
+
+  parkCall(callSession: CallSession, parkingId: number, preferredSlot?: ?string,
+    timeout?: ?number): Promise<?ParkedCall>;
+
   isCallUsingVideo(callSession: CallSession): boolean;
 
   isWebRTC(): boolean;
@@ -91,6 +126,16 @@ export interface Phone {
 
   resume(callSession: CallSession): PhoneVoid;
 
+  startRecording(callSession: CallSession): PhoneVoid;
+
+  stopRecording(callSession: CallSession): PhoneVoid;
+
+  pauseRecording(callSession: CallSession): PhoneVoid;
+
+  resumeRecording(callSession: CallSession): PhoneVoid;
+
+  updateRecordState(call: Call): PhoneVoid;
+
   sendKey(callSession: CallSession, tone: string): PhoneVoid;
 
   transfer(callSession: CallSession, target: string): PhoneVoid;
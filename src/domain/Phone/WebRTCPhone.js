@@ -9,10 +9,45 @@ import { SessionState } from 'sip.js/lib/api/session-state';
 import type { IncomingRequestMessage } from 'sip.js/lib/core/messages/incoming-request-message';
 
 import CallSession from '../CallSession';
+import type Call from '../Call';
+import type ParkedCall from '../ParkedCall';
+import IndirectTransfer, {
+  TRANSFER_FLOW_ATTENDED,
+  TRANSFER_FLOW_BLIND,
+  TRANSFER_STATUS_ANSWERED,
+  TRANSFER_STATUS_CANCELLED,
+  TRANSFER_STATUS_COMPLETED,
+  TRANSFER_STATUS_FAILED,
+  TRANSFER_STATUS_RINGBACK,
+  TRANSFER_STATUS_STARTING,
+} from '../IndirectTransfer';
+import type CallQuality, { CallQualityLevel, CallQualityThresholds } from '../CallQuality';
+import { DEFAULT_CALL_QUALITY_THRESHOLDS } from '../CallQuality';
 import type { Phone, AvailablePhoneOptions } from './Phone';
+import {
+  ON_TRANSFER_STARTED,
+  ON_TRANSFER_ANSWERED,
+  ON_TRANSFER_SWAPPED,
+  ON_TRANSFER_COMPLETED,
+  ON_TRANSFER_CANCELLED,
+  ON_TRANSFER_FAILED,
+} from './Phone';
 import WazoWebRTCClient from '../../web-rtc-client';
 import Emitter from '../../utils/Emitter';
 import IssueReporter from '../../service/IssueReporter';
+import CallApi from '../../service/CallApi';
+import getApiClient from '../../service/getApiClient';
+import type WazoApiClient from '../../api-client';
+import LocalRecorder, {
+  ON_LOCAL_RECORDING_STARTED,
+  ON_LOCAL_RECORDING_DATA,
+  ON_LOCAL_RECORDING_STOPPED,
+  ON_LOCAL_RECORDING_ERROR,
+} from '../../utils/LocalRecorder';
+import type { LocalRecorderOptions } from '../../utils/LocalRecorder';
+import type { AudioProcessor } from '../../utils/AudioProcessingChain';
+import type { VideoEffect, VideoSegmenter } from '../../utils/VideoProcessingPipeline';
+import type { MediaPreferences } from '../../utils/sdp';
 
 export const ON_USER_AGENT = 'onUserAgent';
 export const ON_REGISTERED = 'onRegistered';
@@ -48,6 +83,27 @@ export const ON_PLAY_HANGUP_SOUND = 'playHangupSound';
 export const ON_PLAY_PROGRESS_SOUND = 'playProgressSound';
 export const ON_VIDEO_INPUT_CHANGE = 'videoInputChange';
 export const ON_CALL_ERROR = 'onCallError';
+export const ON_CALL_QUALITY_CHANGED = 'onCallQualityChanged';
+export const ON_CALL_RECORDING_STARTED = 'onCallRecordingStarted';
+export const ON_CALL_RECORDING_STOPPED = 'onCallRecordingStopped';
+export const ON_CALL_RECORDING_PAUSED = 'onCallRecordingPaused';
+export const ON_CALL_RECORDING_RESUMED = 'onCallRecordingResumed';
+export const ON_CALL_PARKED = 'onCallParked';
+export const ON_CALLS_CHANGED = 'onCallsChanged';
+export const ON_ACTIVE_CALL_CHANGED = 'onActiveCallChanged';
+export const ON_CALL_LIMIT_REACHED = 'onCallLimitReached';
+export const ON_CALL_RECONNECTING = 'onCallReconnecting';
+export const ON_CALL_RECONNECTED = 'onCallReconnected';
+export const ON_CALL_RECOVERY_FAILED = 'onCallRecoveryFailed';
+export { ON_LOCAL_RECORDING_STARTED, ON_LOCAL_RECORDING_DATA, ON_LOCAL_RECORDING_STOPPED, ON_LOCAL_RECORDING_ERROR };
+export {
+  ON_TRANSFER_STARTED,
+  ON_TRANSFER_ANSWERED,
+  ON_TRANSFER_SWAPPED,
+  ON_TRANSFER_COMPLETED,
+  ON_TRANSFER_CANCELLED,
+  ON_TRANSFER_FAILED,
+};
 
 export const events = [
   ON_USER_AGENT,
@@ -80,6 +136,28 @@ export const events = [
   ON_PLAY_PROGRESS_SOUND,
   ON_VIDEO_INPUT_CHANGE,
   ON_CALL_ERROR,
+  ON_CALL_QUALITY_CHANGED,
+  ON_CALL_RECORDING_STARTED,
+  ON_CALL_RECORDING_STOPPED,
+  ON_CALL_RECORDING_PAUSED,
+  ON_CALL_RECORDING_RESUMED,
+  ON_LOCAL_RECORDING_STARTED,
+  ON_LOCAL_RECORDING_DATA,
+  ON_LOCAL_RECORDING_STOPPED,
+  ON_LOCAL_RECORDING_ERROR,
+  ON_CALL_PARKED,
+  ON_CALLS_CHANGED,
+  ON_ACTIVE_CALL_CHANGED,
+  ON_CALL_LIMIT_REACHED,
+  ON_TRANSFER_STARTED,
+  ON_TRANSFER_ANSWERED,
+  ON_TRANSFER_SWAPPED,
+  ON_TRANSFER_COMPLETED,
+  ON_TRANSFER_CANCELLED,
+  ON_TRANSFER_FAILED,
+  ON_CALL_RECONNECTING,
+  ON_CALL_RECONNECTED,
+  ON_CALL_RECOVERY_FAILED,
 ];
 
 const logger = IssueReporter.loggerFor('webrtc-phone');
@@ -119,15 +197,34 @@ export default class WebRTCPhone extends Emitter implements Phone {
 
   shouldSendReinvite: boolean;
 
+  callQualityThresholds: CallQualityThresholds;
+
+  callQualityLevels: { [string]: ?CallQualityLevel };
+
+  localRecorder: ?LocalRecorder;
+
+  localRecordingSession: ?CallSession;
+
+  // Pending transfers, by source call id
+  transfers: { [string]: IndirectTransfer };
+
+  // Maximum number of concurrent calls, unlimited when not set
+  maxCalls: ?number;
+
+  // Used for calld requests, the default `ApiClient` when not set
+  apiClient: ?WazoApiClient;
+
   constructor(
     client: WazoWebRTCClient,
     audioOutputDeviceId: ?string,
     allowVideo: boolean = false,
     audioRingDeviceId?: string,
+    apiClient: ?WazoApiClient = null,
   ) {
     super();
 
     this.client = client;
+    this.apiClient = apiClient;
     this.allowVideo = allowVideo;
     this.sipSessions = {};
     this.callSessions = {};
@@ -138,8 +235,15 @@ export default class WebRTCPhone extends Emitter implements Phone {
     this.incomingSessions = [];
     this.ringingEnabled = true;
     this.shouldSendReinvite = false;
+    this.callQualityThresholds = DEFAULT_CALL_QUALITY_THRESHOLDS;
+    this.callQualityLevels = {};
+    this.localRecorder = null;
+    this.localRecordingSession = null;
+    this.transfers = {};
+    this.maxCalls = null;
 
     this.bindClientEvents();
+    this._bindCallListEvents();
 
     this.acceptedSessions = {};
     this.rejectedSessions = {};
@@ -270,11 +374,13 @@ export default class WebRTCPhone extends Emitter implements Phone {
             this.audioOutputDeviceId,
             this.audioOutputVolume,
           );
-        case SessionState.Terminated:
+        case SessionState.Terminated: {
           logger.info('WebRTC phone - call terminated', { sipId: sipSession.id });
+          const qualitySummary = this.client.getCallQualitySummary(sipSession);
           this._onCallTerminated(sipSession);
 
-          return this.eventEmitter.emit(ON_CALL_ENDED, this._createCallSession(sipSession));
+          return this.eventEmitter.emit(ON_CALL_ENDED, this._createCallSession(sipSession, null, { qualitySummary }));
+        }
         default:
           break;
       }
@@ -341,6 +447,7 @@ export default class WebRTCPhone extends Emitter implements Phone {
     const sender = pc && pc.getSenders().find(s => s.track.kind === 'video');
     const localStream = this.client.getLocalStream(pc);
 
+    this.client.pauseVideoProcessing(sipSession);
     if (sender) {
       sender.replaceTrack(screenTrack);
     }
@@ -375,6 +482,8 @@ export default class WebRTCPhone extends Emitter implements Phone {
         if (this.currentScreenShare.sender) {
           await this.currentScreenShare.sender.replaceTrack(this.currentScreenShare.localStream.getVideoTracks()[0]);
         }
+        // Sends the camera with its effects again
+        this.client.resumeVideoProcessing(this.currentSipSession);
       } else if (this.currentScreenShare.localStream) {
         await this.currentScreenShare.localStream.getVideoTracks().forEach(track => track.stop());
       }
@@ -408,6 +517,12 @@ export default class WebRTCPhone extends Emitter implements Phone {
 
     this.eventEmitter.emit(ON_CALL_ACCEPTED, callSession, cameraEnabled);
 
+    const transfer = this.getTransfers().find(pending => pending.destinationIs(callSession));
+    if (transfer) {
+      transfer.status = TRANSFER_STATUS_ANSWERED;
+      this.eventEmitter.emit(ON_TRANSFER_ANSWERED, transfer);
+    }
+
     return callSession;
   }
 
@@ -434,23 +549,99 @@ export default class WebRTCPhone extends Emitter implements Phone {
 
   changeAudioInputDevice(id: string) {
     logger.info('WebRTC phone - changeAudio input device', { deviceId: id });
+    if (id === this.client.getAudioDeviceId()) {
+      return null;
+    }
 
-    return this.client.changeAudioInputDevice(id, this.currentSipSession);
+    return this._changeInputDevice(sipSession => this.client.changeAudioInputDevice(id, sipSession, true));
   }
 
   changeVideoInputDevice(id: string) {
     logger.info('WebRTC phone - change video input device', { deviceId: id });
+    if (id === this.client.getVideoDeviceId()) {
+      return null;
+    }
+
+    return this._changeInputDevice(sipSession => this.client.changeVideoInputDevice(id, sipSession, true));
+  }
+
+  // Every call uses the new device, eg: when the previous one is unplugged. Resolves with the current call stream.
+  _changeInputDevice(change: (sipSession: ?Session) => ?Promise<?MediaStream>): ?Promise<?MediaStream> {
+    const { currentSipSession } = this;
+    Object.keys(this.sipSessions).map(id => this.sipSessions[id]).filter(sipSession => sipSession !== currentSipSession)
+      .forEach(sipSession => {
+        const result = change(sipSession);
+        if (result) {
+          result.catch(e => logger.warn('unable to change the device of a call', {
+            sipId: sipSession.id,
+            message: e.message,
+          }));
+        }
+      });
+
+    return change(currentSipSession);
+  }
+
+  addAudioProcessor(processor: AudioProcessor, enabled: boolean = true): void {
+    logger.info('WebRTC phone - add audio processor', { name: processor.name, enabled });
+
+    this.client.addAudioProcessor(processor, enabled);
+  }
+
+  removeAudioProcessor(name: string): void {
+    this.client.removeAudioProcessor(name);
+  }
+
+  enableAudioProcessor(name: string): void {
+    this.client.enableAudioProcessor(name);
+  }
+
+  disableAudioProcessor(name: string): void {
+    this.client.disableAudioProcessor(name);
+  }
+
+  isAudioProcessorEnabled(name: string): boolean {
+    return this.client.isAudioProcessorEnabled(name);
+  }
+
+  addVideoEffect(effect: VideoEffect, enabled: boolean = true): void {
+    logger.info('WebRTC phone - add video effect', { name: effect.name, enabled });
+
+    this.client.addVideoEffect(effect, enabled);
+  }
+
+  removeVideoEffect(name: string): void {
+    this.client.removeVideoEffect(name);
+  }
+
+  enableVideoEffect(name: string): void {
+    this.client.enableVideoEffect(name);
+  }
+
+  disableVideoEffect(name: string): void {
+    this.client.disableVideoEffect(name);
+  }
+
+  isVideoEffectEnabled(name: string): boolean {
+    return this.client.isVideoEffectEnabled(name);
+  }
 
-    return this.client.changeVideoInputDevice(id, this.currentSipSession);
+  setVideoSegmenter(segmenter: ?VideoSegmenter): void {
+    this.client.setVideoSegmenter(segmenter);
   }
 
   _onCallTerminated(sipSession: Session) {
     logger.info('WebRTC phone - on call terminated', { sipId: sipSession.id });
 
-    this.client.onCallEnded(sipSession);
-
     const callSession = this._createCallSession(sipSession);
 
+    if (this.localRecordingSession && this.localRecordingSession.is(callSession)) {
+      // Stop before the client releases the streams of the call
+      this.stopLocalRecording();
+    }
+
+    this.client.onCallEnded(sipSession);
+
     setTimeout(() => {
       // Avoid race condition when the other is calling and hanging up immediately
       this.eventEmitter.emit(ON_TERMINATE_SOUND);
@@ -459,8 +650,11 @@ export default class WebRTCPhone extends Emitter implements Phone {
     const sipSessionId = this.getSipSessionId(sipSession);
     if (sipSessionId) {
       this.removeIncomingSessions(sipSessionId);
+      delete this.callQualityLevels[sipSessionId];
     }
 
+    this._onTransferCallTerminated(callSession);
+
     delete this.sipSessions[callSession.getId()];
     delete this.callSessions[callSession.getId()];
 
@@ -513,6 +707,79 @@ export default class WebRTCPhone extends Emitter implements Phone {
     return Object.keys(this.sipSessions).length;
   }
 
+  setMaxCalls(maxCalls: ?number) {
+    this.maxCalls = maxCalls;
+  }
+
+  hasReachedMaxCalls(): boolean {
+    const { maxCalls } = this;
+
+    return typeof maxCalls === 'number' && this.callCount() >= maxCalls;
+  }
+
+  // Every call of the phone (ringing, ongoing or held), with an up to date state
+  getCallSessions(): CallSession[] {
+    return Object.keys(this.sipSessions).map(id => {
+      const sipSession = this.sipSessions[id];
+      const callSession = CallSession.newFrom(this.callSessions[id] || this._createCallSession(sipSession));
+
+      callSession.sipStatus = sipSession.state;
+      callSession.answered = callSession.answered || sipSession.state === SessionState.Established;
+      callSession.paused = this.client.isCallHeld(sipSession);
+
+      return callSession;
+    });
+  }
+
+  // Focuses a call: the other ones are put on hold and a ringing call is accepted
+  async switchCall(callSession: CallSession, cameraEnabled?: boolean): Promise<?CallSession> {
+    const id = Object.keys(this.sipSessions).find(sessionId => callSession.isId(sessionId));
+    if (!id) {
+      return null;
+    }
+    const sipSession = this.sipSessions[id];
+    logger.info('WebRTC switch call', { sipId: sipSession.id });
+
+    Object.keys(this.sipSessions).forEach(otherId => {
+      const other = this.sipSessions[otherId];
+      if (otherId !== id && other.state === SessionState.Established && !this.client.isCallHeld(other)) {
+        this.holdSipSession(other, this.callSessions[otherId]);
+      }
+    });
+
+    if (sipSession.state !== SessionState.Established) {
+      await this.accept(this.callSessions[id] || callSession, cameraEnabled);
+    } else if (this.client.isCallHeld(sipSession)) {
+      this.unholdSipSession(sipSession, this.callSessions[id]);
+    }
+
+    const activeCallSession = this._createCallSession(sipSession, this.callSessions[id] || callSession);
+    this.currentSipSession = sipSession;
+    this.currentCallSession = activeCallSession;
+
+    this.eventEmitter.emit(ON_ACTIVE_CALL_CHANGED, activeCallSession);
+    this._notifyCallsChanged();
+
+    return activeCallSession;
+  }
+
+  _bindCallListEvents() {
+    [
+      ON_CALL_INCOMING,
+      ON_CALL_OUTGOING,
+      ON_CALL_ACCEPTED,
+      ON_CALL_HELD,
+      ON_CALL_UNHELD,
+      ON_CALL_RESUMED,
+      ON_CALL_ENDED,
+      ON_CALL_FAILED,
+    ].forEach(event => this.on(event, () => this._notifyCallsChanged()));
+  }
+
+  _notifyCallsChanged() {
+    this.eventEmitter.emit(ON_CALLS_CHANGED, this.getCallSessions());
+  }
+
   isCurrentCallSipSession(callSession: CallSession): boolean {
     if (!this.currentSipSession) {
       return false;
@@ -683,6 +950,42 @@ export default class WebRTCPhone extends Emitter implements Phone {
     }
   }
 
+  // Mixes the audio of the calls locally, resolves to false when the environment can't mix audio
+  async mergeCalls(callSessions: CallSession[]): Promise<boolean> {
+    const sipSessions = callSessions.map(callSession => this.sipSessions[callSession.getId()]).filter(Boolean);
+    const heldSessions = sipSessions.filter(sipSession => this.client.isCallHeld(sipSession));
+    logger.info('WebRTC merge calls', { ids: sipSessions.map(sipSession => this.getSipSessionId(sipSession)) });
+
+    const merged = await this.client.mergeSessions(sipSessions);
+    if (merged) {
+      heldSessions.forEach(sipSession => {
+        const callSession = this.callSessions[this.getSipSessionId(sipSession)];
+        this.eventEmitter.emit(ON_CALL_UNHELD, this._createCallSession(sipSession, callSession));
+      });
+    }
+
+    return merged;
+  }
+
+  removeFromMerge(callSession: CallSession): void {
+    const sipSession = this.sipSessions[callSession.getId()];
+    if (sipSession) {
+      this.client.removeFromMerge(sipSession);
+    }
+  }
+
+  unmergeCalls(): void {
+    this.client.unmergeSessions();
+  }
+
+  muteMerge(): void {
+    this.client.muteMerge();
+  }
+
+  unmuteMerge(): void {
+    this.client.unmuteMerge();
+  }
+
   resume(callSession?: CallSession): void {
     logger.info('WebRTC resume called', { id: callSession ? callSession.getId() : null });
 
@@ -762,6 +1065,179 @@ export default class WebRTCPhone extends Emitter implements Phone {
     this.eventEmitter.emit(ON_CAMERA_DISABLED, this._createCameraDisabledCallSession(sipSession, callSession));
   }
 
+  async startRecording(callSession: ?CallSession): Promise<void> {
+    const apiMethod = callId => this._getCallApi().startRecording(callId);
+
+    return this._changeRecording(callSession, apiMethod, ON_CALL_RECORDING_STARTED, {
+      recording: true,
+      recordingPaused: false,
+    });
+  }
+
+  async stopRecording(callSession: ?CallSession): Promise<void> {
+    const apiMethod = callId => this._getCallApi().stopRecording(callId);
+
+    return this._changeRecording(callSession, apiMethod, ON_CALL_RECORDING_STOPPED, {
+      recording: false,
+      recordingPaused: false,
+    });
+  }
+
+  async pauseRecording(callSession: ?CallSession): Promise<void> {
+    const apiMethod = callId => this._getCallApi().pauseRecording(callId);
+
+    return this._changeRecording(callSession, apiMethod, ON_CALL_RECORDING_PAUSED, {
+      recording: true,
+      recordingPaused: true,
+    });
+  }
+
+  async resumeRecording(callSession: ?CallSession): Promise<void> {
+    const apiMethod = callId => this._getCallApi().resumeRecording(callId);
+
+    return this._changeRecording(callSession, apiMethod, ON_CALL_RECORDING_RESUMED, {
+      recording: true,
+      recordingPaused: false,
+    });
+  }
+
+  // Keeps the recording state in sync when it is changed elsewhere (another device, a call filter, ...)
+  updateRecordState(call: Call): void {
+    const sipSession = this.sipSessions[call.sipCallId];
+    const callSession = this.callSessions[call.sipCallId];
+    if (!sipSession || !callSession) {
+      return;
+    }
+
+    const recording = call.isRecording() || call.isRecordingPaused();
+    const recordingPaused = call.isRecordingPaused();
+    if (recording === callSession.recording && recordingPaused === callSession.recordingPaused) {
+      return;
+    }
+
+    let event = ON_CALL_RECORDING_STOPPED;
+    if (recordingPaused) {
+      event = ON_CALL_RECORDING_PAUSED;
+    } else if (recording) {
+      event = callSession.recordingPaused ? ON_CALL_RECORDING_RESUMED : ON_CALL_RECORDING_STARTED;
+    }
+
+    logger.info('WebRTC record state updated', { sipId: sipSession.id, recordState: call.recordState });
+    this.eventEmitter.emit(event, this._createCallSession(sipSession, callSession, {
+      callId: call.id,
+      recording,
+      recordingPaused,
+    }));
+  }
+
+  async _changeRecording(callSession: ?CallSession, apiMethod: string => Promise<void>, event: string,
+    state: {| recording: boolean, recordingPaused: boolean |}): Promise<void> {
+    const sipSession = this.findSipSession(callSession);
+    if (!sipSession) {
+      return;
+    }
+    const fromSession = this.callSessions[this.getSipSessionId(sipSession)] || callSession;
+    const callId = await this._getCallId(fromSession, sipSession);
+    if (!callId) {
+      logger.warn('WebRTC recording, no call found', { sipId: sipSession.id });
+      return;
+    }
+
+    logger.info('WebRTC change recording', { sipId: sipSession.id, callId, event });
+    await apiMethod(callId);
+
+    this.eventEmitter.emit(event, this._createCallSession(sipSession, fromSession, { callId, ...state }));
+  }
+
+  _getCallApi(): CallApi {
+    return new CallApi(this.apiClient || getApiClient());
+  }
+
+  // Recording is handled by calld, so we need Wazo's callId of the SIP session
+  async _getCallId(callSession: ?CallSession, sipSession: Session): Promise<?string> {
+    if (callSession && callSession.callId) {
+      return callSession.callId;
+    }
+
+    const sipCallId = this.getSipSessionId(sipSession);
+    const calls = await this._getCallApi().fetchActiveCalls();
+    const call = calls.find(activeCall => activeCall.sipCallId === sipCallId);
+
+    return call ? call.id : null;
+  }
+
+  // The call is hung up by the server once parked, it can be retrieved by dialing the slot
+  async parkCall(callSession: ?CallSession, parkingId: number, preferredSlot: ?string = null,
+    timeout: ?number = null): Promise<?ParkedCall> {
+    const sipSession = this.findSipSession(callSession);
+    if (!sipSession) {
+      return null;
+    }
+    const fromSession = this.callSessions[this.getSipSessionId(sipSession)] || callSession;
+    const callId = await this._getCallId(fromSession, sipSession);
+    if (!callId) {
+      logger.warn('WebRTC park call, no call found', { sipId: sipSession.id });
+      return null;
+    }
+
+    logger.info('WebRTC park call', { sipId: sipSession.id, callId, parkingId, preferredSlot });
+    const parkedCall = await this._getCallApi().parkCall(callId, parkingId, preferredSlot, timeout);
+    this.eventEmitter.emit(ON_CALL_PARKED, this._createCallSession(sipSession, fromSession, { callId }), parkedCall);
+
+    return parkedCall;
+  }
+
+  // Records the call in the browser, without involving the server
+  startLocalRecording(callSession: ?CallSession, options: LocalRecorderOptions = {}): void {
+    const sipSession = this.findSipSession(callSession);
+    if (!sipSession) {
+      return;
+    }
+    if (this.localRecorder) {
+      throw new Error('A local recording is already in progress');
+    }
+
+    logger.info('WebRTC start local recording', { sipId: sipSession.id, video: !!options.video });
+    const recordingSession = this._createCallSession(sipSession, callSession);
+    const recorder = new LocalRecorder(this.client.audioContext, options);
+
+    recorder.on(ON_LOCAL_RECORDING_STARTED, mimeType =>
+      this.eventEmitter.emit(ON_LOCAL_RECORDING_STARTED, recordingSession, mimeType));
+    recorder.on(ON_LOCAL_RECORDING_DATA, chunk =>
+      this.eventEmitter.emit(ON_LOCAL_RECORDING_DATA, recordingSession, chunk));
+    recorder.on(ON_LOCAL_RECORDING_ERROR, error => {
+      logger.warn('WebRTC local recording, error', { sipId: sipSession.id, message: error.message });
+      this.eventEmitter.emit(ON_LOCAL_RECORDING_ERROR, recordingSession, error);
+    });
+    recorder.on(ON_LOCAL_RECORDING_STOPPED, (blob, duration) =>
+      this.eventEmitter.emit(ON_LOCAL_RECORDING_STOPPED, recordingSession, blob, duration));
+
+    recorder.start(this.client.getLocalMediaStream(sipSession), this.client.getRemoteMediaStream(sipSession));
+
+    this.localRecorder = recorder;
+    this.localRecordingSession = recordingSession;
+  }
+
+  async stopLocalRecording(): Promise<?Blob> {
+    const recorder = this.localRecorder;
+    if (!recorder) {
+      return null;
+    }
+    logger.info('WebRTC stop local recording');
+
+    this.localRecorder = null;
+    this.localRecordingSession = null;
+
+    const blob = await recorder.stop();
+    recorder.unbind();
+
+    return blob;
+  }
+
+  isLocalRecording(): boolean {
+    return !!this.localRecorder;
+  }
+
   sendKey(callSession: ?CallSession, tone: string): void {
     const sipSession = this.findSipSession(callSession);
     if (!sipSession) {
@@ -775,12 +1251,18 @@ export default class WebRTCPhone extends Emitter implements Phone {
   // Should be async to match CTIPhone definition
   // @TODO: line is not used here
   async makeCall(number: string, line: any, cameraEnabled?: boolean,
-    audioOnly: boolean = false): Promise<?CallSession> {
+    audioOnly: boolean = false, mediaPreferences: ?MediaPreferences = null): Promise<?CallSession> {
     logger.info('make WebRTC call', { number, lineId: line ? line.id : null, cameraEnabled });
     if (!number) {
       return Promise.resolve(null);
     }
 
+    if (this.hasReachedMaxCalls()) {
+      logger.info('make WebRTC call, too many calls', { number, maxCalls: this.maxCalls });
+      this.eventEmitter.emit(ON_CALL_LIMIT_REACHED, null, this.maxCalls);
+      return Promise.resolve(null);
+    }
+
     if (!this.client.isRegistered()) {
       await this.client.register();
     }
@@ -790,7 +1272,7 @@ export default class WebRTCPhone extends Emitter implements Phone {
 
     let sipSession: Session;
     try {
-      sipSession = this.client.call(number, this.allowVideo ? cameraEnabled : false, audioOnly);
+      sipSession = this.client.call(number, this.allowVideo ? cameraEnabled : false, audioOnly, mediaPreferences);
       this._bindEvents(sipSession);
     } catch (error) {
       console.warn(error);
@@ -818,7 +1300,7 @@ export default class WebRTCPhone extends Emitter implements Phone {
     return Promise.resolve(callSession);
   }
 
-  transfer(callSession: ?CallSession, target: string): void {
+  async transfer(callSession: ?CallSession, target: string): Promise<void> {
     const sipSession = this.findSipSession(callSession);
     if (!sipSession) {
       return;
@@ -826,7 +1308,7 @@ export default class WebRTCPhone extends Emitter implements Phone {
 
     logger.info('WebRTC transfer', { sipId: sipSession.id, target });
 
-    this.client.transfer(sipSession, target);
+    await this.client.transfer(sipSession, target);
   }
 
   async indirectTransfer(source: CallSession, destination: CallSession): Promise<void> {
@@ -838,11 +1320,152 @@ export default class WebRTCPhone extends Emitter implements Phone {
     await sipSessionTarget.refer(sipSession);
   }
 
-  initiateCTIIndirectTransfer() {}
+  async initiateCTIIndirectTransfer(callSession: CallSession, number: string): Promise<?IndirectTransfer> {
+    return this.initiateTransfer(callSession, number, TRANSFER_FLOW_ATTENDED);
+  }
+
+  async cancelCTIIndirectTransfer(transferId: string): Promise<void> {
+    if (this.transfers[transferId]) {
+      return this.cancelTransfer(this.transfers[transferId]);
+    }
+  }
+
+  async confirmCTIIndirectTransfer(transferId: string): Promise<void> {
+    if (this.transfers[transferId]) {
+      return this.completeTransfer(this.transfers[transferId]);
+    }
+  }
+
+  async initiateTransfer(callSession: CallSession, number: string,
+    flow: string = TRANSFER_FLOW_ATTENDED): Promise<?IndirectTransfer> {
+    const sipSession = this.findSipSession(callSession);
+    if (!sipSession || !number) {
+      return null;
+    }
+    const source = this._createCallSession(sipSession, callSession);
+    const sourceId = source.getId();
+    const transfer = new IndirectTransfer({ id: sourceId, sourceId, flow, number, status: TRANSFER_STATUS_STARTING });
+    logger.info('WebRTC initiate transfer', { sipId: sipSession.id, number, flow });
+
+    if (flow === TRANSFER_FLOW_BLIND) {
+      this.eventEmitter.emit(ON_TRANSFER_STARTED, transfer);
+
+      // Completed when the REFER is accepted, failed when it is refused or gets no answer
+      this.client.transfer(sipSession, number).then(() => {
+        transfer.status = TRANSFER_STATUS_COMPLETED;
+        this.eventEmitter.emit(ON_TRANSFER_COMPLETED, transfer);
+      }).catch(error => {
+        logger.warn('WebRTC blind transfer, error', { message: error.message });
+        transfer.status = TRANSFER_STATUS_FAILED;
+        this.eventEmitter.emit(ON_TRANSFER_FAILED, transfer, error);
+      });
+
+      return transfer;
+    }
+
+    // `makeCall` only holds the current call
+    if (sipSession !== this.currentSipSession) {
+      this.holdSipSession(sipSession, source);
+    }
+    const destination = await this.makeCall(number, null);
+    if (!destination) {
+      this.unholdSipSession(sipSession, source);
+
+      transfer.status = TRANSFER_STATUS_FAILED;
+      this.eventEmitter.emit(ON_TRANSFER_FAILED, transfer);
+      return null;
+    }
+
+    transfer.destinationId = destination.getId();
+    transfer.status = TRANSFER_STATUS_RINGBACK;
+    this.transfers[sourceId] = transfer;
+    this.eventEmitter.emit(ON_TRANSFER_STARTED, transfer);
+
+    return transfer;
+  }
+
+  async completeTransfer(transfer: IndirectTransfer): Promise<void> {
+    const sipSession = this.sipSessions[transfer.sourceId];
+    const sipSessionTarget = transfer.destinationId ? this.sipSessions[transfer.destinationId] : null;
+    if (!sipSession || !sipSessionTarget) {
+      return;
+    }
+    logger.info('WebRTC complete transfer', { sipId: sipSession.id, target: sipSessionTarget.id });
+
+    // Removed first, the REFER ends both calls
+    delete this.transfers[transfer.sourceId];
+    try {
+      await sipSessionTarget.refer(sipSession);
+    } catch (error) {
+      logger.warn('WebRTC complete transfer, error', { message: error.message });
+      transfer.status = TRANSFER_STATUS_FAILED;
+      this.eventEmitter.emit(ON_TRANSFER_FAILED, transfer, error);
+      return;
+    }
 
-  cancelCTIIndirectTransfer() {}
+    transfer.status = TRANSFER_STATUS_COMPLETED;
+    this.eventEmitter.emit(ON_TRANSFER_COMPLETED, transfer);
+  }
 
-  confirmCTIIndirectTransfer() {}
+  async cancelTransfer(transfer: IndirectTransfer): Promise<void> {
+    const destination = transfer.destinationId ? this.callSessions[transfer.destinationId] : null;
+    logger.info('WebRTC cancel transfer', { sourceId: transfer.sourceId, destinationId: transfer.destinationId });
+
+    delete this.transfers[transfer.sourceId];
+    if (destination) {
+      await this.hangup(destination);
+    }
+
+    this._resumeTransferSource(transfer);
+  }
+
+  // Switches between the source and the destination of an attended transfer
+  async swapTransfer(transfer: IndirectTransfer): Promise<void> {
+    const { sourceId, destinationId } = transfer;
+    if (!destinationId || !this.sipSessions[sourceId] || !this.sipSessions[destinationId]) {
+      return;
+    }
+    logger.info('WebRTC swap transfer', { sourceId, destinationId, swapped: !transfer.swapped });
+
+    const [held, active] = transfer.swapped ? [sourceId, destinationId] : [destinationId, sourceId];
+    this.holdSipSession(this.sipSessions[held], this.callSessions[held]);
+    this.unholdSipSession(this.sipSessions[active], this.callSessions[active]);
+    this.currentSipSession = this.sipSessions[active];
+    this.currentCallSession = this.callSessions[active];
+
+    transfer.swapped = !transfer.swapped;
+    this.eventEmitter.emit(ON_TRANSFER_SWAPPED, transfer);
+  }
+
+  getTransfers(): IndirectTransfer[] {
+    return Object.keys(this.transfers).map(id => this.transfers[id]);
+  }
+
+  _resumeTransferSource(transfer: IndirectTransfer) {
+    const sipSession = this.sipSessions[transfer.sourceId];
+    if (sipSession) {
+      this.unholdSipSession(sipSession, this.callSessions[transfer.sourceId]);
+      this.currentSipSession = sipSession;
+      this.currentCallSession = this.callSessions[transfer.sourceId];
+    }
+
+    transfer.status = TRANSFER_STATUS_CANCELLED;
+    this.eventEmitter.emit(ON_TRANSFER_CANCELLED, transfer);
+  }
+
+  _onTransferCallTerminated(callSession: CallSession) {
+    this.getTransfers().forEach(transfer => {
+      if (transfer.destinationIs(callSession)) {
+        // The destination hung up, let's go back to the source
+        delete this.transfers[transfer.sourceId];
+        this._resumeTransferSource(transfer);
+      } else if (transfer.sourceIs(callSession)) {
+        delete this.transfers[transfer.sourceId];
+        transfer.status = TRANSFER_STATUS_FAILED;
+        this.eventEmitter.emit(ON_TRANSFER_FAILED, transfer);
+      }
+    });
+  }
 
   async hangup(callSession: ?CallSession): Promise<boolean> {
     const sipSession = this.findSipSession(callSession);
@@ -891,6 +1514,7 @@ export default class WebRTCPhone extends Emitter implements Phone {
 
   async close(): Promise<void> {
     logger.info('WebRTC close');
+    await this.stopLocalRecording();
     await this.unregister();
     this.client.close();
     this.unbind();
@@ -978,6 +1602,18 @@ export default class WebRTCPhone extends Emitter implements Phone {
       const withVideo = this.allowVideo ? wantsToDoVideo : false;
       logger.info('WebRTC invite received', { sipId: sipSession.id, withVideo, autoAnswer });
 
+      if (this.hasReachedMaxCalls()) {
+        logger.info('WebRTC invite rejected, too many calls', { sipId: sipSession.id, maxCalls: this.maxCalls });
+        // 486 Busy Here
+        sipSession.reject({ statusCode: 486 }).catch(e => logger.warn('unable to reject the invite', {
+          sipId: sipSession.id,
+          message: e.message,
+        }));
+        // Not stored in `callSessions`: the call is already rejected
+        this.eventEmitter.emit(ON_CALL_LIMIT_REACHED, this._buildCallSession(sipSession), this.maxCalls);
+        return;
+      }
+
       const callSession = this._createIncomingCallSession(sipSession, withVideo, null, autoAnswer);
       this.incomingSessions.push(callSession.getId());
       this._bindEvents(sipSession);
@@ -1069,6 +1705,76 @@ export default class WebRTCPhone extends Emitter implements Phone {
     this.client.on(this.client.MESSAGE, (message: Message) => {
       this.eventEmitter.emit(ON_MESSAGE, message);
     });
+
+    this.client.on(this.client.ON_CALL_QUALITY, (sipSession: Session, quality: CallQuality) => {
+      this._onCallQuality(sipSession, quality);
+    });
+
+    // Media recovery after a network change, the call itself stays up
+    this.client.on(this.client.ON_ICE_RESTARTING, (sipSession: Session, attempt: number) => {
+      const callSession = this._createCallSession(sipSession, this.callSessions[this.getSipSessionId(sipSession)]);
+      this.eventEmitter.emit(ON_CALL_RECONNECTING, callSession, attempt);
+    });
+
+    this.client.on(this.client.ON_ICE_RESTARTED, (sipSession: Session, attempts: number) => {
+      const callSession = this._createCallSession(sipSession, this.callSessions[this.getSipSessionId(sipSession)]);
+      this.eventEmitter.emit(ON_CALL_RECONNECTED, callSession, attempts);
+    });
+
+    this.client.on(this.client.ON_ICE_RESTART_FAILED, (sipSession: Session) => {
+      const callSession = this._createCallSession(sipSession, this.callSessions[this.getSipSessionId(sipSession)]);
+      this.eventEmitter.emit(ON_CALL_RECOVERY_FAILED, callSession);
+    });
+  }
+
+  // MOS thresholds used to trigger `ON_CALL_QUALITY_CHANGED`
+  setCallQualityThresholds(thresholds: $Shape<CallQualityThresholds>) {
+    this.callQualityThresholds = { ...this.callQualityThresholds, ...thresholds };
+    this.client.setCallQualityThresholds(this.callQualityThresholds);
+  }
+
+  getCallQuality(callSession: ?CallSession): ?CallQuality {
+    const sipSession = this.findSipSession(callSession);
+
+    return sipSession ? this.client.getCallQuality(sipSession) : null;
+  }
+
+  getMediaPreferences(callSession: ?CallSession): ?MediaPreferences {
+    const sipSession = this.findSipSession(callSession);
+
+    return sipSession ? this.client.getMediaPreferences(sipSession) : null;
+  }
+
+  // eg: `{ audioCodecs: ['opus'], videoBandwidth: 256 }` on a metered network
+  setMediaPreferences(callSession: ?CallSession, mediaPreferences: MediaPreferences): Promise<any> {
+    const sipSession = this.findSipSession(callSession);
+    if (!sipSession) {
+      return Promise.resolve();
+    }
+    logger.info('WebRTC set media preferences', { callId: callSession ? callSession.getId() : null, mediaPreferences });
+
+    return this.client.setMediaPreferences(sipSession, mediaPreferences);
+  }
+
+  setSimulcastMaxLayer(callSession: ?CallSession, rid: ?string): Promise<void> {
+    const sipSession = this.findSipSession(callSession);
+
+    return sipSession ? this.client.setSimulcastMaxLayer(sipSession, rid) : Promise.resolve();
+  }
+
+  _onCallQuality(sipSession: Session, quality: CallQuality) {
+    const sipSessionId = this.getSipSessionId(sipSession);
+    const level = quality.getLevel(this.callQualityThresholds);
+
+    if (!level || this.callQualityLevels[sipSessionId] === level) {
+      return;
+    }
+
+    logger.info('WebRTC phone - call quality changed', { sipId: sipSession.id, level, mos: quality.mos });
+    this.callQualityLevels[sipSessionId] = level;
+
+    const callSession = this._createCallSession(sipSession, this.callSessions[sipSessionId]);
+    this.eventEmitter.emit(ON_CALL_QUALITY_CHANGED, callSession, quality, level);
   }
 
   // Find a corresponding sipSession from a CallSession
@@ -1146,6 +1852,14 @@ export default class WebRTCPhone extends Emitter implements Phone {
   }
 
   _createCallSession(sipSession: Session, fromSession?: ?CallSession, extra: Object = {}): CallSession {
+    const callSession = this._buildCallSession(sipSession, fromSession, extra);
+
+    this.callSessions[callSession.getId()] = callSession;
+
+    return callSession;
+  }
+
+  _buildCallSession(sipSession: Session, fromSession?: ?CallSession, extra: Object = {}): CallSession {
     // eslint-disable-next-line
     const number = sipSession ? sipSession.remoteIdentity.uri._normal.user : null;
     const { state } = sipSession || {};
@@ -1164,11 +1878,11 @@ export default class WebRTCPhone extends Emitter implements Phone {
       ringing: false,
       muted: fromSession ? fromSession.isMuted() : false,
       videoMuted: fromSession ? fromSession.isVideoMuted() : false,
+      recording: fromSession ? fromSession.isRecording() : false,
+      recordingPaused: fromSession ? fromSession.isRecordingPaused() : false,
       ...extra,
     });
 
-    this.callSessions[callSession.getId()] = callSession;
-
     return callSession;
   }
 
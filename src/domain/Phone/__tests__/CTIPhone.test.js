@@ -0,0 +1,126 @@
+// Loaded first to resolve the circular import between IssueReporter and ApiRequester
+import '../../../utils/api-requester';
+import CTIPhone from '../CTIPhone';
+import Call, { RECORD_STATE_ACTIVE, RECORD_STATE_PAUSED } from '../../Call';
+import CallSession from '../../CallSession';
+import IndirectTransfer, {
+  TRANSFER_STATUS_ANSWERED,
+  TRANSFER_STATUS_COMPLETED,
+  TRANSFER_STATUS_RINGBACK,
+} from '../../IndirectTransfer';
+
+const calld = {
+  transferCall: jest.fn(),
+  confirmCallTransfer: jest.fn(),
+  hold: jest.fn(),
+  resume: jest.fn(),
+  startRecording: jest.fn(),
+  pauseRecording: jest.fn(),
+};
+
+const source = new CallSession({ callId: 'source-id', number: '8000' });
+
+describe('CTIPhone transfers', () => {
+  let phone;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    phone = new CTIPhone(null, false, false, { calld });
+    calld.transferCall.mockResolvedValue(new IndirectTransfer({
+      id: 'transfer-id',
+      sourceId: 'source-id',
+      destinationId: 'destination-id',
+      status: TRANSFER_STATUS_RINGBACK,
+    }));
+  });
+
+  it('should initiate and complete an attended transfer', async () => {
+    const onStarted = jest.fn();
+    const onCompleted = jest.fn();
+    phone.on('onTransferStarted', onStarted);
+    phone.on('onTransferCompleted', onCompleted);
+
+    const transfer = await phone.initiateTransfer(source, '8001');
+
+    expect(calld.transferCall).toHaveBeenCalledWith('source-id', '8001', 'attended');
+    expect(transfer.number).toBe('8001');
+    expect(onStarted).toHaveBeenCalledWith(transfer);
+    expect(phone.getTransfers()).toEqual([transfer]);
+
+    await phone.completeTransfer(transfer);
+
+    expect(calld.confirmCallTransfer).toHaveBeenCalledWith('transfer-id');
+    expect(onCompleted).toHaveBeenCalledWith(transfer);
+    expect(transfer.status).toBe(TRANSFER_STATUS_COMPLETED);
+    expect(phone.getTransfers()).toEqual([]);
+  });
+
+  it('should swap between the source and the destination', async () => {
+    const onSwapped = jest.fn();
+    phone.on('onTransferSwapped', onSwapped);
+    const transfer = await phone.initiateTransfer(source, '8001');
+
+    await phone.swapTransfer(transfer);
+    expect(calld.hold).toHaveBeenCalledWith('destination-id');
+    expect(calld.resume).toHaveBeenCalledWith('source-id');
+    expect(onSwapped).toHaveBeenCalledWith(transfer);
+
+    await phone.swapTransfer(transfer);
+    expect(calld.hold).toHaveBeenLastCalledWith('source-id');
+    expect(calld.resume).toHaveBeenLastCalledWith('destination-id');
+    expect(transfer.swapped).toBe(false);
+  });
+
+  it('should ignore unknown transfers', async () => {
+    await phone.confirmCTIIndirectTransfer('unknown-id');
+
+    expect(calld.confirmCallTransfer).not.toHaveBeenCalled();
+  });
+
+  it('should notify the progress received from the WebSocket', async () => {
+    const onAnswered = jest.fn();
+    const onCancelled = jest.fn();
+    phone.on('onTransferAnswered', onAnswered);
+    phone.on('onTransferCancelled', onCancelled);
+    const transfer = await phone.initiateTransfer(source, '8001');
+    const plain = { id: 'transfer-id', initiator_call: 'source-id', recipient_call: 'destination-id' };
+
+    phone.updateTransfer(IndirectTransfer.parseFromEvent('transfer_answered', plain));
+    phone.updateTransfer(IndirectTransfer.parseFromEvent('transfer_answered', plain));
+    expect(onAnswered).toHaveBeenCalledTimes(1);
+    expect(transfer.status).toBe(TRANSFER_STATUS_ANSWERED);
+
+    phone.updateTransfer(IndirectTransfer.parseFromEvent('transfer_cancelled', plain));
+    expect(onCancelled).toHaveBeenCalledWith(transfer);
+    expect(phone.getTransfers()).toEqual([]);
+  });
+
+  it('should notify when the transfer can not be initiated', async () => {
+    const onFailed = jest.fn();
+    phone.on('onTransferFailed', onFailed);
+    calld.transferCall.mockRejectedValue(new Error('Invalid extension'));
+
+    expect(await phone.initiateTransfer(source, '9999')).toBe(null);
+    expect(onFailed).toHaveBeenCalled();
+  });
+});
+
+describe('CTIPhone recording', () => {
+  it('should not notify again the record state confirmed by the WebSocket', async () => {
+    const phone = new CTIPhone(null, false, false, { calld });
+    const onStarted = jest.fn();
+    const onPaused = jest.fn();
+    phone.on('onCallRecordingStarted', onStarted);
+    phone.on('onCallRecordingPaused', onPaused);
+    phone.currentCall = new Call({ id: 'source-id' });
+
+    await phone.startRecording(source);
+    phone.updateRecordState(new Call({ id: 'source-id', recordState: RECORD_STATE_ACTIVE }));
+    expect(onStarted).toHaveBeenCalledTimes(1);
+
+    await phone.pauseRecording(source);
+    phone.updateRecordState(new Call({ id: 'source-id', recordState: RECORD_STATE_PAUSED }));
+    expect(onPaused).toHaveBeenCalledTimes(1);
+    expect(phone.currentCall.recordState).toBe(RECORD_STATE_PAUSED);
+  });
+});
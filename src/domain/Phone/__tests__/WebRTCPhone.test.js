@@ -0,0 +1,175 @@
+// Loaded first to resolve the circular import between IssueReporter and ApiRequester
+import '../../../utils/api-requester';
+import { SessionState } from 'sip.js/lib/api/session-state';
+import WebRTCPhone, {
+  ON_CALLS_CHANGED,
+  ON_ACTIVE_CALL_CHANGED,
+  ON_CALL_LIMIT_REACHED,
+  ON_TRANSFER_STARTED,
+  ON_TRANSFER_COMPLETED,
+  ON_TRANSFER_FAILED,
+} from '../WebRTCPhone';
+import { TRANSFER_FLOW_BLIND } from '../../IndirectTransfer';
+
+const createSipSession = (id, state = SessionState.Established) => ({
+  id,
+  state,
+  message: { callId: id },
+  remoteIdentity: { uri: { _normal: { user: `number-${id}` } }, displayName: `User ${id}` },
+  stateChange: { addListener: jest.fn() },
+});
+
+const createClient = () => {
+  const held = {};
+
+  return {
+    held,
+    INVITE: 'invite',
+    unbind: jest.fn(),
+    on: jest.fn(),
+    isRegistered: () => true,
+    getSipSessionId: sipSession => (sipSession ? sipSession.message.callId : ''),
+    isCallHeld: sipSession => !!held[sipSession.id],
+    sessionWantsToDoVideo: () => false,
+    hold: jest.fn(sipSession => {
+      held[sipSession.id] = true;
+    }),
+    unhold: jest.fn(sipSession => {
+      delete held[sipSession.id];
+    }),
+    call: jest.fn(),
+    transfer: jest.fn(() => Promise.resolve()),
+    getAudioDeviceId: () => 'default',
+    changeAudioInputDevice: jest.fn(() => Promise.resolve(null)),
+    setCallQualityThresholds: jest.fn(),
+  };
+};
+
+describe('WebRTCPhone call manager', () => {
+  let client;
+  let phone;
+
+  beforeEach(() => {
+    client = createClient();
+    phone = new WebRTCPhone(client);
+    ['first', 'second'].forEach(id => {
+      phone.sipSessions[id] = createSipSession(id);
+    });
+  });
+
+  it('should list calls with their state', () => {
+    client.held.first = true;
+
+    const calls = phone.getCallSessions();
+
+    expect(calls.map(call => call.getId())).toEqual(['first', 'second']);
+    expect(calls[0].isOnHold()).toBeTruthy();
+    expect(calls[1].isOnHold()).toBeFalsy();
+    expect(calls[1].isEstablished()).toBeTruthy();
+  });
+
+  it('should hold the other calls when switching', async () => {
+    const onActiveCallChanged = jest.fn();
+    const onCallsChanged = jest.fn();
+    phone.on(ON_ACTIVE_CALL_CHANGED, onActiveCallChanged);
+    phone.on(ON_CALLS_CHANGED, onCallsChanged);
+    client.held.second = true;
+
+    const active = await phone.switchCall(phone.getCallSessions()[1]);
+
+    expect(client.hold).toHaveBeenCalledWith(phone.sipSessions.first);
+    expect(client.unhold).toHaveBeenCalledWith(phone.sipSessions.second);
+    expect(phone.currentSipSession).toBe(phone.sipSessions.second);
+    expect(onActiveCallChanged).toHaveBeenCalledWith(active);
+
+    const calls = onCallsChanged.mock.calls[onCallsChanged.mock.calls.length - 1][0];
+    expect(calls.map(call => call.isOnHold())).toEqual([true, false]);
+  });
+
+  it('should refuse new calls over the limit', async () => {
+    const onLimitReached = jest.fn();
+    phone.on(ON_CALL_LIMIT_REACHED, onLimitReached);
+    phone.setMaxCalls(2);
+
+    expect(await phone.makeCall('8000', null)).toBe(null);
+    expect(client.call).not.toHaveBeenCalled();
+    expect(onLimitReached).toHaveBeenCalledWith(null, 2);
+  });
+
+  it('should reject incoming calls over the limit', async () => {
+    const onLimitReached = jest.fn();
+    phone.on(ON_CALL_LIMIT_REACHED, onLimitReached);
+    phone.setMaxCalls(2);
+    const [, onInvite] = client.on.mock.calls.find(([event]) => event === client.INVITE);
+    const sipSession = {
+      ...createSipSession('third'),
+      request: { getHeader: () => null },
+      reject: jest.fn(() => Promise.reject(new Error('Invalid state transition'))),
+    };
+
+    const callSessions = { ...phone.callSessions };
+
+    onInvite(sipSession, false);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(sipSession.reject).toHaveBeenCalledWith({ statusCode: 486 });
+    expect(onLimitReached).toHaveBeenCalledWith(expect.objectContaining({ sipCallId: 'third' }), 2);
+    expect(phone.callSessions).toEqual(callSessions);
+    expect(phone.getCallSessions().map(callSession => callSession.sipCallId)).toEqual(['first', 'second']);
+  });
+
+  it('should complete a blind transfer once the REFER is accepted', async () => {
+    let accept;
+    client.transfer.mockReturnValue(new Promise(resolve => {
+      accept = resolve;
+    }));
+    const onStarted = jest.fn();
+    const onCompleted = jest.fn();
+    phone.on(ON_TRANSFER_STARTED, onStarted);
+    phone.on(ON_TRANSFER_COMPLETED, onCompleted);
+
+    const transfer = await phone.initiateTransfer(phone.getCallSessions()[0], '8001', TRANSFER_FLOW_BLIND);
+
+    expect(client.transfer).toHaveBeenCalledWith(phone.sipSessions.first, '8001');
+    expect(onStarted).toHaveBeenCalledWith(transfer);
+    expect(onCompleted).not.toHaveBeenCalled();
+
+    accept();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(onCompleted).toHaveBeenCalledWith(transfer);
+    expect(transfer.status).toBe('completed');
+  });
+
+  it('should notify when a blind transfer is refused', async () => {
+    const onCompleted = jest.fn();
+    const onFailed = jest.fn();
+    phone.on(ON_TRANSFER_COMPLETED, onCompleted);
+    phone.on(ON_TRANSFER_FAILED, onFailed);
+    client.transfer.mockRejectedValue(new Error('Transfer refused: 603 Decline'));
+
+    const transfer = await phone.initiateTransfer(phone.getCallSessions()[0], '8001', TRANSFER_FLOW_BLIND);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(transfer.status).toBe('failed');
+    expect(onCompleted).not.toHaveBeenCalled();
+    expect(onFailed).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed' }), expect.any(Error));
+  });
+
+  it('should summarize the calls with the configured quality thresholds', () => {
+    phone.setCallQualityThresholds({ poor: 3.5 });
+
+    expect(client.setCallQualityThresholds).toHaveBeenCalledWith({ fair: 3.6, poor: 3.5 });
+  });
+
+  it('should change the microphone of every call', async () => {
+    phone.currentSipSession = phone.sipSessions.second;
+
+    await phone.changeAudioInputDevice('headset');
+    expect(client.changeAudioInputDevice).toHaveBeenCalledWith('headset', phone.sipSessions.first, true);
+    expect(client.changeAudioInputDevice).toHaveBeenLastCalledWith('headset', phone.sipSessions.second, true);
+
+    client.changeAudioInputDevice.mockClear();
+    expect(phone.changeAudioInputDevice('default')).toBe(null);
+    expect(client.changeAudioInputDevice).not.toHaveBeenCalled();
+  });
+});
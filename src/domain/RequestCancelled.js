@@ -0,0 +1,18 @@
+/* @flow */
+
+export default class RequestCancelled extends Error {
+  static fromTimeout(url: ?string, timeout: number) {
+    return new RequestCancelled(`Request timed out after ${timeout}ms`, url, true);
+  }
+
+  message: string;
+  url: ?string;
+  isTimeout: boolean;
+
+  constructor(message: string = 'Request cancelled', url: ?string = null, isTimeout: boolean = false) {
+    super(message);
+
+    this.url = url;
+    this.isTimeout = isTimeout;
+  }
+}
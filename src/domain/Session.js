@@ -142,6 +142,18 @@ export default class Session {
     return this;
   }
 
+  // Checks the token ACLs, where `*` matches a word and `#` matches anything, eg: `calld.conferences.#`
+  hasAcl(acl: string): boolean {
+    const matches = (pattern: string) => {
+      const regex = pattern.replace(/\./g, '\\.').replace(/\*/g, '[^.]*').replace(/#/g, '.*');
+      return new RegExp(`^${regex}$`).test(acl);
+    };
+    // ACLs starting with `!` are denied
+    const denied = this.acls.some(pattern => pattern.indexOf('!') === 0 && matches(pattern.substr(1)));
+
+    return !denied && this.acls.some(pattern => pattern.indexOf('!') !== 0 && matches(pattern));
+  }
+
   hasAuthorizations() {
     return this.authorizations && !!this.authorizations.length;
   }
@@ -0,0 +1,90 @@
+import AdHocLocalConference from '../AdHocLocalConference';
+import CallSession from '../CallSession';
+
+const first = new CallSession({ sipCallId: 'first', number: '8001' });
+const second = new CallSession({ sipCallId: 'second', number: '8002' });
+const third = new CallSession({ sipCallId: 'third', number: '8003' });
+
+const createPhone = () => ({
+  mergeCalls: jest.fn(() => Promise.resolve(true)),
+  removeFromMerge: jest.fn(),
+  unmergeCalls: jest.fn(),
+  muteMerge: jest.fn(),
+  unmuteMerge: jest.fn(),
+  hold: jest.fn(),
+  hangup: jest.fn(() => Promise.resolve(true)),
+});
+
+describe('AdHocLocalConference', () => {
+  let phone;
+  let conference;
+
+  beforeEach(async () => {
+    phone = createPhone();
+    conference = await new AdHocLocalConference({
+      phone,
+      host: first,
+      participants: { first, second },
+    }).start();
+  });
+
+  it('should merge the participants when starting', () => {
+    expect(phone.mergeCalls).toHaveBeenCalledWith([first, second]);
+    expect(conference.started).toBeTruthy();
+  });
+
+  it('should fail when the calls can not be mixed', async () => {
+    phone.mergeCalls.mockResolvedValue(false);
+    const local = new AdHocLocalConference({ phone, host: first, participants: { first, second } });
+
+    await expect(local.start()).rejects.toThrow();
+  });
+
+  it('should add and remove participants', async () => {
+    conference = await conference.addParticipant(third);
+    expect(phone.mergeCalls).toHaveBeenLastCalledWith([third]);
+    expect(conference.getParticipants()).toEqual([first, second, third]);
+
+    conference = await conference.removeParticipant(second);
+    expect(phone.removeFromMerge).toHaveBeenCalledWith(second);
+    expect(phone.hangup).toHaveBeenCalledWith(second);
+    expect(conference.getParticipants()).toEqual([first, third]);
+  });
+
+  it('should only mute the local microphone', () => {
+    conference = conference.mute();
+    expect(phone.muteMerge).toHaveBeenCalled();
+    expect(conference.isMuted()).toBeTruthy();
+
+    conference = conference.unmute();
+    expect(phone.unmuteMerge).toHaveBeenCalled();
+    expect(conference.isMuted()).toBeFalsy();
+  });
+
+  it('should hold every participant and merge them again when resuming', async () => {
+    conference = conference.hold();
+    expect(phone.hold.mock.calls).toEqual([[first], [second]]);
+    expect(conference.isOnHold()).toBeTruthy();
+
+    conference = await conference.resume();
+    expect(phone.mergeCalls).toHaveBeenLastCalledWith([first, second]);
+    expect(conference.isOnHold()).toBeFalsy();
+  });
+
+  it('should stay on hold when the calls can not be mixed again', async () => {
+    conference = conference.hold();
+    phone.mergeCalls.mockResolvedValue(false);
+
+    await expect(conference.resume()).rejects.toThrow();
+    expect(conference.isOnHold()).toBeTruthy();
+  });
+
+  it('should hangup every participant', async () => {
+    conference = await conference.hangup();
+
+    expect(phone.unmergeCalls).toHaveBeenCalled();
+    expect(phone.hangup.mock.calls).toEqual([[first], [second]]);
+    expect(conference.finished).toBeTruthy();
+    expect(conference.hasParticipants()).toBeFalsy();
+  });
+});
@@ -21,4 +21,13 @@ describe('Call domain', () => {
 
     expect(call.hasNumber('418-222-5555')).toBeFalsy();
   });
+
+  it('should parse the recording state', () => {
+    const call = Call.parse({ call_id: '1234.5', creation_time: '2020-01-01T00:00:00', record_state: 'paused' });
+
+    expect(call.recordState).toBe('paused');
+    expect(call.isRecording()).toBeFalsy();
+    expect(call.isRecordingPaused()).toBeTruthy();
+    expect(Call.parse({ call_id: '1234.5', creation_time: '2020-01-01T00:00:00' }).recordState).toBe('inactive');
+  });
 });
@@ -0,0 +1,90 @@
+import CallQuality, { QUALITY_GOOD, QUALITY_FAIR, QUALITY_POOR } from '../CallQuality';
+import CallQualitySummary from '../CallQualitySummary';
+
+const report = ({ timestamp, bytesReceived, bytesSent, packetsReceived, packetsLost, jitter = 0.01, rtt = 0.05 }) => [
+  { id: 'codec-1', type: 'codec', mimeType: 'audio/opus' },
+  {
+    id: 'in-1',
+    type: 'inbound-rtp',
+    kind: 'audio',
+    codecId: 'codec-1',
+    timestamp,
+    bytesReceived,
+    packetsReceived,
+    packetsLost,
+    jitter,
+  },
+  { id: 'out-1', type: 'outbound-rtp', kind: 'audio', codecId: 'codec-1', timestamp, bytesSent },
+  { id: 'remote-1', type: 'remote-inbound-rtp', kind: 'audio', timestamp, roundTripTime: rtt },
+];
+
+describe('CallQuality domain', () => {
+  it('should parse an RTCStatsReport', () => {
+    const first = CallQuality.parse(report({
+      timestamp: 1000,
+      bytesReceived: 0,
+      bytesSent: 0,
+      packetsReceived: 0,
+      packetsLost: 0,
+    }));
+    const quality = CallQuality.parse(report({
+      timestamp: 6000,
+      bytesReceived: 20000,
+      bytesSent: 40000,
+      packetsReceived: 98,
+      packetsLost: 2,
+    }), first);
+
+    expect(quality.audio).toEqual({
+      rtt: 50,
+      jitter: 10,
+      packetLoss: 2,
+      inboundBitrate: 32,
+      outboundBitrate: 64,
+      codec: 'audio/opus',
+    });
+    expect(quality.video.codec).toBe(null);
+    expect(quality.mos).toBeGreaterThan(4);
+    expect(quality.getLevel()).toBe(QUALITY_GOOD);
+  });
+
+  it('should compute a lower MOS on a degraded network', () => {
+    expect(CallQuality.computeMos(20, 5, 0)).toBeGreaterThan(4.3);
+    expect(CallQuality.computeMos(400, 50, 10)).toBeLessThan(3);
+    expect(CallQuality.computeMos(5000, 500, 100)).toBe(1);
+  });
+
+  it('should use thresholds to compute the level', () => {
+    const quality = new CallQuality({ audio: {}, video: {}, mos: 3.3, timestamp: 0 });
+
+    expect(quality.getLevel()).toBe(QUALITY_FAIR);
+    expect(quality.getLevel({ fair: 4, poor: 3.5 })).toBe(QUALITY_POOR);
+    expect(new CallQuality({ audio: {}, video: {}, mos: null, timestamp: 0 }).getLevel()).toBe(null);
+  });
+
+  it('should summarize a call', () => {
+    const summary = new CallQualitySummary();
+    const audio = { rtt: 40, jitter: 10, packetLoss: 0, codec: 'audio/opus' };
+
+    summary.add(new CallQuality({ audio, video: {}, mos: 4.4, timestamp: 0 }));
+    summary.add(new CallQuality({ audio: { ...audio, rtt: 300, packetLoss: 10 }, video: {}, mos: 2.4, timestamp: 1 }));
+
+    expect(summary.samples).toBe(2);
+    expect(summary.averageMos).toBe(3.4);
+    expect(summary.minMos).toBe(2.4);
+    expect(summary.maxRtt).toBe(300);
+    expect(summary.averagePacketLoss).toBe(5);
+    expect(summary.poorSamples).toBe(1);
+    expect(summary.audioCodec).toBe('audio/opus');
+    expect(summary.getLevel()).toBe(QUALITY_FAIR);
+  });
+
+  it('should summarize a call with the given thresholds', () => {
+    const summary = new CallQualitySummary({ fair: 4.5, poor: 4 });
+
+    summary.add(new CallQuality({ audio: {}, video: {}, mos: 3.8, timestamp: 0 }));
+
+    expect(summary.poorSamples).toBe(1);
+    expect(summary.getLevel()).toBe(QUALITY_POOR);
+  });
+});
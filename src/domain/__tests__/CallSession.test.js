@@ -1,3 +1,4 @@
+import Call from '../Call';
 import CallSession from '../CallSession';
 
 describe('CallSession domain', () => {
@@ -37,4 +38,19 @@ describe('CallSession domain', () => {
     expect(cs1.is(cs2)).toBeTruthy();
     expect(cs2.is(cs1)).toBeTruthy();
   });
+
+  it('should keep the recording state of a call', () => {
+    const call = new Call({ id: '1234.5', calleeName: 'John', status: 'Up', recordState: 'active' });
+    const callSession = CallSession.parseCall(null, call);
+
+    expect(callSession.isRecording()).toBeTruthy();
+    expect(callSession.isRecordingPaused()).toBeFalsy();
+
+    callSession.pauseRecording();
+    expect(callSession.isRecordingPaused()).toBeTruthy();
+
+    callSession.stopRecording();
+    expect(callSession.isRecording()).toBeFalsy();
+    expect(callSession.isRecordingPaused()).toBeFalsy();
+  });
 });
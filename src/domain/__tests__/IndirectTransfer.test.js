@@ -1,5 +1,9 @@
 import CallSession from '../CallSession';
-import IndirectTransfer from '../IndirectTransfer';
+import IndirectTransfer, {
+  TRANSFER_FLOW_BLIND,
+  TRANSFER_STATUS_CANCELLED,
+  TRANSFER_STATUS_FAILED,
+} from '../IndirectTransfer';
 
 describe('Indirect transfer', () => {
   describe('on parse from call session', () => {
@@ -59,4 +63,28 @@ describe('Indirect transfer', () => {
       expect(isSource).toBeFalsy();
     });
   });
+
+  describe('on parse from WebSocket event', () => {
+    const plain = {
+      id: 'transfer-id',
+      initiator_call: 'source-id',
+      recipient_call: 'destination-id',
+      status: 'ringback',
+      flow: TRANSFER_FLOW_BLIND,
+    };
+
+    it('should use the status carried by the event', () => {
+      expect(IndirectTransfer.parseFromEvent('transfer_cancelled', plain).status).toBe(TRANSFER_STATUS_CANCELLED);
+      expect(IndirectTransfer.parseFromEvent('transfer_abandoned', plain).status).toBe(TRANSFER_STATUS_FAILED);
+      expect(IndirectTransfer.parseFromEvent('transfer_updated', plain).status).toBe('ringback');
+    });
+
+    it('should keep the transfer flow', () => {
+      const transfer = IndirectTransfer.parseFromEvent('transfer_cancelled', plain);
+
+      expect(transfer.isBlind()).toBeTruthy();
+      expect(transfer.isAttended()).toBeFalsy();
+      expect(transfer.isEnded()).toBeTruthy();
+    });
+  });
 });
@@ -0,0 +1,43 @@
+import ParkedCall from '../ParkedCall';
+
+describe('ParkedCall domain', () => {
+  it('should parse the calls of a parking', () => {
+    const parkedCalls = ParkedCall.parseParking({
+      id: 1,
+      name: 'Reception',
+      slots_start: '701',
+      slots_end: '750',
+      timeout: 45,
+      calls: [{
+        call_id: '1234.5',
+        slot: '701',
+        parked_at: '2020-01-01T10:00:00+00:00',
+        timeout_at: '2020-01-01T10:00:45+00:00',
+        caller_id_name: 'John Doe',
+        caller_id_num: '8001',
+        connected_line_name: 'Reception',
+        connected_line_num: '8000',
+      }],
+    });
+
+    expect(parkedCalls).toHaveLength(1);
+    expect(parkedCalls[0]).toMatchObject({
+      id: '1234.5',
+      slot: '701',
+      parkingId: 1,
+      parkingName: 'Reception',
+      callerName: 'John Doe',
+      callerNumber: '8001',
+      parkerNumber: '8000',
+    });
+    expect(parkedCalls[0].timeoutAt - parkedCalls[0].parkedAt).toBe(45000);
+  });
+
+  it('should parse a WebSocket event payload', () => {
+    const parkedCall = ParkedCall.parse({ call_id: '1234.5', slot: '702', parking_id: 2, timeout_at: null });
+
+    expect(parkedCall.parkingId).toBe(2);
+    expect(parkedCall.getRemainingTimeInSeconds()).toBe(null);
+    expect(parkedCall.is(new ParkedCall({ id: '1234.5' }))).toBeTruthy();
+  });
+});
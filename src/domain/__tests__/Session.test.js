@@ -103,6 +103,20 @@ describe('Session domain', () => {
     );
   });
 
+  it('should match the ACLs with wildcards', () => {
+    const session = new Session({
+      token: 'ref-12345',
+      uuid: '1234',
+      expiresAt: new Date(2999, 5, 6, 14, 30, 1),
+      acls: ['calld.conferences.*.record.*', 'calld.users.me.#', '!calld.users.me.calls.read'],
+    });
+
+    expect(session.hasAcl('calld.conferences.12.record.create')).toBeTruthy();
+    expect(session.hasAcl('calld.conferences.12.participants.3.delete')).toBeFalsy();
+    expect(session.hasAcl('calld.users.me.conferences.adhoc.create')).toBeTruthy();
+    expect(session.hasAcl('calld.users.me.calls.read')).toBeFalsy();
+  });
+
   describe('about voicemails', () => {
     const A_DATE = new Date(2999, 5, 6, 14, 30, 1);
     it('has access to voicemail given there is a voicemail configured', () => {
@@ -5,10 +5,24 @@ import WebRTCClient from './web-rtc-client';
 import WebSocketClient, { SOCKET_EVENTS } from './websocket-client';
 import Emitter from './utils/Emitter';
 import IssueReporter from './service/IssueReporter';
+import OfflineQueue from './service/OfflineQueue';
+import TokenRefreshScheduler from './service/TokenRefreshScheduler';
+import SessionStore from './service/SessionStore';
+import MediaDeviceManager from './service/MediaDeviceManager';
+import Paginator from './utils/Paginator';
+import Page from './utils/Page';
+import LocalRecorder from './utils/LocalRecorder';
+import AudioProcessingChain from './utils/AudioProcessingChain';
+import VideoProcessingPipeline from './utils/VideoProcessingPipeline';
+import ResponseCache from './service/ResponseCache';
+import MemoryStorage from './utils/storage/MemoryStorage';
+import LocalStorage from './utils/storage/LocalStorage';
+import EncryptedStorage from './utils/storage/EncryptedStorage';
 
 // Domain
 import BadResponse from './domain/BadResponse';
 import ServerError from './domain/ServerError';
+import RequestCancelled from './domain/RequestCancelled';
 import Call from './domain/Call';
 import CallLog from './domain/CallLog';
 import ChatMessage from './domain/ChatMessage';
@@ -25,8 +39,11 @@ import Voicemail from './domain/Voicemail';
 import Relocation from './domain/Relocation';
 import Room from './domain/Room';
 import CallSession from './domain/CallSession';
+import CallQuality from './domain/CallQuality';
+import CallQualitySummary from './domain/CallQualitySummary';
 import IndirectTransfer from './domain/IndirectTransfer';
 import SwitchboardCall from './domain/SwitchboardCall';
+import ParkedCall from './domain/ParkedCall';
 import type {
   NewContact as NewContactType,
   ContactResponse as ContactResponseType,
@@ -48,6 +65,8 @@ import {
   getCallableNumber,
 } from './utils/PhoneNumberUtil';
 import ApiRequester from './utils/api-requester';
+import CancellationToken from './utils/CancellationToken';
+import EndpointOptions from './utils/EndpointOptions';
 import type {
   DirectorySource as DirectorySourceType,
   DirectorySources as DirectorySourcesType,
@@ -79,6 +98,8 @@ export type WebSocketMessage = WebSocketMessageType;
 
 export default {
   ApiRequester,
+  CancellationToken,
+  EndpointOptions,
   Checker,
   Emitter,
   PhoneNumberUtil,
@@ -91,11 +112,15 @@ export default {
   WazoWebSocketClient: WebSocketClient,
   BadResponse,
   ServerError,
+  RequestCancelled,
   Call,
   CallSession,
+  CallQuality,
+  CallQualitySummary,
   Features,
   IndirectTransfer,
   SwitchboardCall,
+  ParkedCall,
   CallLog,
   ChatMessage,
   ChatRoom,
@@ -110,6 +135,19 @@ export default {
   Relocation,
   Room,
   IssueReporter,
+  OfflineQueue,
+  TokenRefreshScheduler,
+  SessionStore,
+  MediaDeviceManager,
+  Paginator,
+  Page,
+  LocalRecorder,
+  AudioProcessingChain,
+  VideoProcessingPipeline,
+  ResponseCache,
+  MemoryStorage,
+  LocalStorage,
+  EncryptedStorage,
   DebugDevice,
   PROFILE_STATE,
   FORWARD_KEYS,
@@ -10,6 +10,8 @@ import type SessionDescriptionHandlerConfiguration
 import { SessionDescriptionHandler }
   from 'sip.js/lib/platform/web/session-description-handler/session-description-handler';
 import IssueReporter from '../service/IssueReporter';
+import { createMediaPreferencesModifier } from '../utils/sdp';
+import type { MediaPreferences } from '../utils/sdp';
 
 const wazoLogger = IssueReporter.loggerFor('webrtc-sdh');
 
@@ -26,6 +28,101 @@ class WazoSessionDescriptionHandler extends SessionDescriptionHandler {
     this.eventEmitter = new EventEmitter();
     this.isWeb = isWeb;
     this.session = session;
+    this.mediaPreferences = {};
+  }
+
+  // Codecs and bandwidth are applied to the next SDP, the bandwidth is also applied right away on the senders
+  setMediaPreferences(mediaPreferences: MediaPreferences): Promise<void> {
+    this.mediaPreferences = mediaPreferences;
+
+    return this.applyBandwidth();
+  }
+
+  applyBandwidth(): Promise<void> {
+    const pc = this._peerConnection;
+    if (!this.isWeb || !pc || typeof pc.getSenders !== 'function') {
+      return Promise.resolve();
+    }
+
+    const { audioBandwidth, videoBandwidth } = this.mediaPreferences;
+    const updates = pc.getSenders().filter(sender => sender.track && typeof sender.setParameters === 'function')
+      .map(sender => {
+        const kbps = sender.track.kind === 'audio' ? audioBandwidth : videoBandwidth;
+        const parameters = sender.getParameters();
+        // Simulcast layers have their own bitrate
+        if (kbps === undefined || !parameters.encodings || !parameters.encodings.length
+          || parameters.encodings.some(encoding => !!encoding.rid)) {
+          return Promise.resolve();
+        }
+
+        parameters.encodings.forEach(encoding => {
+          if (kbps) {
+            // eslint-disable-next-line no-param-reassign
+            encoding.maxBitrate = kbps * 1000;
+          } else {
+            // eslint-disable-next-line no-param-reassign
+            delete encoding.maxBitrate;
+          }
+        });
+
+        return sender.setParameters(parameters);
+      });
+
+    return Promise.all(updates).then(() => {}).catch(error => {
+      wazoLogger.warn('unable to apply bandwidth', { message: error.message });
+    });
+  }
+
+  // Only sends the simulcast layers up to `rid`, eg: when nobody watches the high resolution. All of them when null.
+  setSimulcastMaxLayer(rid: ?string): Promise<void> {
+    const layers = this.mediaPreferences.simulcast || [];
+    // Layers go from the highest to the lowest
+    const maxIndex = rid ? layers.findIndex(layer => layer.rid === rid) : 0;
+    const pc = this._peerConnection;
+    if (!this.isWeb || !pc || maxIndex === -1 || typeof pc.getSenders !== 'function') {
+      return Promise.resolve();
+    }
+
+    const sender = pc.getSenders().find(someSender => someSender.track && someSender.track.kind === 'video');
+    if (!sender || typeof sender.setParameters !== 'function') {
+      return Promise.resolve();
+    }
+
+    const parameters = sender.getParameters();
+    (parameters.encodings || []).forEach(encoding => {
+      // eslint-disable-next-line no-param-reassign
+      encoding.active = layers.findIndex(layer => layer.rid === encoding.rid) >= maxIndex;
+    });
+
+    return sender.setParameters(parameters).catch(error => {
+      wazoLogger.warn('unable to change the simulcast layers', { message: error.message });
+    });
+  }
+
+  // Encodings can only be set when creating the transceiver, so it's done before sip.js adds the video track
+  _addSimulcastTransceiver(stream: MediaStream): void {
+    const layers = this.mediaPreferences.simulcast;
+    const pc = this._peerConnection;
+    const [videoTrack] = stream.getVideoTracks();
+    if (!layers || !layers.length || !videoTrack || !pc || typeof pc.addTransceiver !== 'function') {
+      return;
+    }
+    // The m-lines of an answer are given by the offer
+    const hasVideoSender = pc.getSenders().some(sender => sender.track && sender.track.kind === 'video');
+    if (pc.signalingState !== 'stable' || hasVideoSender) {
+      return;
+    }
+
+    wazoLogger.info('adding simulcast transceiver', { layers: layers.map(layer => layer.rid) });
+    pc.addTransceiver(videoTrack, {
+      direction: 'sendrecv',
+      streams: [this._localMediaStream],
+      sendEncodings: layers.map(layer => ({ ...layer })),
+    });
+  }
+
+  _getModifiers(modifiers?: Array<Function>): Array<Function> {
+    return [...(modifiers || []), createMediaPreferencesModifier(this.mediaPreferences)];
   }
 
   on(event: string, callback: Function) {
@@ -46,7 +143,8 @@ class WazoSessionDescriptionHandler extends SessionDescriptionHandler {
   }
 
   // Overridden to avoid to fix ice-candidates missing in the SDP in react-native and chrome canary.
-  getDescription(options?: Object = {}, modifiers?: Array<Function>): Promise<any> {
+  getDescription(options?: Object = {}, rawModifiers?: Array<Function>): Promise<any> {
+    const modifiers = this._getModifiers(rawModifiers);
     const isReinvite = !('disableVideo' in options);
     if (isReinvite) {
       // Calling createOffer twice in a reinvite create `undefined` sdp in modifiers
@@ -116,6 +214,7 @@ class WazoSessionDescriptionHandler extends SessionDescriptionHandler {
   // Overridden to avoid to use peerConnection.getReceivers and peerConnection.getSenders in react-native
   setLocalMediaStream(stream: MediaStream): Promise<void> {
     if (this.isWeb) {
+      this._addSimulcastTransceiver(stream);
       return super.setLocalMediaStream(stream);
     }
     this.logger.debug('SessionDescriptionHandler.setLocalMediaStream');
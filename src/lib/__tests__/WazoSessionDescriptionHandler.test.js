@@ -0,0 +1,102 @@
+/* global window */
+// Loaded first to resolve the circular import between IssueReporter and ApiRequester
+import '../../utils/api-requester';
+import WazoSessionDescriptionHandler from '../WazoSessionDescriptionHandler';
+import { DEFAULT_SIMULCAST_LAYERS } from '../../utils/sdp';
+
+const logger = { debug: jest.fn(), error: jest.fn() };
+
+const createSender = (track, encodings) => {
+  const sender = {
+    track,
+    parameters: { encodings },
+    replaceTrack: jest.fn(newTrack => {
+      sender.track = newTrack;
+      return Promise.resolve();
+    }),
+    getParameters: () => JSON.parse(JSON.stringify(sender.parameters)),
+    setParameters: jest.fn(parameters => {
+      sender.parameters = parameters;
+      return Promise.resolve();
+    }),
+  };
+
+  return sender;
+};
+
+const createPeerConnection = () => {
+  const pc = {
+    signalingState: 'stable',
+    senders: [],
+    getSenders: () => pc.senders,
+    addTrack: jest.fn(track => pc.senders.push(createSender(track, [{}]))),
+    addTransceiver: jest.fn((track, { sendEncodings }) => pc.senders.push(createSender(track, sendEncodings))),
+  };
+
+  return pc;
+};
+
+const track = kind => ({ kind, stop: jest.fn() });
+const stream = (...tracks) => ({
+  getTracks: () => tracks,
+  getAudioTracks: () => tracks.filter(t => t.kind === 'audio'),
+  getVideoTracks: () => tracks.filter(t => t.kind === 'video'),
+});
+
+describe('WazoSessionDescriptionHandler', () => {
+  let pc;
+  let sdh;
+
+  beforeEach(() => {
+    pc = createPeerConnection();
+    window.RTCPeerConnection = function RTCPeerConnection() {
+      return pc;
+    };
+    window.MediaStream = function MediaStream() {
+      const tracks = [];
+      return { ...stream(), getTracks: () => tracks, addTrack: t => tracks.push(t), dispatchEvent: jest.fn() };
+    };
+    window.MediaStreamTrackEvent = function MediaStreamTrackEvent() {};
+
+    sdh = new WazoSessionDescriptionHandler(logger, null, {}, true, {});
+  });
+
+  afterEach(() => {
+    delete window.RTCPeerConnection;
+    delete window.MediaStream;
+    delete window.MediaStreamTrackEvent;
+  });
+
+  it('should send the camera in simulcast', async () => {
+    const camera = track('video');
+    await sdh.setMediaPreferences({ simulcast: DEFAULT_SIMULCAST_LAYERS });
+
+    await sdh.setLocalMediaStream(stream(track('audio'), camera));
+
+    expect(pc.addTrack).toHaveBeenCalledTimes(1);
+    expect(pc.addTransceiver).toHaveBeenCalledWith(camera, expect.objectContaining({
+      direction: 'sendrecv',
+      sendEncodings: DEFAULT_SIMULCAST_LAYERS,
+    }));
+
+    await sdh.setSimulcastMaxLayer('medium');
+    const videoSender = pc.senders.find(sender => sender.track === camera);
+    expect(videoSender.parameters.encodings.map(encoding => encoding.active)).toEqual([false, true, true]);
+
+    await sdh.setSimulcastMaxLayer(null);
+    expect(videoSender.parameters.encodings.map(encoding => encoding.active)).toEqual([true, true, true]);
+  });
+
+  it('should cap the bitrate of the senders', async () => {
+    await sdh.setLocalMediaStream(stream(track('audio'), track('video')));
+    expect(pc.addTransceiver).not.toHaveBeenCalled();
+
+    await sdh.setMediaPreferences({ videoBandwidth: 256 });
+    const [audioSender, videoSender] = pc.senders;
+    expect(videoSender.parameters.encodings).toEqual([{ maxBitrate: 256000 }]);
+    expect(audioSender.setParameters).not.toHaveBeenCalled();
+
+    await sdh.setMediaPreferences({ videoBandwidth: null });
+    expect(videoSender.parameters.encodings).toEqual([{}]);
+  });
+});
@@ -6,85 +6,219 @@ import Line from '../domain/Line';
 import Session from '../domain/Session';
 import Relocation from '../domain/Relocation';
 import CallSession from '../domain/CallSession';
+import ParkedCall from '../domain/ParkedCall';
 
+import type WazoApiClient from '../api-client';
 import getApiClient from './getApiClient';
 import Transfer from '../domain/IndirectTransfer';
 
+// Call related requests made with the given `ApiClient`, so each `Context` uses its own account.
+// The static methods use the default `ApiClient`.
 export default class CallApi {
+  client: WazoApiClient;
+
   static async fetchCallLogs(offset: number, limit: number): Promise<Call[]> {
-    return getApiClient().callLogd.listCallLogs(offset, limit);
+    return new CallApi(getApiClient()).fetchCallLogs(offset, limit);
   }
 
   static async fetchDistinctCallLogs(offset: number, limit: number, distinct: string = 'peer_exten'): Promise<Call[]> {
-    return getApiClient().callLogd.listDistinctCallLogs(offset, limit, distinct);
+    return new CallApi(getApiClient()).fetchDistinctCallLogs(offset, limit, distinct);
   }
 
   static async fetchActiveCalls(): Promise<Call[]> {
-    return getApiClient().calld.listCalls();
+    return new CallApi(getApiClient()).fetchActiveCalls();
   }
 
   static async fetchCallLogsFromDate(from: Date, number: string): Promise<CallLog[]> {
-    return getApiClient().callLogd.listCallLogsFromDate(from, number);
+    return new CallApi(getApiClient()).fetchCallLogsFromDate(from, number);
   }
 
   static async search(query: string, limit: number): Promise<CallLog[]> {
-    return getApiClient().callLogd.search(query, limit);
+    return new CallApi(getApiClient()).search(query, limit);
   }
 
   static async searchBy(field: string, value: string, limit: number): Promise<CallLog[]> {
-    return getApiClient().callLogd.searchBy(field, value, limit);
+    return new CallApi(getApiClient()).searchBy(field, value, limit);
   }
 
   static async fetchSIP(session: Session, line: ?Line): Promise<any> {
-    const lineToUse = line || session.primaryLine();
-    return getApiClient().confd.getUserLineSip(session.uuid, lineToUse ? lineToUse.id : null);
+    return new CallApi(getApiClient()).fetchSIP(session, line);
   }
 
   static async cancelCall(callSession: CallSession): Promise<void> {
-    return getApiClient().calld.cancelCall(callSession.callId);
+    return new CallApi(getApiClient()).cancelCall(callSession);
   }
 
   static async makeCall(callFromLine: Line, extension: string, isMobile: boolean = false,
     callbackAllLines: boolean = false): Promise<?Call> {
-    const lineId = callFromLine ? callFromLine.id : null;
-
-    const response = await getApiClient().calld.makeCall(extension, isMobile, lineId, callbackAllLines);
-    return Call.parse(response);
+    return new CallApi(getApiClient()).makeCall(callFromLine, extension, isMobile, callbackAllLines);
   }
 
   static async relocateCall(callId: string, line: number, contactIdentifier?: string): Promise<Relocation> {
-    return getApiClient().calld.relocateCall(callId, 'line', line, contactIdentifier);
+    return new CallApi(getApiClient()).relocateCall(callId, line, contactIdentifier);
   }
 
   static async hold(callId: string): Promise<void> {
-    return getApiClient().calld.hold(callId);
+    return new CallApi(getApiClient()).hold(callId);
   }
 
   static async resume(callId: string): Promise<void> {
-    return getApiClient().calld.resume(callId);
+    return new CallApi(getApiClient()).resume(callId);
   }
 
   static async mute(callId: string): Promise<void> {
-    return getApiClient().calld.mute(callId);
+    return new CallApi(getApiClient()).mute(callId);
   }
 
   static async sendDTMF(callId: string, digits: string): Promise<void> {
-    return getApiClient().calld.sendDTMF(callId, digits);
+    return new CallApi(getApiClient()).sendDTMF(callId, digits);
   }
 
   static async unmute(callId: string): Promise<void> {
-    return getApiClient().calld.unmute(callId);
+    return new CallApi(getApiClient()).unmute(callId);
+  }
+
+  static async startRecording(callId: string): Promise<void> {
+    return new CallApi(getApiClient()).startRecording(callId);
+  }
+
+  static async stopRecording(callId: string): Promise<void> {
+    return new CallApi(getApiClient()).stopRecording(callId);
+  }
+
+  static async pauseRecording(callId: string): Promise<void> {
+    return new CallApi(getApiClient()).pauseRecording(callId);
+  }
+
+  static async resumeRecording(callId: string): Promise<void> {
+    return new CallApi(getApiClient()).resumeRecording(callId);
+  }
+
+  static async parkCall(callId: string, parkingId: number, preferredSlot: ?string,
+    timeout: ?number): Promise<ParkedCall> {
+    return new CallApi(getApiClient()).parkCall(callId, parkingId, preferredSlot, timeout);
+  }
+
+  static async fetchParkedCalls(parkingId: ?number): Promise<ParkedCall[]> {
+    return new CallApi(getApiClient()).fetchParkedCalls(parkingId);
   }
 
   static async transferCall(callId: string, number: string, flow: string): Promise<Transfer> {
-    return getApiClient().calld.transferCall(callId, number, flow);
+    return new CallApi(getApiClient()).transferCall(callId, number, flow);
   }
 
   static async cancelCallTransfer(transferId: string): Promise<Transfer> {
-    return getApiClient().calld.cancelCallTransfer(transferId);
+    return new CallApi(getApiClient()).cancelCallTransfer(transferId);
   }
 
   static async confirmCallTransfer(transferId: string): Promise<Transfer> {
-    return getApiClient().calld.confirmCallTransfer(transferId);
+    return new CallApi(getApiClient()).confirmCallTransfer(transferId);
+  }
+
+  constructor(client: WazoApiClient) {
+    this.client = client;
+  }
+
+  async fetchCallLogs(offset: number, limit: number): Promise<Call[]> {
+    return this.client.callLogd.listCallLogs(offset, limit);
+  }
+
+  async fetchDistinctCallLogs(offset: number, limit: number, distinct: string = 'peer_exten'): Promise<Call[]> {
+    return this.client.callLogd.listDistinctCallLogs(offset, limit, distinct);
+  }
+
+  async fetchActiveCalls(): Promise<Call[]> {
+    return this.client.calld.listCalls();
+  }
+
+  async fetchCallLogsFromDate(from: Date, number: string): Promise<CallLog[]> {
+    return this.client.callLogd.listCallLogsFromDate(from, number);
+  }
+
+  async search(query: string, limit: number): Promise<CallLog[]> {
+    return this.client.callLogd.search(query, limit);
+  }
+
+  async searchBy(field: string, value: string, limit: number): Promise<CallLog[]> {
+    return this.client.callLogd.searchBy(field, value, limit);
+  }
+
+  async fetchSIP(session: Session, line: ?Line): Promise<any> {
+    const lineToUse = line || session.primaryLine();
+    return this.client.confd.getUserLineSip(session.uuid, lineToUse ? lineToUse.id : null);
+  }
+
+  async cancelCall(callSession: CallSession): Promise<void> {
+    return this.client.calld.cancelCall(callSession.callId);
+  }
+
+  async makeCall(callFromLine: Line, extension: string, isMobile: boolean = false,
+    callbackAllLines: boolean = false): Promise<?Call> {
+    const lineId = callFromLine ? callFromLine.id : null;
+
+    const response = await this.client.calld.makeCall(extension, isMobile, lineId, callbackAllLines);
+    return Call.parse(response);
+  }
+
+  async relocateCall(callId: string, line: number, contactIdentifier?: string): Promise<Relocation> {
+    return this.client.calld.relocateCall(callId, 'line', line, contactIdentifier);
+  }
+
+  async hold(callId: string): Promise<void> {
+    return this.client.calld.hold(callId);
+  }
+
+  async resume(callId: string): Promise<void> {
+    return this.client.calld.resume(callId);
+  }
+
+  async mute(callId: string): Promise<void> {
+    return this.client.calld.mute(callId);
+  }
+
+  async sendDTMF(callId: string, digits: string): Promise<void> {
+    return this.client.calld.sendDTMF(callId, digits);
+  }
+
+  async unmute(callId: string): Promise<void> {
+    return this.client.calld.unmute(callId);
+  }
+
+  async startRecording(callId: string): Promise<void> {
+    return this.client.calld.startRecording(callId);
+  }
+
+  async stopRecording(callId: string): Promise<void> {
+    return this.client.calld.stopRecording(callId);
+  }
+
+  async pauseRecording(callId: string): Promise<void> {
+    return this.client.calld.pauseRecording(callId);
+  }
+
+  async resumeRecording(callId: string): Promise<void> {
+    return this.client.calld.resumeRecording(callId);
+  }
+
+  async parkCall(callId: string, parkingId: number, preferredSlot: ?string,
+    timeout: ?number): Promise<ParkedCall> {
+    return this.client.calld.parkCall(callId, parkingId, preferredSlot, timeout);
+  }
+
+  // All parked calls of all parkings when `parkingId` is not set
+  async fetchParkedCalls(parkingId: ?number): Promise<ParkedCall[]> {
+    return parkingId ? this.client.calld.listParkedCalls(parkingId) : this.client.calld.listAllParkedCalls();
+  }
+
+  async transferCall(callId: string, number: string, flow: string): Promise<Transfer> {
+    return this.client.calld.transferCall(callId, number, flow);
+  }
+
+  async cancelCallTransfer(transferId: string): Promise<Transfer> {
+    return this.client.calld.cancelCallTransfer(transferId);
+  }
+
+  async confirmCallTransfer(transferId: string): Promise<Transfer> {
+    return this.client.calld.confirmCallTransfer(transferId);
   }
 }
@@ -0,0 +1,238 @@
+/* global navigator */
+// @flow
+import Emitter from '../utils/Emitter';
+import MemoryStorage from '../utils/storage/MemoryStorage';
+import type { StorageAdapter } from '../utils/storage/StorageAdapter';
+import IssueReporter from './IssueReporter';
+
+export const ON_DEVICES_CHANGED = 'onDevicesChanged';
+export const ON_DEVICE_PLUGGED = 'onDevicePlugged';
+export const ON_DEVICE_UNPLUGGED = 'onDeviceUnplugged';
+export const ON_DEVICE_SELECTED = 'onDeviceSelected';
+export const ON_DEVICE_FALLBACK = 'onDeviceFallback';
+
+export const DEVICE_AUDIO_INPUT = 'audioInput';
+export const DEVICE_AUDIO_OUTPUT = 'audioOutput';
+export const DEVICE_RING_OUTPUT = 'ringOutput';
+export const DEVICE_VIDEO_INPUT = 'videoInput';
+
+export const DEVICE_TYPES = [DEVICE_AUDIO_INPUT, DEVICE_AUDIO_OUTPUT, DEVICE_RING_OUTPUT, DEVICE_VIDEO_INPUT];
+
+const KINDS = {
+  [DEVICE_AUDIO_INPUT]: 'audioinput',
+  [DEVICE_AUDIO_OUTPUT]: 'audiooutput',
+  [DEVICE_RING_OUTPUT]: 'audiooutput',
+  [DEVICE_VIDEO_INPUT]: 'videoinput',
+};
+
+// Chrome exposes the device chosen by the OS with this id
+const DEFAULT_DEVICE_ID = 'default';
+const DEFAULT_STORAGE_KEY = 'wazo-devices';
+
+const logger = IssueReporter.loggerFor('media-devices');
+
+type ConstructorParams = {
+  storage?: StorageAdapter,
+  storageKey?: string,
+  mediaDevices?: ?Object,
+};
+
+export type DeviceIds = { [string]: ?string };
+
+const deviceKey = (device: MediaDeviceInfo) => `${device.kind}:${device.deviceId}`;
+
+// Lists the media devices, follows plugs and unplugs, and remembers the preferred device of each type.
+// When the active device disappears, the preferred one (if plugged) or the system default is selected instead.
+export default class MediaDeviceManager extends Emitter {
+  storage: StorageAdapter;
+  storageKey: string;
+  mediaDevices: ?Object;
+  devices: MediaDeviceInfo[];
+  // Chosen by the user, kept even when unplugged to be selected again when plugged back
+  preferred: DeviceIds;
+  // Currently used
+  active: DeviceIds;
+  started: boolean;
+  _onDeviceChange: Function;
+
+  constructor({ storage, storageKey, mediaDevices }: ConstructorParams = {}) {
+    super();
+
+    this.storage = storage || new MemoryStorage();
+    this.storageKey = storageKey || DEFAULT_STORAGE_KEY;
+    this.mediaDevices = mediaDevices !== undefined
+      ? mediaDevices : (typeof navigator !== 'undefined' && navigator.mediaDevices) || null;
+    this.devices = [];
+    this.preferred = {};
+    this.active = {};
+    this.started = false;
+    this._onDeviceChange = () => {
+      this.refresh().catch(e => logger.error('unable to refresh the devices', { message: e.message }));
+    };
+  }
+
+  isSupported(): boolean {
+    return !!this.mediaDevices && typeof this.mediaDevices.enumerateDevices === 'function';
+  }
+
+  async start(): Promise<MediaDeviceInfo[]> {
+    const { mediaDevices } = this;
+    if (this.started || !mediaDevices || !this.isSupported()) {
+      return this.devices;
+    }
+    this.started = true;
+
+    if (typeof mediaDevices.addEventListener === 'function') {
+      mediaDevices.addEventListener('devicechange', this._onDeviceChange);
+    } else {
+      mediaDevices.ondevicechange = this._onDeviceChange;
+    }
+
+    await this.loadPreferences();
+    this.devices = await this._enumerate();
+    DEVICE_TYPES.forEach(type => {
+      this.active[type] = this._findAvailableId(type);
+    });
+
+    return this.devices;
+  }
+
+  stop(): void {
+    const { mediaDevices } = this;
+    if (!this.started || !mediaDevices) {
+      return;
+    }
+    this.started = false;
+
+    if (typeof mediaDevices.removeEventListener === 'function') {
+      mediaDevices.removeEventListener('devicechange', this._onDeviceChange);
+    } else {
+      mediaDevices.ondevicechange = null;
+    }
+  }
+
+  getDevices(type: ?string = null): MediaDeviceInfo[] {
+    return type ? this.devices.filter(device => device.kind === KINDS[type]) : this.devices;
+  }
+
+  getActiveDeviceId(type: string): ?string {
+    return this.active[type] || null;
+  }
+
+  getActiveDeviceIds(): DeviceIds {
+    return { ...this.active };
+  }
+
+  getPreferredDeviceId(type: string): ?string {
+    return this.preferred[type] || null;
+  }
+
+  async selectDevice(type: string, deviceId: string): Promise<void> {
+    if (!KINDS[type]) {
+      throw new Error(`Unknown device type: ${type}`);
+    }
+
+    this.preferred[type] = deviceId;
+    this._setActive(type, deviceId);
+
+    return this._savePreferences();
+  }
+
+  // Where the preferred devices are kept, eg: `new LocalStorage(window.localStorage)`
+  async setStorage(storage: StorageAdapter): Promise<void> {
+    this.storage = storage;
+    if (this.started) {
+      await this.loadPreferences();
+    }
+  }
+
+  async loadPreferences(): Promise<DeviceIds> {
+    const raw = await this.storage.getItem(this.storageKey);
+    try {
+      this.preferred = raw ? JSON.parse(raw) : {};
+    } catch (e) {
+      logger.warn('unable to parse stored devices', { message: e.message });
+      this.preferred = {};
+    }
+
+    return this.preferred;
+  }
+
+  // Called on `devicechange`, labels are only known after the permission was granted so they can change too
+  async refresh(): Promise<MediaDeviceInfo[]> {
+    const previousDevices = this.devices;
+    this.devices = await this._enumerate();
+
+    const previousKeys = previousDevices.map(deviceKey);
+    const currentKeys = this.devices.map(deviceKey);
+    const plugged = this.devices.filter(device => previousKeys.indexOf(deviceKey(device)) === -1);
+    const unplugged = previousDevices.filter(device => currentKeys.indexOf(deviceKey(device)) === -1);
+
+    unplugged.forEach(device => this.eventEmitter.emit(ON_DEVICE_UNPLUGGED, device));
+    plugged.forEach(device => this.eventEmitter.emit(ON_DEVICE_PLUGGED, device));
+    if (plugged.length || unplugged.length) {
+      this.eventEmitter.emit(ON_DEVICES_CHANGED, this.devices);
+    }
+
+    DEVICE_TYPES.forEach(type => {
+      const activeId = this.active[type];
+      const preferredId = this.preferred[type];
+
+      if (preferredId && preferredId !== activeId && this._isAvailable(type, preferredId)) {
+        // The preferred device is back
+        this._setActive(type, preferredId);
+      } else if (activeId && !this._isAvailable(type, activeId)) {
+        const fallbackId = this._findAvailableId(type);
+        logger.info('active device unplugged', { type, activeId, fallbackId });
+
+        this._setActive(type, fallbackId);
+        this.eventEmitter.emit(ON_DEVICE_FALLBACK, type, fallbackId, activeId);
+      } else if (!activeId) {
+        this._setActive(type, this._findAvailableId(type));
+      }
+    });
+
+    return this.devices;
+  }
+
+  _setActive(type: string, deviceId: ?string): void {
+    if (this.active[type] === deviceId) {
+      return;
+    }
+
+    this.active[type] = deviceId;
+    if (deviceId) {
+      this.eventEmitter.emit(ON_DEVICE_SELECTED, type, deviceId);
+    }
+  }
+
+  _isAvailable(type: string, deviceId: string): boolean {
+    return this.getDevices(type).some(device => device.deviceId === deviceId);
+  }
+
+  _findAvailableId(type: string): ?string {
+    const preferredId = this.preferred[type];
+    if (preferredId && this._isAvailable(type, preferredId)) {
+      return preferredId;
+    }
+
+    const devices = this.getDevices(type);
+    const defaultDevice = devices.find(device => device.deviceId === DEFAULT_DEVICE_ID) || devices[0];
+    return defaultDevice ? defaultDevice.deviceId : null;
+  }
+
+  async _enumerate(): Promise<MediaDeviceInfo[]> {
+    if (!this.isSupported()) {
+      return [];
+    }
+
+    // $FlowFixMe: checked in `isSupported`
+    const devices = await this.mediaDevices.enumerateDevices();
+    // Devices are listed with an empty id before the permission is granted
+    return devices.filter(device => !!device.deviceId);
+  }
+
+  _savePreferences(): Promise<void> {
+    return this.storage.setItem(this.storageKey, JSON.stringify(this.preferred));
+  }
+}
@@ -0,0 +1,358 @@
+/* global window, navigator */
+// @flow
+import Emitter from '../utils/Emitter';
+import MemoryStorage from '../utils/storage/MemoryStorage';
+import type { StorageAdapter } from '../utils/storage/StorageAdapter';
+import BadResponse from '../domain/BadResponse';
+import ServerError from '../domain/ServerError';
+import IssueReporter from './IssueReporter';
+
+export const ON_QUEUE_CHANGED = 'onQueueChanged';
+export const ON_REQUEST_QUEUED = 'onRequestQueued';
+export const ON_REQUEST_REPLAYED = 'onRequestReplayed';
+export const ON_REQUEST_CONFLICT = 'onRequestConflict';
+export const ON_REQUEST_FAILED = 'onRequestFailed';
+export const ON_FLUSH_STARTED = 'onFlushStarted';
+export const ON_FLUSH_ENDED = 'onFlushEnded';
+
+const DEFAULT_STORAGE_KEY = 'wazo-offline-queue';
+const DEFAULT_MAX_REPLAY_ATTEMPTS = 5;
+const DEFAULT_RETRY_DELAY = 30 * 1000;
+const MUTATING_METHODS = ['post', 'put', 'delete'];
+const CONFLICT_STATUSES = [409, 412];
+// The auth service creates and revokes tokens from credentials, they must never be stored
+const AUTH_PATH = /^auth\//;
+const CREDENTIAL_HEADERS = ['authorization', 'x-auth-token'];
+
+const hasCredentials = (headers: ?string | ?Object): boolean => !!headers && typeof headers === 'object'
+  && Object.keys(headers).some(name => CREDENTIAL_HEADERS.indexOf(name.toLowerCase()) !== -1);
+
+const withoutCredentials = (headers: ?string | ?Object): ?string | ?Object => {
+  if (!headers || typeof headers !== 'object') {
+    return headers;
+  }
+
+  return Object.keys(headers).reduce((acc, name) => {
+    if (CREDENTIAL_HEADERS.indexOf(name.toLowerCase()) === -1) {
+      acc[name] = headers[name];
+    }
+    return acc;
+  }, {});
+};
+
+const logger = IssueReporter.loggerFor('offline-queue');
+
+export type QueuedRequest = {
+  id: string,
+  path: string,
+  method: string,
+  body: any,
+  headers: ?string | ?Object,
+  createdAt: number,
+  attempts: number,
+};
+
+type ConstructorParams = {
+  storage?: StorageAdapter,
+  storageKey?: string,
+  maxReplayAttempts?: number,
+  // Time in ms before replaying the requests again after a network error
+  retryDelay?: number,
+  onConflict?: ?(request: QueuedRequest, error: BadResponse) => any,
+  onFailure?: ?(request: QueuedRequest, error: Error) => any,
+};
+
+// Requests replayed after a restart don't have their original parser anymore
+const replayParser = (response: Object, isJson: boolean) => (isJson ? response.json() : response.status < 400);
+
+let requestCount = 0;
+
+export default class OfflineQueue extends Emitter {
+  storage: StorageAdapter;
+  storageKey: string;
+  maxReplayAttempts: number;
+  retryDelay: number;
+  onConflict: ?Function;
+  onFailure: ?Function;
+  requests: QueuedRequest[];
+  isFlushing: boolean;
+  online: ?boolean;
+  requester: ?Object;
+  _pending: { [string]: { resolve: Function, reject: Function, parse: ?Function } };
+  _restorePromise: ?Promise<QueuedRequest[]>;
+  _retryTimeout: ?TimeoutID;
+  _boundOnOnline: Function;
+
+  constructor({
+    storage = new MemoryStorage(),
+    storageKey = DEFAULT_STORAGE_KEY,
+    maxReplayAttempts = DEFAULT_MAX_REPLAY_ATTEMPTS,
+    retryDelay = DEFAULT_RETRY_DELAY,
+    onConflict = null,
+    onFailure = null,
+  }: ConstructorParams = {}) {
+    super();
+
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.maxReplayAttempts = maxReplayAttempts;
+    this.retryDelay = retryDelay;
+    this.onConflict = onConflict;
+    this.onFailure = onFailure;
+    this.requests = [];
+    this.isFlushing = false;
+    this.online = null;
+    this.requester = null;
+    this._pending = {};
+    this._restorePromise = null;
+    this._retryTimeout = null;
+
+    this._boundOnOnline = this._onOnline.bind(this);
+  }
+
+  // Called by `ApiRequester.setOfflineQueue`
+  attach(requester: Object) {
+    this.requester = requester;
+
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('online', this._boundOnOnline);
+    }
+
+    return this.restore().then(() => this.flush());
+  }
+
+  detach() {
+    this.requester = null;
+    this._clearRetry();
+
+    if (typeof window !== 'undefined' && window.removeEventListener) {
+      window.removeEventListener('online', this._boundOnOnline);
+    }
+  }
+
+  async restore(): Promise<QueuedRequest[]> {
+    if (!this._restorePromise) {
+      this._restorePromise = this.storage.getItem(this.storageKey).then(raw => {
+        let stored = [];
+        try {
+          stored = raw ? JSON.parse(raw) : [];
+        } catch (e) {
+          logger.warn('unable to parse stored offline queue', e);
+        }
+
+        // Requests can have been queued before the restoration
+        const ids = this.requests.map(request => request.id);
+        this.requests = [...stored.filter(request => ids.indexOf(request.id) === -1), ...this.requests];
+        logger.info('offline queue restored', { count: this.requests.length });
+        this._onChange();
+
+        return this.requests;
+      });
+    }
+
+    return this._restorePromise;
+  }
+
+  // For environments without `online` events (eg: react-native with NetInfo)
+  setOnline(online: ?boolean) {
+    this.online = online;
+
+    if (online) {
+      this.flush();
+    }
+  }
+
+  isOffline(): boolean {
+    if (this.online !== null && typeof this.online !== 'undefined') {
+      return !this.online;
+    }
+
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+  }
+
+  // Requests sent with their own credentials are not queued: the credentials would be stored in plain text
+  shouldQueue(method: string, path: string = '', headers: ?string | ?Object = null): boolean {
+    return MUTATING_METHODS.indexOf(method) !== -1 && !AUTH_PATH.test(path) && !hasCredentials(headers);
+  }
+
+  hasRequests(): boolean {
+    return this.requests.length > 0;
+  }
+
+  // Replays the requests later, when the network failed but the browser still considers itself online
+  scheduleFlush(delay: number = this.retryDelay) {
+    if (this._retryTimeout) {
+      return;
+    }
+
+    this._retryTimeout = setTimeout(() => {
+      this._retryTimeout = null;
+      this.flush();
+    }, delay);
+  }
+
+  // Resolves with the parsed response once the request has been replayed
+  enqueue(path: string, method: string, body: any, headers: ?string | ?Object, parse: ?Function = null): Promise<any> {
+    const request: QueuedRequest = {
+      id: `${Date.now()}-${++requestCount}`,
+      path,
+      method,
+      body,
+      headers,
+      createdAt: Date.now(),
+      attempts: 0,
+    };
+
+    logger.info('queuing request', { path, method });
+
+    this.requests.push(request);
+    this.eventEmitter.emit(ON_REQUEST_QUEUED, request);
+    this._onChange();
+
+    return new Promise((resolve, reject) => {
+      this._pending[request.id] = { resolve, reject, parse };
+    });
+  }
+
+  async flush(): Promise<void> {
+    if (this.isFlushing || !this.requester || !this.requests.length || this.isOffline()) {
+      return;
+    }
+
+    this._clearRetry();
+    this.isFlushing = true;
+    this.eventEmitter.emit(ON_FLUSH_STARTED, this.requests);
+    logger.info('flushing offline queue', { count: this.requests.length });
+
+    try {
+      // Requests are replayed one by one to keep their order
+      while (this.requests.length) {
+        // eslint-disable-next-line no-await-in-loop
+        const shouldContinue = await this._replay(this.requests[0]);
+        if (!shouldContinue) {
+          break;
+        }
+      }
+    } finally {
+      this.isFlushing = false;
+      this.eventEmitter.emit(ON_FLUSH_ENDED, this.requests);
+    }
+  }
+
+  getRequests(): QueuedRequest[] {
+    return this.requests;
+  }
+
+  async clear() {
+    this.requests.forEach(request => this._settle(request, new Error('Offline queue cleared')));
+    this.requests = [];
+    this._onChange();
+  }
+
+  async _replay(request: QueuedRequest): Promise<boolean> {
+    const { requester } = this;
+    if (!requester) {
+      return false;
+    }
+
+    const pending = this._pending[request.id];
+    const parse = pending && pending.parse ? pending.parse : replayParser;
+    request.attempts++;
+
+    try {
+      const result = await requester
+        .withOptions({ queueWhenOffline: false })
+        .call(request.path, request.method, request.body, request.headers, parse);
+
+      logger.info('request replayed', { path: request.path, method: request.method });
+      this._remove(request);
+      this._settle(request, null, result);
+      this.eventEmitter.emit(ON_REQUEST_REPLAYED, request, result);
+
+      return true;
+    } catch (error) {
+      return this._handleReplayError(request, error);
+    }
+  }
+
+  _handleReplayError(request: QueuedRequest, error: Error): boolean {
+    const isServerError = error instanceof ServerError;
+    const status = error instanceof BadResponse ? error.status : null;
+
+    // Network error or invalid token: keep the request until connectivity or the token comes back
+    if (!status || status === 401 || (isServerError && request.attempts < this.maxReplayAttempts)) {
+      logger.warn('unable to replay request, keeping it', { path: request.path, status, attempts: request.attempts });
+      this._save();
+      if (!status) {
+        this.scheduleFlush();
+      }
+
+      return false;
+    }
+
+    this._remove(request);
+    this._settle(request, error);
+
+    if (!isServerError && CONFLICT_STATUSES.indexOf(status) !== -1) {
+      logger.warn('conflict when replaying request', { path: request.path, status });
+      this.eventEmitter.emit(ON_REQUEST_CONFLICT, request, error);
+      if (this.onConflict) {
+        this.onConflict(request, error);
+      }
+
+      return true;
+    }
+
+    logger.error('request replay failed', { path: request.path, status, attempts: request.attempts });
+    this.eventEmitter.emit(ON_REQUEST_FAILED, request, error);
+    if (this.onFailure) {
+      this.onFailure(request, error);
+    }
+
+    return true;
+  }
+
+  _settle(request: QueuedRequest, error: ?Error, result: any = null) {
+    const pending = this._pending[request.id];
+    if (!pending) {
+      return;
+    }
+
+    delete this._pending[request.id];
+    if (error) {
+      pending.reject(error);
+    } else {
+      pending.resolve(result);
+    }
+  }
+
+  _remove(request: QueuedRequest) {
+    this.requests = this.requests.filter(queued => queued.id !== request.id);
+    this._onChange();
+  }
+
+  _onChange() {
+    this._save();
+    this.eventEmitter.emit(ON_QUEUE_CHANGED, this.requests);
+  }
+
+  _save() {
+    const requests = this.requests.map(request => ({ ...request, headers: withoutCredentials(request.headers) }));
+
+    this.storage.setItem(this.storageKey, JSON.stringify(requests)).catch(e => {
+      logger.error('unable to store offline queue', e);
+    });
+  }
+
+  _clearRetry() {
+    if (this._retryTimeout) {
+      clearTimeout(this._retryTimeout);
+      this._retryTimeout = null;
+    }
+  }
+
+  _onOnline() {
+    logger.info('connectivity is back');
+    this.flush();
+  }
+}
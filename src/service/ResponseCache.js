@@ -0,0 +1,186 @@
+// @flow
+import {
+  FAVORITE_ADDED,
+  FAVORITE_DELETED,
+  USERS_FORWARDS_BUSY_UPDATED,
+  USERS_FORWARDS_NOANSWER_UPDATED,
+  USERS_FORWARDS_UNCONDITIONAL_UPDATED,
+  USERS_SERVICES_DND_UPDATED,
+  CHATD_PRESENCE_UPDATED,
+} from '../websocket-client';
+import IssueReporter from './IssueReporter';
+
+export type CachePolicy = {
+  // Matched against the request path, without the query string (eg: `confd/1.1/infos`)
+  pattern: RegExp,
+  // In milliseconds
+  ttl: number,
+  // WebSocket events invalidating the entries of this policy
+  invalidateOn?: string[],
+};
+
+type CacheEntry = {
+  path: string,
+  data: string,
+  etag: ?string,
+  lastModified: ?string,
+  expiresAt: number,
+};
+
+const ONE_MINUTE = 60 * 1000;
+
+export const DEFAULT_CACHE_POLICIES: CachePolicy[] = [
+  // confd.getUser
+  {
+    pattern: /^confd\/[^/]+\/users\/[^/]+$/,
+    ttl: 5 * ONE_MINUTE,
+    invalidateOn: [
+      USERS_FORWARDS_BUSY_UPDATED,
+      USERS_FORWARDS_NOANSWER_UPDATED,
+      USERS_FORWARDS_UNCONDITIONAL_UPDATED,
+      USERS_SERVICES_DND_UPDATED,
+    ],
+  },
+  // confd.getInfos
+  { pattern: /^confd\/[^/]+\/infos$/, ttl: 60 * ONE_MINUTE },
+  // dird.fetchWazoSource (and other backend sources)
+  { pattern: /^dird\/[^/]+\/directories\/[^/]+\/sources$/, ttl: 10 * ONE_MINUTE },
+  // dird.listFavorites
+  {
+    pattern: /^dird\/[^/]+\/directories\/favorites\/[^/]+$/,
+    ttl: 5 * ONE_MINUTE,
+    invalidateOn: [FAVORITE_ADDED, FAVORITE_DELETED],
+  },
+  // chatd.getMultipleLineState
+  { pattern: /^chatd\/[^/]+\/users\/presences$/, ttl: 30 * 1000, invalidateOn: [CHATD_PRESENCE_UPDATED] },
+];
+
+const logger = IssueReporter.loggerFor('api-cache');
+
+const withoutQueryString = (path: string) => path.split('?')[0];
+
+const findHeader = (headers: Object, name: string): string => {
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+
+  return key && headers[key] ? String(headers[key]) : '';
+};
+
+export default class ResponseCache {
+  policies: CachePolicy[];
+  entries: { [string]: CacheEntry };
+
+  constructor(policies: CachePolicy[] = DEFAULT_CACHE_POLICIES) {
+    this.policies = [...policies];
+    this.entries = {};
+  }
+
+  addPolicy(policy: CachePolicy) {
+    this.policies.push(policy);
+  }
+
+  getPolicy(path: string): ?CachePolicy {
+    return this.policies.find(policy => policy.pattern.test(withoutQueryString(path)));
+  }
+
+  // Entries are kept by tenant and token, so a requester used by several accounts never shares their responses
+  getKey(url: string, headers: Object): string {
+    return JSON.stringify([findHeader(headers, 'wazo-tenant'), findHeader(headers, 'x-auth-token'), url]);
+  }
+
+  // Returns a copy of the cached data when the entry is still fresh
+  getFresh(key: string): ?Object {
+    const entry = this.entries[key];
+
+    return entry && entry.expiresAt > Date.now() ? JSON.parse(entry.data) : null;
+  }
+
+  getConditionalHeaders(key: string): Object {
+    const entry = this.entries[key];
+    if (!entry) {
+      return {};
+    }
+
+    const headers: Object = {};
+    if (entry.etag) {
+      headers['If-None-Match'] = entry.etag;
+    }
+    if (entry.lastModified) {
+      headers['If-Modified-Since'] = entry.lastModified;
+    }
+
+    return headers;
+  }
+
+  set(key: string, path: string, data: any, headers: Object, policy: CachePolicy) {
+    this.entries[key] = {
+      path: withoutQueryString(path),
+      data: JSON.stringify(data),
+      etag: headers.get('etag'),
+      lastModified: headers.get('last-modified'),
+      expiresAt: Date.now() + policy.ttl,
+    };
+  }
+
+  // Called on a `304 Not Modified` response
+  revalidate(key: string, policy: CachePolicy): ?Object {
+    const entry = this.entries[key];
+    if (!entry) {
+      return null;
+    }
+
+    entry.expiresAt = Date.now() + policy.ttl;
+
+    return JSON.parse(entry.data);
+  }
+
+  // Removes all entries when no pattern is given
+  invalidate(pattern: ?(string | RegExp) = null) {
+    Object.keys(this.entries).forEach(key => {
+      const { path } = this.entries[key];
+      const matches = !pattern || (typeof pattern === 'string' ? path.indexOf(pattern) === 0 : pattern.test(path));
+
+      if (matches) {
+        delete this.entries[key];
+      }
+    });
+  }
+
+  invalidateForEvent(event: string) {
+    this.policies
+      .filter(policy => policy.invalidateOn && policy.invalidateOn.indexOf(event) !== -1)
+      .forEach(policy => {
+        logger.info('invalidating cache', { event, pattern: policy.pattern.toString() });
+        this.invalidate(policy.pattern);
+      });
+  }
+
+  // A mutation on `confd/1.1/users/xxx/forwards/busy` invalidates `confd/1.1/users/xxx`
+  invalidateForMutation(path: string) {
+    const mutatedPath = withoutQueryString(path);
+
+    Object.keys(this.entries).forEach(key => {
+      if (mutatedPath.indexOf(this.entries[key].path) === 0) {
+        delete this.entries[key];
+      }
+    });
+  }
+
+  // Returns a function to stop listening to the WebSocket
+  bindWebSocket(ws: Object): Function {
+    const listeners = {};
+
+    this.policies.forEach(({ invalidateOn = [] }) => {
+      invalidateOn.forEach(event => {
+        if (listeners[event]) {
+          return;
+        }
+        listeners[event] = () => this.invalidateForEvent(event);
+        ws.on(event, listeners[event]);
+      });
+    });
+
+    return () => {
+      Object.keys(listeners).forEach(event => ws.off(event, listeners[event]));
+    };
+  }
+}
@@ -0,0 +1,64 @@
+// @flow
+import MemoryStorage from '../utils/storage/MemoryStorage';
+import type { StorageAdapter } from '../utils/storage/StorageAdapter';
+import IssueReporter from './IssueReporter';
+
+const DEFAULT_STORAGE_KEY = 'wazo-session';
+
+const logger = IssueReporter.loggerFor('session-store');
+
+export type StoredSession = {
+  host: ?string,
+  token: ?string,
+  refreshToken: ?string,
+  expiresAt: ?string,
+};
+
+type ConstructorParams = {
+  storage?: StorageAdapter,
+  storageKey?: string,
+};
+
+// Keeps what is needed to restore a session after a restart, use an `EncryptedStorage` to protect the tokens.
+export default class SessionStore {
+  storage: StorageAdapter;
+  storageKey: string;
+  current: ?StoredSession;
+
+  constructor({ storage = new MemoryStorage(), storageKey = DEFAULT_STORAGE_KEY }: ConstructorParams = {}) {
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.current = null;
+  }
+
+  async load(): Promise<?StoredSession> {
+    const raw = await this.storage.getItem(this.storageKey);
+    if (!raw) {
+      this.current = null;
+      return null;
+    }
+
+    try {
+      this.current = JSON.parse(raw);
+    } catch (e) {
+      logger.warn('unable to parse stored session', e);
+      await this.clear();
+    }
+
+    return this.current;
+  }
+
+  // Merges values with the stored session, eg: to only update the token after a refresh
+  async save(values: $Shape<StoredSession>): Promise<void> {
+    const current = this.current || (await this.load()) || {};
+    this.current = { ...current, ...values };
+
+    return this.storage.setItem(this.storageKey, JSON.stringify(this.current));
+  }
+
+  async clear(): Promise<void> {
+    this.current = null;
+
+    return this.storage.removeItem(this.storageKey);
+  }
+}
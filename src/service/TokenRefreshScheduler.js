@@ -0,0 +1,174 @@
+// @flow
+import Emitter from '../utils/Emitter';
+import type Session from '../domain/Session';
+import IssueReporter from './IssueReporter';
+
+export const ON_TOKEN_REFRESHING = 'onTokenRefreshing';
+export const ON_TOKEN_REFRESHED = 'onTokenRefreshed';
+export const ON_TOKEN_REFRESH_FAILED = 'onTokenRefreshFailed';
+export const ON_SESSION_EXPIRED = 'onSessionExpired';
+
+export const DEFAULT_REFRESH_MARGIN = 60 * 1000;
+const DEFAULT_RETRY_DELAY = 10 * 1000;
+// Delays above 2^31 - 1 ms overflow and make `setTimeout` fire immediately
+const MAX_TIMEOUT = 2147483647;
+// Statuses meaning that the refresh token itself is no longer valid
+const REVOKED_STATUSES = [401, 403, 404];
+
+const logger = IssueReporter.loggerFor('token-refresh');
+
+type ConstructorParams = {
+  refresh: () => Promise<?Session>,
+  // Whether there is something to refresh the token with, eg: a refresh token
+  canRefresh?: () => boolean,
+  margin?: number,
+  retryDelay?: number,
+};
+
+// Refreshes the token `margin` ms before the session expires instead of waiting for a 401.
+export default class TokenRefreshScheduler extends Emitter {
+  refreshSession: () => Promise<?Session>;
+  canRefresh: () => boolean;
+  margin: number;
+  retryDelay: number;
+  expiresAt: ?Date;
+  timeout: ?TimeoutID;
+  refreshPromise: ?Promise<?Session>;
+
+  constructor({
+    refresh,
+    canRefresh = () => true,
+    margin = DEFAULT_REFRESH_MARGIN,
+    retryDelay = DEFAULT_RETRY_DELAY,
+  }: ConstructorParams) {
+    super();
+
+    this.refreshSession = refresh;
+    this.canRefresh = canRefresh;
+    this.margin = margin;
+    this.retryDelay = retryDelay;
+    this.expiresAt = null;
+    this.timeout = null;
+    this.refreshPromise = null;
+  }
+
+  schedule(expiresAt: ?Date) {
+    this._clearTimeout();
+    this.expiresAt = expiresAt;
+
+    if (!expiresAt) {
+      return;
+    }
+
+    // Without refresh token, the session lasts until it really expires
+    if (!this.canRefresh()) {
+      this._expireAt(expiresAt);
+      return;
+    }
+
+    const delay = expiresAt.getTime() - this.margin - Date.now();
+    logger.info('scheduling token refresh', { expiresAt, delay });
+
+    this._setTimeout(delay, () => this.refresh());
+  }
+
+  stop() {
+    this._clearTimeout();
+    this.expiresAt = null;
+  }
+
+  isActive(): boolean {
+    return !!this.expiresAt;
+  }
+
+  setMargin(margin: number) {
+    this.margin = margin;
+
+    if (this.expiresAt && !this.refreshPromise) {
+      this.schedule(this.expiresAt);
+    }
+  }
+
+  // Concurrent calls share the same pending refresh
+  refresh(): Promise<?Session> {
+    if (this.refreshPromise) {
+      return this.refreshPromise;
+    }
+
+    this._clearTimeout();
+    this.eventEmitter.emit(ON_TOKEN_REFRESHING);
+
+    this.refreshPromise = this.refreshSession().then((session: ?Session) => {
+      this.refreshPromise = null;
+
+      // Nothing to refresh the token with, the current one is still valid until `expiresAt`
+      if (!session) {
+        this._expireAt(this.expiresAt);
+        return null;
+      }
+
+      this.eventEmitter.emit(ON_TOKEN_REFRESHED, session);
+      this.schedule(session.expiresAt);
+
+      return session;
+    }).catch((error: Object) => {
+      this.refreshPromise = null;
+      logger.warn('token refresh failed', { message: error.message, status: error.status });
+
+      this.eventEmitter.emit(ON_TOKEN_REFRESH_FAILED, error);
+
+      // Keep trying while the current token is still valid
+      const remaining = this.expiresAt ? this.expiresAt.getTime() - Date.now() : 0;
+      if (REVOKED_STATUSES.indexOf(error.status) === -1 && remaining > this.retryDelay) {
+        this._setTimeout(this.retryDelay, () => this.refresh());
+      } else {
+        this._expire();
+      }
+
+      return null;
+    });
+
+    return this.refreshPromise;
+  }
+
+  _expireAt(expiresAt: ?Date) {
+    const delay = expiresAt ? expiresAt.getTime() - Date.now() : 0;
+    if (delay <= 0) {
+      this._expire();
+      return;
+    }
+
+    logger.info('scheduling session expiration', { expiresAt, delay });
+    this._setTimeout(delay, () => this._expire());
+  }
+
+  _expire() {
+    logger.info('session expired, unable to refresh the token');
+    this.stop();
+
+    this.eventEmitter.emit(ON_SESSION_EXPIRED);
+  }
+
+  _setTimeout(delay: number, callback: () => mixed) {
+    // Wait in several steps for very long sessions
+    if (delay > MAX_TIMEOUT) {
+      this.timeout = setTimeout(() => {
+        this.timeout = null;
+        this.schedule(this.expiresAt);
+      }, MAX_TIMEOUT);
+      return;
+    }
+
+    this.timeout = setTimeout(() => {
+      this.timeout = null;
+      callback();
+    }, Math.max(delay, 0));
+  }
+
+  _clearTimeout() {
+    if (this.timeout) {
+      clearTimeout(this.timeout);
+      this.timeout = null;
+    }
+  }
+}
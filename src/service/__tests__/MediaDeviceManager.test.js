@@ -0,0 +1,103 @@
+// Loaded first to resolve the circular import between IssueReporter and ApiRequester
+import '../../utils/api-requester';
+import MediaDeviceManager, {
+  ON_DEVICE_PLUGGED,
+  ON_DEVICE_UNPLUGGED,
+  ON_DEVICE_SELECTED,
+  ON_DEVICE_FALLBACK,
+  DEVICE_AUDIO_INPUT,
+  DEVICE_AUDIO_OUTPUT,
+  DEVICE_VIDEO_INPUT,
+} from '../MediaDeviceManager';
+import MemoryStorage from '../../utils/storage/MemoryStorage';
+
+const device = (kind, deviceId) => ({ kind, deviceId, label: deviceId, groupId: '' });
+
+const createMediaDevices = devices => {
+  const mediaDevices = {
+    devices,
+    listeners: {},
+    enumerateDevices: () => Promise.resolve(mediaDevices.devices),
+    addEventListener: jest.fn((event, callback) => {
+      mediaDevices.listeners[event] = callback;
+    }),
+    removeEventListener: jest.fn(),
+  };
+
+  return mediaDevices;
+};
+
+describe('MediaDeviceManager', () => {
+  let mediaDevices;
+  let storage;
+  let manager;
+
+  beforeEach(() => {
+    mediaDevices = createMediaDevices([
+      device('audioinput', 'default'),
+      device('audioinput', 'headset'),
+      device('audiooutput', 'speakers'),
+    ]);
+    storage = new MemoryStorage();
+    manager = new MediaDeviceManager({ storage, mediaDevices });
+  });
+
+  it('should list devices by type', async () => {
+    await manager.start();
+
+    expect(manager.getDevices(DEVICE_AUDIO_INPUT).map(d => d.deviceId)).toEqual(['default', 'headset']);
+    expect(manager.getDevices(DEVICE_VIDEO_INPUT)).toEqual([]);
+    expect(manager.getActiveDeviceId(DEVICE_AUDIO_INPUT)).toBe('default');
+    expect(manager.getActiveDeviceId(DEVICE_AUDIO_OUTPUT)).toBe('speakers');
+    expect(mediaDevices.addEventListener).toHaveBeenCalledWith('devicechange', expect.any(Function));
+  });
+
+  it('should persist and restore the preferred devices', async () => {
+    const onSelected = jest.fn();
+    manager.on(ON_DEVICE_SELECTED, onSelected);
+    await manager.start();
+
+    await manager.selectDevice(DEVICE_AUDIO_INPUT, 'headset');
+    expect(onSelected).toHaveBeenCalledWith(DEVICE_AUDIO_INPUT, 'headset');
+
+    const other = new MediaDeviceManager({ storage, mediaDevices });
+    await other.start();
+    expect(other.getPreferredDeviceId(DEVICE_AUDIO_INPUT)).toBe('headset');
+    expect(other.getActiveDeviceId(DEVICE_AUDIO_INPUT)).toBe('headset');
+  });
+
+  it('should fall back when the active device is unplugged and restore it when plugged back', async () => {
+    const onPlugged = jest.fn();
+    const onUnplugged = jest.fn();
+    const onFallback = jest.fn();
+    const onSelected = jest.fn();
+    manager.on(ON_DEVICE_PLUGGED, onPlugged);
+    manager.on(ON_DEVICE_UNPLUGGED, onUnplugged);
+    manager.on(ON_DEVICE_FALLBACK, onFallback);
+    manager.on(ON_DEVICE_SELECTED, onSelected);
+    await manager.start();
+    await manager.selectDevice(DEVICE_AUDIO_INPUT, 'headset');
+    const headset = mediaDevices.devices[1];
+
+    mediaDevices.devices = mediaDevices.devices.filter(d => d !== headset);
+    await manager.refresh();
+
+    expect(onUnplugged).toHaveBeenCalledWith(headset);
+    expect(onFallback).toHaveBeenCalledWith(DEVICE_AUDIO_INPUT, 'default', 'headset');
+    expect(onSelected).toHaveBeenLastCalledWith(DEVICE_AUDIO_INPUT, 'default');
+    expect(manager.getPreferredDeviceId(DEVICE_AUDIO_INPUT)).toBe('headset');
+
+    mediaDevices.devices = [...mediaDevices.devices, headset];
+    await manager.refresh();
+
+    expect(onPlugged).toHaveBeenCalledWith(headset);
+    expect(onSelected).toHaveBeenLastCalledWith(DEVICE_AUDIO_INPUT, 'headset');
+  });
+
+  it('should do nothing without media devices', async () => {
+    const unsupported = new MediaDeviceManager({ mediaDevices: null });
+
+    expect(await unsupported.start()).toEqual([]);
+    expect(unsupported.isSupported()).toBeFalsy();
+  });
+});
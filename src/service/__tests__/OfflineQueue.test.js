@@ -0,0 +1,189 @@
+import ApiRequester from '../../utils/api-requester';
+import OfflineQueue, { ON_QUEUE_CHANGED, ON_REQUEST_CONFLICT } from '../OfflineQueue';
+import MemoryStorage from '../../utils/storage/MemoryStorage';
+import authMethods from '../../api/auth';
+
+const server = 'localhost';
+
+const response = (status, data = {}) => ({
+  headers: { get: () => 'application/json' },
+  status,
+  json: () => Promise.resolve(data),
+  text: () => Promise.resolve(JSON.stringify(data)),
+});
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('OfflineQueue', () => {
+  it('should queue mutating requests when offline and replay them in order', async () => {
+    const transport = jest.fn(() => Promise.resolve(response(200, { ok: true })));
+    const queue = new OfflineQueue();
+    const requester = new ApiRequester({ server, transport });
+    requester.setOfflineQueue(queue);
+    queue.setOnline(false);
+
+    const first = requester.call('chatd/rooms/1/messages', 'post', { content: 'a' });
+    const second = requester.call('confd/users/1/forwards/busy', 'put', { enabled: true });
+
+    expect(queue.getRequests().map(request => request.method)).toEqual(['post', 'put']);
+    expect(transport).not.toBeCalled();
+
+    queue.setOnline(true);
+
+    expect(await first).toEqual({ ok: true });
+    expect(await second).toEqual({ ok: true });
+    expect(transport.mock.calls.map(call => call[1].method)).toEqual(['post', 'put']);
+    expect(queue.getRequests()).toEqual([]);
+  });
+
+  it('should not queue read requests', async () => {
+    const transport = jest.fn(() => Promise.reject(new Error('Failed to fetch')));
+    const queue = new OfflineQueue();
+    const requester = new ApiRequester({ server, transport, retryPolicy: { maxAttempts: 1 } });
+    requester.setOfflineQueue(queue);
+
+    await expect(requester.call('confd/infos', 'get')).rejects.toThrow('Failed to fetch');
+    expect(queue.getRequests()).toEqual([]);
+  });
+
+  it('should queue requests failing because of the network', async () => {
+    const transport = jest.fn(() => Promise.reject(new Error('Failed to fetch')));
+    const queue = new OfflineQueue();
+    const onChange = jest.fn();
+    queue.on(ON_QUEUE_CHANGED, onChange);
+    const requester = new ApiRequester({ server, transport });
+    requester.setOfflineQueue(queue);
+
+    requester.call('dird/personal', 'post', { firstname: 'Bob' });
+    await flushPromises();
+
+    expect(queue.getRequests().length).toBe(1);
+    expect(onChange).toHaveBeenLastCalledWith(queue.getRequests());
+  });
+
+  it('should not queue nor store a log in when offline', async () => {
+    const transport = jest.fn(() => Promise.reject(new Error('Failed to fetch')));
+    const storage = new MemoryStorage();
+    const queue = new OfflineQueue({ storage });
+    const requester = new ApiRequester({ server, transport, retryPolicy: { maxAttempts: 1 } });
+    requester.setOfflineQueue(queue);
+    queue.setOnline(false);
+
+    const logIn = authMethods(requester, 'auth/0.1').logIn({ username: 'bob', password: 'secret' });
+
+    await expect(logIn).rejects.toThrow('Failed to fetch');
+    expect(queue.getRequests()).toEqual([]);
+    expect(await storage.getItem('wazo-offline-queue')).not.toContain('Basic');
+  });
+
+  it('should not store the credential headers', async () => {
+    const storage = new MemoryStorage();
+    const queue = new OfflineQueue({ storage });
+    queue.enqueue('dird/personal', 'post', {}, { 'X-Auth-Token': 'token', Accept: 'application/json' });
+    await flushPromises();
+
+    const [stored] = JSON.parse(await storage.getItem('wazo-offline-queue'));
+    expect(stored.headers).toEqual({ Accept: 'application/json' });
+  });
+
+  it('should persist and restore queued requests', async () => {
+    const storage = new MemoryStorage();
+    const queue = new OfflineQueue({ storage });
+    queue.setOnline(false);
+    queue.requester = new ApiRequester({ server });
+    queue.enqueue('dird/personal', 'post', { firstname: 'Bob' });
+    await flushPromises();
+
+    const transport = jest.fn(() => Promise.resolve(response(201, { id: 1 })));
+    const restoredQueue = new OfflineQueue({ storage });
+    const requester = new ApiRequester({ server, transport });
+    await restoredQueue.attach(requester);
+
+    expect(transport).toHaveBeenCalledTimes(1);
+    expect(transport.mock.calls[0][1].body).toBe(JSON.stringify({ firstname: 'Bob' }));
+    expect(JSON.parse(await storage.getItem('wazo-offline-queue'))).toEqual([]);
+  });
+
+  it('should call the conflict callback and continue', async () => {
+    let calls = 0;
+    const transport = jest.fn(() => Promise.resolve(++calls === 1 ? response(409, { message: 'conflict' })
+      : response(200)));
+    const onConflict = jest.fn();
+    const onConflictEvent = jest.fn();
+    const queue = new OfflineQueue({ onConflict });
+    queue.on(ON_REQUEST_CONFLICT, onConflictEvent);
+    queue.setOnline(false);
+    const requester = new ApiRequester({ server, transport });
+    requester.setOfflineQueue(queue);
+
+    const first = requester.call('dird/personal/1', 'put', {});
+    const second = requester.call('dird/personal/2', 'put', {});
+    queue.setOnline(true);
+
+    await expect(first).rejects.toThrow('conflict');
+    await second;
+    expect(onConflict).toHaveBeenCalledTimes(1);
+    expect(onConflict.mock.calls[0][0].path).toBe('dird/personal/1');
+    expect(onConflictEvent).toHaveBeenCalledTimes(1);
+    expect(transport).toHaveBeenCalledTimes(2);
+  });
+
+  it('should keep requests when the replay fails because of the network', async () => {
+    const transport = jest.fn(() => Promise.reject(new Error('Failed to fetch')));
+    const queue = new OfflineQueue();
+    queue.setOnline(false);
+    const requester = new ApiRequester({ server, transport });
+    requester.setOfflineQueue(queue);
+
+    requester.call('dird/personal', 'post', {});
+    queue.setOnline(true);
+    await flushPromises();
+
+    expect(queue.getRequests().length).toBe(1);
+    expect(queue.getRequests()[0].attempts).toBe(1);
+  });
+
+  it('should send new requests after the queued ones', async () => {
+    let calls = 0;
+    const transport = jest.fn(() => (++calls === 1 ? Promise.reject(new Error('Failed to fetch'))
+      : Promise.resolve(response(200))));
+    const queue = new OfflineQueue();
+    const requester = new ApiRequester({ server, transport, retryPolicy: { maxAttempts: 1 } });
+    requester.setOfflineQueue(queue);
+
+    const first = requester.call('dird/personal/1', 'put', {});
+    await flushPromises();
+    expect(queue.getRequests().length).toBe(1);
+
+    const second = requester.call('dird/personal/2', 'put', {});
+    await Promise.all([first, second]);
+
+    expect(transport.mock.calls.map(call => call[0])).toEqual([
+      'https://localhost/api/dird/personal/1',
+      'https://localhost/api/dird/personal/1',
+      'https://localhost/api/dird/personal/2',
+    ]);
+    expect(queue.getRequests()).toEqual([]);
+  });
+
+  it('should replay the requests later after a network error', async () => {
+    jest.useFakeTimers();
+    const realFlushPromises = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+    let calls = 0;
+    const transport = jest.fn(() => (++calls === 1 ? Promise.reject(new Error('Failed to fetch'))
+      : Promise.resolve(response(200, { ok: true }))));
+    const queue = new OfflineQueue({ retryDelay: 1000 });
+    const requester = new ApiRequester({ server, transport, retryPolicy: { maxAttempts: 1 } });
+    requester.setOfflineQueue(queue);
+
+    const request = requester.call('dird/personal', 'post', {});
+    await realFlushPromises();
+    expect(queue.getRequests().length).toBe(1);
+
+    jest.advanceTimersByTime(1000);
+
+    expect(await request).toEqual({ ok: true });
+    expect(transport).toHaveBeenCalledTimes(2);
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,130 @@
+import ApiRequester from '../../utils/api-requester';
+import ResponseCache from '../ResponseCache';
+import Emitter from '../../utils/Emitter';
+import { FAVORITE_ADDED } from '../../websocket-client';
+
+const server = 'localhost';
+const infosPath = 'confd/1.1/infos';
+const userPath = 'confd/1.1/users/123';
+const favoritesPath = 'dird/0.1/directories/favorites/default';
+
+const response = (status, data = {}, headers = {}) => ({
+  headers: { get: name => (name === 'content-type' ? 'application/json' : headers[name] || null) },
+  status,
+  json: () => Promise.resolve(data),
+});
+
+describe('ResponseCache', () => {
+  it('should return fresh entries without calling the server', async () => {
+    const transport = jest.fn(() => Promise.resolve(response(200, { uuid: 'abc' })));
+    const requester = new ApiRequester({ server, transport, responseCache: new ResponseCache() });
+
+    await requester.call(infosPath);
+    const result = await requester.call(infosPath);
+
+    expect(result).toEqual({ uuid: 'abc' });
+    expect(transport).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not share the entries between tenants and tokens', async () => {
+    const transport = jest.fn(() => Promise.resolve(response(200, { uuid: 'abc' })));
+    const requester = new ApiRequester({ server, transport, responseCache: new ResponseCache(), token: 'token-1' });
+
+    await requester.call(infosPath);
+    requester.setTenant('tenant-2');
+    await requester.call(infosPath);
+    requester.setToken('token-2');
+    await requester.call(infosPath);
+    await requester.call(infosPath);
+
+    expect(transport).toHaveBeenCalledTimes(3);
+  });
+
+  it('should return a copy of the cached data', async () => {
+    const transport = jest.fn(() => Promise.resolve(response(200, { uuid: 'abc' })));
+    const requester = new ApiRequester({ server, transport, responseCache: new ResponseCache() });
+
+    const first = await requester.call(infosPath);
+    first.uuid = 'changed';
+    const second = await requester.call(infosPath);
+    second.uuid = 'changed again';
+
+    expect(await requester.call(infosPath)).toEqual({ uuid: 'abc' });
+  });
+
+  it('should not cache paths without policy', async () => {
+    const transport = jest.fn(() => Promise.resolve(response(200)));
+    const requester = new ApiRequester({ server, transport, responseCache: new ResponseCache() });
+
+    await requester.call('confd/1.1/users/123/external/apps');
+    await requester.call('confd/1.1/users/123/external/apps');
+
+    expect(transport).toHaveBeenCalledTimes(2);
+  });
+
+  it('should send conditional headers and use the cache on 304', async () => {
+    let calls = 0;
+    const transport = jest.fn(() => Promise.resolve(++calls === 1
+      ? response(200, { uuid: 'abc' }, { etag: '"v1"', 'last-modified': 'Wed, 21 Oct 2015 07:28:00 GMT' })
+      : response(304)));
+    const cache = new ResponseCache([{ pattern: /^confd\/[^/]+\/infos$/, ttl: 0 }]);
+    const requester = new ApiRequester({ server, transport, responseCache: cache });
+
+    await requester.call(infosPath, 'get', null, {});
+    const result = await requester.call(infosPath, 'get', null, {});
+
+    expect(result).toEqual({ uuid: 'abc' });
+    expect(transport.mock.calls[1][1].headers).toEqual({
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Wed, 21 Oct 2015 07:28:00 GMT',
+    });
+  });
+
+  it('should invalidate entries on mutations', async () => {
+    const transport = jest.fn(() => Promise.resolve(response(200)));
+    const requester = new ApiRequester({ server, transport, responseCache: new ResponseCache() });
+
+    await requester.call(userPath);
+    await requester.call(`${userPath}/forwards/busy`, 'put', { enabled: true });
+    await requester.call(userPath);
+
+    expect(transport).toHaveBeenCalledTimes(3);
+  });
+
+  it('should invalidate entries on WebSocket events', async () => {
+    const transport = jest.fn(() => Promise.resolve(response(200)));
+    const cache = new ResponseCache();
+    const requester = new ApiRequester({ server, transport, responseCache: cache });
+    const ws = new Emitter();
+    const unbind = cache.bindWebSocket(ws);
+
+    await requester.call(favoritesPath);
+    await requester.call(infosPath);
+    ws.eventEmitter.emit(FAVORITE_ADDED, {});
+    await requester.call(favoritesPath);
+    await requester.call(infosPath);
+
+    expect(transport.mock.calls.map(call => call[0])).toEqual([
+      `https://${server}/api/${favoritesPath}`,
+      `https://${server}/api/${infosPath}`,
+      `https://${server}/api/${favoritesPath}`,
+    ]);
+
+    unbind();
+    ws.eventEmitter.emit(FAVORITE_ADDED, {});
+    await requester.call(favoritesPath);
+    expect(transport).toHaveBeenCalledTimes(3);
+  });
+
+  it('should invalidate entries explicitly', async () => {
+    const transport = jest.fn(() => Promise.resolve(response(200)));
+    const cache = new ResponseCache();
+    const requester = new ApiRequester({ server, transport, responseCache: cache });
+
+    await requester.call(infosPath);
+    cache.invalidate('confd/');
+    await requester.call(infosPath);
+
+    expect(transport).toHaveBeenCalledTimes(2);
+  });
+});
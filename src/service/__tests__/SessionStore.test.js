@@ -0,0 +1,51 @@
+// Loaded first to resolve the circular import between IssueReporter and ApiRequester
+import '../../utils/api-requester';
+import SessionStore from '../SessionStore';
+import MemoryStorage from '../../utils/storage/MemoryStorage';
+import EncryptedStorage from '../../utils/storage/EncryptedStorage';
+
+const reverse = value => value.split('').reverse().join('');
+
+describe('SessionStore', () => {
+  it('should merge saved values', async () => {
+    const storage = new MemoryStorage();
+    const store = new SessionStore({ storage });
+
+    await store.save({ host: 'stack.example.com', token: 'token', refreshToken: 'refresh-1' });
+    await store.save({ token: 'new-token' });
+
+    expect(await new SessionStore({ storage }).load()).toEqual({
+      host: 'stack.example.com',
+      token: 'new-token',
+      refreshToken: 'refresh-1',
+    });
+  });
+
+  it('should clear the stored session', async () => {
+    const store = new SessionStore();
+
+    await store.save({ token: 'token' });
+    await store.clear();
+
+    expect(await store.load()).toBe(null);
+  });
+
+  it('should drop a corrupted session', async () => {
+    const storage = new MemoryStorage();
+    await storage.setItem('wazo-session', '{not json');
+
+    expect(await new SessionStore({ storage }).load()).toBe(null);
+    expect(await storage.getItem('wazo-session')).toBe(null);
+  });
+
+  it('should encrypt values with an EncryptedStorage', async () => {
+    const memory = new MemoryStorage();
+    const storage = new EncryptedStorage({ storage: memory, encrypt: reverse, decrypt: reverse });
+    const store = new SessionStore({ storage });
+
+    await store.save({ refreshToken: 'refresh-1' });
+
+    expect(await memory.getItem('wazo-session')).toBe(reverse(JSON.stringify({ refreshToken: 'refresh-1' })));
+    expect(await new SessionStore({ storage }).load()).toEqual({ refreshToken: 'refresh-1' });
+  });
+});
@@ -0,0 +1,132 @@
+// Loaded first to resolve the circular import between IssueReporter and ApiRequester
+import '../../utils/api-requester';
+import TokenRefreshScheduler, {
+  ON_TOKEN_REFRESHING,
+  ON_TOKEN_REFRESHED,
+  ON_TOKEN_REFRESH_FAILED,
+  ON_SESSION_EXPIRED,
+} from '../TokenRefreshScheduler';
+import BadResponse from '../../domain/BadResponse';
+import Session from '../../domain/Session';
+
+const flushPromises = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+const inMs = delay => new Date(Date.now() + delay);
+
+describe('TokenRefreshScheduler', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should refresh the token before the session expires', async () => {
+    const session = new Session({ token: 'new-token', expiresAt: inMs(3600 * 1000) });
+    const refresh = jest.fn(() => Promise.resolve(session));
+    const scheduler = new TokenRefreshScheduler({ refresh, margin: 60 * 1000 });
+    const onRefreshing = jest.fn();
+    const onRefreshed = jest.fn();
+    scheduler.on(ON_TOKEN_REFRESHING, onRefreshing);
+    scheduler.on(ON_TOKEN_REFRESHED, onRefreshed);
+
+    scheduler.schedule(inMs(120 * 1000));
+
+    jest.advanceTimersByTime(59 * 1000);
+    expect(refresh).not.toBeCalled();
+
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(onRefreshing).toHaveBeenCalledTimes(1);
+    expect(onRefreshed).toHaveBeenCalledWith(session);
+    expect(scheduler.expiresAt).toBe(session.expiresAt);
+
+    scheduler.stop();
+  });
+
+  it('should share a pending refresh', async () => {
+    const refresh = jest.fn(() => Promise.resolve(new Session({ token: 'new-token', expiresAt: inMs(3600 * 1000) })));
+    const scheduler = new TokenRefreshScheduler({ refresh });
+
+    const [first, second] = await Promise.all([scheduler.refresh(), scheduler.refresh()]);
+
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(first).toBe(second);
+
+    scheduler.stop();
+  });
+
+  it('should retry while the token is still valid', async () => {
+    const refresh = jest.fn(() => Promise.reject(new Error('Failed to fetch')));
+    const scheduler = new TokenRefreshScheduler({ refresh, margin: 60 * 1000, retryDelay: 10 * 1000 });
+    const onFailed = jest.fn();
+    scheduler.on(ON_TOKEN_REFRESH_FAILED, onFailed);
+
+    scheduler.schedule(inMs(60 * 1000));
+    jest.advanceTimersByTime(0);
+    await flushPromises();
+
+    expect(onFailed).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(10 * 1000);
+    await flushPromises();
+
+    expect(refresh).toHaveBeenCalledTimes(2);
+
+    scheduler.stop();
+  });
+
+  it('should expire the session when the refresh token is revoked', async () => {
+    const refresh = jest.fn(() => Promise.reject(new BadResponse('Unauthorized', 401)));
+    const scheduler = new TokenRefreshScheduler({ refresh });
+    const onExpired = jest.fn();
+    scheduler.on(ON_SESSION_EXPIRED, onExpired);
+
+    scheduler.schedule(inMs(3600 * 1000));
+    await scheduler.refresh();
+
+    expect(onExpired).toHaveBeenCalledTimes(1);
+    expect(scheduler.isActive()).toBe(false);
+  });
+
+  it('should expire the session without refresh token', async () => {
+    const scheduler = new TokenRefreshScheduler({ refresh: () => Promise.resolve(null) });
+    const onExpired = jest.fn();
+    scheduler.on(ON_SESSION_EXPIRED, onExpired);
+
+    await scheduler.refresh();
+
+    expect(onExpired).toHaveBeenCalledTimes(1);
+  });
+
+  it('should wait for the session to expire without refresh token', async () => {
+    const refresh = jest.fn(() => Promise.resolve(null));
+    const scheduler = new TokenRefreshScheduler({ refresh, canRefresh: () => false, margin: 60 * 1000 });
+    const onExpired = jest.fn();
+    scheduler.on(ON_SESSION_EXPIRED, onExpired);
+
+    scheduler.schedule(inMs(120 * 1000));
+    jest.advanceTimersByTime(119 * 1000);
+    expect(onExpired).not.toBeCalled();
+
+    jest.advanceTimersByTime(1000);
+    expect(onExpired).toHaveBeenCalledTimes(1);
+    expect(refresh).not.toBeCalled();
+  });
+
+  it('should keep the session until it expires when a refresh returns nothing', async () => {
+    const scheduler = new TokenRefreshScheduler({ refresh: () => Promise.resolve(null) });
+    const onExpired = jest.fn();
+    scheduler.on(ON_SESSION_EXPIRED, onExpired);
+
+    scheduler.schedule(inMs(3600 * 1000));
+    await scheduler.refresh();
+    expect(onExpired).not.toBeCalled();
+
+    jest.advanceTimersByTime(3600 * 1000);
+    expect(onExpired).toHaveBeenCalledTimes(1);
+  });
+});
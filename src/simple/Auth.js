@@ -2,24 +2,44 @@
 /* eslint-disable max-classes-per-file */
 import Session from '../domain/Session';
 import { DETAULT_EXPIRATION } from '../api/auth';
-import getApiClient, {
-  setCurrentServer,
-  setApiToken,
-  setRefreshToken,
-  setApiClientId,
-  setRefreshExpiration,
-  setOnRefreshToken,
-} from '../service/getApiClient';
 import IssueReporter from '../service/IssueReporter';
-
-import Wazo from './index';
+import * as TokenRefreshEvents from '../service/TokenRefreshScheduler';
+import { AUTH_SESSION_EXPIRE_SOON } from '../websocket-client';
+import Emitter from '../utils/Emitter';
+import type SessionStore from '../service/SessionStore';
+import MemoryStorage from '../utils/storage/MemoryStorage';
+import LocalStorage from '../utils/storage/LocalStorage';
+import type { StorageAdapter } from '../utils/storage/StorageAdapter';
+import {
+  generateCodeVerifier,
+  generateCodeChallenge,
+  generateState,
+  parseAuthorizationCallback,
+} from '../utils/pkce';
+import globalContext from './globalContext';
+import type { SimpleContext } from './globalContext';
 
 export class InvalidSubscription extends Error {}
 export class InvalidAuthorization extends Error {}
+export class InvalidSsoResponse extends Error {}
+
+export const ON_LOGGED_OUT = 'onLoggedOut';
+
+const {
+  ON_TOKEN_REFRESHING,
+  ON_TOKEN_REFRESHED,
+  ON_TOKEN_REFRESH_FAILED,
+  ON_SESSION_EXPIRED,
+} = TokenRefreshEvents;
+const FORWARDED_REFRESH_EVENTS = [ON_TOKEN_REFRESHING, ON_TOKEN_REFRESHED, ON_TOKEN_REFRESH_FAILED];
+
+// The pending SSO flow has to survive the redirection to the identity provider
+const PENDING_SSO_KEY = 'wazo-pending-sso';
 
 const logger = IssueReporter.loggerFor('simple-auth');
 
-class Auth {
+class Auth extends Emitter {
+  context: SimpleContext;
   clientId: string;
   expiration: number;
   minSubscriptionType: number;
@@ -29,10 +49,31 @@ class Auth {
   onRefreshTokenCallback: ?Function;
   authenticated: boolean;
   mobile: boolean;
-
-  constructor() {
+  refreshMargin: ?number;
+  sessionStore: ?SessionStore;
+  ssoStorage: StorageAdapter;
+  _unbindTokenRefresh: ?Function;
+  ON_TOKEN_REFRESHING: string;
+  ON_TOKEN_REFRESHED: string;
+  ON_TOKEN_REFRESH_FAILED: string;
+  ON_LOGGED_OUT: string;
+
+  constructor(context: SimpleContext = globalContext) {
+    super();
+    this.context = context;
     this.expiration = DETAULT_EXPIRATION;
     this.authenticated = false;
+    this.refreshMargin = null;
+    this.sessionStore = null;
+    // The pending SSO flow has to survive the redirection to the identity provider
+    this.ssoStorage = global.sessionStorage ? new LocalStorage(global.sessionStorage) : new MemoryStorage();
+    this._unbindTokenRefresh = null;
+
+    // Sugar syntax for `Wazo.Auth.EVENT_NAME`
+    this.ON_TOKEN_REFRESHING = ON_TOKEN_REFRESHING;
+    this.ON_TOKEN_REFRESHED = ON_TOKEN_REFRESHED;
+    this.ON_TOKEN_REFRESH_FAILED = ON_TOKEN_REFRESH_FAILED;
+    this.ON_LOGGED_OUT = ON_LOGGED_OUT;
   }
 
   init(clientId: string, expiration: number, minSubscriptionType: number, authorizationName: ?string, mobile: boolean) {
@@ -44,12 +85,22 @@ class Auth {
     this.session = null;
     this.mobile = mobile || false;
 
-    setApiClientId(this.clientId);
-    setRefreshExpiration(this.expiration);
-    setOnRefreshToken((token: string, session: Session) => {
+    this.context.setApiClientId(this.clientId);
+    this.context.setRefreshExpiration(this.expiration);
+    this.context.setOnRefreshToken((token: string, session: Session) => {
       logger.info('on refresh token done', { token });
-      setApiToken(token);
-      Wazo.Websocket.updateToken(token);
+      this.context.setApiToken(token);
+      if (session.refreshToken) {
+        this.context.setRefreshToken(session.refreshToken);
+      }
+      this.context.Websocket.updateToken(token);
+      this.context.Phone.updateToken(token);
+
+      if (this.session) {
+        this.session.token = token;
+        this.session.expiresAt = session.expiresAt;
+      }
+      this._persistSession(session);
 
       if (this.onRefreshTokenCallback) {
         this.onRefreshTokenCallback(token, session);
@@ -58,7 +109,7 @@ class Auth {
   }
 
   async logIn(username: string, password: string) {
-    const rawSession = await getApiClient().auth.logIn({
+    const rawSession = await this.context.getApiClient().auth.logIn({
       username,
       password,
       expiration: this.expiration,
@@ -67,8 +118,139 @@ class Auth {
     return this._onAuthenticated(rawSession);
   }
 
+  // Authorization code flow with PKCE, redirect the user to the returned URL
+  async getAuthorizeUrl({
+    authorizationEndpoint,
+    clientId,
+    redirectUri,
+    scope,
+    extraParams,
+  }: {
+    authorizationEndpoint: string,
+    clientId: string,
+    redirectUri: string,
+    scope?: string,
+    extraParams?: Object,
+  }): Promise<string> {
+    const codeVerifier = generateCodeVerifier();
+    const state = generateState();
+
+    await this.ssoStorage.setItem(PENDING_SSO_KEY, JSON.stringify({ codeVerifier, state, redirectUri }));
+
+    return this.context.getApiClient().auth.buildAuthorizeUrl({
+      authorizationEndpoint,
+      clientId,
+      redirectUri,
+      codeChallenge: generateCodeChallenge(codeVerifier),
+      state,
+      scope,
+      extraParams,
+    });
+  }
+
+  // Called with the URL the identity provider redirected to
+  async logInWithAuthorizationCallback(callbackUrl: string, backend: ?string = null) {
+    const { code, state, error, errorDescription } = parseAuthorizationCallback(callbackUrl);
+    const pending = await this._popPendingSso();
+
+    if (error) {
+      throw new InvalidSsoResponse(errorDescription || error);
+    }
+    if (!pending || !pending.codeVerifier || !code) {
+      throw new InvalidSsoResponse('No pending authorization for this callback.');
+    }
+    if (pending.state !== state) {
+      throw new InvalidSsoResponse('Invalid authorization state.');
+    }
+
+    const rawSession = await this.context.getApiClient().auth.logInWithAuthorizationCode({
+      code,
+      codeVerifier: pending.codeVerifier,
+      redirectUri: pending.redirectUri,
+      backend: backend || undefined,
+      expiration: this.expiration,
+      mobile: this.mobile,
+    });
+
+    return this._onAuthenticated(rawSession);
+  }
+
+  // SAML flow, redirect the user to the returned URL
+  async getSamlLoginUrl(redirectUrl: string, domain: string): Promise<string> {
+    const { location, samlSessionId } = await this.context.getApiClient().auth.initiateSamlLogin(redirectUrl, domain);
+
+    await this.ssoStorage.setItem(PENDING_SSO_KEY, JSON.stringify({ samlSessionId }));
+
+    return location;
+  }
+
+  // Called once the identity provider redirected to `redirectUrl`
+  async logInWithSamlCallback() {
+    const pending = await this._popPendingSso();
+    if (!pending || !pending.samlSessionId) {
+      throw new InvalidSsoResponse('No pending SAML login.');
+    }
+
+    const rawSession = await this.context.getApiClient().auth.logInWithSamlSession({
+      samlSessionId: pending.samlSessionId,
+      expiration: this.expiration,
+      mobile: this.mobile,
+    });
+
+    return this._onAuthenticated(rawSession);
+  }
+
+  // Authenticates with the session saved in the session store, if any
+  async restoreSession(): Promise<?Session> {
+    const { sessionStore } = this;
+    if (!sessionStore) {
+      return null;
+    }
+
+    const stored = await sessionStore.load().catch(e => {
+      logger.warn('unable to load stored session', e);
+    });
+    if (!stored || (!stored.token && !stored.refreshToken)) {
+      return null;
+    }
+
+    const { host, token, refreshToken } = stored;
+    if (host) {
+      this.setHost(host);
+    }
+
+    let session = null;
+    if (token) {
+      // $FlowFixMe
+      session = await this.validateToken(token, refreshToken);
+    }
+
+    if (!session && refreshToken) {
+      try {
+        this.context.setRefreshToken(refreshToken);
+        session = await this.logInViaRefreshToken(refreshToken);
+      } catch (e) {
+        logger.warn('unable to restore session with the stored refresh token', e);
+      }
+    }
+
+    if (!session) {
+      await sessionStore.clear();
+      return null;
+    }
+
+    logger.info('session restored', { uuid: session.uuid });
+
+    return session;
+  }
+
   async logInViaRefreshToken(refreshToken: string) {
-    const rawSession = await getApiClient().auth.refreshToken(refreshToken, null, this.expiration, this.mobile);
+    const rawSession = await this.context.getApiClient().auth.refreshToken(
+      refreshToken,
+      null,
+      this.expiration,
+      this.mobile,
+    );
     return this._onAuthenticated(rawSession);
   }
 
@@ -78,12 +260,12 @@ class Auth {
     }
 
     if (refreshToken) {
-      setRefreshToken(refreshToken);
+      this.context.setRefreshToken(refreshToken);
     }
 
     // Check if the token is valid
     try {
-      const rawSession = await getApiClient().auth.authenticate(token);
+      const rawSession = await this.context.getApiClient().auth.authenticate(token);
       return this._onAuthenticated(rawSession);
     } catch (e) {
       return false;
@@ -91,31 +273,44 @@ class Auth {
   }
 
   async generateNewToken(refreshToken: string) {
-    return getApiClient().auth.refreshToken(refreshToken, null, this.expiration);
+    return this.context.getApiClient().auth.refreshToken(refreshToken, null, this.expiration);
   }
 
   async logout(deleteRefreshToken: boolean = true) {
+    this._stopTokenRefresh();
+
     try {
-      Wazo.Websocket.close(true);
+      this.context.Websocket.close(true);
 
       if (this.clientId && deleteRefreshToken) {
-        await getApiClient().auth.deleteRefreshToken(this.clientId);
+        await this.context.getApiClient().auth.deleteRefreshToken(this.clientId);
       }
     } catch (e) {
       // Nothing to
     }
 
     try {
-      await getApiClient().auth.logOut(this.session ? this.session.token : null);
+      await this.context.getApiClient().auth.logOut(this.session ? this.session.token : null);
     } catch (e) {
       // Nothing to
     }
 
-    setApiToken(null);
-    setRefreshToken(null);
+    this.context.setApiToken(null);
+    this.context.setRefreshToken(null);
+    this.context.getApiClient().invalidateCache();
+
+    if (this.sessionStore) {
+      try {
+        await this.sessionStore.clear();
+      } catch (e) {
+        logger.warn('unable to clear stored session', e);
+      }
+    }
 
     this.session = null;
     this.authenticated = false;
+
+    this.eventEmitter.emit(ON_LOGGED_OUT);
   }
 
   setOnRefreshToken(callback: Function) {
@@ -143,19 +338,38 @@ class Auth {
   setHost(host: string) {
     this.host = host;
 
-    setCurrentServer(host);
+    this.context.setCurrentServer(host);
   }
 
   setApiToken(token: string) {
-    setApiToken(token);
+    this.context.setApiToken(token);
   }
 
   setRefreshToken(refreshToken: string) {
-    setRefreshToken(refreshToken);
+    this.context.setRefreshToken(refreshToken);
   }
 
   forceRefreshToken() {
-    getApiClient().forceRefreshToken();
+    this.context.getApiClient().forceRefreshToken();
+  }
+
+  // Where the pending SSO flow is kept during the redirection, `sessionStorage` by default in browsers
+  setSsoStorage(storage: StorageAdapter) {
+    this.ssoStorage = storage;
+  }
+
+  // Persists the session on login and token refresh so it can be restored with `restoreSession`
+  setSessionStore(sessionStore: ?SessionStore) {
+    this.sessionStore = sessionStore;
+  }
+
+  // Delay, in ms, between the proactive token refresh and the session expiration
+  setTokenRefreshMargin(margin: number) {
+    this.refreshMargin = margin;
+
+    if (this._unbindTokenRefresh) {
+      this.context.getApiClient().tokenRefreshScheduler.setMargin(margin);
+    }
   }
 
   setIsMobile(mobile: boolean) {
@@ -188,7 +402,7 @@ class Auth {
   setClientId(clientId: string) {
     this.clientId = clientId;
 
-    setApiClientId(this.clientId);
+    this.context.setApiClientId(this.clientId);
   }
 
   getName() {
@@ -204,15 +418,15 @@ class Auth {
       return null;
     }
 
-    setApiToken(session.token);
+    this.context.setApiToken(session.token);
     if (session.refreshToken) {
-      setRefreshToken(session.refreshToken);
+      this.context.setRefreshToken(session.refreshToken);
     }
 
     try {
       const [profile, { wazo_version: engineVersion }] = await Promise.all([
-        getApiClient().confd.getUser(session.uuid),
-        getApiClient().confd.getInfos(),
+        this.context.getApiClient().confd.getUser(session.uuid),
+        this.context.getApiClient().confd.getInfos(),
       ]);
 
       session.engineVersion = engineVersion;
@@ -223,17 +437,17 @@ class Auth {
     } catch (e) {
       // Destroy tokens when validation fails
       if (this.clientId) {
-        await getApiClient().auth.deleteRefreshToken(this.clientId);
+        await this.context.getApiClient().auth.deleteRefreshToken(this.clientId);
       }
       if (session) {
-        await getApiClient().auth.logOut(session.token);
+        await this.context.getApiClient().auth.logOut(session.token);
       }
 
       throw e;
     }
 
     try {
-      const sipLines = await getApiClient().confd.getUserLinesSip(
+      const sipLines = await this.context.getApiClient().confd.getUserLinesSip(
         session.uuid,
         // $FlowFixMe
         session.profile.lines.map(line => line.id),
@@ -247,16 +461,93 @@ class Auth {
 
     this.authenticated = true;
 
-    Wazo.Websocket.open(this.host, session);
+    this.context.Websocket.open(this.host, session);
 
     this.session = session;
 
+    this._persistSession(session);
+    this._startTokenRefresh(session);
+
     return session;
   }
+
+  async _popPendingSso(): Promise<?Object> {
+    const raw = await this.ssoStorage.getItem(PENDING_SSO_KEY);
+    await this.ssoStorage.removeItem(PENDING_SSO_KEY);
+
+    try {
+      return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  _persistSession(session: Session) {
+    const { sessionStore } = this;
+    if (!sessionStore) {
+      return;
+    }
+
+    // Refreshed sessions only carry a refresh token when it has been rotated
+    const { refreshToken } = this.context.getApiClient();
+
+    sessionStore.save({
+      host: this.host,
+      token: session.token,
+      refreshToken: session.refreshToken || refreshToken,
+      expiresAt: session.expiresAt ? session.expiresAt.toISOString() : null,
+    }).catch(e => {
+      logger.warn('unable to persist session', e);
+    });
+  }
+
+  _startTokenRefresh(session: Session) {
+    this._stopTokenRefresh();
+
+    const apiClient = this.context.getApiClient();
+    const scheduler = apiClient.tokenRefreshScheduler;
+    const forwarders = FORWARDED_REFRESH_EVENTS.map(event => {
+      const forward = (...args) => this.eventEmitter.emit(event, ...args);
+      scheduler.on(event, forward);
+      return [event, forward];
+    });
+    const onSessionExpired = () => this.logout(false);
+    const onExpireSoon = (payload: Object) => {
+      const sessionUuid = payload && payload.data ? payload.data.uuid : null;
+      if (sessionUuid && session.sessionUuid && sessionUuid !== session.sessionUuid) {
+        return;
+      }
+
+      logger.info('session expiring soon, refreshing token', { sessionUuid });
+      scheduler.refresh();
+    };
+
+    scheduler.on(ON_SESSION_EXPIRED, onSessionExpired);
+    this.context.Websocket.on(AUTH_SESSION_EXPIRE_SOON, onExpireSoon);
+
+    this._unbindTokenRefresh = () => {
+      forwarders.forEach(([event, forward]) => scheduler.off(event, forward));
+      scheduler.off(ON_SESSION_EXPIRED, onSessionExpired);
+      this.context.Websocket.off(AUTH_SESSION_EXPIRE_SOON, onExpireSoon);
+    };
+
+    apiClient.scheduleTokenRefresh(session.expiresAt, this.refreshMargin);
+  }
+
+  _stopTokenRefresh() {
+    if (!this._unbindTokenRefresh) {
+      return;
+    }
+
+    this._unbindTokenRefresh();
+    this._unbindTokenRefresh = null;
+    this.context.getApiClient().stopTokenRefresh();
+  }
 }
 
 if (!global.wazoAuthInstance) {
   global.wazoAuthInstance = new Auth();
 }
 
+export { Auth as AuthClass };
 export default global.wazoAuthInstance;
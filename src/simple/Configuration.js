@@ -1,12 +1,17 @@
 // @flow
-import Auth from './Auth';
-import getApiClient from '../service/getApiClient';
+import globalContext from './globalContext';
+import type { SimpleContext } from './globalContext';
 
 class Configuration {
+  context: SimpleContext;
+
+  constructor(context: SimpleContext = globalContext) {
+    this.context = context;
+  }
 
   async getCurrentUser() {
-    const session = Auth.getSession();
-    return getApiClient().confd.getUser(session ? session.uuid : '');
+    const session = this.context.Auth.getSession();
+    return this.context.getApiClient().confd.getUser(session ? session.uuid : '');
   }
 
 }
@@ -15,4 +20,5 @@ if (!global.wazoConfigurationInstance) {
   global.wazoConfigurationInstance = new Configuration();
 }
 
+export { Configuration as ConfigurationClass };
 export default global.wazoConfigurationInstance;
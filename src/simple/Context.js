@@ -0,0 +1,101 @@
+// @flow
+import WazoApiClient from '../api-client';
+import type Session from '../domain/Session';
+import { AuthClass } from './Auth';
+import { WebsocketClass } from './Websocket';
+import { PhoneClass } from './Phone';
+import { DirectoryClass } from './Directory';
+import { ConfigurationClass } from './Configuration';
+import type { SimpleContext } from './globalContext';
+
+type ContextArguments = {
+  server?: string,
+  clientId?: string,
+  agent?: ?Object,
+  isMobile?: boolean,
+};
+
+/**
+ * Isolated `Auth`, `Websocket`, `Phone`, `Directory` and `Configuration` instances with their own `ApiClient`, eg:
+ *
+ * const tenant1 = Wazo.createContext({ server: 'stack1.example.com' });
+ * const tenant2 = Wazo.createContext({ server: 'stack2.example.com' });
+ * await tenant1.Auth.logIn('alice', 'secret');
+ * await tenant2.Auth.logIn('bob', 'secret');
+ * const room = await Wazo.Room.connect({ extension: '4000', context: tenant1 });
+ */
+export default class Context implements SimpleContext {
+  apiClient: WazoApiClient;
+  Auth: AuthClass;
+  Websocket: WebsocketClass;
+  Phone: PhoneClass;
+  Directory: DirectoryClass;
+  Configuration: ConfigurationClass;
+
+  constructor({ server = '', clientId, agent = null, isMobile = false }: ContextArguments = {}) {
+    this.apiClient = new WazoApiClient({ server, clientId, agent, isMobile });
+
+    this.Auth = new AuthClass(this);
+    this.Websocket = new WebsocketClass(this);
+    this.Phone = new PhoneClass(this);
+    this.Directory = new DirectoryClass(this);
+    this.Configuration = new ConfigurationClass(this);
+
+    if (server) {
+      this.Auth.setHost(server);
+    }
+  }
+
+  getApiClient(): WazoApiClient {
+    return this.apiClient;
+  }
+
+  getSession(): ?Session {
+    return this.Auth.getSession();
+  }
+
+  setCurrentServer(server: string) {
+    const { agent, clientId, token, tenant } = this.apiClient.client;
+
+    if (server === this.apiClient.client.server) {
+      return;
+    }
+
+    this.apiClient.updateParameters({ server, agent, clientId });
+    this.apiClient.setToken(token);
+    if (tenant) {
+      this.apiClient.setTenant(tenant);
+    }
+  }
+
+  setApiToken(token: ?string) {
+    // $FlowFixMe
+    this.apiClient.setToken(token);
+  }
+
+  setRefreshToken(refreshToken: ?string) {
+    this.apiClient.setRefreshToken(refreshToken);
+  }
+
+  setApiClientId(clientId: string) {
+    this.apiClient.setClientId(clientId);
+  }
+
+  setRefreshExpiration(expiration: number) {
+    this.apiClient.setRefreshExpiration(expiration);
+  }
+
+  setOnRefreshToken(callback: Function) {
+    this.apiClient.setOnRefreshToken(callback);
+  }
+
+  setIsMobile(isMobile: boolean) {
+    this.apiClient.setIsMobile(isMobile);
+  }
+
+  // Closes the WebSocket and the SIP connection without logging out
+  destroy() {
+    this.Phone.disconnect();
+    this.Websocket.close(true);
+  }
+}
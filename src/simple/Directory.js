@@ -1,10 +1,16 @@
 // @flow
-import getApiClient from '../service/getApiClient';
+import globalContext from './globalContext';
+import type { SimpleContext } from './globalContext';
 
 class Directory {
+  context: SimpleContext;
+
+  constructor(context: SimpleContext = globalContext) {
+    this.context = context;
+  }
 
   async findMultipleContactsByNumber(numbers: string[]) {
-    return getApiClient().dird.findMultipleContactsByNumber(numbers);
+    return this.context.getApiClient().dird.findMultipleContactsByNumber(numbers);
   }
 
 }
@@ -13,4 +19,5 @@ if (!global.wazoDirectoryInstance) {
   global.wazoDirectoryInstance = new Directory();
 }
 
+export { Directory as DirectoryClass };
 export default global.wazoDirectoryInstance;
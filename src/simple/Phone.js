@@ -7,18 +7,74 @@ import { SessionState } from 'sip.js/lib/api/session-state';
 import type SipLine from '../domain/SipLine';
 import type Session from '../domain/Session';
 import type CallSession from '../domain/CallSession';
+import IndirectTransfer from '../domain/IndirectTransfer';
+import ParkedCall from '../domain/ParkedCall';
+import { PICKUP_PREFIX } from '../domain/CallSession';
+import Call from '../domain/Call';
 import AdHocAPIConference from '../domain/AdHocAPIConference';
+import AdHocLocalConference from '../domain/AdHocLocalConference';
 import WebRTCPhone, * as PHONE_EVENTS from '../domain/Phone/WebRTCPhone';
+import CTIPhone from '../domain/Phone/CTIPhone';
 import WazoWebRTCClient, { events as clientEvents, transportEvents } from '../web-rtc-client';
+import {
+  CALL_UPDATED,
+  CALL_PARKED,
+  CALL_UNPARKED,
+  PARKED_CALL_HUNGUP,
+  PARKED_CALL_TIMED_OUT,
+  TRANSFER_UPDATED,
+  TRANSFER_ANSWERED,
+  TRANSFER_CANCELLED,
+  TRANSFER_COMPLETED,
+  TRANSFER_ABANDONED,
+} from '../websocket-client';
 import IssueReporter from '../service/IssueReporter';
+import CallApi from '../service/CallApi';
+import MediaDeviceManager, {
+  ON_DEVICES_CHANGED,
+  ON_DEVICE_PLUGGED,
+  ON_DEVICE_UNPLUGGED,
+  ON_DEVICE_SELECTED,
+  ON_DEVICE_FALLBACK,
+  DEVICE_AUDIO_INPUT,
+  DEVICE_AUDIO_OUTPUT,
+  DEVICE_RING_OUTPUT,
+  DEVICE_VIDEO_INPUT,
+  DEVICE_TYPES,
+} from '../service/MediaDeviceManager';
+import type { StorageAdapter } from '../utils/storage/StorageAdapter';
+import LocalStorage from '../utils/storage/LocalStorage';
+import MemoryStorage from '../utils/storage/MemoryStorage';
+import type { LocalRecorderOptions } from '../utils/LocalRecorder';
+import type { AudioProcessor } from '../utils/AudioProcessingChain';
+import type { VideoEffect, VideoSegmenter } from '../utils/VideoProcessingPipeline';
+import type { MediaPreferences } from '../utils/sdp';
 import Emitter from '../utils/Emitter';
 
 import Stream from './room/Stream';
-import Wazo from './index';
+import globalContext from './globalContext';
+import type { SimpleContext } from './globalContext';
 
 const MESSAGE_TYPE_CHAT = 'message/TYPE_CHAT';
 const MESSAGE_TYPE_SIGNAL = 'message/TYPE_SIGNAL';
 
+// Parking WebSocket events, re-emitted with a `ParkedCall`
+const PARKING_EVENTS = {
+  [CALL_PARKED]: 'phone/ON_PARKED_CALL_ADDED',
+  [CALL_UNPARKED]: 'phone/ON_PARKED_CALL_RETRIEVED',
+  [PARKED_CALL_HUNGUP]: 'phone/ON_PARKED_CALL_HUNGUP',
+  [PARKED_CALL_TIMED_OUT]: 'phone/ON_PARKED_CALL_TIMED_OUT',
+};
+
+// Progress of the transfers made through calld, applied to the CTI phone
+const TRANSFER_EVENTS = [
+  TRANSFER_UPDATED,
+  TRANSFER_ANSWERED,
+  TRANSFER_CANCELLED,
+  TRANSFER_COMPLETED,
+  TRANSFER_ABANDONED,
+];
+
 const logger = IssueReporter.loggerFor('simple-phone');
 const sipLogger = IssueReporter.loggerFor('sip.js');
 const protocolLogger = IssueReporter.loggerFor('sip');
@@ -26,17 +82,53 @@ const protocolLogger = IssueReporter.loggerFor('sip');
 const protocolDebugMessages = ['Received WebSocket text message:', 'Sending WebSocket message:'];
 
 class Phone extends Emitter {
+  context: SimpleContext;
+  callQualityThresholds: ?Object;
+  maxCalls: ?number;
+  devices: MediaDeviceManager;
   client: WazoWebRTCClient;
   phone: ?WebRTCPhone;
+  ctiPhone: ?CTIPhone;
   session: Session;
   sipLine: ?SipLine;
+  _onCallUpdated: Function;
+  _onParkingEvent: Function;
+  _onTransferEvent: Function;
+  _adHocAPIEnabled: ?boolean;
 
   ON_CHAT: string;
   ON_SIGNAL: string;
+  ON_PARKED_CALL_ADDED: string;
+  ON_PARKED_CALL_RETRIEVED: string;
+  ON_PARKED_CALL_HUNGUP: string;
+  ON_PARKED_CALL_TIMED_OUT: string;
   SessionState: Object;
 
-  constructor() {
+  constructor(context: SimpleContext = globalContext) {
     super();
+    this.context = context;
+    this.callQualityThresholds = null;
+    this.maxCalls = null;
+    this.ctiPhone = null;
+    this._adHocAPIEnabled = null;
+    // Preferred devices are remembered across reloads in browsers
+    const storage = global.localStorage ? new LocalStorage(global.localStorage) : new MemoryStorage();
+    this.devices = new MediaDeviceManager({ storage });
+    this._onCallUpdated = (payload: Object) => {
+      if (this.phone && payload && payload.data) {
+        this.phone.updateRecordState(Call.parse(payload.data));
+      }
+    };
+    this._onParkingEvent = (payload: Object) => {
+      if (payload && payload.data && PARKING_EVENTS[payload.name]) {
+        this.eventEmitter.emit(PARKING_EVENTS[payload.name], ParkedCall.parse(payload.data));
+      }
+    };
+    this._onTransferEvent = (payload: Object) => {
+      if (this.ctiPhone && payload && payload.data) {
+        this.ctiPhone.updateTransfer(IndirectTransfer.parseFromEvent(payload.name, payload.data));
+      }
+    };
 
     // Sugar syntax for `Wazo.Phone.EVENT_NAME`
     Object.keys(PHONE_EVENTS).forEach(key => {
@@ -44,8 +136,28 @@ class Phone extends Emitter {
       this[key] = PHONE_EVENTS[key];
     });
 
+    // Device events are available on `Wazo.Phone` too, the selected device is applied to the phone
+    const deviceEvents = {
+      ON_DEVICES_CHANGED,
+      ON_DEVICE_PLUGGED,
+      ON_DEVICE_UNPLUGGED,
+      ON_DEVICE_SELECTED,
+      ON_DEVICE_FALLBACK,
+    };
+    Object.keys(deviceEvents).forEach(key => {
+      const event = deviceEvents[key];
+      // $FlowFixMe
+      this[key] = event;
+      this.devices.on(event, (...args) => this.eventEmitter.emit.apply(this.eventEmitter, [event, ...args]));
+    });
+    this.devices.on(ON_DEVICE_SELECTED, (type: string, deviceId: string) => this._applyDevice(type, deviceId));
+
     this.ON_CHAT = 'phone/ON_CHAT';
     this.ON_SIGNAL = 'phone/ON_SIGNAL';
+    this.ON_PARKED_CALL_ADDED = PARKING_EVENTS[CALL_PARKED];
+    this.ON_PARKED_CALL_RETRIEVED = PARKING_EVENTS[CALL_UNPARKED];
+    this.ON_PARKED_CALL_HUNGUP = PARKING_EVENTS[PARKED_CALL_HUNGUP];
+    this.ON_PARKED_CALL_TIMED_OUT = PARKING_EVENTS[PARKED_CALL_TIMED_OUT];
     this.SessionState = SessionState;
   }
 
@@ -61,13 +173,16 @@ class Phone extends Emitter {
       return;
     }
 
-    const server = Wazo.Auth.getHost();
-    const session = Wazo.Auth.getSession();
+    const server = this.context.Auth.getHost();
+    const session = this.context.Auth.getSession();
     if (!server || !session) {
       throw new Error('Please connect to the server using `Wazo.Auth.logIn` or `Wazo.Auth.authenticate` '
         + 'before using Room.connect().');
     }
 
+    // The preferred devices can only be applied when they are listed
+    await this.devices.start().catch(e => logger.warn('unable to list the media devices', { message: e.message }));
+
     this.session = session;
     this.sipLine = sipLine || this.getPrimaryWebRtcLine();
 
@@ -120,9 +235,40 @@ class Phone extends Emitter {
       ...options,
     }, null, options.uaConfigOverrides);
 
-    this.phone = new WebRTCPhone(this.client, options.audioDeviceOutput, true, options.audioDeviceRing);
+    this.phone = new WebRTCPhone(this.client, options.audioDeviceOutput, true, options.audioDeviceRing,
+      this.context.getApiClient());
+    if (this.callQualityThresholds) {
+      this.phone.setCallQualityThresholds(this.callQualityThresholds);
+    }
+    this.phone.setMaxCalls(this.maxCalls);
+    this._applyPreferredDevices();
 
     this._transferEvents();
+    this.context.Websocket.on(CALL_UPDATED, this._onCallUpdated);
+    Object.keys(PARKING_EVENTS).forEach(event => this.context.Websocket.on(event, this._onParkingEvent));
+  }
+
+  // Phone controlling the calls of a desk phone or a mobile through calld, instead of WebRTC
+  createCTIPhone(isMobile: boolean = false, callbackAllLines: boolean = false): CTIPhone {
+    const session = this.context.Auth.getSession();
+    if (!session) {
+      throw new Error('Please connect to the server using `Wazo.Auth.logIn` or `Wazo.Auth.authenticate` '
+        + 'before using Phone.createCTIPhone().');
+    }
+
+    if (!this.ctiPhone) {
+      TRANSFER_EVENTS.forEach(event => this.context.Websocket.on(event, this._onTransferEvent));
+    }
+    this.ctiPhone = new CTIPhone(session, isMobile, callbackAllLines, this.context.getApiClient());
+
+    return this.ctiPhone;
+  }
+
+  // SIP registration relies on the line secret, only the session kept by the phone needs the new token
+  updateToken(token: string) {
+    if (this.session) {
+      this.session.token = token;
+    }
   }
 
   disconnect() {
@@ -135,18 +281,77 @@ class Phone extends Emitter {
       // $FlowFixMe
       this.phone.close();
     }
+    this.context.Websocket.off(CALL_UPDATED, this._onCallUpdated);
+    Object.keys(PARKING_EVENTS).forEach(event => this.context.Websocket.off(event, this._onParkingEvent));
+    TRANSFER_EVENTS.forEach(event => this.context.Websocket.off(event, this._onTransferEvent));
+    this.devices.stop();
 
     this.phone = null;
+    this.ctiPhone = null;
+    this._adHocAPIEnabled = null;
+  }
+
+  // Selects the device for the current and next calls, and remembers it, `type` is one of `DEVICE_TYPES`
+  async selectDevice(type: string, deviceId: string) {
+    return this.devices.selectDevice(type, deviceId);
+  }
+
+  getDevices(type: ?string = null): MediaDeviceInfo[] {
+    return this.devices.getDevices(type);
+  }
+
+  // Where the preferred devices are kept, `localStorage` by default in browsers
+  async setDeviceStorage(storage: StorageAdapter) {
+    return this.devices.setStorage(storage);
+  }
+
+  _applyPreferredDevices() {
+    DEVICE_TYPES.forEach(type => {
+      const deviceId = this.devices.getActiveDeviceId(type);
+      if (deviceId && this.devices.getPreferredDeviceId(type)) {
+        this._applyDevice(type, deviceId);
+      }
+    });
+  }
+
+  _applyDevice(type: string, deviceId: string) {
+    const { phone } = this;
+    if (!phone) {
+      return;
+    }
+    logger.info('apply media device', { type, deviceId });
+
+    let result = null;
+    switch (type) {
+      case DEVICE_AUDIO_INPUT:
+        result = phone.changeAudioInputDevice(deviceId);
+        break;
+      case DEVICE_AUDIO_OUTPUT:
+        phone.changeAudioDevice(deviceId);
+        break;
+      case DEVICE_RING_OUTPUT:
+        phone.changeRingDevice(deviceId);
+        break;
+      case DEVICE_VIDEO_INPUT:
+        result = phone.changeVideoInputDevice(deviceId);
+        break;
+      default:
+    }
+
+    if (result && result.catch) {
+      result.catch(e => logger.warn('unable to use media device', { type, deviceId, message: e.message }));
+    }
   }
 
   // If audioOnly is set to true, all video stream will be removed, even remotes ones.
-  async call(extension: string, withCamera: boolean = false, rawSipLine: ?SipLine = null, audioOnly: boolean = false) {
+  async call(extension: string, withCamera: boolean = false, rawSipLine: ?SipLine = null, audioOnly: boolean = false,
+    mediaPreferences: ?MediaPreferences = null) {
     if (!this.phone) {
       return;
     }
     const sipLine = rawSipLine || this.getPrimaryWebRtcLine();
 
-    return this.phone.makeCall(extension, sipLine, withCamera, audioOnly);
+    return this.phone.makeCall(extension, sipLine, withCamera, audioOnly, mediaPreferences);
   }
 
   async hangup(callSession: CallSession) {
@@ -161,21 +366,67 @@ class Phone extends Emitter {
     return this.phone && this.phone.accept(callSession, cameraEnabled);
   }
 
-  async startConference(host: CallSession, otherCalls: CallSession[]): Promise<AdHocAPIConference> {
+  // Ringing, ongoing and held calls, `ON_CALLS_CHANGED` is triggered when this list changes
+  getCalls(): CallSession[] {
+    return this.phone ? this.phone.getCallSessions() : [];
+  }
+
+  // Puts the other calls on hold, and accepts `callSession` if it's ringing
+  async switchCall(callSession: CallSession, cameraEnabled?: boolean): Promise<?CallSession> {
+    return this.phone ? this.phone.switchCall(callSession, cameraEnabled) : null;
+  }
+
+  // Calls over this limit are refused with `ON_CALL_LIMIT_REACHED`, set to `null` to remove the limit
+  setMaxCalls(maxCalls: ?number) {
+    this.maxCalls = maxCalls;
+    if (this.phone) {
+      this.phone.setMaxCalls(maxCalls);
+    }
+  }
+
+  async startConference(
+    host: CallSession,
+    otherCalls: CallSession[],
+  ): Promise<AdHocAPIConference | AdHocLocalConference> {
+    const { phone } = this;
+    if (!phone) {
+      return Promise.reject();
+    }
+
+    if (!await this._isAdHocAPIEnabled()) {
+      // Mixes the calls locally when the engine can't host the conference
+      const localParticipants = [host, ...otherCalls].reduce((acc: Object, participant: CallSession) => {
+        acc[participant.getId()] = participant;
+        return acc;
+      }, {});
+
+      return new AdHocLocalConference({ phone, host, participants: localParticipants }).start();
+    }
+
     const participants = [host, ...otherCalls].reduce((acc: Object, participant: CallSession) => {
       acc[participant.getTalkingToIds()[0]] = participant;
       return acc;
     }, {});
 
-    if (!this.phone) {
-      return Promise.reject();
-    }
-
-    const adHocConference = new AdHocAPIConference({ phone: this.phone, host, participants });
+    const adHocConference = new AdHocAPIConference({ phone, host, participants });
 
     return adHocConference.start();
   }
 
+  // Checked once per session, the calls are mixed locally when the check fails
+  async _isAdHocAPIEnabled(): Promise<boolean> {
+    if (this._adHocAPIEnabled === null) {
+      try {
+        this._adHocAPIEnabled = !!await this.context.getApiClient().calld.isAhHocConferenceAPIEnabled();
+      } catch (e) {
+        logger.warn('unable to check the adhoc conference API', { message: e.message });
+        return false;
+      }
+    }
+
+    return !!this._adHocAPIEnabled;
+  }
+
   mute(callSession: CallSession) {
     return this.phone && this.phone.mute(callSession);
   }
@@ -200,6 +451,129 @@ class Phone extends Emitter {
     return this.phone && this.phone.transfer(callSession, target);
   }
 
+  startRecording(callSession: CallSession) {
+    return this.phone && this.phone.startRecording(callSession);
+  }
+
+  stopRecording(callSession: CallSession) {
+    return this.phone && this.phone.stopRecording(callSession);
+  }
+
+  pauseRecording(callSession: CallSession) {
+    return this.phone && this.phone.pauseRecording(callSession);
+  }
+
+  resumeRecording(callSession: CallSession) {
+    return this.phone && this.phone.resumeRecording(callSession);
+  }
+
+  // Records the call in the browser, the Blob is delivered by `ON_LOCAL_RECORDING_STOPPED` and `stopLocalRecording`.
+  // Use the `timeslice` option to receive chunks with `ON_LOCAL_RECORDING_DATA` during long calls.
+  startLocalRecording(callSession: CallSession, options: LocalRecorderOptions = {}) {
+    return this.phone && this.phone.startLocalRecording(callSession, options);
+  }
+
+  async stopLocalRecording(): Promise<?Blob> {
+    return this.phone ? this.phone.stopLocalRecording() : null;
+  }
+
+  isLocalRecording(): boolean {
+    return !!this.phone && this.phone.isLocalRecording();
+  }
+
+  // Processes the microphone before sending it, see `AudioProcessingChain` for the built-in processors.
+  // Processors can also be given with the `audioProcessors` option when connecting.
+  addAudioProcessor(processor: AudioProcessor, enabled: boolean = true) {
+    return this.phone && this.phone.addAudioProcessor(processor, enabled);
+  }
+
+  removeAudioProcessor(name: string) {
+    return this.phone && this.phone.removeAudioProcessor(name);
+  }
+
+  enableAudioProcessor(name: string) {
+    return this.phone && this.phone.enableAudioProcessor(name);
+  }
+
+  disableAudioProcessor(name: string) {
+    return this.phone && this.phone.disableAudioProcessor(name);
+  }
+
+  isAudioProcessorEnabled(name: string): boolean {
+    return !!this.phone && this.phone.isAudioProcessorEnabled(name);
+  }
+
+  // Draws the camera through canvas effects before sending it, see `VideoProcessingPipeline` for the built-in ones.
+  // Effects and segmenter can also be given with the `videoEffects` and `videoSegmenter` options when connecting.
+  addVideoEffect(effect: VideoEffect, enabled: boolean = true) {
+    return this.phone && this.phone.addVideoEffect(effect, enabled);
+  }
+
+  removeVideoEffect(name: string) {
+    return this.phone && this.phone.removeVideoEffect(name);
+  }
+
+  enableVideoEffect(name: string) {
+    return this.phone && this.phone.enableVideoEffect(name);
+  }
+
+  disableVideoEffect(name: string) {
+    return this.phone && this.phone.disableVideoEffect(name);
+  }
+
+  isVideoEffectEnabled(name: string): boolean {
+    return !!this.phone && this.phone.isVideoEffectEnabled(name);
+  }
+
+  // Needed by the background effects to find the person in the frame
+  setVideoSegmenter(segmenter: ?VideoSegmenter) {
+    return this.phone && this.phone.setVideoSegmenter(segmenter);
+  }
+
+  // `flow` is `attended` (default) or `blind`, progress is notified with the `ON_TRANSFER_*` events
+  async initiateTransfer(callSession: CallSession, number: string, flow?: string): Promise<?IndirectTransfer> {
+    return this.phone ? this.phone.initiateTransfer(callSession, number, flow) : null;
+  }
+
+  async completeTransfer(transfer: IndirectTransfer) {
+    return this.phone && this.phone.completeTransfer(transfer);
+  }
+
+  async cancelTransfer(transfer: IndirectTransfer) {
+    return this.phone && this.phone.cancelTransfer(transfer);
+  }
+
+  async swapTransfer(transfer: IndirectTransfer) {
+    return this.phone && this.phone.swapTransfer(transfer);
+  }
+
+  getTransfers(): IndirectTransfer[] {
+    return this.phone ? this.phone.getTransfers() : [];
+  }
+
+  async park(callSession: CallSession, parkingId: number, preferredSlot: ?string = null,
+    timeout: ?number = null): Promise<?ParkedCall> {
+    return this.phone ? this.phone.parkCall(callSession, parkingId, preferredSlot, timeout) : null;
+  }
+
+  // Parked calls of a parking, or of all parkings, updates come with the `ON_PARKED_CALL_*` events
+  async getParkedCalls(parkingId: ?number = null): Promise<ParkedCall[]> {
+    return new CallApi(this.context.getApiClient()).fetchParkedCalls(parkingId);
+  }
+
+  async retrieveParkedCall(parkedCall: ParkedCall, withCamera: boolean = false): Promise<?CallSession> {
+    logger.info('retrieve parked call via simple phone', { slot: parkedCall.slot, parkingId: parkedCall.parkingId });
+
+    return this.call(parkedCall.slot, withCamera);
+  }
+
+  // Picks up a call ringing in our pickup group, or on `extension` when set
+  async pickup(extension: ?string = null, withCamera: boolean = false): Promise<?CallSession> {
+    logger.info('pickup via simple phone', { extension });
+
+    return this.call(`${PICKUP_PREFIX}${extension || ''}`, withCamera);
+  }
+
   atxfer(sipSession: Inviter | Invitation) {
     return this.phone && this.phone.atxfer(sipSession);
   }
@@ -212,7 +586,7 @@ class Phone extends Emitter {
 
     // Release local video stream when downgrading to audio
     if (newConstraints && !newConstraints.video) {
-      const localVideoStream = Wazo.Phone.getLocalVideoStream(callSession);
+      const localVideoStream = this.getLocalVideoStream(callSession);
       if (localVideoStream) {
         Stream.detachStream(localVideoStream);
       }
@@ -270,6 +644,32 @@ class Phone extends Emitter {
     return this.phone && this.phone.sendKey(callSession, tone);
   }
 
+  getCallQuality(callSession: CallSession) {
+    return this.phone && this.phone.getCallQuality(callSession);
+  }
+
+  getMediaPreferences(callSession: CallSession) {
+    return this.phone && this.phone.getMediaPreferences(callSession);
+  }
+
+  // Codecs by priority and bandwidth caps in kbps, renegotiated during the call
+  setMediaPreferences(callSession: CallSession, mediaPreferences: MediaPreferences) {
+    return this.phone && this.phone.setMediaPreferences(callSession, mediaPreferences);
+  }
+
+  setSimulcastMaxLayer(callSession: CallSession, rid: ?string) {
+    return this.phone && this.phone.setSimulcastMaxLayer(callSession, rid);
+  }
+
+  // Kept until the phone is connected
+  setCallQualityThresholds(thresholds: Object) {
+    this.callQualityThresholds = thresholds;
+
+    if (this.phone) {
+      this.phone.setCallQualityThresholds(thresholds);
+    }
+  }
+
   getLocalVideoStream(callSession: CallSession) {
     if (!this.phone || !this.phone.client) {
       return;
@@ -305,7 +705,7 @@ class Phone extends Emitter {
   }
 
   getPrimaryWebRtcLine() {
-    const session = Wazo.Auth.getSession();
+    const session = this.context.Auth.getSession();
     return session ? session.primaryWebRtcLine() : null;
   }
 
@@ -314,7 +714,7 @@ class Phone extends Emitter {
   }
 
   getPrimaryLine() {
-    const session = Wazo.Auth.getSession();
+    const session = this.context.Auth.getSession();
     return session ? session.primarySipLine() : null;
   }
 
@@ -323,7 +723,7 @@ class Phone extends Emitter {
   }
 
   getSipLines() {
-    const session = Wazo.Auth.getSession();
+    const session = this.context.Auth.getSession();
     if (!session) {
       return [];
     }
@@ -399,4 +799,5 @@ if (!global.wazoTelephonyInstance) {
   global.wazoTelephonyInstance = new Phone();
 }
 
+export { Phone as PhoneClass };
 export default global.wazoTelephonyInstance;
@@ -3,6 +3,8 @@ import type Session from '../domain/Session';
 import WazoWebSocketClient, * as WebSocketClient from '../websocket-client';
 import Emitter from '../utils/Emitter';
 import IssueReporter from '../service/IssueReporter';
+import globalContext from './globalContext';
+import type { SimpleContext } from './globalContext';
 
 const { SOCKET_EVENTS, ...OTHER_EVENTS } = WebSocketClient;
 const ALL_EVENTS = [...Object.values(SOCKET_EVENTS), ...Object.values(OTHER_EVENTS)];
@@ -10,11 +12,14 @@ const ALL_EVENTS = [...Object.values(SOCKET_EVENTS), ...Object.values(OTHER_EVEN
 const logger = IssueReporter.loggerFor('simple-ws-client');
 
 class Websocket extends Emitter {
+  context: SimpleContext;
   ws: ?WazoWebSocketClient;
   eventLists: string[];
+  _unbindCache: ?Function;
 
-  constructor() {
+  constructor(context: SimpleContext = globalContext) {
     super();
+    this.context = context;
 
     // Sugar syntax for `Wazo.WebSocket.EVENT_NAME`
     Object.keys(OTHER_EVENTS).forEach(key => {
@@ -28,6 +33,7 @@ class Websocket extends Emitter {
     this.eventLists = WazoWebSocketClient.eventLists;
 
     this.ws = null;
+    this._unbindCache = null;
   }
 
   open(host: string, session: Session) {
@@ -47,6 +53,12 @@ class Websocket extends Emitter {
 
     this.ws.connect();
 
+    // Invalidate cached API responses on related events
+    const { responseCache } = this.context.getApiClient().client;
+    if (responseCache) {
+      this._unbindCache = responseCache.bindWebSocket(this.ws);
+    }
+
     // Re-emit all events
     ALL_EVENTS.forEach((event: any) => {
       if (!this.ws) {
@@ -72,6 +84,10 @@ class Websocket extends Emitter {
   }
 
   close(force: boolean = false) {
+    if (this._unbindCache) {
+      this._unbindCache();
+      this._unbindCache = null;
+    }
     if (this.ws) {
       this.ws.close(force);
     }
@@ -83,4 +99,5 @@ if (!global.wazoWebsocketInstance) {
   global.wazoWebsocketInstance = new Websocket();
 }
 
+export { Websocket as WebsocketClass };
 export default global.wazoWebsocketInstance;
@@ -0,0 +1,113 @@
+/* eslint-disable no-underscore-dangle */
+// Loaded first to resolve the circular import between IssueReporter and ApiRequester
+import '../../utils/api-requester';
+import { PhoneClass as Phone } from '../Phone';
+import ParkedCall from '../../domain/ParkedCall';
+import CallSession from '../../domain/CallSession';
+import IndirectTransfer from '../../domain/IndirectTransfer';
+import AdHocAPIConference from '../../domain/AdHocAPIConference';
+import AdHocLocalConference from '../../domain/AdHocLocalConference';
+import { ON_TRANSFER_ANSWERED, ON_TRANSFER_COMPLETED } from '../../domain/Phone/Phone';
+import {
+  CALL_PARKED,
+  PARKED_CALL_TIMED_OUT,
+  TRANSFER_ANSWERED,
+  TRANSFER_COMPLETED,
+} from '../../websocket-client';
+
+describe('Simple Phone parking', () => {
+  it('should list the parked calls with the context api client', async () => {
+    const calld = {
+      listParkedCalls: jest.fn(() => Promise.resolve([])),
+      listAllParkedCalls: jest.fn(() => Promise.resolve([])),
+    };
+    const phone = new Phone({ getApiClient: () => ({ calld }) });
+
+    await phone.getParkedCalls(1);
+    await phone.getParkedCalls();
+
+    expect(calld.listParkedCalls).toHaveBeenCalledWith(1);
+    expect(calld.listAllParkedCalls).toHaveBeenCalled();
+  });
+
+  it('should re-emit the parking events with a ParkedCall', () => {
+    const phone = new Phone({});
+    const onAdded = jest.fn();
+    const onTimedOut = jest.fn();
+    phone.on(phone.ON_PARKED_CALL_ADDED, onAdded);
+    phone.on(phone.ON_PARKED_CALL_TIMED_OUT, onTimedOut);
+    const data = { call_id: '1234', slot: '701', parking_id: 1 };
+
+    phone._onParkingEvent({ name: CALL_PARKED, data });
+    phone._onParkingEvent({ name: PARKED_CALL_TIMED_OUT, data });
+
+    expect(onAdded).toHaveBeenCalledWith(expect.any(ParkedCall));
+    expect(onAdded.mock.calls[0][0]).toEqual(expect.objectContaining({ id: '1234', slot: '701', parkingId: 1 }));
+    expect(onTimedOut).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Simple Phone CTI transfers', () => {
+  it('should apply the transfer events to the CTI phone', async () => {
+    const handlers = {};
+    const Websocket = { on: jest.fn((event, callback) => { handlers[event] = callback; }), off: jest.fn() };
+    const calld = {
+      transferCall: jest.fn(() => Promise.resolve(new IndirectTransfer({ id: 'transfer-id', sourceId: 'source-id' }))),
+    };
+    const phone = new Phone({ Auth: { getSession: () => ({}) }, Websocket, getApiClient: () => ({ calld }) });
+    const ctiPhone = phone.createCTIPhone();
+    const onAnswered = jest.fn();
+    const onCompleted = jest.fn();
+    ctiPhone.on(ON_TRANSFER_ANSWERED, onAnswered);
+    ctiPhone.on(ON_TRANSFER_COMPLETED, onCompleted);
+
+    const transfer = await ctiPhone.initiateTransfer(new CallSession({ callId: 'source-id' }), '8001');
+    const data = { id: 'transfer-id', initiator_call: 'source-id', recipient_call: 'destination-id' };
+    handlers[TRANSFER_ANSWERED]({ name: TRANSFER_ANSWERED, data });
+    handlers[TRANSFER_COMPLETED]({ name: TRANSFER_COMPLETED, data });
+
+    expect(onAnswered).toHaveBeenCalledWith(transfer);
+    expect(onCompleted).toHaveBeenCalledWith(transfer);
+    expect(ctiPhone.getTransfers()).toEqual([]);
+
+    phone.disconnect();
+    expect(Websocket.off).toHaveBeenCalledWith(TRANSFER_COMPLETED, phone._onTransferEvent);
+    expect(phone.ctiPhone).toBe(null);
+  });
+});
+
+describe('Simple Phone conferences', () => {
+  const host = new CallSession({ sipCallId: 'host', callId: 'host-call' });
+  const other = new CallSession({ sipCallId: 'other', callId: 'other-call' });
+  let calld;
+  let phone;
+
+  beforeEach(() => {
+    calld = { isAhHocConferenceAPIEnabled: jest.fn(() => Promise.resolve(true)) };
+    phone = new Phone({ getApiClient: () => ({ calld }) });
+    phone.phone = {};
+    jest.spyOn(AdHocAPIConference.prototype, 'start').mockImplementation(function start() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(AdHocLocalConference.prototype, 'start').mockImplementation(function start() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should check the adhoc conference API once', async () => {
+    expect(await phone.startConference(host, [other])).toBeInstanceOf(AdHocAPIConference);
+    expect(await phone.startConference(host, [other])).toBeInstanceOf(AdHocAPIConference);
+
+    expect(calld.isAhHocConferenceAPIEnabled).toHaveBeenCalledTimes(1);
+  });
+
+  it('should mix the calls locally when the adhoc conference API can not be checked', async () => {
+    calld.isAhHocConferenceAPIEnabled.mockRejectedValue(new Error('Failed to fetch'));
+
+    expect(await phone.startConference(host, [other])).toBeInstanceOf(AdHocLocalConference);
+  });
+});
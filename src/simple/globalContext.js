@@ -0,0 +1,49 @@
+// @flow
+import type WazoApiClient from '../api-client';
+import getApiClient, {
+  setCurrentServer,
+  setApiToken,
+  setRefreshToken,
+  setApiClientId,
+  setRefreshExpiration,
+  setOnRefreshToken,
+  setIsMobile,
+} from '../service/getApiClient';
+
+// State shared by `Auth`, `Websocket` and `Phone`, see `Context` to use several accounts at once.
+export interface SimpleContext {
+  +Auth: Object,
+  +Websocket: Object,
+  +Phone: Object,
+  getApiClient(): WazoApiClient,
+  setCurrentServer(server: string): void,
+  setApiToken(token: ?string): void,
+  setRefreshToken(refreshToken: ?string): void,
+  setApiClientId(clientId: string): void,
+  setRefreshExpiration(expiration: number): void,
+  setOnRefreshToken(callback: Function): void,
+  setIsMobile(isMobile: boolean): void,
+}
+
+// Default context used by the `Wazo.Auth`, `Wazo.Websocket` and `Wazo.Phone` singletons, backed by `getApiClient`.
+const globalContext: SimpleContext = {
+  get Auth() {
+    return global.wazoAuthInstance;
+  },
+  get Websocket() {
+    return global.wazoWebsocketInstance;
+  },
+  get Phone() {
+    return global.wazoTelephonyInstance;
+  },
+  getApiClient: () => getApiClient(),
+  setCurrentServer,
+  setApiToken: (token: ?string) => setApiToken(token),
+  setRefreshToken: (refreshToken: ?string) => setRefreshToken(refreshToken),
+  setApiClientId: (clientId: string) => setApiClientId(clientId),
+  setRefreshExpiration: (expiration: number) => setRefreshExpiration(expiration),
+  setOnRefreshToken: (callback: Function) => setOnRefreshToken(callback),
+  setIsMobile: (isMobile: boolean) => setIsMobile(isMobile),
+};
+
+export default globalContext;
@@ -1,5 +1,5 @@
 /* global window */
-import Auth, { InvalidSubscription, InvalidAuthorization } from './Auth';
+import Auth, { InvalidSubscription, InvalidAuthorization, InvalidSsoResponse } from './Auth';
 import Phone from './Phone';
 import Websocket from './Websocket';
 import Room from './room/Room';
@@ -8,11 +8,15 @@ import LocalParticipant from './room/LocalParticipant';
 import Stream from './room/Stream';
 import Directory from './Directory';
 import Configuration from './Configuration';
+import Context from './Context';
 import getApiClient from '../service/getApiClient';
+import CancellationToken from '../utils/CancellationToken';
+import EndpointOptions from '../utils/EndpointOptions';
 import { createLocalVideoStream, createLocalAudioStream } from './utils';
 
 import BadResponse from '../domain/BadResponse';
 import ServerError from '../domain/ServerError';
+import RequestCancelled from '../domain/RequestCancelled';
 import Call from '../domain/Call';
 import CallLog from '../domain/CallLog';
 import ChatMessage from '../domain/ChatMessage';
@@ -27,9 +31,25 @@ import Voicemail from '../domain/Voicemail';
 import Relocation from '../domain/Relocation';
 import ConferenceRoom from '../domain/Room';
 import CallSession from '../domain/CallSession';
+import CallQuality from '../domain/CallQuality';
+import CallQualitySummary from '../domain/CallQualitySummary';
 import IndirectTransfer from '../domain/IndirectTransfer';
 import SwitchboardCall from '../domain/SwitchboardCall';
+import ParkedCall from '../domain/ParkedCall';
 import IssueReporter from '../service/IssueReporter';
+import OfflineQueue from '../service/OfflineQueue';
+import TokenRefreshScheduler from '../service/TokenRefreshScheduler';
+import SessionStore from '../service/SessionStore';
+import MediaDeviceManager from '../service/MediaDeviceManager';
+import Paginator from '../utils/Paginator';
+import Page from '../utils/Page';
+import LocalRecorder from '../utils/LocalRecorder';
+import AudioProcessingChain from '../utils/AudioProcessingChain';
+import VideoProcessingPipeline from '../utils/VideoProcessingPipeline';
+import ResponseCache from '../service/ResponseCache';
+import MemoryStorage from '../utils/storage/MemoryStorage';
+import LocalStorage from '../utils/storage/LocalStorage';
+import EncryptedStorage from '../utils/storage/EncryptedStorage';
 import Features from '../domain/Features';
 import Checker from '../checker/Checker';
 
@@ -46,7 +66,24 @@ const Wazo = {
   Configuration,
   Directory,
   getApiClient,
+  Context,
+  createContext: options => new Context(options),
+  CancellationToken,
+  EndpointOptions,
   IssueReporter,
+  OfflineQueue,
+  TokenRefreshScheduler,
+  SessionStore,
+  MediaDeviceManager,
+  Paginator,
+  Page,
+  LocalRecorder,
+  AudioProcessingChain,
+  VideoProcessingPipeline,
+  ResponseCache,
+  MemoryStorage,
+  LocalStorage,
+  EncryptedStorage,
   loggerFor: IssueReporter.loggerFor.bind(IssueReporter),
   Features,
   Checker,
@@ -55,6 +92,7 @@ const Wazo = {
   domain: {
     BadResponse,
     ServerError,
+    RequestCancelled,
     Call,
     CallLog,
     ChatMessage,
@@ -69,13 +107,17 @@ const Wazo = {
     Relocation,
     ConferenceRoom,
     CallSession,
+    CallQuality,
+    CallQualitySummary,
     IndirectTransfer,
     SwitchboardCall,
+    ParkedCall,
   },
 
   // Error
   InvalidSubscription,
   InvalidAuthorization,
+  InvalidSsoResponse,
 };
 
 if (window) {
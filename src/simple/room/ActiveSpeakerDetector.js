@@ -0,0 +1,149 @@
+// @flow
+
+export type ActiveSpeakerOptions = {
+  // Below this audio level (0 to 1), a participant flagged as talking by the server is considered silent
+  threshold?: number,
+  // Score kept at each update, the lower the faster a new speaker takes over
+  decay?: number,
+  // Minimum time in ms before the dominant speaker can change
+  switchDelay?: number,
+  // The new speaker score must exceed the current one by this ratio
+  hysteresis?: number,
+};
+
+export type AudioLevelMeter = {
+  getLevel: () => number,
+  stop: () => void,
+};
+
+const DEFAULT_THRESHOLD = 0.01;
+const DEFAULT_DECAY = 0.8;
+const DEFAULT_SWITCH_DELAY = 1500;
+const DEFAULT_HYSTERESIS = 1.5;
+
+// Ranks the speakers from the server talk events, weighted by the audio levels measured locally
+class ActiveSpeakerDetector {
+  threshold: number;
+  decay: number;
+  switchDelay: number;
+  hysteresis: number;
+  talking: { [string]: boolean };
+  // Audio level of a participant, when known (eg: the local microphone)
+  levels: { [string]: number };
+  // Audio level of the mixed room stream, shared by the remote participants
+  roomLevel: ?number;
+  scores: { [string]: number };
+  lastSpokeAt: { [string]: number };
+  dominant: ?string;
+  dominantSince: number;
+
+  // Root mean square of the analyser time domain data, from 0 to 1
+  static createLevelMeter(audioContext: any, stream: MediaStream): AudioLevelMeter {
+    const source = audioContext.createMediaStreamSource(stream);
+    const analyser = audioContext.createAnalyser();
+    analyser.fftSize = 512;
+    source.connect(analyser);
+    const data = new Uint8Array(analyser.fftSize);
+
+    return {
+      getLevel: () => {
+        analyser.getByteTimeDomainData(data);
+        const sum = data.reduce((acc, value) => acc + ((value - 128) / 128) ** 2, 0);
+
+        return Math.sqrt(sum / data.length);
+      },
+      stop: () => source.disconnect(),
+    };
+  }
+
+  constructor(options: ActiveSpeakerOptions = {}) {
+    this.threshold = options.threshold || DEFAULT_THRESHOLD;
+    this.decay = options.decay || DEFAULT_DECAY;
+    this.switchDelay = options.switchDelay === undefined ? DEFAULT_SWITCH_DELAY : options.switchDelay;
+    this.hysteresis = options.hysteresis || DEFAULT_HYSTERESIS;
+    this.talking = {};
+    this.levels = {};
+    this.roomLevel = null;
+    this.scores = {};
+    this.lastSpokeAt = {};
+    this.dominant = null;
+    this.dominantSince = 0;
+  }
+
+  setTalking(callId: string, isTalking: boolean) {
+    this.talking[callId] = isTalking;
+  }
+
+  // Without `callId`, sets the level of the mixed room stream
+  setAudioLevel(level: ?number, callId: ?string = null) {
+    if (!callId) {
+      this.roomLevel = level;
+      return;
+    }
+
+    if (level === null || level === undefined) {
+      delete this.levels[callId];
+    } else {
+      this.levels[callId] = level;
+    }
+  }
+
+  remove(callId: string) {
+    delete this.talking[callId];
+    delete this.levels[callId];
+    delete this.scores[callId];
+    delete this.lastSpokeAt[callId];
+
+    if (this.dominant === callId) {
+      this.dominant = null;
+    }
+  }
+
+  isSpeaking(callId: string): boolean {
+    // A participant with its own level (eg: the local one) doesn't need the server event
+    if (callId in this.levels) {
+      return this.levels[callId] >= this.threshold;
+    }
+
+    // A flat 0 means that the meter gets no audio (eg: suspended AudioContext), not that the room is silent
+    const { roomLevel } = this;
+    return !!this.talking[callId] && (!roomLevel || roomLevel >= this.threshold);
+  }
+
+  // Called periodically, returns the dominant speaker
+  update(now: number = Date.now()): ?string {
+    const allIds = [...Object.keys(this.talking), ...Object.keys(this.levels), ...Object.keys(this.scores)];
+    const callIds = allIds.filter((callId, index) => allIds.indexOf(callId) === index);
+
+    callIds.forEach(callId => {
+      const speaking = this.isSpeaking(callId);
+      this.scores[callId] = (this.scores[callId] || 0) * this.decay + (speaking ? 1 : 0);
+      if (speaking) {
+        this.lastSpokeAt[callId] = now;
+      }
+    });
+
+    const candidate = callIds.reduce((best, callId) =>
+      (!best || this.scores[callId] > this.scores[best] ? callId : best), null);
+    if (!candidate || candidate === this.dominant || !this.scores[candidate]) {
+      return this.dominant;
+    }
+
+    const { dominant } = this;
+    const canSwitch = !dominant || (now - this.dominantSince >= this.switchDelay
+      && this.scores[candidate] > (this.scores[dominant] || 0) * this.hysteresis);
+    if (canSwitch) {
+      this.dominant = candidate;
+      this.dominantSince = now;
+    }
+
+    return this.dominant;
+  }
+
+  // Most recent speakers first, the ones who never spoke are not listed
+  getRecentSpeakers(): string[] {
+    return Object.keys(this.lastSpokeAt).sort((a, b) => this.lastSpokeAt[b] - this.lastSpokeAt[a]);
+  }
+}
+
+export default ActiveSpeakerDetector;
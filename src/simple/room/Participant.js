@@ -8,6 +8,8 @@ const logger = IssueReporter.loggerFor('room');
 
 class Participant extends Emitter {
   room: Room;
+  // Participant id in the conference bridge, used by the moderation endpoints
+  id: string;
   uuid: string;
   name: string;
   number: string;
@@ -18,7 +20,12 @@ class Participant extends Emitter {
   audioMuted: boolean;
   videoMuted: boolean;
   screensharing: boolean;
+  admin: boolean;
+  // Muted in the conference bridge, eg: by an admin
+  serverMuted: boolean;
   extra: Object;
+  // Simulcast layer asked for this participant video
+  preferredLayer: ?string;
 
   ON_UPDATED: string;
   ON_START_TALKING: string;
@@ -33,6 +40,8 @@ class Participant extends Emitter {
   ON_SCREENSHARING: string;
   ON_STOP_SCREENSHARING: string;
   ON_EXTRA_CHANGE: string;
+  ON_SERVER_MUTED: string;
+  ON_SERVER_UNMUTED: string;
 
   /**
    * @param rawParticipant string Participant sent via the Wazo WS
@@ -43,6 +52,7 @@ class Participant extends Emitter {
 
     this.room = room;
 
+    this.id = rawParticipant.id;
     this.uuid = rawParticipant.user_uuid;
     this.name = (rawParticipant.caller_id_name || '').replace("\\'", "'");
     this.number = rawParticipant.caller_id_number;
@@ -53,7 +63,10 @@ class Participant extends Emitter {
     this.audioMuted = false;
     this.videoMuted = false;
     this.screensharing = false;
+    this.admin = !!rawParticipant.admin;
+    this.serverMuted = !!rawParticipant.muted;
     this.extra = extra;
+    this.preferredLayer = null;
 
     this.ON_UPDATED = 'participant/ON_UPDATED';
     this.ON_START_TALKING = 'participant/ON_START_TALKING';
@@ -68,6 +81,8 @@ class Participant extends Emitter {
     this.ON_SCREENSHARING = 'participant/ON_SCREENSHARING';
     this.ON_STOP_SCREENSHARING = 'participant/ON_STOP_SCREENSHARING';
     this.ON_EXTRA_CHANGE = 'participant/ON_EXTRA_CHANGE';
+    this.ON_SERVER_MUTED = 'participant/ON_SERVER_MUTED';
+    this.ON_SERVER_UNMUTED = 'participant/ON_SERVER_UNMUTED';
   }
 
   triggerEvent(name: string, ...args: any[]) {
@@ -103,6 +118,11 @@ class Participant extends Emitter {
         status.extra = this.extra;
         break;
       }
+      case this.ON_SERVER_MUTED:
+      case this.ON_SERVER_UNMUTED: {
+        status.serverMuted = this.serverMuted;
+        break;
+      }
       default:
         break;
     }
@@ -123,6 +143,17 @@ class Participant extends Emitter {
     this.triggerUpdate(this.isTalking ? this.ON_START_TALKING : this.ON_STOP_TALKING, false);
   }
 
+  // Sent by the server to every participant, no need to broadcast
+  onServerMuted(serverMuted: boolean) {
+    if (this.serverMuted === serverMuted) {
+      return;
+    }
+    logger.info('on participant server muted', { callId: this.callId, serverMuted });
+    this.serverMuted = serverMuted;
+
+    this.triggerUpdate(serverMuted ? this.ON_SERVER_MUTED : this.ON_SERVER_UNMUTED, false);
+  }
+
   onDisconnect() {
     return this.triggerEvent(this.ON_DISCONNECT);
   }
@@ -189,6 +220,15 @@ class Participant extends Emitter {
     this.triggerUpdate(this.ON_STOP_SCREENSHARING, broadcast);
   }
 
+  // eg: 'low' when displayed as a thumbnail
+  setPreferredLayer(layer: ?string) {
+    this.room.setPreferredLayer(this, layer);
+  }
+
+  getPreferredLayer(): ?string {
+    return this.preferredLayer;
+  }
+
   getStatus() {
     return {
       callId: this.callId,
@@ -4,19 +4,29 @@ import type { Message } from 'sip.js/lib/api/message';
 import sdpParser from 'sdp-transform';
 
 import type CallSession from '../../domain/CallSession';
-import getApiClient from '../../service/getApiClient';
 import Emitter from '../../utils/Emitter';
 import Wazo from '../index';
+import globalContext from '../globalContext';
+import type { SimpleContext } from '../globalContext';
 import Participant from './Participant';
 import RemoteParticipant from './RemoteParticipant';
+import ActiveSpeakerDetector from './ActiveSpeakerDetector';
+import type { ActiveSpeakerOptions, AudioLevelMeter } from './ActiveSpeakerDetector';
 import IssueReporter from '../../service/IssueReporter';
+import { DEFAULT_SIMULCAST_LAYERS } from '../../utils/sdp';
+import type { SimulcastLayer } from '../../utils/sdp';
 
 export const SIGNAL_TYPE_PARTICIPANT_UPDATE = 'signal/PARTICIPANT_UPDATE';
 export const SIGNAL_TYPE_PARTICIPANT_REQUEST = 'signal/PARTICIPANT_REQUEST';
+export const SIGNAL_TYPE_LAYER_REQUEST = 'signal/LAYER_REQUEST';
+
+const SPEAKER_UPDATE_INTERVAL = 250;
 
 const logger = IssueReporter.loggerFor('sdk-room');
 
 class Room extends Emitter {
+  // Phone, Websocket and ApiClient used by the room
+  context: SimpleContext;
   callSession: ?CallSession;
   name: string;
   extension: string;
@@ -30,6 +40,9 @@ class Room extends Emitter {
   _unassociatedParticipants: Object;
   _boundOnParticipantJoined: Function;
   _boundOnParticipantLeft: Function;
+  _boundOnParticipantTalkStarted: Function;
+  _boundOnParticipantTalkStopped: Function;
+  _boundOnConferenceEvent: Function;
   _boundOnScreenshareEnded: Function;
   _boundOnMessage: Function;
   _boundOnChat: Function;
@@ -40,9 +53,26 @@ class Room extends Emitter {
   extra: Object;
   // video tag representing the room audio stream
   roomAudioElement: any;
+  // Published video layers, empty without simulcast
+  simulcastLayers: SimulcastLayer[];
+  // Layer asked by each remote participant for our video, [callId]: rid
+  requestedLayers: { [string]: string };
+  publishedMaxLayer: ?string;
+  speakerDetector: ActiveSpeakerDetector;
+  dominantSpeakerId: ?string;
+  roomLevelMeter: ?AudioLevelMeter;
+  localLevelMeter: ?AudioLevelMeter;
+  speakerInterval: ?IntervalID;
+  recording: boolean;
 
   CONFERENCE_USER_PARTICIPANT_JOINED: string;
   CONFERENCE_USER_PARTICIPANT_LEFT: string;
+  CONFERENCE_USER_PARTICIPANT_TALK_STARTED: string;
+  CONFERENCE_USER_PARTICIPANT_TALK_STOPPED: string;
+  CONFERENCE_PARTICIPANT_MUTED: string;
+  CONFERENCE_PARTICIPANT_UNMUTED: string;
+  CONFERENCE_RECORD_STARTED: string;
+  CONFERENCE_RECORD_STOPPED: string;
   ON_SCREEN_SHARE_ENDED: string;
   ON_MESSAGE: string;
   ON_CHAT: string;
@@ -53,6 +83,9 @@ class Room extends Emitter {
   ON_DISCONNECTED: string;
   ON_JOINED: string;
   ON_VIDEO_INPUT_CHANGE: string;
+  ON_DOMINANT_SPEAKER_CHANGED: string;
+  ON_RECORDING_STARTED: string;
+  ON_RECORDING_STOPPED: string;
 
   /**
    *
@@ -61,6 +94,9 @@ class Room extends Emitter {
    * @param sourceId number
    * @param callId string
    * @param extra Object
+   * @param simulcastLayers Array<SimulcastLayer>
+   * @param activeSpeakerOptions ActiveSpeakerOptions
+   * @param context SimpleContext
    */
   constructor(
     callSession: CallSession,
@@ -68,10 +104,15 @@ class Room extends Emitter {
     sourceId: ?number,
     callId: ?string,
     extra: Object = {},
+    simulcastLayers: SimulcastLayer[] = [],
+    activeSpeakerOptions: ActiveSpeakerOptions = {},
+    context: SimpleContext = globalContext,
   ) {
     super();
     logger.info('room initialized', { callId, extension, sourceId });
 
+    this.context = context;
+
     // Represents the room callSession
     this.callSession = callSession;
     this.extension = extension;
@@ -91,24 +132,45 @@ class Room extends Emitter {
     this.audioStream = null;
     // Extra values passed to local participant
     this.extra = extra;
+    this.simulcastLayers = simulcastLayers;
+    this.requestedLayers = {};
+    this.publishedMaxLayer = null;
+    this.speakerDetector = new ActiveSpeakerDetector(activeSpeakerOptions);
+    this.dominantSpeakerId = null;
+    this.roomLevelMeter = null;
+    this.localLevelMeter = null;
+    this.speakerInterval = null;
+    this.recording = false;
 
     // Sugar syntax for `room.EVENT_NAME`
-    this.CONFERENCE_USER_PARTICIPANT_JOINED = Wazo.Websocket.CONFERENCE_USER_PARTICIPANT_JOINED;
-    this.CONFERENCE_USER_PARTICIPANT_LEFT = Wazo.Websocket.CONFERENCE_USER_PARTICIPANT_LEFT;
-    this.ON_SCREEN_SHARE_ENDED = Wazo.Phone.ON_SCREEN_SHARE_ENDED;
-    this.ON_MESSAGE = Wazo.Phone.ON_MESSAGE;
-    this.ON_CHAT = Wazo.Phone.ON_CHAT;
-    this.ON_SIGNAL = Wazo.Phone.ON_SIGNAL;
-
-    this.ON_AUDIO_STREAM = Wazo.Phone.ON_AUDIO_STREAM;
-    this.ON_VIDEO_STREAM = Wazo.Phone.ON_VIDEO_STREAM;
-    this.ON_REMOVE_STREAM = Wazo.Phone.ON_REMOVE_STREAM;
-    this.ON_VIDEO_INPUT_CHANGE = Wazo.Phone.ON_VIDEO_INPUT_CHANGE;
+    this.CONFERENCE_USER_PARTICIPANT_JOINED = this.context.Websocket.CONFERENCE_USER_PARTICIPANT_JOINED;
+    this.CONFERENCE_USER_PARTICIPANT_LEFT = this.context.Websocket.CONFERENCE_USER_PARTICIPANT_LEFT;
+    this.CONFERENCE_USER_PARTICIPANT_TALK_STARTED = this.context.Websocket.CONFERENCE_USER_PARTICIPANT_TALK_STARTED;
+    this.CONFERENCE_USER_PARTICIPANT_TALK_STOPPED = this.context.Websocket.CONFERENCE_USER_PARTICIPANT_TALK_STOPPED;
+    this.CONFERENCE_PARTICIPANT_MUTED = this.context.Websocket.CONFERENCE_PARTICIPANT_MUTED;
+    this.CONFERENCE_PARTICIPANT_UNMUTED = this.context.Websocket.CONFERENCE_PARTICIPANT_UNMUTED;
+    this.CONFERENCE_RECORD_STARTED = this.context.Websocket.CONFERENCE_RECORD_STARTED;
+    this.CONFERENCE_RECORD_STOPPED = this.context.Websocket.CONFERENCE_RECORD_STOPPED;
+    this.ON_SCREEN_SHARE_ENDED = this.context.Phone.ON_SCREEN_SHARE_ENDED;
+    this.ON_MESSAGE = this.context.Phone.ON_MESSAGE;
+    this.ON_CHAT = this.context.Phone.ON_CHAT;
+    this.ON_SIGNAL = this.context.Phone.ON_SIGNAL;
+
+    this.ON_AUDIO_STREAM = this.context.Phone.ON_AUDIO_STREAM;
+    this.ON_VIDEO_STREAM = this.context.Phone.ON_VIDEO_STREAM;
+    this.ON_REMOVE_STREAM = this.context.Phone.ON_REMOVE_STREAM;
+    this.ON_VIDEO_INPUT_CHANGE = this.context.Phone.ON_VIDEO_INPUT_CHANGE;
     this.ON_DISCONNECTED = 'room/ON_DISCONNECTED';
     this.ON_JOINED = 'room/ON_JOINED';
+    this.ON_DOMINANT_SPEAKER_CHANGED = 'room/ON_DOMINANT_SPEAKER_CHANGED';
+    this.ON_RECORDING_STARTED = 'room/ON_RECORDING_STARTED';
+    this.ON_RECORDING_STOPPED = 'room/ON_RECORDING_STOPPED';
 
     this._boundOnParticipantJoined = this._onParticipantJoined.bind(this);
     this._boundOnParticipantLeft = this._onParticipantLeft.bind(this);
+    this._boundOnParticipantTalkStarted = payload => this._onParticipantTalk(payload, true);
+    this._boundOnParticipantTalkStopped = payload => this._onParticipantTalk(payload, false);
+    this._boundOnConferenceEvent = this._onConferenceEvent.bind(this);
     this._boundOnMessage = this._onMessage.bind(this);
     this._boundOnChat = this._onChat.bind(this);
     this._boundOnSignal = this._onSignal.bind(this);
@@ -128,39 +190,56 @@ class Room extends Emitter {
    * @param constraints string
    * @param audioOnly boolean
    * @param extra Object
+   * @param simulcast boolean|Array<SimulcastLayer> Sends the camera in several resolutions
+   * @param activeSpeaker ActiveSpeakerOptions
+   * @param context SimpleContext Connects with the account of a `Wazo.createContext()`, the default one otherwise
    * @returns {Promise<Room>}
    */
-  static async connect({ extension, constraints, audioOnly = false, extra }: Object) {
-    logger.info('connecting to room', { extension, audioOnly });
-
-    await Wazo.Phone.connect({ media: constraints });
+  static async connect({
+    extension,
+    constraints,
+    audioOnly = false,
+    extra,
+    simulcast = false,
+    activeSpeaker,
+    context = globalContext,
+  }: Object) {
+    logger.info('connecting to room', { extension, audioOnly, simulcast: !!simulcast });
+
+    await context.Phone.connect({ media: constraints });
 
     const withCamera = constraints && !!constraints.video;
 
     if (withCamera) {
-      Wazo.Phone.checkSfu();
+      context.Phone.checkSfu();
     }
 
-    const callSession = await Wazo.Phone.call(extension, withCamera, null, audioOnly);
-    const room = new Room(callSession, extension, null, null, extra);
+    let simulcastLayers = [];
+    if (withCamera && simulcast) {
+      simulcastLayers = Array.isArray(simulcast) ? simulcast : DEFAULT_SIMULCAST_LAYERS;
+    }
+    const mediaPreferences = simulcastLayers.length ? { simulcast: simulcastLayers } : null;
+
+    const callSession = await context.Phone.call(extension, withCamera, null, audioOnly, mediaPreferences);
+    const room = new Room(callSession, extension, null, null, extra, simulcastLayers, activeSpeaker, context);
 
     // Call_created is triggered before call_accepted, so we have to listen for it here.
     let callId = '';
-    Wazo.Websocket.once(Wazo.Websocket.CALL_CREATED, ({ data }) => {
+    context.Websocket.once(context.Websocket.CALL_CREATED, ({ data }) => {
       callId = data.call_id;
       room.setCallId(callId);
     });
 
     // Wait for the call to be accepted
     await new Promise((resolve, reject) => {
-      Wazo.Phone.once(Wazo.Phone.ON_CALL_ACCEPTED, resolve);
-      Wazo.Phone.once(Wazo.Phone.ON_CALL_FAILED, reject);
+      context.Phone.once(context.Phone.ON_CALL_ACCEPTED, resolve);
+      context.Phone.once(context.Phone.ON_CALL_FAILED, reject);
     });
 
     // Fetch conference source
-    const sources = await getApiClient().dird.fetchConferenceSource('default');
+    const sources = await context.getApiClient().dird.fetchConferenceSource('default');
     // Retrieve conference sources
-    const contacts = await getApiClient().dird.fetchConferenceContacts(sources.items[0]);
+    const contacts = await context.getApiClient().dird.fetchConferenceContacts(sources.items[0]);
     // Retrieve conference
     const conference = contacts.find(contact => contact.numbers.find(number => number.number === extension));
 
@@ -176,28 +255,32 @@ class Room extends Emitter {
     return room;
   }
 
-  static disconnect() {
+  static disconnect(context: SimpleContext = globalContext) {
     logger.info('static disconnection to room');
 
-    Wazo.Phone.disconnect();
+    context.Phone.disconnect();
   }
 
   async disconnect() {
     logger.info('disconnection to room called');
 
-    await Wazo.Phone.hangup(this.callSession);
+    await this.context.Phone.hangup(this.callSession);
     this.callSession = null;
     this.eventEmitter.emit(this.ON_DISCONNECTED, this);
     this.connected = false;
+    this._stopSpeakerDetection();
     this.unbind();
 
-    Wazo.Phone.off(this.ON_MESSAGE, this._boundOnMessage);
-    Wazo.Phone.off(this.ON_CHAT, this._boundOnChat);
-    Wazo.Phone.off(this.ON_SIGNAL, this._boundOnSignal);
-    Wazo.Phone.off(this.ON_SCREEN_SHARE_ENDED, this._boundOnScreenshareEnded);
-    Wazo.Phone.off(this.ON_VIDEO_INPUT_CHANGE, this._boundSaveLocalVideoStream);
-    Wazo.Websocket.off(this.CONFERENCE_USER_PARTICIPANT_JOINED, this._boundOnParticipantJoined);
-    Wazo.Websocket.off(this.CONFERENCE_USER_PARTICIPANT_LEFT, this._boundOnParticipantLeft);
+    this.context.Phone.off(this.ON_MESSAGE, this._boundOnMessage);
+    this.context.Phone.off(this.ON_CHAT, this._boundOnChat);
+    this.context.Phone.off(this.ON_SIGNAL, this._boundOnSignal);
+    this.context.Phone.off(this.ON_SCREEN_SHARE_ENDED, this._boundOnScreenshareEnded);
+    this.context.Phone.off(this.ON_VIDEO_INPUT_CHANGE, this._boundSaveLocalVideoStream);
+    this.context.Websocket.off(this.CONFERENCE_USER_PARTICIPANT_JOINED, this._boundOnParticipantJoined);
+    this.context.Websocket.off(this.CONFERENCE_USER_PARTICIPANT_LEFT, this._boundOnParticipantLeft);
+    this.context.Websocket.off(this.CONFERENCE_USER_PARTICIPANT_TALK_STARTED, this._boundOnParticipantTalkStarted);
+    this.context.Websocket.off(this.CONFERENCE_USER_PARTICIPANT_TALK_STOPPED, this._boundOnParticipantTalkStopped);
+    this._getModerationEvents().forEach(event => this.context.Websocket.off(event, this._boundOnConferenceEvent));
 
     if (this.roomAudioElement && document.body) {
       document.body.removeChild(this.roomAudioElement);
@@ -223,21 +306,21 @@ class Room extends Emitter {
   }
 
   sendMessage(body: string, sipSession: any = null) {
-    return Wazo.Phone.sendMessage(body, sipSession);
+    return this.context.Phone.sendMessage(body, sipSession);
   }
 
   sendChat(content: string) {
-    return Wazo.Phone.sendChat(content);
+    return this.context.Phone.sendChat(content);
   }
 
   sendSignal(content: any) {
-    return Wazo.Phone.sendSignal(content);
+    return this.context.Phone.sendSignal(content);
   }
 
   async startScreenSharing(constraints: Object) {
     logger.info('start room screen sharing', { constraints });
 
-    const screensharingStream = await Wazo.Phone.startScreenSharing(constraints);
+    const screensharingStream = await this.context.Phone.startScreenSharing(constraints);
     if (!screensharingStream) {
       console.warn('screensharing stream is null (likely due to user cancellation)');
       return null;
@@ -253,7 +336,7 @@ class Room extends Emitter {
   stopScreenSharing() {
     logger.info('stop room screen sharing');
 
-    Wazo.Phone.stopScreenSharing();
+    this.context.Phone.stopScreenSharing();
 
     if (this.localParticipant) {
       this.localParticipant.onStopScreensharing();
@@ -263,7 +346,7 @@ class Room extends Emitter {
   turnCameraOff() {
     logger.info('turn room camera off');
 
-    Wazo.Phone.turnCameraOff(this.callSession);
+    this.context.Phone.turnCameraOff(this.callSession);
 
     if (this.localParticipant) {
       this.localParticipant.onVideoMuted();
@@ -273,7 +356,7 @@ class Room extends Emitter {
   turnCameraOn() {
     logger.info('turn room camera on');
 
-    Wazo.Phone.turnCameraOn(this.callSession);
+    this.context.Phone.turnCameraOn(this.callSession);
 
     if (this.localParticipant) {
       this.localParticipant.onVideoUnMuted();
@@ -283,7 +366,7 @@ class Room extends Emitter {
   mute() {
     logger.info('mute room');
 
-    Wazo.Phone.mute(this.callSession);
+    this.context.Phone.mute(this.callSession);
 
     if (this.localParticipant) {
       this.localParticipant.onAudioMuted();
@@ -293,7 +376,7 @@ class Room extends Emitter {
   unmute() {
     logger.info('unmute room');
 
-    Wazo.Phone.unmute(this.callSession);
+    this.context.Phone.unmute(this.callSession);
 
     if (this.localParticipant) {
       this.localParticipant.onAudioUnMuted();
@@ -303,12 +386,268 @@ class Room extends Emitter {
   sendDTMF(tone: string) {
     logger.info('send room DTMF', { tone });
 
-    Wazo.Phone.sendDTMF(tone, this.callSession);
+    this.context.Phone.sendDTMF(tone, this.callSession);
+  }
+
+  // Asks a remote participant to send its video up to `layer`, eg: 'low' for a thumbnail, 'high' for the speaker.
+  // `null` removes the preference.
+  // The SFU forwards the same layers to everyone: the publisher only stops sending the layers nobody asked for,
+  // so a participant still receives the highest layer requested by any other participant.
+  setPreferredLayer(participant: Participant, layer: ?string) {
+    const { localParticipant } = this;
+    if (!localParticipant || participant === localParticipant) {
+      return;
+    }
+    logger.info('set room preferred layer', { callId: participant.callId, layer });
+
+    // eslint-disable-next-line no-param-reassign
+    participant.preferredLayer = layer;
+    this.sendSignal({
+      type: SIGNAL_TYPE_LAYER_REQUEST,
+      origin: localParticipant.callId,
+      callId: participant.callId,
+      layer,
+    });
+  }
+
+  // Moderation, only allowed to admins of the conference.
+  // calld also requires the conference ACLs in the token, a plain user token is refused.
+  // Locking the room is not available: calld has no endpoint to lock a conference.
+  isAdmin(): boolean {
+    return !!this.localParticipant && this.localParticipant.admin;
+  }
+
+  async muteParticipant(participant: Participant) {
+    logger.info('mute room participant', { callId: participant.callId });
+    const conferenceId = this._checkModeration('mute a participant', `participants.${participant.id}.mute.update`);
+
+    await this.context.getApiClient().calld.muteConferenceParticipant(conferenceId, participant.id);
+    // `CONFERENCE_PARTICIPANT_MUTED` is only sent to tokens with the conference ACLs
+    participant.onServerMuted(true);
+  }
+
+  async unmuteParticipant(participant: Participant) {
+    logger.info('unmute room participant', { callId: participant.callId });
+    const conferenceId = this._checkModeration('unmute a participant',
+      `participants.${participant.id}.unmute.update`);
+
+    await this.context.getApiClient().calld.unmuteConferenceParticipant(conferenceId, participant.id);
+    participant.onServerMuted(false);
+  }
+
+  // The participant is removed by the `CONFERENCE_USER_PARTICIPANT_LEFT` event
+  async kickParticipant(participant: Participant) {
+    logger.info('kick room participant', { callId: participant.callId });
+    const conferenceId = this._checkModeration('kick a participant', `participants.${participant.id}.delete`);
+
+    return this.context.getApiClient().calld.kickConferenceParticipant(conferenceId, participant.id);
+  }
+
+  async startRecording() {
+    logger.info('start room recording');
+    const conferenceId = this._checkModeration('record the room', 'record.create');
+
+    await this.context.getApiClient().calld.startConferenceRecording(conferenceId);
+    this._setRecording(true);
+  }
+
+  async stopRecording() {
+    logger.info('stop room recording');
+    const conferenceId = this._checkModeration('stop the room recording', 'record.delete');
+
+    await this.context.getApiClient().calld.stopConferenceRecording(conferenceId);
+    this._setRecording(false);
+  }
+
+  _setRecording(recording: boolean) {
+    if (this.recording === recording) {
+      return;
+    }
+    this.recording = recording;
+
+    this.eventEmitter.emit(recording ? this.ON_RECORDING_STARTED : this.ON_RECORDING_STOPPED, this);
+  }
+
+  // `acl` is relative to the conference, eg: `record.create` for `calld.conferences.{id}.record.create`
+  _checkModeration(action: string, acl: string): string {
+    if (!this.isAdmin()) {
+      throw new Error(`Sorry, only an admin of the room can ${action}`);
+    }
+    if (!this.sourceId) {
+      throw new Error('The room is not connected yet');
+    }
+
+    const conferenceId = String(this.sourceId);
+    const requiredAcl = `calld.conferences.${conferenceId}.${acl}`;
+    const session = this.context.Auth.getSession();
+    if (!session || !session.hasAcl(requiredAcl)) {
+      throw new Error(`Sorry, the token needs the \`${requiredAcl}\` ACL to ${action}`);
+    }
+
+    return conferenceId;
+  }
+
+  _getModerationEvents(): string[] {
+    return [
+      this.CONFERENCE_PARTICIPANT_MUTED,
+      this.CONFERENCE_PARTICIPANT_UNMUTED,
+      this.CONFERENCE_RECORD_STARTED,
+      this.CONFERENCE_RECORD_STOPPED,
+    ];
+  }
+
+  // Only received with the conference ACLs, eg: when another admin mutes a participant
+  _onConferenceEvent(payload: Object) {
+    const { name, data } = payload;
+    // Events of other conferences are also received
+    if (this.sourceId && data.conference_id && String(data.conference_id) !== String(this.sourceId)) {
+      return;
+    }
+
+    switch (name) {
+      case this.CONFERENCE_PARTICIPANT_MUTED:
+      case this.CONFERENCE_PARTICIPANT_UNMUTED: {
+        const participant = this._getParticipantFromCallId(data.call_id);
+        if (participant) {
+          participant.onServerMuted(name === this.CONFERENCE_PARTICIPANT_MUTED);
+        }
+        break;
+      }
+      case this.CONFERENCE_RECORD_STARTED:
+      case this.CONFERENCE_RECORD_STOPPED:
+        this._setRecording(name === this.CONFERENCE_RECORD_STARTED);
+        break;
+      default:
+    }
+  }
+
+  getDominantSpeaker(): ?Participant {
+    return this.dominantSpeakerId ? this._getParticipantFromCallId(this.dominantSpeakerId) : null;
+  }
+
+  // Every participant, the most recent speakers first, eg: to choose the visible ones in a gallery
+  getRecentSpeakers(): Participant[] {
+    const recentIds = this.speakerDetector.getRecentSpeakers();
+    const rank = participant => {
+      const index = recentIds.indexOf(participant.callId);
+      return index === -1 ? recentIds.length : index;
+    };
+
+    return [...this.participants].sort((a, b) => rank(a) - rank(b));
+  }
+
+  _startSpeakerDetection() {
+    if (this.speakerInterval) {
+      return;
+    }
+
+    this.speakerInterval = setInterval(() => this._updateSpeakers(), SPEAKER_UPDATE_INTERVAL);
+  }
+
+  _stopSpeakerDetection() {
+    if (this.speakerInterval) {
+      clearInterval(this.speakerInterval);
+      this.speakerInterval = null;
+    }
+    if (this.roomLevelMeter) {
+      this.roomLevelMeter.stop();
+      this.roomLevelMeter = null;
+    }
+    if (this.localLevelMeter) {
+      this.localLevelMeter.stop();
+      this.localLevelMeter = null;
+    }
+  }
+
+  _updateSpeakers() {
+    const { speakerDetector, localParticipant } = this;
+    this._createLevelMeters();
+
+    if (this.roomLevelMeter) {
+      speakerDetector.setAudioLevel(this.roomLevelMeter.getLevel());
+    }
+    if (this.localLevelMeter && localParticipant) {
+      const level = localParticipant.audioMuted ? 0 : this.localLevelMeter.getLevel();
+      speakerDetector.setAudioLevel(level, localParticipant.callId);
+    }
+
+    const dominantId = speakerDetector.update();
+    if (dominantId === this.dominantSpeakerId) {
+      return;
+    }
+
+    const previous = this.getDominantSpeaker();
+    this.dominantSpeakerId = dominantId;
+    logger.info('room dominant speaker changed', { callId: dominantId });
+
+    this.eventEmitter.emit(this.ON_DOMINANT_SPEAKER_CHANGED, this.getDominantSpeaker(), previous);
+  }
+
+  // Without audio analysis (eg: react-native), only the server talk events are used
+  _createLevelMeters() {
+    const audioContext = this.context.Phone.phone ? this.context.Phone.phone.client.audioContext : null;
+    if (!audioContext) {
+      return;
+    }
+    // Analysers of a suspended context only read silence
+    if (audioContext.state === 'suspended') {
+      audioContext.resume().catch(e => logger.warn('unable to resume the audio context', { message: e.message }));
+    }
+
+    if (!this.roomLevelMeter && this.audioStream) {
+      this.roomLevelMeter = ActiveSpeakerDetector.createLevelMeter(audioContext, this.audioStream);
+    }
+
+    const localStream = this.localLevelMeter ? null : this.context.Phone.getLocalMediaStream(this.callSession);
+    if (localStream && localStream.getAudioTracks().length) {
+      this.localLevelMeter = ActiveSpeakerDetector.createLevelMeter(audioContext, localStream);
+    }
+  }
+
+  _onParticipantTalk(payload: Object, isTalking: boolean) {
+    this._setParticipantTalking(payload.data.call_id, isTalking);
+  }
+
+  // Talk events come from the websocket and from Asterisk messages
+  _setParticipantTalking(callId: string, isTalking: boolean) {
+    const participant = this._getParticipantFromCallId(callId);
+    if (!participant) {
+      return;
+    }
+
+    this.speakerDetector.setTalking(callId, isTalking);
+    if (participant.isTalking !== isTalking) {
+      participant.onTalking(isTalking);
+    }
+  }
+
+  // The SFU can only forward the layers we send: the highest one asked by the other participants is kept
+  _updatePublishedLayers() {
+    if (!this.simulcastLayers.length) {
+      return;
+    }
+    // Layers go from the highest to the lowest
+    const rids = this.simulcastLayers.map(layer => layer.rid);
+    const subscribers = this.participants.filter(participant => participant !== this.localParticipant);
+    // Participants without preference receive the highest layer
+    const indexes = subscribers.map(participant => {
+      const index = rids.indexOf(this.requestedLayers[participant.callId]);
+      return index === -1 ? 0 : index;
+    });
+    const maxLayer = indexes.length ? rids[Math.min(...indexes)] : null;
+    if (maxLayer === this.publishedMaxLayer) {
+      return;
+    }
+
+    logger.info('update room published layers', { maxLayer });
+    this.publishedMaxLayer = maxLayer;
+    this.context.Phone.setSimulcastMaxLayer(this.callSession, maxLayer);
   }
 
   _bindEvents() {
     // Retrieve mapping
-    Wazo.Phone.phone.currentSipSession.sessionDescriptionHandler.on('setDescription', ({ type, sdp: rawSdp }) => {
+    const { sessionDescriptionHandler } = this.context.Phone.phone.currentSipSession;
+    sessionDescriptionHandler.on('setDescription', ({ type, sdp: rawSdp }) => {
       if (type !== 'offer') {
         return;
       }
@@ -343,7 +682,7 @@ class Room extends Emitter {
         // $FlowFixMe
         if (this.roomAudioElement.setSinkId) {
           // $FlowFixMe
-          this.roomAudioElement.setSinkId(Wazo.Phone.getOutputDevice());
+          this.roomAudioElement.setSinkId(this.context.Phone.getOutputDevice());
         }
       }
     });
@@ -377,18 +716,21 @@ class Room extends Emitter {
   }
 
   _transferEvents() {
-    Wazo.Websocket.on(this.CONFERENCE_USER_PARTICIPANT_JOINED, this._boundOnParticipantJoined);
-    Wazo.Websocket.on(this.CONFERENCE_USER_PARTICIPANT_LEFT, this._boundOnParticipantLeft);
+    this.context.Websocket.on(this.CONFERENCE_USER_PARTICIPANT_JOINED, this._boundOnParticipantJoined);
+    this.context.Websocket.on(this.CONFERENCE_USER_PARTICIPANT_LEFT, this._boundOnParticipantLeft);
+    this.context.Websocket.on(this.CONFERENCE_USER_PARTICIPANT_TALK_STARTED, this._boundOnParticipantTalkStarted);
+    this.context.Websocket.on(this.CONFERENCE_USER_PARTICIPANT_TALK_STOPPED, this._boundOnParticipantTalkStopped);
+    this._getModerationEvents().forEach(event => this.context.Websocket.on(event, this._boundOnConferenceEvent));
 
     // Phone events
-    Wazo.Phone.on(this.ON_MESSAGE, this._boundOnMessage);
-    Wazo.Phone.on(this.ON_CHAT, this._boundOnChat);
-    Wazo.Phone.on(this.ON_SIGNAL, this._boundOnSignal);
-    Wazo.Phone.on(this.ON_SCREEN_SHARE_ENDED, this._boundOnScreenshareEnded);
-    Wazo.Phone.on(this.ON_VIDEO_INPUT_CHANGE, this._boundSaveLocalVideoStream);
+    this.context.Phone.on(this.ON_MESSAGE, this._boundOnMessage);
+    this.context.Phone.on(this.ON_CHAT, this._boundOnChat);
+    this.context.Phone.on(this.ON_SIGNAL, this._boundOnSignal);
+    this.context.Phone.on(this.ON_SCREEN_SHARE_ENDED, this._boundOnScreenshareEnded);
+    this.context.Phone.on(this.ON_VIDEO_INPUT_CHANGE, this._boundSaveLocalVideoStream);
 
     [this.ON_AUDIO_STREAM, this.ON_VIDEO_STREAM, this.ON_REMOVE_STREAM].forEach(event =>
-      Wazo.Phone.on(event, (...args) => this.eventEmitter.emit.apply(this.eventEmitter, [event, ...args])));
+      this.context.Phone.on(event, (...args) => this.eventEmitter.emit.apply(this.eventEmitter, [event, ...args])));
   }
 
   _onMessage(message: Message) {
@@ -407,12 +749,10 @@ class Room extends Emitter {
         // Update participant
         const channel = body.channels[0];
         const { id: callId, talking_status: talkingStatus } = channel;
-        const isTalking = talkingStatus === 'on';
-        const participantIdx = this.participants.findIndex(participant => participant.callId === callId);
-        if (participantIdx === -1) {
+        if (!this._getParticipantFromCallId(callId)) {
           return;
         }
-        this.participants[participantIdx].onTalking(isTalking);
+        this._setParticipantTalking(callId, talkingStatus === 'on');
         break;
       }
 
@@ -461,17 +801,33 @@ class Room extends Emitter {
         break;
       }
 
+      // someone asks for a layer of a participant video
+      case SIGNAL_TYPE_LAYER_REQUEST: {
+        const { callId, origin, layer } = content;
+        if (!this.localParticipant || callId !== this.localParticipant.callId) {
+          break;
+        }
+
+        if (layer) {
+          this.requestedLayers[origin] = layer;
+        } else {
+          delete this.requestedLayers[origin];
+        }
+        this._updatePublishedLayers();
+        break;
+      }
+
       default: {
         console.warn('uncaught signal', content);
       }
     }
 
-    this.eventEmitter.emit(Wazo.Phone.ON_SIGNAL, content);
+    this.eventEmitter.emit(this.context.Phone.ON_SIGNAL, content);
   }
 
   async _onParticipantJoined(payload: Object) {
     const participant = payload.data;
-    const session = Wazo.Auth.getSession();
+    const session = this.context.Auth.getSession();
     let participants = [];
 
     // @TODO: we could use a better function name here
@@ -489,7 +845,7 @@ class Room extends Emitter {
 
       // Retrieve participants via an API calls
       const conferenceId = this.sourceId || payload.data.conference_id;
-      const response = await getApiClient().calld.getConferenceParticipantsAsUser(conferenceId);
+      const response = await this.context.getApiClient().calld.getConferenceParticipantsAsUser(conferenceId);
       logger.info('fetching conference participants', { conferenceId });
       if (response) {
         logger.info('conference participants fetched', { nb: response.items.length });
@@ -510,6 +866,7 @@ class Room extends Emitter {
           this._saveLocalVideoStream(this._getLocalVideoStream());
 
           this.connected = true;
+          this._startSpeakerDetection();
 
           // we're in the room, now let's request everyone's status
           if (this.localParticipant) {
@@ -521,6 +878,7 @@ class Room extends Emitter {
         }
 
         participants.forEach(someParticipant => isJoining(someParticipant));
+        this._updatePublishedLayers();
         this.eventEmitter.emit(this.ON_JOINED, localParticipant, participants);
       }
 
@@ -536,6 +894,7 @@ class Room extends Emitter {
     if (remoteParticipant) {
       this.participants.push(remoteParticipant);
       isJoining(remoteParticipant);
+      this._updatePublishedLayers();
     }
 
     return remoteParticipant;
@@ -570,6 +929,9 @@ class Room extends Emitter {
 
     this.participants = this.participants.filter(participant =>
       participant && participant.callId !== payload.data.call_id);
+    delete this.requestedLayers[payload.data.call_id];
+    this.speakerDetector.remove(payload.data.call_id);
+    this._updatePublishedLayers();
     this.eventEmitter.emit(this.CONFERENCE_USER_PARTICIPANT_LEFT, leftParticipant);
   }
 
@@ -614,7 +976,7 @@ class Room extends Emitter {
   }
 
   _getLocalVideoStream() {
-    return Wazo.Phone.getLocalVideoStream(this.callSession);
+    return this.context.Phone.getLocalVideoStream(this.callSession);
   }
 }
 
@@ -0,0 +1,60 @@
+import ActiveSpeakerDetector from '../ActiveSpeakerDetector';
+
+const run = (detector, from, to, step = 250) => {
+  let dominant;
+  for (let now = from; now <= to; now += step) {
+    dominant = detector.update(now);
+  }
+  return dominant;
+};
+
+describe('ActiveSpeakerDetector', () => {
+  let detector;
+
+  beforeEach(() => {
+    detector = new ActiveSpeakerDetector({ switchDelay: 1000 });
+  });
+
+  it('should select the first speaker right away', () => {
+    detector.setTalking('alice', true);
+
+    expect(detector.update(0)).toBe('alice');
+  });
+
+  it('should keep the dominant speaker on short interruptions', () => {
+    detector.setTalking('alice', true);
+    run(detector, 0, 3000);
+
+    detector.setTalking('bob', true);
+    expect(run(detector, 3250, 3750)).toBe('alice');
+
+    detector.setTalking('alice', false);
+    expect(run(detector, 4000, 4250)).toBe('alice');
+    expect(run(detector, 4500, 6000)).toBe('bob');
+    expect(detector.getRecentSpeakers()).toEqual(['bob', 'alice']);
+  });
+
+  it('should ignore talk events when the room is silent', () => {
+    detector.setTalking('alice', true);
+    detector.setAudioLevel(0.001);
+
+    expect(run(detector, 0, 1000)).toBe(null);
+    expect(detector.getRecentSpeakers()).toEqual([]);
+  });
+
+  it('should not use a room level stuck at 0', () => {
+    detector.setTalking('alice', true);
+    detector.setAudioLevel(0);
+
+    expect(detector.update(0)).toBe('alice');
+  });
+
+  it('should use the level of a participant when known', () => {
+    detector.setAudioLevel(0.2, 'me');
+    expect(detector.update(0)).toBe('me');
+
+    detector.remove('me');
+    expect(detector.dominant).toBe(null);
+    expect(detector.getRecentSpeakers()).toEqual([]);
+  });
+});
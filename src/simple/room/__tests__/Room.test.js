@@ -0,0 +1,103 @@
+/* eslint-disable no-underscore-dangle */
+// Loaded first to resolve the circular import between IssueReporter and ApiRequester
+import '../../../utils/api-requester';
+import Wazo from '../../index';
+import Room from '../Room';
+import { DEFAULT_SIMULCAST_LAYERS } from '../../../utils/sdp';
+import Session from '../../../domain/Session';
+
+const calld = {
+  muteConferenceParticipant: jest.fn(() => Promise.resolve(true)),
+  kickConferenceParticipant: jest.fn(() => Promise.resolve(true)),
+  startConferenceRecording: jest.fn(() => Promise.resolve(true)),
+};
+
+describe('Room moderation', () => {
+  let room;
+  let local;
+  let remote;
+  let session;
+
+  beforeEach(() => {
+    session = new Session({ acls: ['calld.conferences.12.#'] });
+    const Auth = { getSession: () => session };
+    const context = { Auth, Websocket: Wazo.Websocket, Phone: Wazo.Phone, getApiClient: () => ({ calld }) };
+    Wazo.Phone.phone = { currentSipSession: { sessionDescriptionHandler: { on: jest.fn() } } };
+
+    room = new Room({}, '4000', 12, 'local-call', {}, [], {}, context);
+    local = new Wazo.LocalParticipant(room, { id: '1', call_id: 'local-call', admin: true });
+    remote = new Wazo.RemoteParticipant(room, { id: '2', call_id: 'remote-call', admin: false });
+    room.localParticipant = local;
+    room.participants = [local, remote];
+  });
+
+  afterEach(() => {
+    room.unbind();
+    Wazo.Phone.phone = null;
+  });
+
+  it('should call the conference endpoints as an admin', async () => {
+    const onRecordingStarted = jest.fn();
+    room.on(room.ON_RECORDING_STARTED, onRecordingStarted);
+
+    await room.muteParticipant(remote);
+    await room.kickParticipant(remote);
+    await room.startRecording();
+
+    expect(calld.muteConferenceParticipant).toHaveBeenCalledWith('12', '2');
+    expect(calld.kickConferenceParticipant).toHaveBeenCalledWith('12', '2');
+    expect(calld.startConferenceRecording).toHaveBeenCalledWith('12');
+    // The moderation events are not sent to user tokens
+    expect(remote.serverMuted).toBeTruthy();
+    expect(room.recording).toBeTruthy();
+    expect(onRecordingStarted).toHaveBeenCalledWith(room);
+  });
+
+  it('should refuse moderation to other participants', async () => {
+    local.admin = false;
+
+    await expect(room.muteParticipant(remote)).rejects.toThrow('only an admin');
+    expect(room.isAdmin()).toBeFalsy();
+  });
+
+  it('should refuse moderation without the conference ACLs', async () => {
+    session = new Session({ acls: ['calld.users.me.#'] });
+    calld.startConferenceRecording.mockClear();
+
+    await expect(room.startRecording()).rejects.toThrow('calld.conferences.12.record.create');
+    expect(calld.startConferenceRecording).not.toHaveBeenCalled();
+  });
+
+  it('should only publish the layers requested by the other participants', () => {
+    const setSimulcastMaxLayer = jest.spyOn(Wazo.Phone, 'setSimulcastMaxLayer').mockImplementation(() => {});
+    room.simulcastLayers = DEFAULT_SIMULCAST_LAYERS;
+
+    room.requestedLayers = { 'remote-call': 'low' };
+    room._updatePublishedLayers();
+    expect(setSimulcastMaxLayer).toHaveBeenLastCalledWith({}, 'low');
+
+    room.requestedLayers = {};
+    room._updatePublishedLayers();
+    expect(setSimulcastMaxLayer).toHaveBeenLastCalledWith({}, 'high');
+
+    setSimulcastMaxLayer.mockRestore();
+  });
+
+  it('should keep the state in sync with the conference events', () => {
+    const onServerMuted = jest.fn();
+    const onRecordingStarted = jest.fn();
+    remote.on(remote.ON_SERVER_MUTED, onServerMuted);
+    room.on(room.ON_RECORDING_STARTED, onRecordingStarted);
+
+    const event = (name, data = {}) => ({ name, data: { conference_id: 12, ...data } });
+    room._onConferenceEvent(event(room.CONFERENCE_PARTICIPANT_MUTED, { call_id: 'remote-call' }));
+    room._onConferenceEvent(event(room.CONFERENCE_RECORD_STARTED));
+    room._onConferenceEvent(event(room.CONFERENCE_RECORD_STARTED));
+    room._onConferenceEvent({ name: room.CONFERENCE_RECORD_STOPPED, data: { conference_id: 13 } });
+
+    expect(remote.serverMuted).toBeTruthy();
+    expect(onServerMuted).toHaveBeenCalled();
+    expect(room.recording).toBeTruthy();
+    expect(onRecordingStarted).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,243 @@
+// @flow
+/* global window */
+import IssueReporter from '../service/IssueReporter';
+
+export type AudioProcessorNodes = {
+  input: AudioNode,
+  output: AudioNode,
+  // Called when the nodes are removed from the chain, eg: to clear timers
+  destroy?: () => void,
+};
+
+// Processors are factories: each call gets its own nodes
+export type AudioProcessor = {
+  name: string,
+  create: (audioContext: AudioContext) => AudioProcessorNodes,
+};
+
+export type NoiseGateOptions = {
+  // Level in dB under which the microphone is closed
+  threshold?: number,
+  // Time in ms the gate stays open after the level went under the threshold
+  holdTime?: number,
+};
+
+const NOISE_GATE_PROCESSOR = 'wazo-noise-gate';
+
+const logger = IssueReporter.loggerFor('audio-processing');
+
+// Runs on the audio thread, so the gate keeps working when timers are throttled in background tabs
+const NOISE_GATE_WORKLET = `
+class NoiseGateProcessor extends AudioWorkletProcessor {
+  constructor({ processorOptions }) {
+    super();
+    this.threshold = processorOptions.threshold;
+    this.holdFrames = processorOptions.holdTime * sampleRate / 1000;
+    this.silentFrames = Infinity;
+    this.gain = 0;
+    // Smooth the transition to avoid clicks, in about 10ms
+    this.smoothing = 1 - Math.exp(-1 / (0.01 * sampleRate));
+  }
+
+  process([input], [output]) {
+    if (!input.length) {
+      return true;
+    }
+
+    const samples = input[0];
+    const rms = Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+    const level = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+    this.silentFrames = level >= this.threshold ? 0 : this.silentFrames + samples.length;
+    const target = this.silentFrames < this.holdFrames ? 1 : 0;
+
+    for (let i = 0; i < samples.length; i++) {
+      this.gain += (target - this.gain) * this.smoothing;
+      input.forEach((channel, index) => {
+        output[index][i] = channel[i] * this.gain;
+      });
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('${NOISE_GATE_PROCESSOR}', NoiseGateProcessor);
+`;
+
+// The module is loaded once per context
+const noiseGateModules: WeakMap<AudioContext, Promise<void>> = new WeakMap();
+
+const loadNoiseGateModule = (audioContext: Object): Promise<void> => {
+  if (!noiseGateModules.has(audioContext)) {
+    const url = window.URL.createObjectURL(new window.Blob([NOISE_GATE_WORKLET], { type: 'application/javascript' }));
+    noiseGateModules.set(audioContext, audioContext.audioWorklet.addModule(url));
+  }
+
+  // $FlowFixMe: set above
+  return noiseGateModules.get(audioContext);
+};
+
+// Routes the microphone through WebAudio processors, the output track stays the same when processors change
+export default class AudioProcessingChain {
+  audioContext: AudioContext;
+  processors: AudioProcessor[];
+  disabledProcessors: { [string]: boolean };
+  inputStream: ?MediaStream;
+  source: ?MediaStreamAudioSourceNode;
+  destination: ?MediaStreamAudioDestinationNode;
+  nodes: AudioProcessorNodes[];
+
+  static createGainProcessor(gain: number = 1, name: string = 'gain'): AudioProcessor {
+    return {
+      name,
+      create: (audioContext: AudioContext) => {
+        const node = audioContext.createGain();
+        node.gain.value = gain;
+        return { input: node, output: node };
+      },
+    };
+  }
+
+  static createHighPassProcessor(frequency: number = 100, name: string = 'highPass'): AudioProcessor {
+    return {
+      name,
+      create: (audioContext: AudioContext) => {
+        const node = audioContext.createBiquadFilter();
+        node.type = 'highpass';
+        node.frequency.value = frequency;
+        return { input: node, output: node };
+      },
+    };
+  }
+
+  // The microphone goes through untouched until the worklet is loaded, or when AudioWorklet is not supported
+  static createNoiseGateProcessor(options: NoiseGateOptions = {}, name: string = 'noiseGate'): AudioProcessor {
+    const { threshold = -50, holdTime = 200 } = options;
+
+    return {
+      name,
+      create: (audioContext: Object) => {
+        const input = audioContext.createGain();
+        const output = audioContext.createGain();
+        let gate = null;
+        let destroyed = false;
+
+        input.connect(output);
+
+        if (audioContext.audioWorklet) {
+          loadNoiseGateModule(audioContext).then(() => {
+            if (destroyed) {
+              return;
+            }
+
+            gate = new window.AudioWorkletNode(audioContext, NOISE_GATE_PROCESSOR, {
+              processorOptions: { threshold, holdTime },
+            });
+            input.disconnect(output);
+            input.connect(gate);
+            gate.connect(output);
+          }).catch(error => logger.warn('noise gate worklet error', { message: error.message }));
+        }
+
+        const destroy = () => {
+          destroyed = true;
+          if (gate) {
+            gate.disconnect();
+          }
+        };
+
+        return { input, output, destroy };
+      },
+    };
+  }
+
+  constructor(audioContext: AudioContext, processors: AudioProcessor[] = [], disabledProcessors: Object = {}) {
+    this.audioContext = audioContext;
+    this.processors = processors;
+    this.disabledProcessors = disabledProcessors;
+    this.inputStream = null;
+    this.source = null;
+    this.destination = null;
+    this.nodes = [];
+  }
+
+  process(stream: MediaStream): void {
+    if (this.source) {
+      this.source.disconnect();
+    }
+
+    this.inputStream = stream;
+    this.source = stream.getAudioTracks().length ? this.audioContext.createMediaStreamSource(stream) : null;
+    this._connect();
+  }
+
+  setProcessors(processors: AudioProcessor[], disabledProcessors: Object = {}): void {
+    this.processors = processors;
+    this.disabledProcessors = disabledProcessors;
+    this._connect();
+  }
+
+  getEnabledProcessors(): AudioProcessor[] {
+    return this.processors.filter(processor => !this.disabledProcessors[processor.name]);
+  }
+
+  // Without any enabled processor, the microphone track is sent as is
+  isActive(): boolean {
+    return !!this.source && this.getEnabledProcessors().length > 0;
+  }
+
+  getOutputStream(): ?MediaStream {
+    return this.isActive() && this.destination ? this.destination.stream : this.inputStream;
+  }
+
+  getOutputTrack(): ?MediaStreamTrack {
+    const stream = this.getOutputStream();
+    return stream ? stream.getAudioTracks()[0] : null;
+  }
+
+  stop(): void {
+    this._disconnect();
+    if (this.source) {
+      this.source.disconnect();
+    }
+    this.source = null;
+    this.destination = null;
+    this.inputStream = null;
+  }
+
+  _connect(): void {
+    const { source } = this;
+    this._disconnect();
+    if (!source || !this.isActive()) {
+      return;
+    }
+
+    if (!this.destination) {
+      this.destination = this.audioContext.createMediaStreamDestination();
+    }
+
+    this.nodes = this.getEnabledProcessors().map(processor => processor.create(this.audioContext));
+    const output = this.nodes.reduce((previous: AudioNode, nodes: AudioProcessorNodes) => {
+      previous.connect(nodes.input);
+      return nodes.output;
+    }, source);
+
+    // $FlowFixMe: created above
+    output.connect(this.destination);
+  }
+
+  _disconnect(): void {
+    if (this.source) {
+      this.source.disconnect();
+    }
+
+    this.nodes.forEach(nodes => {
+      nodes.input.disconnect();
+      nodes.output.disconnect();
+      if (nodes.destroy) {
+        nodes.destroy();
+      }
+    });
+    this.nodes = [];
+  }
+}
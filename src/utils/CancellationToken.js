@@ -0,0 +1,36 @@
+// @flow
+
+// Minimal `AbortSignal` compatible token, for environments without `AbortController` (old react-native, nodejs).
+// Can be passed as `signal` in `ApiClient.withOptions({ signal })` or as last argument of an endpoint method.
+export default class CancellationToken {
+  aborted: boolean;
+  reason: ?string;
+  _listeners: Function[];
+
+  constructor() {
+    this.aborted = false;
+    this.reason = null;
+    this._listeners = [];
+  }
+
+  cancel(reason: ?string = null) {
+    if (this.aborted) {
+      return;
+    }
+
+    this.aborted = true;
+    this.reason = reason;
+    this._listeners.forEach(listener => listener());
+    this._listeners = [];
+  }
+
+  addEventListener(event: string, listener: Function) {
+    if (event === 'abort') {
+      this._listeners.push(listener);
+    }
+  }
+
+  removeEventListener(event: string, listener: Function) {
+    this._listeners = this._listeners.filter(cb => cb !== listener);
+  }
+}
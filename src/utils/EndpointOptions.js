@@ -0,0 +1,34 @@
+// @flow
+/* global AbortSignal */
+import CancellationToken from './CancellationToken';
+import type { RequestOptions } from './api-requester';
+
+// Request options passed as last argument of any endpoint method, eg:
+// `client.dird.search(context, term, new EndpointOptions({ signal, timeout: 5000 }))`.
+// An `AbortSignal` or a `CancellationToken` can also be passed directly.
+export default class EndpointOptions {
+  requestOptions: RequestOptions;
+
+  // Removes the trailing options from `args`, returns null when there are none
+  static extract(args: any[]): ?RequestOptions {
+    const last = args[args.length - 1];
+    let requestOptions = null;
+
+    if (last instanceof EndpointOptions) {
+      ({ requestOptions } = last);
+    } else if (last instanceof CancellationToken || (typeof AbortSignal !== 'undefined'
+      && last instanceof AbortSignal)) {
+      requestOptions = { signal: last };
+    }
+
+    if (requestOptions) {
+      args.pop();
+    }
+
+    return requestOptions;
+  }
+
+  constructor(requestOptions: RequestOptions) {
+    this.requestOptions = requestOptions;
+  }
+}
@@ -0,0 +1,180 @@
+/* global window, Blob */
+// @flow
+import Emitter from './Emitter';
+
+export const ON_LOCAL_RECORDING_STARTED = 'onLocalRecordingStarted';
+export const ON_LOCAL_RECORDING_DATA = 'onLocalRecordingData';
+export const ON_LOCAL_RECORDING_STOPPED = 'onLocalRecordingStopped';
+export const ON_LOCAL_RECORDING_ERROR = 'onLocalRecordingError';
+
+const AUDIO_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus'];
+const VIDEO_MIME_TYPES = ['video/webm;codecs=vp8,opus', 'video/webm', 'video/mp4'];
+
+export type LocalRecorderOptions = {
+  // Record the video track of the remote party (or ours when it has none)
+  video?: boolean,
+  mimeType?: string,
+  // Emits `ON_LOCAL_RECORDING_DATA` every `timeslice` ms, instead of a single chunk when stopping
+  timeslice?: number,
+  // Set to false for long calls when chunks are stored as they come, the final Blob will then be empty
+  keepChunks?: boolean,
+  audioBitsPerSecond?: number,
+  videoBitsPerSecond?: number,
+};
+
+// Mixes the local and remote streams of a call and records them with `MediaRecorder`
+export default class LocalRecorder extends Emitter {
+  audioContext: ?AudioContext;
+  options: LocalRecorderOptions;
+  recorder: ?Object;
+  chunks: Blob[];
+  sources: Object[];
+  destination: ?MediaStreamAudioDestinationNode;
+  mimeType: string;
+  startTime: ?number;
+  _stopPromise: ?Promise<Blob>;
+
+  static isSupported(): boolean {
+    return typeof window !== 'undefined' && !!window.MediaRecorder;
+  }
+
+  static getSupportedMimeType(video: boolean = false): string {
+    const candidates = video ? VIDEO_MIME_TYPES : AUDIO_MIME_TYPES;
+    if (!LocalRecorder.isSupported() || typeof window.MediaRecorder.isTypeSupported !== 'function') {
+      return candidates[0];
+    }
+
+    return candidates.find(type => window.MediaRecorder.isTypeSupported(type)) || '';
+  }
+
+  constructor(audioContext: ?AudioContext, options: LocalRecorderOptions = {}) {
+    super();
+
+    this.audioContext = audioContext;
+    this.options = { video: false, keepChunks: true, ...options };
+    this.recorder = null;
+    this.chunks = [];
+    this.sources = [];
+    this.destination = null;
+    this.mimeType = this.options.mimeType || LocalRecorder.getSupportedMimeType(!!this.options.video);
+    this.startTime = null;
+    this._stopPromise = null;
+  }
+
+  start(localStream: ?MediaStream, remoteStream: ?MediaStream): void {
+    if (this.isRecording()) {
+      throw new Error('A local recording is already in progress');
+    }
+    if (!LocalRecorder.isSupported()) {
+      throw new Error('MediaRecorder is not supported in this environment');
+    }
+
+    const stream = this._mixStreams(localStream, remoteStream);
+    if (!stream.getTracks().length) {
+      throw new Error('No media to record');
+    }
+
+    const { timeslice, audioBitsPerSecond, videoBitsPerSecond } = this.options;
+    const recorder = new window.MediaRecorder(stream, {
+      mimeType: this.mimeType,
+      audioBitsPerSecond,
+      videoBitsPerSecond,
+    });
+    this.chunks = [];
+    this.recorder = recorder;
+
+    recorder.ondataavailable = (event: Object) => {
+      if (!event.data || !event.data.size) {
+        return;
+      }
+      if (this.options.keepChunks) {
+        this.chunks.push(event.data);
+      }
+      this.eventEmitter.emit(ON_LOCAL_RECORDING_DATA, event.data);
+    };
+    recorder.onerror = (event: Object) => {
+      this.eventEmitter.emit(ON_LOCAL_RECORDING_ERROR, event.error || event);
+    };
+
+    recorder.start(timeslice);
+    this.startTime = Date.now();
+
+    this.eventEmitter.emit(ON_LOCAL_RECORDING_STARTED, this.mimeType);
+  }
+
+  stop(): Promise<Blob> {
+    const { recorder } = this;
+    if (this._stopPromise) {
+      return this._stopPromise;
+    }
+    if (!recorder) {
+      return Promise.reject(new Error('No local recording in progress'));
+    }
+
+    this._stopPromise = new Promise(resolve => {
+      recorder.onstop = () => {
+        const { startTime } = this;
+        const blob = new Blob(this.chunks, { type: this.mimeType });
+        const duration = startTime ? Date.now() - startTime : 0;
+
+        this._cleanup();
+        this.eventEmitter.emit(ON_LOCAL_RECORDING_STOPPED, blob, duration);
+        resolve(blob);
+      };
+
+      if (recorder.state === 'inactive') {
+        recorder.onstop();
+      } else {
+        recorder.stop();
+      }
+    });
+
+    return this._stopPromise;
+  }
+
+  isRecording(): boolean {
+    return !!this.recorder && this.recorder.state !== 'inactive';
+  }
+
+  // Audio tracks are mixed through the AudioContext, MediaRecorder only records the first track of each kind
+  _mixStreams(localStream: ?MediaStream, remoteStream: ?MediaStream): MediaStream {
+    const tracks = [];
+    const streams = [localStream, remoteStream].filter(stream => stream && stream.getAudioTracks().length);
+
+    if (this.audioContext && streams.length) {
+      const { audioContext } = this;
+      const destination = audioContext.createMediaStreamDestination();
+
+      this.sources = streams.map(stream => {
+        // $FlowFixMe: filtered above
+        const source = audioContext.createMediaStreamSource(stream);
+        source.connect(destination);
+        return source;
+      });
+      this.destination = destination;
+      tracks.push(...destination.stream.getAudioTracks());
+    } else if (streams.length) {
+      // $FlowFixMe: filtered above
+      tracks.push(streams[0].getAudioTracks()[0]);
+    }
+
+    if (this.options.video) {
+      const videoStream = [remoteStream, localStream].find(stream => stream && stream.getVideoTracks().length);
+      if (videoStream) {
+        tracks.push(videoStream.getVideoTracks()[0]);
+      }
+    }
+
+    return new window.MediaStream(tracks);
+  }
+
+  _cleanup(): void {
+    this.sources.forEach(source => source.disconnect());
+    this.sources = [];
+    this.destination = null;
+    this.recorder = null;
+    this.startTime = null;
+    this._stopPromise = null;
+    this.chunks = [];
+  }
+}
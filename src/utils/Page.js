@@ -0,0 +1,59 @@
+// @flow
+import type Paginator from './Paginator';
+
+type PageArguments = {
+  items: any[],
+  offset: number,
+  limit: number,
+  total: ?number,
+  filtered: ?number,
+  // Number of items returned by the server, before parsing
+  fetchedCount: number,
+};
+
+export default class Page {
+  items: any[];
+  offset: number;
+  limit: number;
+  total: ?number;
+  filtered: ?number;
+  fetchedCount: number;
+  paginator: Paginator;
+
+  constructor({ items, offset, limit, total, filtered, fetchedCount }: PageArguments, paginator: Paginator) {
+    this.items = items;
+    this.offset = offset;
+    this.limit = limit;
+    this.total = typeof total === 'number' ? total : null;
+    this.filtered = typeof filtered === 'number' ? filtered : null;
+    this.fetchedCount = fetchedCount;
+    this.paginator = paginator;
+  }
+
+  // Number of items matching the query, `filtered` takes the search into account
+  getCount(): ?number {
+    return this.filtered !== null ? this.filtered : this.total;
+  }
+
+  hasNext(): boolean {
+    const count = this.getCount();
+    if (typeof count === 'number') {
+      return this.offset + this.fetchedCount < count;
+    }
+
+    // Without count, a full page means that there's probably more items
+    return this.fetchedCount === this.limit;
+  }
+
+  hasPrev(): boolean {
+    return this.offset > 0;
+  }
+
+  async next(): Promise<?Page> {
+    return this.hasNext() ? this.paginator.fetch(this.offset + this.limit) : null;
+  }
+
+  async prev(): Promise<?Page> {
+    return this.hasPrev() ? this.paginator.fetch(Math.max(0, this.offset - this.limit)) : null;
+  }
+}
@@ -0,0 +1,108 @@
+// @flow
+import Page from './Page';
+
+export type PageResponse = {
+  items: any[],
+  total?: number,
+  filtered?: number,
+};
+
+// Endpoints returning a parsed list give no count
+type FetchPage = (offset: number, limit: number) => Promise<Object | any[]>;
+
+// A list endpoint taking `offset` and `limit` in its query params
+type ListEndpoint = (queryParams: Object) => Promise<Object | any[]>;
+
+type PaginatorOptions = {
+  limit?: number,
+  offset?: number,
+  // Converts the response to a list of items, returns `response.items` by default
+  parse?: (response: PageResponse) => any[],
+};
+
+const DEFAULT_LIMIT = 25;
+
+/**
+ * Wraps list endpoints using `offset` and `limit`, eg:
+ *
+ * const paginator = client.callLogd.paginateCallLogs({ limit: 20 });
+ * const page = await paginator.fetch();
+ * const nextPage = await page.next();
+ *
+ * // Or iterate over all items:
+ * for await (const callLog of paginator) {}
+ */
+export default class Paginator {
+  fetchPage: FetchPage;
+  limit: number;
+  offset: number;
+  parse: (response: PageResponse) => any[];
+
+  constructor(fetchPage: FetchPage, { limit, offset, parse }: PaginatorOptions = {}) {
+    this.fetchPage = fetchPage;
+    // Some endpoints type them as strings, eg: chatd messages
+    this.limit = Number(limit) || DEFAULT_LIMIT;
+    this.offset = Number(offset) || 0;
+    this.parse = parse || (response => response.items);
+  }
+
+  // Wraps a list endpoint, `limit` and `offset` of `queryParams` are used for the first page
+  static fromList(list: ListEndpoint, queryParams: ?Object = null, parse?: Function): Paginator {
+    const { limit, offset, ...params } = queryParams || {};
+    const fetchPage = (pageOffset, pageLimit) => list({ ...params, offset: pageOffset, limit: pageLimit });
+
+    return new Paginator(fetchPage, { limit, offset, parse });
+  }
+
+  async fetch(offset: number = this.offset): Promise<Page> {
+    const pageOffset = Number(offset) || 0;
+    const response = await this.fetchPage(pageOffset, this.limit);
+
+    if (Array.isArray(response)) {
+      return new Page({
+        items: response,
+        offset: pageOffset,
+        limit: this.limit,
+        total: null,
+        filtered: null,
+        fetchedCount: response.length,
+      }, this);
+    }
+
+    return new Page({
+      items: this.parse(response),
+      offset: pageOffset,
+      limit: this.limit,
+      total: response.total,
+      filtered: response.filtered,
+      fetchedCount: response.items.length,
+    }, this);
+  }
+
+  async* pages(): AsyncGenerator<Page, void, void> {
+    let page = await this.fetch();
+    yield page;
+
+    while (page && page.hasNext()) {
+      // eslint-disable-next-line no-await-in-loop
+      page = await page.next();
+      if (page) {
+        yield page;
+      }
+    }
+  }
+
+  async* items(): AsyncGenerator<any, void, void> {
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const page of this.pages()) {
+      // eslint-disable-next-line no-restricted-syntax
+      for (const item of page.items) {
+        yield item;
+      }
+    }
+  }
+}
+
+// Allows `for await (const item of paginator)`
+// $FlowFixMe
+Paginator.prototype[Symbol.asyncIterator] = Paginator.prototype.items;
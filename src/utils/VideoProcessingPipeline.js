@@ -0,0 +1,249 @@
+/* global document, window */
+// @flow
+import IssueReporter from '../service/IssueReporter';
+
+const logger = IssueReporter.loggerFor('video-processing');
+
+export type VideoFrame = {
+  // Already contains the camera frame and the output of the previous effects
+  context: CanvasRenderingContext2D,
+  // Raw camera frame
+  source: HTMLVideoElement,
+  // Given by the segmenter, opaque where the person is
+  mask: ?CanvasImageSource,
+  width: number,
+  height: number,
+};
+
+export type VideoEffect = {
+  name: string,
+  apply: (frame: VideoFrame) => void | Promise<void>,
+  destroy?: () => void,
+};
+
+// Separates the person from the background, eg: with a body segmentation model
+export type VideoSegmenter = (source: HTMLVideoElement) => Promise<?CanvasImageSource>;
+
+export type VideoProcessingOptions = {
+  effects?: VideoEffect[],
+  disabledEffects?: { [string]: boolean },
+  segmenter?: ?VideoSegmenter,
+  frameRate?: number,
+};
+
+const replaceBackground = (frame: VideoFrame, drawBackground: () => void) => {
+  const { context, source, mask, width, height } = frame;
+  if (!mask) {
+    return;
+  }
+
+  context.save();
+  context.clearRect(0, 0, width, height);
+  context.drawImage(mask, 0, 0, width, height);
+  // Keeps the person only
+  context.globalCompositeOperation = 'source-in';
+  context.drawImage(source, 0, 0, width, height);
+  // Draws the background behind the person
+  context.globalCompositeOperation = 'destination-over';
+  drawBackground();
+  context.restore();
+};
+
+// Draws the camera frames through canvas effects, the output track stays the same when effects change
+export default class VideoProcessingPipeline {
+  effects: VideoEffect[];
+  disabledEffects: { [string]: boolean };
+  segmenter: ?VideoSegmenter;
+  frameRate: number;
+  inputStream: ?MediaStream;
+  outputStream: ?MediaStream;
+  video: ?HTMLVideoElement;
+  canvas: ?HTMLCanvasElement;
+  paused: boolean;
+  timer: ?TimeoutID;
+
+  static isSupported(): boolean {
+    return typeof document !== 'undefined' && typeof window !== 'undefined' && !!window.HTMLCanvasElement
+      && typeof window.HTMLCanvasElement.prototype.captureStream === 'function';
+  }
+
+  // Blurs the background when a segmenter is set, the whole frame otherwise
+  static createBlurEffect(radius: number = 10, name: string = 'blur'): VideoEffect {
+    return {
+      name,
+      apply: (frame: VideoFrame) => {
+        const { context, source, mask, width, height } = frame;
+        const drawBlurred = () => {
+          context.filter = `blur(${radius}px)`;
+          context.drawImage(source, 0, 0, width, height);
+        };
+
+        if (mask) {
+          replaceBackground(frame, drawBlurred);
+          return;
+        }
+
+        context.save();
+        drawBlurred();
+        context.restore();
+      },
+    };
+  }
+
+  // Needs a segmenter to find the person
+  static createImageBackgroundEffect(image: CanvasImageSource, name: string = 'imageBackground'): VideoEffect {
+    return {
+      name,
+      apply: (frame: VideoFrame) => replaceBackground(frame, () => {
+        frame.context.drawImage(image, 0, 0, frame.width, frame.height);
+      }),
+    };
+  }
+
+  constructor(options: VideoProcessingOptions = {}) {
+    this.effects = options.effects || [];
+    this.disabledEffects = options.disabledEffects || {};
+    this.segmenter = options.segmenter;
+    this.frameRate = options.frameRate || 30;
+    this.inputStream = null;
+    this.outputStream = null;
+    this.video = null;
+    this.canvas = null;
+    this.paused = false;
+    this.timer = null;
+  }
+
+  // Returns the stream to send
+  process(stream: MediaStream): ?MediaStream {
+    if (!this.canvas) {
+      this.canvas = document.createElement('canvas');
+      const video = document.createElement('video');
+      video.muted = true;
+      // $FlowFixMe: playsInline is not in flow definitions
+      video.playsInline = true;
+      this.video = video;
+    }
+
+    const { canvas, video } = this;
+    this.inputStream = stream;
+    if (video) {
+      video.srcObject = new window.MediaStream(stream.getVideoTracks());
+      video.play().catch(e => logger.warn('unable to play the camera stream', { message: e.message }));
+    }
+
+    // A new track for each input, the caller replaces the previous one in the session
+    if (this.outputStream) {
+      this.outputStream.getTracks().forEach(track => track.stop());
+    }
+    // $FlowFixMe: captureStream is not in flow definitions
+    this.outputStream = canvas.captureStream(this.frameRate);
+    this._updateLoop();
+
+    return this.getOutputStream();
+  }
+
+  setEffects(effects: VideoEffect[], disabledEffects: Object = {}): void {
+    this.effects = effects;
+    this.disabledEffects = disabledEffects;
+    this._updateLoop();
+  }
+
+  setSegmenter(segmenter: ?VideoSegmenter): void {
+    this.segmenter = segmenter;
+  }
+
+  getEnabledEffects(): VideoEffect[] {
+    return this.effects.filter(effect => !this.disabledEffects[effect.name]);
+  }
+
+  // Without any enabled effect, the camera track is sent as is
+  isActive(): boolean {
+    return !!this.inputStream && !this.paused && this.getEnabledEffects().length > 0;
+  }
+
+  getOutputStream(): ?MediaStream {
+    return this.isActive() ? this.outputStream : this.inputStream;
+  }
+
+  getOutputTrack(): ?MediaStreamTrack {
+    const stream = this.getOutputStream();
+    return stream ? stream.getVideoTracks()[0] : null;
+  }
+
+  // Used while the screen is shared instead of the camera
+  pause(): void {
+    this.paused = true;
+    this._updateLoop();
+  }
+
+  resume(): void {
+    this.paused = false;
+    this._updateLoop();
+  }
+
+  stop(): void {
+    this.inputStream = null;
+    this._updateLoop();
+
+    if (this.outputStream) {
+      this.outputStream.getTracks().forEach(track => track.stop());
+    }
+    if (this.video) {
+      this.video.srcObject = null;
+    }
+    this.outputStream = null;
+  }
+
+  _updateLoop(): void {
+    if (this.isActive() && !this.timer) {
+      this._scheduleFrame();
+    } else if (!this.isActive() && this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  _scheduleFrame(): void {
+    // Browsers throttle setTimeout in background tabs (down to 1 frame per second or less),
+    // but requestAnimationFrame stops completely there
+    const timer = setTimeout(async () => {
+      try {
+        await this._renderFrame();
+      } catch (e) {
+        logger.error('video effect error', { message: e.message });
+      }
+
+      // The loop may have been restarted while rendering
+      if (this.timer === timer) {
+        this.timer = null;
+        this._updateLoop();
+      }
+    }, 1000 / this.frameRate);
+    this.timer = timer;
+  }
+
+  async _renderFrame(): Promise<void> {
+    const { canvas, video } = this;
+    // HAVE_CURRENT_DATA
+    if (!canvas || !video || video.readyState < 2) {
+      return;
+    }
+
+    const width = video.videoWidth;
+    const height = video.videoHeight;
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+
+    const context = canvas.getContext('2d');
+    context.drawImage(video, 0, 0, width, height);
+
+    const mask = this.segmenter ? await this.segmenter(video) : null;
+    const effects = this.getEnabledEffects();
+    for (let i = 0; i < effects.length; i++) {
+      // eslint-disable-next-line no-await-in-loop
+      await effects[i].apply({ context, source: video, mask, width, height });
+    }
+  }
+}
@@ -0,0 +1,122 @@
+/* global window */
+// Loaded first to resolve the circular import between IssueReporter and ApiRequester
+import '../api-requester';
+import AudioProcessingChain from '../AudioProcessingChain';
+
+const track = kind => ({ kind });
+const stream = (...tracks) => ({
+  getTracks: () => tracks,
+  getAudioTracks: () => tracks.filter(t => t.kind === 'audio'),
+});
+
+const node = () => ({ connect: jest.fn(), disconnect: jest.fn() });
+
+const createAudioContext = () => {
+  const processed = track('audio');
+
+  return {
+    processed,
+    createMediaStreamDestination: jest.fn(() => ({ ...node(), stream: stream(processed) })),
+    createMediaStreamSource: jest.fn(() => node()),
+    createGain: () => ({ ...node(), gain: { value: 1 } }),
+    createBiquadFilter: () => ({ ...node(), frequency: { value: 0 } }),
+  };
+};
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('AudioProcessingChain', () => {
+  let audioContext;
+  let microphone;
+  let input;
+
+  beforeEach(() => {
+    audioContext = createAudioContext();
+    microphone = track('audio');
+    input = stream(microphone);
+  });
+
+  it('should send the microphone as is without processors', () => {
+    const chain = new AudioProcessingChain(audioContext);
+    chain.process(input);
+
+    expect(chain.isActive()).toBeFalsy();
+    expect(chain.getOutputTrack()).toBe(microphone);
+    expect(audioContext.createMediaStreamDestination).not.toHaveBeenCalled();
+  });
+
+  it('should connect the processors in order', () => {
+    const highPass = AudioProcessingChain.createHighPassProcessor(120);
+    const gain = AudioProcessingChain.createGainProcessor(2);
+    const chain = new AudioProcessingChain(audioContext, [highPass, gain]);
+    chain.process(input);
+
+    const [filterNodes, gainNodes] = chain.nodes;
+    expect(chain.source.connect).toHaveBeenCalledWith(filterNodes.input);
+    expect(filterNodes.output.type).toBe('highpass');
+    expect(filterNodes.output.frequency.value).toBe(120);
+    expect(filterNodes.output.connect).toHaveBeenCalledWith(gainNodes.input);
+    expect(gainNodes.output.gain.value).toBe(2);
+    expect(gainNodes.output.connect).toHaveBeenCalledWith(chain.destination);
+    expect(chain.getOutputTrack()).toBe(audioContext.processed);
+  });
+
+  it('should keep the same output track when toggling processors', () => {
+    const destroy = jest.fn();
+    const custom = { name: 'custom', create: () => ({ input: node(), output: node(), destroy }) };
+    const gain = AudioProcessingChain.createGainProcessor(2);
+    const chain = new AudioProcessingChain(audioContext, [custom, gain]);
+    chain.process(input);
+
+    chain.setProcessors([custom, gain], { custom: true });
+
+    expect(destroy).toHaveBeenCalled();
+    expect(chain.getEnabledProcessors()).toEqual([gain]);
+    expect(chain.getOutputTrack()).toBe(audioContext.processed);
+    expect(audioContext.createMediaStreamDestination).toHaveBeenCalledTimes(1);
+
+    chain.setProcessors([custom, gain], { custom: true, gain: true });
+    expect(chain.getOutputTrack()).toBe(microphone);
+  });
+
+  it('should gate the microphone in an audio worklet once loaded', async () => {
+    const gate = node();
+    window.URL.createObjectURL = jest.fn(() => 'blob:noise-gate');
+    window.AudioWorkletNode = jest.fn(() => gate);
+    audioContext.audioWorklet = { addModule: jest.fn(() => Promise.resolve()) };
+    const chain = new AudioProcessingChain(audioContext, [AudioProcessingChain.createNoiseGateProcessor()]);
+    chain.process(input);
+
+    const [{ input: gateInput, output: gateOutput }] = chain.nodes;
+    expect(gateInput.connect).toHaveBeenCalledWith(gateOutput);
+
+    await flushPromises();
+
+    expect(audioContext.audioWorklet.addModule).toHaveBeenCalledWith('blob:noise-gate');
+    expect(window.AudioWorkletNode).toHaveBeenCalledWith(audioContext, 'wazo-noise-gate', {
+      processorOptions: { threshold: -50, holdTime: 200 },
+    });
+    expect(gateInput.disconnect).toHaveBeenCalledWith(gateOutput);
+    expect(gateInput.connect).toHaveBeenCalledWith(gate);
+    expect(gate.connect).toHaveBeenCalledWith(gateOutput);
+
+    chain.stop();
+    expect(gate.disconnect).toHaveBeenCalled();
+    delete window.AudioWorkletNode;
+  });
+
+  it('should follow the new microphone', () => {
+    const chain = new AudioProcessingChain(audioContext, [AudioProcessingChain.createGainProcessor()]);
+    chain.process(input);
+    const previousSource = chain.source;
+
+    chain.process(stream(track('audio')));
+
+    expect(previousSource.disconnect).toHaveBeenCalled();
+    expect(chain.source).not.toBe(previousSource);
+    expect(chain.getOutputTrack()).toBe(audioContext.processed);
+
+    chain.stop();
+    expect(chain.getOutputTrack()).toBe(null);
+  });
+});
@@ -0,0 +1,112 @@
+/* global window, Blob */
+import LocalRecorder, {
+  ON_LOCAL_RECORDING_STARTED,
+  ON_LOCAL_RECORDING_DATA,
+  ON_LOCAL_RECORDING_STOPPED,
+} from '../LocalRecorder';
+
+const track = kind => ({ kind });
+const stream = (...tracks) => ({
+  getTracks: () => tracks,
+  getAudioTracks: () => tracks.filter(t => t.kind === 'audio'),
+  getVideoTracks: () => tracks.filter(t => t.kind === 'video'),
+});
+
+class FakeMediaRecorder {
+  constructor(mediaStream, options) {
+    this.stream = mediaStream;
+    this.options = options;
+    this.state = 'inactive';
+  }
+
+  start(timeslice) {
+    this.timeslice = timeslice;
+    this.state = 'recording';
+  }
+
+  stop() {
+    this.state = 'inactive';
+    this.ondataavailable({ data: new Blob(['end']) });
+    this.onstop();
+  }
+}
+
+const createAudioContext = () => {
+  const mixed = track('audio');
+  const sources = [];
+
+  return {
+    mixed,
+    sources,
+    createMediaStreamDestination: () => ({ stream: stream(mixed) }),
+    createMediaStreamSource: () => {
+      const source = { connect: jest.fn(), disconnect: jest.fn() };
+      sources.push(source);
+      return source;
+    },
+  };
+};
+
+describe('LocalRecorder', () => {
+  beforeEach(() => {
+    window.MediaRecorder = FakeMediaRecorder;
+    window.MediaStream = function MediaStream(tracks) {
+      return stream(...tracks);
+    };
+  });
+
+  afterEach(() => {
+    delete window.MediaRecorder;
+    delete window.MediaStream;
+  });
+
+  it('should mix local and remote audio in a single track', () => {
+    const audioContext = createAudioContext();
+    const recorder = new LocalRecorder(audioContext);
+    const onStarted = jest.fn();
+    recorder.on(ON_LOCAL_RECORDING_STARTED, onStarted);
+
+    recorder.start(stream(track('audio')), stream(track('audio'), track('video')));
+
+    expect(audioContext.sources).toHaveLength(2);
+    expect(recorder.recorder.stream.getTracks()).toEqual([audioContext.mixed]);
+    expect(recorder.isRecording()).toBeTruthy();
+    expect(onStarted).toHaveBeenCalledWith('audio/webm;codecs=opus');
+  });
+
+  it('should record the remote video track when asked', () => {
+    const remoteVideo = track('video');
+    const recorder = new LocalRecorder(createAudioContext(), { video: true });
+
+    recorder.start(stream(track('audio'), track('video')), stream(track('audio'), remoteVideo));
+
+    expect(recorder.recorder.stream.getVideoTracks()).toEqual([remoteVideo]);
+  });
+
+  it('should deliver chunks and a Blob when stopped', async () => {
+    const audioContext = createAudioContext();
+    const recorder = new LocalRecorder(audioContext, { timeslice: 1000 });
+    const onData = jest.fn();
+    const onStopped = jest.fn();
+    recorder.on(ON_LOCAL_RECORDING_DATA, onData);
+    recorder.on(ON_LOCAL_RECORDING_STOPPED, onStopped);
+
+    recorder.start(stream(track('audio')), null);
+    expect(recorder.recorder.timeslice).toBe(1000);
+    recorder.recorder.ondataavailable({ data: new Blob(['start']) });
+
+    const blob = await recorder.stop();
+
+    expect(onData).toHaveBeenCalledTimes(2);
+    expect(blob.size).toBe(8);
+    expect(onStopped).toHaveBeenCalledWith(blob, expect.any(Number));
+    expect(audioContext.sources[0].disconnect).toHaveBeenCalled();
+    expect(recorder.isRecording()).toBeFalsy();
+  });
+
+  it('should refuse to record without media', () => {
+    const recorder = new LocalRecorder(createAudioContext());
+
+    expect(() => recorder.start(null, null)).toThrow('No media to record');
+  });
+});
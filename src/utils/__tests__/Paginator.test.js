@@ -0,0 +1,88 @@
+import Paginator from '../Paginator';
+
+const allItems = [1, 2, 3, 4, 5];
+
+const fetchPage = jest.fn((offset, limit) => Promise.resolve({
+  items: allItems.slice(offset, offset + limit),
+  total: 10,
+  filtered: allItems.length,
+}));
+
+describe('Paginator', () => {
+  beforeEach(() => {
+    fetchPage.mockClear();
+  });
+
+  it('should fetch pages with next and prev', async () => {
+    const paginator = new Paginator(fetchPage, { limit: 2 });
+
+    const first = await paginator.fetch();
+    expect(first.items).toEqual([1, 2]);
+    expect(first.getCount()).toBe(5);
+    expect(first.hasPrev()).toBeFalsy();
+    expect(await first.prev()).toBeNull();
+
+    const second = await first.next();
+    expect(second.items).toEqual([3, 4]);
+    expect(second.offset).toBe(2);
+
+    const third = await second.next();
+    expect(third.items).toEqual([5]);
+    expect(third.hasNext()).toBeFalsy();
+    expect(await third.next()).toBeNull();
+
+    const previous = await third.prev();
+    expect(previous.items).toEqual([3, 4]);
+  });
+
+  it('should iterate over all items', async () => {
+    const paginator = new Paginator(fetchPage, { limit: 2, parse: response => response.items.map(i => i * 10) });
+    const items = [];
+
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const item of paginator) {
+      items.push(item);
+    }
+
+    expect(items).toEqual([10, 20, 30, 40, 50]);
+    expect(fetchPage).toHaveBeenCalledTimes(3);
+  });
+
+  it('should guess next page without count', async () => {
+    const withoutCount = (offset, limit) => Promise.resolve({ items: allItems.slice(offset, offset + limit) });
+    const paginator = new Paginator(withoutCount, { limit: 5 });
+
+    const first = await paginator.fetch();
+    expect(first.hasNext()).toBeTruthy();
+
+    const second = await first.next();
+    expect(second.items).toEqual([]);
+    expect(second.hasNext()).toBeFalsy();
+  });
+
+  it('should wrap a list endpoint', async () => {
+    const list = jest.fn(() => Promise.resolve({ items: [1, 2], total: 4 }));
+    // Offsets can be strings, eg: with chatd
+    const paginator = Paginator.fromList(list, { limit: '2', offset: '2', search: 'bob' });
+
+    const page = await paginator.fetch();
+    expect(list).toBeCalledWith({ search: 'bob', offset: 2, limit: 2 });
+    expect(page.hasNext()).toBeFalsy();
+
+    await page.prev();
+    expect(list).toHaveBeenLastCalledWith({ search: 'bob', offset: 0, limit: 2 });
+  });
+
+  it('should wrap a list endpoint returning parsed items', async () => {
+    const list = jest.fn(({ offset, limit }) => Promise.resolve(allItems.slice(offset, offset + limit)));
+    const paginator = Paginator.fromList(list, { limit: 3 });
+
+    const first = await paginator.fetch();
+    expect(first.items).toEqual([1, 2, 3]);
+    expect(first.getCount()).toBe(null);
+
+    const second = await first.next();
+    expect(second.items).toEqual([4, 5]);
+    expect(second.hasNext()).toBeFalsy();
+  });
+});
@@ -0,0 +1,127 @@
+/* global window */
+// Loaded first to resolve the circular import between IssueReporter and ApiRequester
+import '../api-requester';
+import VideoProcessingPipeline from '../VideoProcessingPipeline';
+
+const flushPromises = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+const track = kind => ({ kind, stop: jest.fn() });
+const stream = (...tracks) => ({
+  getTracks: () => tracks,
+  getVideoTracks: () => tracks.filter(t => t.kind === 'video'),
+});
+
+describe('VideoProcessingPipeline', () => {
+  let context;
+  let canvasTrack;
+  let camera;
+  let input;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    context = { drawImage: jest.fn(), save: jest.fn(), restore: jest.fn(), clearRect: jest.fn() };
+    canvasTrack = track('video');
+    camera = track('video');
+    input = stream(track('audio'), camera);
+
+    window.MediaStream = function MediaStream(tracks) {
+      return stream(...tracks);
+    };
+    window.HTMLCanvasElement.prototype.captureStream = jest.fn(() => stream(canvasTrack));
+    window.HTMLCanvasElement.prototype.getContext = () => context;
+    window.HTMLMediaElement.prototype.play = () => Promise.resolve();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete window.MediaStream;
+    delete window.HTMLCanvasElement.prototype.captureStream;
+    delete window.HTMLCanvasElement.prototype.getContext;
+    delete window.HTMLMediaElement.prototype.play;
+  });
+
+  const startCamera = pipeline => {
+    Object.defineProperty(pipeline.video, 'readyState', { value: 4 });
+    Object.defineProperty(pipeline.video, 'videoWidth', { value: 640 });
+    Object.defineProperty(pipeline.video, 'videoHeight', { value: 480 });
+  };
+
+  it('should send the camera as is without effects', () => {
+    const pipeline = new VideoProcessingPipeline();
+
+    expect(pipeline.process(input)).toBe(input);
+    expect(pipeline.getOutputTrack()).toBe(camera);
+    expect(pipeline.video.srcObject.getTracks()).toEqual([camera]);
+  });
+
+  it('should draw the effects in order with the segmentation mask', async () => {
+    const mask = {};
+    const calls = [];
+    const first = { name: 'first', apply: jest.fn(() => calls.push('first')) };
+    const second = { name: 'second', apply: jest.fn(() => calls.push('second')) };
+    const pipeline = new VideoProcessingPipeline({ effects: [first, second], segmenter: () => Promise.resolve(mask) });
+
+    const output = pipeline.process(input);
+    startCamera(pipeline);
+    expect(output.getVideoTracks()).toEqual([canvasTrack]);
+
+    jest.advanceTimersByTime(40);
+    await flushPromises();
+
+    expect(context.drawImage).toHaveBeenCalledWith(pipeline.video, 0, 0, 640, 480);
+    expect(pipeline.canvas.width).toBe(640);
+    expect(calls).toEqual(['first', 'second']);
+    expect(first.apply).toHaveBeenCalledWith({ context, source: pipeline.video, mask, width: 640, height: 480 });
+
+    pipeline.stop();
+  });
+
+  it('should switch back to the camera when every effect is disabled', () => {
+    const blur = VideoProcessingPipeline.createBlurEffect(5);
+    const pipeline = new VideoProcessingPipeline({ effects: [blur] });
+    pipeline.process(input);
+    expect(pipeline.getOutputTrack()).toBe(canvasTrack);
+
+    pipeline.setEffects([blur], { blur: true });
+    expect(pipeline.isActive()).toBeFalsy();
+    expect(pipeline.getOutputTrack()).toBe(camera);
+
+    pipeline.setEffects([blur]);
+    expect(pipeline.getOutputTrack()).toBe(canvasTrack);
+
+    pipeline.pause();
+    expect(pipeline.getOutputTrack()).toBe(camera);
+
+    pipeline.resume();
+    pipeline.stop();
+    expect(canvasTrack.stop).toHaveBeenCalled();
+    expect(pipeline.getOutputTrack()).toBe(null);
+  });
+
+  it('should stop the previous output track on a new input', () => {
+    const pipeline = new VideoProcessingPipeline({ effects: [VideoProcessingPipeline.createBlurEffect()] });
+    pipeline.process(input);
+    const newCanvasTrack = track('video');
+    window.HTMLCanvasElement.prototype.captureStream = jest.fn(() => stream(newCanvasTrack));
+
+    pipeline.process(stream(track('video')));
+
+    expect(canvasTrack.stop).toHaveBeenCalled();
+    expect(pipeline.getOutputTrack()).toBe(newCanvasTrack);
+    pipeline.stop();
+  });
+
+  it('should only replace the background when a mask is given', () => {
+    const image = {};
+    const effect = VideoProcessingPipeline.createImageBackgroundEffect(image);
+    const frame = { context, source: {}, mask: null, width: 10, height: 10 };
+
+    effect.apply(frame);
+    expect(context.drawImage).not.toHaveBeenCalled();
+
+    effect.apply({ ...frame, mask: {} });
+    expect(context.drawImage).toHaveBeenLastCalledWith(image, 0, 0, 10, 10);
+    expect(context.globalCompositeOperation).toBe('destination-over');
+    expect(context.restore).toHaveBeenCalled();
+  });
+});
@@ -1,4 +1,6 @@
 import ApiRequester from '../api-requester';
+import CancellationToken from '../CancellationToken';
+import RequestCancelled from '../../domain/RequestCancelled';
 
 const server = 'localhost';
 const path = 'auth';
@@ -52,7 +54,10 @@ describe('Retrieving headers', () => {
 describe('Calling fetch', () => {
   it('should call fetch without body but query string in get method', () => {
     jest.mock('node-fetch/lib/index', () => {});
-    global.fetch = jest.fn(() => Promise.resolve({ json: () => Promise.resolve({}) }));
+    global.fetch = jest.fn(() => Promise.resolve({
+      headers: { get: () => 'application/json' },
+      json: () => Promise.resolve({}),
+    }));
 
     new ApiRequester({ server }).call(path, method, body, {});
     expect(global.fetch).toBeCalledWith(url, { method: 'get', body: null, headers: {}, agent: null });
@@ -98,4 +103,229 @@ describe('With a refresh token', () => {
       agent: null,
     });
   });
+
+  it('should share the token and its refresh with the requesters created by withOptions', async () => {
+    let calls = 0;
+    const transport = jest.fn(() => {
+      calls++;
+      return Promise.resolve({
+        headers: { get: () => 'application/json' },
+        status: calls <= 2 ? 401 : 200,
+        json: () => Promise.resolve({}),
+      });
+    });
+    const requester = new ApiRequester({ server, transport, token });
+    const derived = requester.withOptions({ timeout: 1000 });
+    requester.refreshTokenCallback = jest.fn(() => {
+      derived.setToken(newToken);
+      return new Promise(resolve => setTimeout(resolve, 10));
+    });
+
+    await Promise.all([derived.call(path, method, body, null), requester.call(path, method, body, null)]);
+
+    expect(requester.refreshTokenCallback).toHaveBeenCalledTimes(1);
+    expect(requester.token).toBe(newToken);
+    expect(requester.refreshTokenPromise).toBe(null);
+    expect(transport.mock.calls[2][1].headers['X-Auth-Token']).toBe(newToken);
+  });
+});
+
+describe('With a custom transport', () => {
+  const jsonResponse = (status = 200, data = {}) => ({
+    headers: { get: () => 'application/json' },
+    status,
+    json: () => Promise.resolve(data),
+    text: () => Promise.resolve(JSON.stringify(data)),
+  });
+
+  it('should use the transport instead of fetch', async () => {
+    global.fetch = jest.fn();
+    const transport = jest.fn(() => Promise.resolve(jsonResponse(200, { a: 1 })));
+    const requester = new ApiRequester({ server, transport });
+
+    const result = await requester.call(path, method, body, {});
+
+    expect(result).toEqual({ a: 1 });
+    expect(global.fetch).not.toBeCalled();
+    expect(transport).toBeCalledWith(url, { method: 'get', body: null, headers: {}, agent: null });
+  });
+
+  it('should apply request interceptors in order', async () => {
+    const transport = jest.fn(() => Promise.resolve(jsonResponse()));
+    const requester = new ApiRequester({ server, transport });
+
+    requester.addRequestInterceptor(request => ({
+      ...request,
+      options: { ...request.options, headers: { ...request.options.headers, 'X-Trace': '1' } },
+    }));
+    requester.addRequestInterceptor(request => ({ ...request, url: `${request.url}&b=2` }));
+
+    await requester.call(path, method, body, {});
+
+    expect(transport).toBeCalledWith(`${url}&b=2`, {
+      method: 'get',
+      body: null,
+      headers: { 'X-Trace': '1' },
+      agent: null,
+    });
+  });
+
+  it('should apply response interceptors before parsing', async () => {
+    const transport = jest.fn(() => Promise.resolve(jsonResponse(200, { a: 1 })));
+    const requester = new ApiRequester({ server, transport });
+    const interceptor = jest.fn(() => jsonResponse(200, { b: 2 }));
+    requester.addResponseInterceptor(interceptor);
+
+    const result = await requester.call(path, method, body, {});
+
+    expect(result).toEqual({ b: 2 });
+    expect(interceptor.mock.calls[0][1].url).toBe(url);
+  });
+
+  it('should let error interceptors replace the error', async () => {
+    const transport = jest.fn(() => Promise.resolve(jsonResponse(500, { message: 'nope' })));
+    const requester = new ApiRequester({ server, transport });
+    const customError = new Error('custom');
+    const interceptor = jest.fn(() => customError);
+    requester.addErrorInterceptor(interceptor);
+
+    await expect(requester.call(path, method, body, {})).rejects.toBe(customError);
+    expect(interceptor).toHaveBeenCalledTimes(1);
+    expect(interceptor.mock.calls[0][0].status).toBe(500);
+  });
+
+  it('should remove an interceptor', async () => {
+    const transport = jest.fn(() => Promise.resolve(jsonResponse()));
+    const requester = new ApiRequester({ server, transport });
+    const interceptor = jest.fn();
+    const remove = requester.addRequestInterceptor(interceptor);
+    remove();
+
+    await requester.call(path, method, body, {});
+
+    expect(interceptor).not.toBeCalled();
+  });
+});
+
+describe('Retrying requests', () => {
+  const response = (status, retryAfter = null) => ({
+    headers: { get: name => (name === 'retry-after' ? retryAfter : 'application/json') },
+    status,
+    json: () => Promise.resolve({ status }),
+  });
+  const retryPolicy = { baseDelay: 0, jitter: false };
+
+  it('should retry idempotent requests on 503', async () => {
+    let calls = 0;
+    const transport = jest.fn(() => Promise.resolve(response(++calls < 3 ? 503 : 200)));
+    const requester = new ApiRequester({ server, transport, retryPolicy });
+
+    const result = await requester.call(path, 'get', body, {});
+
+    expect(result).toEqual({ status: 200 });
+    expect(transport).toHaveBeenCalledTimes(3);
+  });
+
+  it('should retry on network failures', async () => {
+    let calls = 0;
+    const transport = jest.fn(() => (++calls === 1 ? Promise.reject(new Error('Failed to fetch'))
+      : Promise.resolve(response(200))));
+    const requester = new ApiRequester({ server, transport, retryPolicy });
+
+    await requester.call(path, 'get', body, {});
+
+    expect(transport).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not retry non idempotent requests', async () => {
+    const transport = jest.fn(() => Promise.resolve(response(503)));
+    const requester = new ApiRequester({ server, transport, retryPolicy });
+
+    await expect(requester.call(path, 'post', body, {})).rejects.toThrow();
+    expect(transport).toHaveBeenCalledTimes(1);
+  });
+
+  it('should give up after max attempts', async () => {
+    const transport = jest.fn(() => Promise.resolve(response(504)));
+    const requester = new ApiRequester({ server, transport, retryPolicy: { ...retryPolicy, maxAttempts: 4 } });
+
+    await expect(requester.call(path, 'get', body, {})).rejects.toThrow();
+    expect(transport).toHaveBeenCalledTimes(4);
+  });
+
+  it('should use per call options', async () => {
+    const transport = jest.fn(() => Promise.resolve(response(503)));
+    const requester = new ApiRequester({ server, transport, retryPolicy });
+
+    await expect(requester.withOptions({ retry: false }).call(path, 'get', body, {})).rejects.toThrow();
+    expect(transport).toHaveBeenCalledTimes(1);
+  });
+
+  it('should honor Retry-After header', () => {
+    const requester = new ApiRequester({ server });
+    const policy = requester.getRetryPolicy();
+
+    expect(requester.computeRetryDelay(policy, 1, response(503, '2'))).toBe(2000);
+    expect(requester.computeRetryDelay(policy, 1, response(503, '120'))).toBe(policy.maxDelay);
+    expect(requester.computeRetryDelay({ ...policy, jitter: false }, 3, response(503))).toBe(2000);
+  });
+});
+
+describe('Cancelling requests', () => {
+  const okResponse = {
+    headers: { get: () => 'application/json' },
+    status: 200,
+    json: () => Promise.resolve({}),
+  };
+
+  it('should reject with RequestCancelled when the token is cancelled', async () => {
+    const transport = jest.fn(() => new Promise(() => {}));
+    const requester = new ApiRequester({ server, transport });
+    const cancellationToken = new CancellationToken();
+
+    const promise = requester.withOptions({ signal: cancellationToken }).call(path, method, body, {});
+    cancellationToken.cancel();
+
+    await expect(promise).rejects.toBeInstanceOf(RequestCancelled);
+    expect(transport.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+
+  it('should not call the transport with an already aborted signal', async () => {
+    const transport = jest.fn(() => Promise.resolve(okResponse));
+    const requester = new ApiRequester({ server, transport });
+    const cancellationToken = new CancellationToken();
+    cancellationToken.cancel();
+
+    await expect(requester.withOptions({ signal: cancellationToken }).call(path, method, body, {}))
+      .rejects.toBeInstanceOf(RequestCancelled);
+    expect(transport).not.toBeCalled();
+  });
+
+  it('should reject with a timeout', async () => {
+    const transport = jest.fn(() => new Promise(() => {}));
+    const requester = new ApiRequester({ server, transport });
+
+    let error = null;
+    try {
+      await requester.withOptions({ timeout: 10 }).call(path, method, body, {});
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(RequestCancelled);
+    expect(error.isTimeout).toBe(true);
+    expect(error.url).toBe(url);
+  });
+
+  it('should not retry a cancelled request', async () => {
+    const transport = jest.fn(() => Promise.resolve({ ...okResponse, status: 503 }));
+    const requester = new ApiRequester({ server, transport, retryPolicy: { baseDelay: 1000, jitter: false } });
+    const cancellationToken = new CancellationToken();
+
+    const promise = requester.withOptions({ signal: cancellationToken }).call(path, method, body, {});
+    setTimeout(() => cancellationToken.cancel(), 10);
+
+    await expect(promise).rejects.toBeInstanceOf(RequestCancelled);
+    expect(transport).toHaveBeenCalledTimes(1);
+  });
 });
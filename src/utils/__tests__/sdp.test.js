@@ -0,0 +1,56 @@
+import { preferCodecs, setBandwidth, createMediaPreferencesModifier } from '../sdp';
+
+const sdp = [
+  'v=0',
+  'o=- 1 2 IN IP4 127.0.0.1',
+  's=-',
+  't=0 0',
+  'm=audio 9 UDP/TLS/RTP/SAVPF 111 0 8',
+  'c=IN IP4 0.0.0.0',
+  'b=AS:64',
+  'a=rtpmap:111 opus/48000/2',
+  'a=rtpmap:0 PCMU/8000',
+  'a=rtpmap:8 PCMA/8000',
+  'm=video 9 UDP/TLS/RTP/SAVPF 96 97 98 99',
+  'c=IN IP4 0.0.0.0',
+  'a=rtpmap:96 VP8/90000',
+  'a=rtpmap:97 rtx/90000',
+  'a=fmtp:97 apt=96',
+  'a=rtpmap:98 H264/90000',
+  'a=rtpmap:99 rtx/90000',
+  'a=fmtp:99 apt=98',
+  '',
+].join('\r\n');
+
+const lines = description => description.split('\r\n');
+
+describe('SDP modifiers', () => {
+  it('should prefer the given codecs with their retransmissions', () => {
+    const audio = lines(preferCodecs(sdp, 'audio', ['pcma']));
+    expect(audio).toContain('m=audio 9 UDP/TLS/RTP/SAVPF 8 111 0');
+    expect(audio).toContain('m=video 9 UDP/TLS/RTP/SAVPF 96 97 98 99');
+
+    const video = lines(preferCodecs(sdp, 'video', ['H264', 'unknown']));
+    expect(video).toContain('m=video 9 UDP/TLS/RTP/SAVPF 98 99 96 97');
+    expect(preferCodecs(sdp, 'video', [])).toBe(sdp);
+  });
+
+  it('should replace the bandwidth of the media', () => {
+    const capped = lines(setBandwidth(sdp, 'video', 256));
+    const videoIndex = capped.indexOf('m=video 9 UDP/TLS/RTP/SAVPF 96 97 98 99');
+    expect(capped.slice(videoIndex + 1, videoIndex + 4)).toEqual(['c=IN IP4 0.0.0.0', 'b=AS:256', 'b=TIAS:256000']);
+    expect(capped).toContain('b=AS:64');
+
+    expect(lines(setBandwidth(sdp, 'audio', null))).not.toContain('b=AS:64');
+    expect(setBandwidth(sdp, 'audio', undefined)).toBe(sdp);
+  });
+
+  it('should apply every preference in a modifier', async () => {
+    const modifier = createMediaPreferencesModifier({ audioCodecs: ['PCMU'], audioBandwidth: 32 });
+    const description = await modifier({ type: 'offer', sdp });
+
+    expect(description.type).toBe('offer');
+    expect(lines(description.sdp)).toContain('m=audio 9 UDP/TLS/RTP/SAVPF 0 111 8');
+    expect(lines(description.sdp)).toContain('b=TIAS:32000');
+  });
+});
@@ -1,14 +1,66 @@
 /* @flow */
-/* global btoa, window, fetch */
+/* global btoa, window, fetch, AbortController */
 /* eslint-disable global-require */
 /* eslint-disable import/no-dynamic-require */
 import { Base64 } from 'js-base64';
 
 import BadResponse from '../domain/BadResponse';
 import ServerError from '../domain/ServerError';
+import RequestCancelled from '../domain/RequestCancelled';
 import isMobile from './isMobile';
 import type { Token } from '../domain/types';
 import IssueReporter from '../service/IssueReporter';
+import type OfflineQueue from '../service/OfflineQueue';
+import type ResponseCache from '../service/ResponseCache';
+
+export type Transport = (url: string, options: Object) => Promise<Object>;
+
+export type ApiRequest = {
+  url: string,
+  path: string,
+  options: Object,
+};
+
+export type Interceptors = {
+  request: Array<(request: ApiRequest) => ?ApiRequest | Promise<?ApiRequest>>,
+  response: Array<(response: Object, request: ApiRequest) => ?Object | Promise<?Object>>,
+  error: Array<(error: Error, request: ApiRequest) => ?Error | Promise<?Error>>,
+};
+
+export type RetryPolicy = {
+  maxAttempts: number,
+  // Delays are in milliseconds
+  baseDelay: number,
+  maxDelay: number,
+  factor: number,
+  jitter: boolean,
+  methods: string[],
+  statuses: number[],
+};
+
+// `AbortSignal` or `CancellationToken`
+export type CancellationSignal = {
+  aborted: boolean,
+  addEventListener: (event: string, listener: Function) => void,
+  removeEventListener: (event: string, listener: Function) => void,
+};
+
+export type RequestOptions = {
+  retry?: ?$Shape<RetryPolicy> | false,
+  signal?: ?CancellationSignal,
+  // In milliseconds
+  timeout?: ?number,
+  // Set to `false` to avoid storing the request in the offline queue
+  queueWhenOffline?: boolean,
+};
+
+type Cancellation = {
+  promise: Promise<any>,
+  error: ?RequestCancelled,
+  // Forwarded to the transport when `AbortController` is available
+  signal: ?Object,
+  clear: Function,
+};
 
 type ConstructorParams = {
   server: string,
@@ -16,12 +68,34 @@ type ConstructorParams = {
   clientId: ?string,
   refreshTokenCallback: Function,
   token?: string,
+  transport?: ?Transport,
+  interceptors?: ?Interceptors,
+  retryPolicy?: ?$Shape<RetryPolicy>,
+  offlineQueue?: ?OfflineQueue,
+  responseCache?: ?ResponseCache,
 };
 
 const methods = ['head', 'get', 'post', 'put', 'delete'];
 
+// Written on the requester given to `withOptions`, so the token and its refresh are shared by the derived ones
+const sharedProperties = ['token', 'tenant', 'refreshTokenPromise', 'transport', 'retryPolicy', 'offlineQueue',
+  'responseCache'];
+
+export const DEFAULT_RETRY_POLICY: RetryPolicy = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true,
+  // Only idempotent verbs can be safely replayed
+  methods: ['get', 'head', 'put', 'delete'],
+  statuses: [502, 503, 504],
+};
+
 const logger = IssueReporter.loggerFor('api');
 
+const wait = (delay: number) => new Promise(resolve => setTimeout(resolve, delay));
+
 // Use a function here to be able to mock it in tests
 export const realFetch = () => {
   if (typeof document !== 'undefined') {
@@ -47,6 +121,12 @@ export default class ApiRequester {
   tenant: ?string;
   refreshTokenCallback: Function;
   refreshTokenPromise: ?Promise<any>;
+  transport: ?Transport;
+  interceptors: Interceptors;
+  retryPolicy: $Shape<RetryPolicy>;
+  requestOptions: RequestOptions;
+  offlineQueue: ?OfflineQueue;
+  responseCache: ?ResponseCache;
 
   head: Function;
   get: Function;
@@ -75,12 +155,29 @@ export default class ApiRequester {
   }
 
   // @see https://github.com/facebook/flow/issues/183#issuecomment-358607052
-  constructor({ server, refreshTokenCallback, clientId, agent = null, token = null }: ConstructorParams) {
+  constructor({
+    server,
+    refreshTokenCallback,
+    clientId,
+    agent = null,
+    token = null,
+    transport = null,
+    interceptors = null,
+    retryPolicy = null,
+    offlineQueue = null,
+    responseCache = null,
+  }: ConstructorParams) {
     this.server = server;
     this.agent = agent;
     this.clientId = clientId;
     this.refreshTokenCallback = refreshTokenCallback;
     this.refreshTokenPromise = null;
+    this.transport = transport;
+    this.interceptors = interceptors || { request: [], response: [], error: [] };
+    this.retryPolicy = retryPolicy || {};
+    this.requestOptions = {};
+    this.offlineQueue = offlineQueue;
+    this.responseCache = responseCache;
     if (token) {
       this.token = token;
     }
@@ -104,6 +201,72 @@ export default class ApiRequester {
     this.token = token;
   }
 
+  // Replace the fetch implementation, `transport` should have the same signature as `fetch`.
+  setTransport(transport: ?Transport) {
+    this.transport = transport;
+  }
+
+  // Request interceptors can return a new `{ url, path, options }` object to alter the request.
+  addRequestInterceptor(interceptor: Function): Function {
+    return this._addInterceptor('request', interceptor);
+  }
+
+  // Response interceptors are called before the status check and can return a new response.
+  addResponseInterceptor(interceptor: Function): Function {
+    return this._addInterceptor('response', interceptor);
+  }
+
+  // Error interceptors can return a new error that will be thrown instead of the original one.
+  addErrorInterceptor(interceptor: Function): Function {
+    return this._addInterceptor('error', interceptor);
+  }
+
+  setRetryPolicy(retryPolicy: ?$Shape<RetryPolicy>) {
+    this.retryPolicy = retryPolicy || {};
+  }
+
+  // Mutating requests failing because of the network will be stored in `offlineQueue` and replayed later
+  setOfflineQueue(offlineQueue: ?OfflineQueue) {
+    if (this.offlineQueue && this.offlineQueue !== offlineQueue) {
+      this.offlineQueue.detach();
+    }
+
+    this.offlineQueue = offlineQueue;
+
+    if (offlineQueue) {
+      offlineQueue.attach(this);
+    }
+  }
+
+  // GET responses matching a policy of `responseCache` will be cached, see `ResponseCache`
+  setResponseCache(responseCache: ?ResponseCache) {
+    this.responseCache = responseCache;
+  }
+
+  getRetryPolicy(): RetryPolicy {
+    const { retry } = this.requestOptions;
+    if (retry === false) {
+      return { ...DEFAULT_RETRY_POLICY, ...this.retryPolicy, maxAttempts: 1 };
+    }
+
+    return { ...DEFAULT_RETRY_POLICY, ...this.retryPolicy, ...retry };
+  }
+
+  // Returns a requester sharing the same state (token, tenant, ...) but using `requestOptions` for its calls
+  withOptions(requestOptions: RequestOptions): ApiRequester {
+    const requester = Object.create(this);
+    const base: Object = this;
+    requester.requestOptions = { ...this.requestOptions, ...requestOptions };
+    sharedProperties.forEach(name => Object.defineProperty(requester, name, {
+      get: () => base[name],
+      set: value => {
+        base[name] = value;
+      },
+    }));
+
+    return requester;
+  }
+
   async call(
     path: string,
     method: string = 'get',
@@ -121,55 +284,301 @@ export default class ApiRequester {
     const isHead = method === 'head';
     const hasEmptyResponse = method === 'delete' || isHead;
     const newParse = hasEmptyResponse ? ApiRequester.successResponseParser : parse;
-    const options = {
+    const options: Object = {
       method,
       body: newBody,
       headers: this.getHeaders(headers),
       agent: this.agent,
     };
 
-    if (this.refreshTokenPromise) {
-      logger.info('A token is already refreshing, waiting ...', { url });
-      await this.refreshTokenPromise;
-    }
+    const { offlineQueue } = this;
+    const canBeQueued = !!offlineQueue && firstCall && this.requestOptions.queueWhenOffline !== false
+      && offlineQueue.shouldQueue(method, path, headers);
+    // Mutations wait behind the queued ones to keep their order
+    if (offlineQueue && canBeQueued && (offlineQueue.isOffline() || offlineQueue.hasRequests())) {
+      const queued = offlineQueue.enqueue(path, method, body, headers, parse);
+      offlineQueue.flush();
 
-    const start = new Date();
+      return queued;
+    }
 
-    return realFetch()(url, options).then(response => {
-      const contentType = response.headers.get('content-type') || '';
-      const isJson = contentType.indexOf('application/json') !== -1;
+    const { responseCache } = this;
+    const cachePolicy = responseCache && method === 'get' && parse === ApiRequester.defaultParser
+      ? responseCache.getPolicy(path)
+      : null;
+    const cacheKey = responseCache && cachePolicy ? responseCache.getKey(url, options.headers) : url;
+    if (responseCache && cachePolicy) {
+      const cached = responseCache.getFresh(cacheKey);
+      if (cached) {
+        logger.trace('Cache hit', { url });
+        return cached;
+      }
+      options.headers = { ...options.headers, ...responseCache.getConditionalHeaders(cacheKey) };
+    } else if (responseCache && method !== 'get' && method !== 'head') {
+      responseCache.invalidateForMutation(path);
+    }
 
-      IssueReporter.logRequest(url, options, response, start);
+    const cancellation = this._watchCancellation(url);
+    if (cancellation && cancellation.signal) {
+      options.signal = cancellation.signal;
+    }
 
-      // Throw an error only if status >= 400
-      if ((isHead && response.status >= 500) || (!isHead && response.status >= 400)) {
-        const promise = isJson ? response.json() : response.text();
-        const exceptionClass = response.status >= 500 ? ServerError : BadResponse;
+    try {
+      const { refreshTokenPromise } = this;
+      if (refreshTokenPromise) {
+        logger.info('A token is already refreshing, waiting ...', { url });
+        await this._raceCancellation(refreshTokenPromise, cancellation);
+      }
 
-        return promise.then(async (err: Object) => {
-          // Check if the token is still valid
-          if (firstCall && this._checkTokenExpired(response, err)) {
-            logger.warn('token expired', { error: err.reason });
-            // Replay the call after refreshing the token
-            return this._replayWithNewToken(err, path, method, body, headers, parse);
+      // Avoid to defer the fetch call when there's no request interceptor
+      const request = this.interceptors.request.length
+        ? await this._applyInterceptors('request', { url, path, options })
+        : { url, path, options };
+      const start = new Date();
+      let hasResponse = false;
+
+      return await this._fetchWithRetry(request, this.getRetryPolicy(), cancellation).then(async rawResponse => {
+        hasResponse = true;
+        const response = await this._applyInterceptors('response', rawResponse, request);
+        const contentType = response.headers.get('content-type') || '';
+        const isJson = contentType.indexOf('application/json') !== -1;
+
+        IssueReporter.logRequest(request.url, request.options, response, start);
+
+        if (responseCache && cachePolicy && response.status === 304) {
+          const cached = responseCache.revalidate(cacheKey, cachePolicy);
+          if (cached) {
+            return cached;
           }
+        }
+
+        // Throw an error only if status >= 400
+        if ((isHead && response.status >= 500) || (!isHead && response.status >= 400)) {
+          const promise = isJson ? response.json() : response.text();
+          const exceptionClass = response.status >= 500 ? ServerError : BadResponse;
+
+          return promise.then(async (err: Object) => {
+            // Check if the token is still valid
+            if (firstCall && this._checkTokenExpired(response, err)) {
+              logger.warn('token expired', { error: err.reason });
+              // Replay the call after refreshing the token
+              return this._replayWithNewToken(err, path, method, body, headers, parse);
+            }
+
+            const error = typeof err === 'string'
+              ? exceptionClass.fromText(err, response.status)
+              : exceptionClass.fromResponse(err, response.status);
+
+            logger.error('API error', error);
+
+            throw error;
+          });
+        }
+
+        if (responseCache && cachePolicy && response.status === 200) {
+          const data = await newParse(response, isJson);
+          responseCache.set(cacheKey, path, data, response.headers, cachePolicy);
+
+          return data;
+        }
+
+        return newParse(response, isJson);
+      }).catch(async error => {
+        if (offlineQueue && canBeQueued && !hasResponse && !(error instanceof RequestCancelled)) {
+          logger.warn('Network error, queuing request', { url, message: error.message });
+          const queued = offlineQueue.enqueue(path, method, body, headers, parse);
+          // No `online` event comes when the browser didn't notice the network was down
+          offlineQueue.scheduleFlush();
+
+          return queued;
+        }
+
+        if (error instanceof RequestCancelled) {
+          logger.info('Request cancelled', { url, isTimeout: error.isTimeout });
+        } else {
+          logger.error('Fetch failed', { url, options, message: error.message, stack: error.stack });
+        }
+
+        // Replayed calls are nested in the first one, so error interceptors are only called once
+        if (!firstCall) {
+          throw error;
+        }
 
-          const error = typeof err === 'string'
-            ? exceptionClass.fromText(err, response.status)
-            : exceptionClass.fromResponse(err, response.status);
+        throw await this._applyInterceptors('error', error, request);
+      });
+    } finally {
+      if (cancellation) {
+        cancellation.clear();
+      }
+    }
+  }
+
+  _fetch(url: string, options: Object): Promise<Object> {
+    return (this.transport || realFetch())(url, options);
+  }
 
-          logger.error('API error', error);
+  async _fetchWithRetry(
+    request: ApiRequest,
+    policy: RetryPolicy,
+    cancellation: ?Cancellation,
+    attempt: number = 1,
+  ): Promise<Object> {
+    const { url, options } = request;
+    const isRetryable = policy.methods.indexOf(options.method) !== -1 && policy.maxAttempts > 1;
+    let response = null;
+    let networkError = null;
+
+    if (cancellation && cancellation.error) {
+      throw cancellation.error;
+    }
 
-          throw error;
-        });
+    try {
+      response = await this._raceCancellation(this._fetch(url, options), cancellation);
+    } catch (error) {
+      // Cancelled requests should not be retried
+      if (cancellation && cancellation.error) {
+        throw cancellation.error;
       }
+      networkError = error;
+    }
 
-      return newParse(response, isJson);
-    }).catch(error => {
-      logger.error('Fetch failed', { url, options, message: error.message, stack: error.stack });
+    if (response && policy.statuses.indexOf(response.status) === -1) {
+      return response;
+    }
 
-      throw error;
-    });
+    const reason = networkError ? networkError.message : response && response.status;
+    if (!isRetryable || attempt >= policy.maxAttempts) {
+      if (isRetryable) {
+        logger.error('Giving up retrying request', { url, method: options.method, attempt, reason });
+      }
+
+      if (networkError) {
+        throw networkError;
+      }
+      return response;
+    }
+
+    const delay = this.computeRetryDelay(policy, attempt, response);
+    logger.warn('Retrying request', { url, method: options.method, attempt, delay, reason });
+    await this._raceCancellation(wait(delay), cancellation);
+
+    return this._fetchWithRetry(request, policy, cancellation, attempt + 1);
+  }
+
+  // Returns null when the call has neither a signal nor a timeout
+  _watchCancellation(url: string): ?Cancellation {
+    const { signal, timeout } = this.requestOptions;
+    if (!signal && !timeout) {
+      return null;
+    }
+
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    let rejectPromise: Function = () => {};
+    let timeoutId = null;
+    const cancellation: Cancellation = {
+      promise: new Promise((resolve, reject) => {
+        rejectPromise = reject;
+      }),
+      error: null,
+      signal: controller ? controller.signal : null,
+      clear: () => {},
+    };
+    // The promise is only listened while the request is pending
+    cancellation.promise.catch(() => {});
+
+    const cancel = (error: RequestCancelled) => {
+      if (cancellation.error) {
+        return;
+      }
+      cancellation.error = error;
+      rejectPromise(error);
+
+      if (controller) {
+        controller.abort();
+      }
+    };
+    const onAbort = () => cancel(new RequestCancelled('Request cancelled', url));
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort);
+      }
+    }
+
+    if (timeout) {
+      timeoutId = setTimeout(() => cancel(RequestCancelled.fromTimeout(url, timeout)), timeout);
+    }
+
+    cancellation.clear = () => {
+      if (timeoutId) {
+        clearTimeout(timeoutId);
+      }
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
+
+    return cancellation;
+  }
+
+  _raceCancellation(promise: Promise<any>, cancellation: ?Cancellation): Promise<any> {
+    return cancellation ? Promise.race([promise, cancellation.promise]) : promise;
+  }
+
+  computeRetryDelay(policy: RetryPolicy, attempt: number, response: ?Object): number {
+    const retryAfter = response && response.headers ? this._parseRetryAfter(response.headers.get('retry-after')) : null;
+    if (typeof retryAfter === 'number') {
+      return Math.min(retryAfter, policy.maxDelay);
+    }
+
+    const delay = Math.min(policy.maxDelay, policy.baseDelay * (policy.factor ** (attempt - 1)));
+
+    // "Full jitter": pick a random delay between 0 and the exponential one
+    return policy.jitter ? Math.round(Math.random() * delay) : delay;
+  }
+
+  // `Retry-After` can either be a number of seconds or a HTTP date
+  _parseRetryAfter(value: ?string): ?number {
+    if (!value) {
+      return null;
+    }
+
+    if (/^\d+$/.test(value.trim())) {
+      return +value * 1000;
+    }
+
+    const date = Date.parse(value);
+
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  _addInterceptor(type: string, interceptor: Function): Function {
+    this.interceptors[type].push(interceptor);
+
+    return () => {
+      const index = this.interceptors[type].indexOf(interceptor);
+      if (index !== -1) {
+        this.interceptors[type].splice(index, 1);
+      }
+    };
+  }
+
+  // Each interceptor receives the value returned by the previous one, or the original value when nothing is returned.
+  async _applyInterceptors(type: string, value: any, ...args: any[]): Promise<any> {
+    let result = value;
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const interceptor of [...this.interceptors[type]]) {
+      // eslint-disable-next-line no-await-in-loop
+      const newValue = await interceptor(result, ...args);
+      if (typeof newValue !== 'undefined' && newValue !== null) {
+        result = newValue;
+      }
+    }
+
+    return result;
   }
 
   _checkTokenExpired(response: Object, err: Object) {
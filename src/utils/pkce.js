@@ -0,0 +1,49 @@
+// @flow
+import { KJUR, hextob64u } from 'jsrsasign';
+
+// Proof Key for Code Exchange helpers, @see https://tools.ietf.org/html/rfc7636
+export const CODE_CHALLENGE_METHOD = 'S256';
+
+// The verifier and the state must not be guessable, so there is no fallback on a weaker generator
+const getRandomHex = (bytes: number): string => {
+  const { crypto } = global;
+  if (!crypto || typeof crypto.getRandomValues !== 'function') {
+    throw new Error('No secure random generator available, `crypto.getRandomValues` is required for PKCE');
+  }
+
+  return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), byte => `0${byte.toString(16)}`.slice(-2)).join('');
+};
+
+// 32 random bytes give a 43 characters verifier, the minimum allowed length
+export const generateCodeVerifier = (bytes: number = 32): string => hextob64u(getRandomHex(bytes));
+
+export const generateCodeChallenge = (codeVerifier: string): string =>
+  hextob64u(KJUR.crypto.Util.sha256(codeVerifier));
+
+export const generateState = (): string => hextob64u(getRandomHex(16));
+
+export type AuthorizationCallback = {
+  code: ?string,
+  state: ?string,
+  error: ?string,
+  errorDescription: ?string,
+};
+
+// Reads the parameters sent back by the identity provider on the redirect URI
+export const parseAuthorizationCallback = (url: string): AuthorizationCallback => {
+  const queryIndex = url.indexOf('?');
+  const query = queryIndex === -1 ? '' : url.substring(queryIndex + 1).split('#')[0];
+  const params = {};
+
+  query.split('&').filter(Boolean).forEach(pair => {
+    const [key, value = ''] = pair.split('=');
+    params[decodeURIComponent(key)] = decodeURIComponent(value.replace(/\+/g, ' '));
+  });
+
+  return {
+    code: params.code || null,
+    state: params.state || null,
+    error: params.error || null,
+    errorDescription: params.error_description || null,
+  };
+};
@@ -0,0 +1,126 @@
+// @flow
+
+// A video encoding sent in simulcast, from the highest to the lowest:
+// without simulcast in the answer, only the first encoding is sent so it has to be the full resolution
+export type SimulcastLayer = {
+  rid: string,
+  scaleResolutionDownBy: number,
+  // In bps
+  maxBitrate: number,
+  maxFramerate?: number,
+};
+
+export const DEFAULT_SIMULCAST_LAYERS: SimulcastLayer[] = [
+  { rid: 'high', scaleResolutionDownBy: 1, maxBitrate: 1500000 },
+  { rid: 'medium', scaleResolutionDownBy: 2, maxBitrate: 500000 },
+  { rid: 'low', scaleResolutionDownBy: 4, maxBitrate: 150000, maxFramerate: 15 },
+];
+
+export type MediaPreferences = {
+  // Codec names by priority, eg: ['opus', 'PCMU'] or ['VP8']
+  audioCodecs?: ?(string[]),
+  videoCodecs?: ?(string[]),
+  // In kbps
+  audioBandwidth?: ?number,
+  videoBandwidth?: ?number,
+  // Sends the camera in several resolutions, for SFU rooms
+  simulcast?: ?(SimulcastLayer[]),
+};
+
+const splitSections = (sdp: string): string[][] => {
+  const lines = sdp.split(/\r\n|\n/).filter(line => !!line);
+
+  return lines.reduce((sections, line) => {
+    if (line.indexOf('m=') === 0) {
+      sections.push([]);
+    }
+    sections[sections.length - 1].push(line);
+    return sections;
+  }, [[]]);
+};
+
+const joinSections = (sections: string[][]): string => `${[].concat(...sections).join('\r\n')}\r\n`;
+
+const updateMediaSections = (sdp: string, kind: string, update: (lines: string[]) => string[]): string => {
+  const sections = splitSections(sdp);
+
+  return joinSections(sections.map(lines => (lines[0].indexOf(`m=${kind} `) === 0 ? update(lines) : lines)));
+};
+
+const findAttributes = (lines: string[], attribute: string): { [string]: string } => lines.reduce((acc, line) => {
+  const match = line.match(new RegExp(`^a=${attribute}:(\\d+) (.*)$`));
+  if (match) {
+    const [, payload, value] = match;
+    acc[payload] = value;
+  }
+  return acc;
+}, {});
+
+// Moves the payloads of the given codecs first on the `m=` line, the other ones are kept as fallback
+export const preferCodecs = (sdp: string, kind: string, codecs: ?(string[])): string => {
+  if (!codecs || !codecs.length) {
+    return sdp;
+  }
+  const codecNames = codecs.map(codec => codec.toLowerCase());
+
+  return updateMediaSections(sdp, kind, lines => {
+    const [media, port, protocol, ...payloads] = lines[0].split(' ');
+    const names = findAttributes(lines, 'rtpmap');
+    const parameters = findAttributes(lines, 'fmtp');
+    const nameOf = payload => (names[payload] || '').split('/')[0].toLowerCase();
+
+    const preferred = [];
+    codecNames.forEach(codecName => {
+      payloads.filter(payload => nameOf(payload) === codecName).forEach(payload => {
+        preferred.push(payload);
+        // Retransmissions of this codec, eg: `a=fmtp:97 apt=96`
+        payloads.filter(other => (parameters[other] || '') === `apt=${payload}`).forEach(rtx => preferred.push(rtx));
+      });
+    });
+
+    const ordered = [...preferred, ...payloads.filter(payload => preferred.indexOf(payload) === -1)];
+
+    return [[media, port, protocol, ...ordered].join(' '), ...lines.slice(1)];
+  });
+};
+
+// Replaces the `b=` lines of the media with `b=AS` (Chrome) and `b=TIAS` (Firefox), without limit when falsy
+export const setBandwidth = (sdp: string, kind: string, kbps: ?number): string => {
+  if (kbps === undefined) {
+    return sdp;
+  }
+
+  return updateMediaSections(sdp, kind, lines => {
+    const newLines = lines.filter(line => line.indexOf('b=AS:') !== 0 && line.indexOf('b=TIAS:') !== 0);
+    if (!kbps) {
+      return newLines;
+    }
+
+    // `b=` lines come right after the `c=` line
+    const connectionIndex = newLines.findIndex(line => line.indexOf('c=') === 0);
+    const index = connectionIndex === -1 ? 1 : connectionIndex + 1;
+    newLines.splice(index, 0, `b=AS:${kbps}`, `b=TIAS:${kbps * 1000}`);
+
+    return newLines;
+  });
+};
+
+export const applyMediaPreferences = (sdp: string, preferences: MediaPreferences): string => {
+  let newSdp = preferCodecs(sdp, 'audio', preferences.audioCodecs);
+  newSdp = preferCodecs(newSdp, 'video', preferences.videoCodecs);
+  newSdp = setBandwidth(newSdp, 'audio', preferences.audioBandwidth);
+
+  return setBandwidth(newSdp, 'video', preferences.videoBandwidth);
+};
+
+export const createMediaPreferencesModifier = (preferences: MediaPreferences) => (description: Object) => {
+  if (!description || !description.sdp) {
+    return Promise.resolve(description);
+  }
+
+  return Promise.resolve({
+    // description is immutable... so we have to clone it or the `type` attribute won't be returned.
+    ...JSON.parse(JSON.stringify(description)),
+    sdp: applyMediaPreferences(description.sdp, preferences),
+  });
+};
@@ -0,0 +1,35 @@
+// @flow
+import type { StorageAdapter } from './StorageAdapter';
+
+type ConstructorParams = {
+  storage: StorageAdapter,
+  encrypt: (value: string) => Promise<string> | string,
+  decrypt: (value: string) => Promise<string> | string,
+};
+
+// Encrypts values before handing them to another adapter, eg: with a key kept in the mobile keychain.
+export default class EncryptedStorage implements StorageAdapter {
+  storage: StorageAdapter;
+  encrypt: (value: string) => Promise<string> | string;
+  decrypt: (value: string) => Promise<string> | string;
+
+  constructor({ storage, encrypt, decrypt }: ConstructorParams) {
+    this.storage = storage;
+    this.encrypt = encrypt;
+    this.decrypt = decrypt;
+  }
+
+  async getItem(key: string): Promise<?string> {
+    const encrypted = await this.storage.getItem(key);
+
+    return encrypted === null || typeof encrypted === 'undefined' ? null : this.decrypt(encrypted);
+  }
+
+  async setItem(key: string, value: string): Promise<void> {
+    return this.storage.setItem(key, await this.encrypt(value));
+  }
+
+  async removeItem(key: string): Promise<void> {
+    return this.storage.removeItem(key);
+  }
+}
@@ -0,0 +1,23 @@
+// @flow
+/* global window */
+import type { StorageAdapter } from './StorageAdapter';
+
+export default class LocalStorage implements StorageAdapter {
+  storage: Object;
+
+  constructor(storage: ?Object = null) {
+    this.storage = storage || window.localStorage;
+  }
+
+  async getItem(key: string): Promise<?string> {
+    return this.storage.getItem(key);
+  }
+
+  async setItem(key: string, value: string): Promise<void> {
+    this.storage.setItem(key, value);
+  }
+
+  async removeItem(key: string): Promise<void> {
+    this.storage.removeItem(key);
+  }
+}
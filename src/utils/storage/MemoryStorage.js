@@ -0,0 +1,22 @@
+// @flow
+import type { StorageAdapter } from './StorageAdapter';
+
+export default class MemoryStorage implements StorageAdapter {
+  items: { [string]: string };
+
+  constructor() {
+    this.items = {};
+  }
+
+  async getItem(key: string): Promise<?string> {
+    return key in this.items ? this.items[key] : null;
+  }
+
+  async setItem(key: string, value: string): Promise<void> {
+    this.items[key] = value;
+  }
+
+  async removeItem(key: string): Promise<void> {
+    delete this.items[key];
+  }
+}
@@ -0,0 +1,8 @@
+// @flow
+
+// Asynchronous key/value storage, react-native's `AsyncStorage` already implements it and can be used as is.
+export interface StorageAdapter {
+  getItem(key: string): Promise<?string>;
+  setItem(key: string, value: string): Promise<void>;
+  removeItem(key: string): Promise<void>;
+}
@@ -38,6 +38,14 @@ import Emitter from './utils/Emitter';
 import ApiClient from './api-client';
 import IssueReporter from './service/IssueReporter';
 import Heartbeat from './utils/Heartbeat';
+import AudioProcessingChain from './utils/AudioProcessingChain';
+import type { AudioProcessor } from './utils/AudioProcessingChain';
+import VideoProcessingPipeline from './utils/VideoProcessingPipeline';
+import type { VideoEffect, VideoSegmenter } from './utils/VideoProcessingPipeline';
+import type { MediaPreferences } from './utils/sdp';
+import CallQuality, { DEFAULT_CALL_QUALITY_THRESHOLDS } from './domain/CallQuality';
+import type { CallQualityThresholds } from './domain/CallQuality';
+import CallQualitySummary from './domain/CallQualitySummary';
 
 // We need to replace 0.0.0.0 to 127.0.0.1 in the sdp to avoid MOH during a createOffer.
 export const replaceLocalIpModifier = (description: Object) => Promise.resolve({
@@ -66,6 +74,18 @@ const ACCEPTED = 'accepted';
 const REJECTED = 'rejected';
 const ON_TRACK = 'onTrack';
 const ON_REINVITE = 'reinvite';
+const ON_CALL_QUALITY = 'onCallQuality';
+const ON_ICE_RESTARTING = 'onIceRestarting';
+const ON_ICE_RESTARTED = 'onIceRestarted';
+const ON_ICE_RESTART_FAILED = 'onIceRestartFailed';
+
+const DEFAULT_ICE_RESTART_MAX_ATTEMPTS = 3;
+// Time given to an ICE restart to succeed before trying again
+const DEFAULT_ICE_RESTART_DELAY = 5000;
+// `disconnected` often recovers by itself, `failed` is restarted right away
+const DEFAULT_ICE_DISCONNECTED_TIMEOUT = 2000;
+// A REFER gets a 408 after 32s without answer, this is only reached when no response comes at all
+const TRANSFER_TIMEOUT = 40000;
 
 export const events = [REGISTERED, UNREGISTERED, REGISTRATION_FAILED, INVITE];
 export const transportEvents = [CONNECTED, DISCONNECTED, TRANSPORT_ERROR, MESSAGE];
@@ -92,6 +112,20 @@ type WebRtcConfig = {
   heartbeatDelay: number,
   heartbeatTimeout: number,
   maxHeartbeats: number,
+  audioProcessors?: AudioProcessor[],
+  videoEffects?: VideoEffect[],
+  videoSegmenter?: VideoSegmenter,
+  // Default codecs and bandwidth of every call
+  mediaPreferences?: MediaPreferences,
+  iceRestartMaxAttempts?: number,
+  iceRestartDelay?: number,
+  iceDisconnectedTimeout?: number,
+};
+
+type IceRecovery = {
+  attempts: number,
+  timeout: ?TimeoutID,
+  onStateChange: Function,
 };
 
 // @see https://github.com/onsip/SIP.js/blob/master/src/Web/Simple.js
@@ -112,12 +146,29 @@ export default class WebRTCClient extends Emitter {
   audioOutputVolume: number;
   videoSessions: Object;
   heldSessions: Object;
+  mergedSessions: { [string]: Inviter };
+  mixerNodes: Object[];
+  mixerGains: Object[];
+  mixerMuted: boolean;
+  audioProcessors: AudioProcessor[];
+  disabledAudioProcessors: { [string]: boolean };
+  audioChains: { [string]: AudioProcessingChain };
+  processedSessions: { [string]: Session };
+  videoEffects: VideoEffect[];
+  disabledVideoEffects: { [string]: boolean };
+  videoSegmenter: ?VideoSegmenter;
+  videoPipelines: { [string]: VideoProcessingPipeline };
+  iceRecoveries: { [string]: IceRecovery };
+  sessionMediaPreferences: { [string]: MediaPreferences };
   connectionPromise: ?Promise<void>;
   _boundOnHeartbeat: Function;
   heartbeat: Heartbeat;
   heartbeatTimeoutCb: ?Function;
   heartbeatCb: ?Function;
   statsIntervals: Object;
+  callQualities: { [string]: CallQuality };
+  callQualitySummaries: { [string]: CallQualitySummary };
+  callQualityThresholds: CallQualityThresholds;
 
   // sugar
   ON_USER_AGENT: string;
@@ -133,6 +184,10 @@ export default class WebRTCClient extends Emitter {
   REJECTED: string;
   ON_TRACK: string;
   ON_REINVITE: string;
+  ON_CALL_QUALITY: string;
+  ON_ICE_RESTARTING: string;
+  ON_ICE_RESTARTED: string;
+  ON_ICE_RESTART_FAILED: string;
 
   static isAPrivateIp(ip: string): boolean {
     const regex = /^(?:10|127|172\.(?:1[6-9]|2[0-9]|3[01])|192\.168)\..*/;
@@ -167,7 +222,24 @@ export default class WebRTCClient extends Emitter {
 
     this.videoSessions = {};
     this.heldSessions = {};
+    this.mergedSessions = {};
+    this.mixerNodes = [];
+    this.mixerGains = [];
+    this.mixerMuted = false;
+    this.audioProcessors = config.audioProcessors || [];
+    this.disabledAudioProcessors = {};
+    this.audioChains = {};
+    this.processedSessions = {};
+    this.videoEffects = config.videoEffects || [];
+    this.disabledVideoEffects = {};
+    this.videoSegmenter = config.videoSegmenter;
+    this.videoPipelines = {};
+    this.iceRecoveries = {};
+    this.sessionMediaPreferences = {};
     this.statsIntervals = {};
+    this.callQualities = {};
+    this.callQualitySummaries = {};
+    this.callQualityThresholds = DEFAULT_CALL_QUALITY_THRESHOLDS;
     this.connectionPromise = null;
 
     this._boundOnHeartbeat = this._onHeartbeat.bind(this);
@@ -188,6 +260,10 @@ export default class WebRTCClient extends Emitter {
     this.REJECTED = REJECTED;
     this.ON_TRACK = ON_TRACK;
     this.ON_REINVITE = ON_REINVITE;
+    this.ON_CALL_QUALITY = ON_CALL_QUALITY;
+    this.ON_ICE_RESTARTING = ON_ICE_RESTARTING;
+    this.ON_ICE_RESTARTED = ON_ICE_RESTARTED;
+    this.ON_ICE_RESTART_FAILED = ON_ICE_RESTART_FAILED;
   }
 
   configureMedia(media: MediaConfig) {
@@ -333,8 +409,9 @@ export default class WebRTCClient extends Emitter {
     });
   }
 
-  call(number: string, enableVideo?: boolean, audioOnly: boolean = false): Session {
-    logger.info('sdk webrtc creating call', { number, enableVideo, audioOnly });
+  call(number: string, enableVideo?: boolean, audioOnly: boolean = false,
+    mediaPreferences: ?MediaPreferences = null): Session {
+    logger.info('sdk webrtc creating call', { number, enableVideo, audioOnly, mediaPreferences });
     this.changeVideo(enableVideo || false);
 
     const inviterOptions = {};
@@ -343,6 +420,10 @@ export default class WebRTCClient extends Emitter {
     }
 
     const session = new Inviter(this.userAgent, this._makeURI(number), inviterOptions);
+    if (mediaPreferences) {
+      // Read when creating the session description handler
+      this.sessionMediaPreferences[this.getSipSessionId(session)] = mediaPreferences;
+    }
 
     this._setupSession(session);
 
@@ -542,6 +623,147 @@ export default class WebRTCClient extends Emitter {
     return this.getSipSessionId(session) in this.heldSessions;
   }
 
+  // Local conference: each merged session sends our microphone mixed with the audio received from the other ones
+  async mergeSessions(sessions: Inviter[]): Promise<boolean> {
+    if (!this.audioContext) {
+      return false;
+    }
+
+    await this._resumeAudioContext();
+
+    // The re-INVITE can replace the sender tracks, so we wait for it before mixing
+    await Promise.all(sessions.filter(session => this.isCallHeld(session)).map(session => this.unhold(session)));
+
+    sessions.forEach(session => {
+      this.mergedSessions[this.getSipSessionId(session)] = session;
+    });
+    this._updateMixer();
+
+    return true;
+  }
+
+  removeFromMerge(session: Inviter, shouldRestore: boolean = true): void {
+    const sessionId = this.getSipSessionId(session);
+    if (!(sessionId in this.mergedSessions)) {
+      return;
+    }
+
+    delete this.mergedSessions[sessionId];
+    if (shouldRestore) {
+      const localStream = this._getOutgoingAudioStream(session);
+      this._replaceAudioTrack(session, localStream ? localStream.getAudioTracks()[0] : null);
+    }
+    this._updateMixer();
+  }
+
+  unmergeSessions(shouldRestore: boolean = true): void {
+    Object.keys(this.mergedSessions).forEach(sessionId => {
+      this.removeFromMerge(this.mergedSessions[sessionId], shouldRestore);
+    });
+    this.mixerMuted = false;
+  }
+
+  isMerged(session: Inviter): boolean {
+    return this.getSipSessionId(session) in this.mergedSessions;
+  }
+
+  // Mutes our microphone only, the other participants can still hear each other
+  muteMerge(): void {
+    this._setMixerMuted(true);
+  }
+
+  unmuteMerge(): void {
+    this._setMixerMuted(false);
+  }
+
+  // Processors are applied in order to the microphone of every call, replacing the one with the same name
+  addAudioProcessor(processor: AudioProcessor, enabled: boolean = true): void {
+    this.audioProcessors = [...this.audioProcessors.filter(({ name }) => name !== processor.name), processor];
+    this.disabledAudioProcessors[processor.name] = !enabled;
+    this._updateAudioProcessing();
+  }
+
+  removeAudioProcessor(name: string): void {
+    this.audioProcessors = this.audioProcessors.filter(processor => processor.name !== name);
+    delete this.disabledAudioProcessors[name];
+    this._updateAudioProcessing();
+  }
+
+  enableAudioProcessor(name: string): void {
+    this.disabledAudioProcessors[name] = false;
+    this._updateAudioProcessing();
+  }
+
+  disableAudioProcessor(name: string): void {
+    this.disabledAudioProcessors[name] = true;
+    this._updateAudioProcessing();
+  }
+
+  isAudioProcessorEnabled(name: string): boolean {
+    return this.audioProcessors.some(processor => processor.name === name) && !this.disabledAudioProcessors[name];
+  }
+
+  getAudioProcessors(): AudioProcessor[] {
+    return this.audioProcessors;
+  }
+
+  // Effects are drawn in order on the camera of every call, replacing the one with the same name
+  addVideoEffect(effect: VideoEffect, enabled: boolean = true): void {
+    this.videoEffects = [...this.videoEffects.filter(({ name }) => name !== effect.name), effect];
+    this.disabledVideoEffects[effect.name] = !enabled;
+    this._updateVideoProcessing();
+  }
+
+  removeVideoEffect(name: string): void {
+    const effect = this.videoEffects.find(videoEffect => videoEffect.name === name);
+    this.videoEffects = this.videoEffects.filter(videoEffect => videoEffect.name !== name);
+    delete this.disabledVideoEffects[name];
+    this._updateVideoProcessing();
+
+    if (effect && effect.destroy) {
+      effect.destroy();
+    }
+  }
+
+  enableVideoEffect(name: string): void {
+    this.disabledVideoEffects[name] = false;
+    this._updateVideoProcessing();
+  }
+
+  disableVideoEffect(name: string): void {
+    this.disabledVideoEffects[name] = true;
+    this._updateVideoProcessing();
+  }
+
+  isVideoEffectEnabled(name: string): boolean {
+    return this.videoEffects.some(effect => effect.name === name) && !this.disabledVideoEffects[name];
+  }
+
+  getVideoEffects(): VideoEffect[] {
+    return this.videoEffects;
+  }
+
+  setVideoSegmenter(segmenter: ?VideoSegmenter): void {
+    this.videoSegmenter = segmenter;
+    Object.keys(this.videoPipelines).forEach(sessionId => this.videoPipelines[sessionId].setSegmenter(segmenter));
+  }
+
+  // The screen is sent without effects
+  pauseVideoProcessing(session: Inviter): void {
+    const pipeline = this.videoPipelines[this.getSipSessionId(session)];
+    if (pipeline) {
+      pipeline.pause();
+    }
+  }
+
+  resumeVideoProcessing(session: Inviter): void {
+    const pipeline = this.videoPipelines[this.getSipSessionId(session)];
+    if (pipeline) {
+      pipeline.resume();
+      this._sendProcessedVideo(session);
+    }
+  }
+
   sendDTMF(session: Inviter, tone: string) {
     if (!session.sessionDescriptionHandler) {
       return;
@@ -555,13 +777,50 @@ export default class WebRTCClient extends Emitter {
     return messager.message();
   }
 
-  transfer(session: Inviter, target: string) {
+  // Resolves once the REFER is accepted, the call is resumed when the transfer is refused or gets no answer.
+  // A timeout (408) or a transport failure (503) is received as a rejection.
+  transfer(session: Inviter, target: string): Promise<void> {
     this.hold(session);
 
-    setTimeout(() => {
-      session.refer(this._makeURI(target));
-      this.hangup(session);
-    }, 50);
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let timeout = null;
+      const settle = () => {
+        if (settled) {
+          return false;
+        }
+        settled = true;
+        clearTimeout(timeout);
+        return true;
+      };
+      const onError = error => {
+        if (settle()) {
+          this.unhold(session);
+          reject(error);
+        }
+      };
+      timeout = setTimeout(() => onError(new Error('Transfer timed out')), TRANSFER_TIMEOUT);
+
+      setTimeout(() => {
+        try {
+          session.refer(this._makeURI(target), {
+            requestDelegate: {
+              onAccept: () => {
+                if (settle()) {
+                  this.hangup(session);
+                  resolve();
+                }
+              },
+              onReject: ({ message }) => {
+                onError(new Error(`Transfer refused: ${message.statusCode} ${message.reasonPhrase}`));
+              },
+            },
+          }).catch(onError);
+        } catch (error) {
+          onError(error);
+        }
+      }, 50);
+    });
   }
 
   // check https://sipjs.com/api/0.12.0/refer/referClientContext/
@@ -603,6 +862,11 @@ export default class WebRTCClient extends Emitter {
       ? sipSession.sessionDescriptionHandler.localMediaStream : null;
   }
 
+  getRemoteMediaStream(sipSession: Session) {
+    return sipSession && sipSession.sessionDescriptionHandler
+      ? this._getRemoteStream(sipSession.sessionDescriptionHandler.peerConnection) : null;
+  }
+
   getState() {
     return states[this.userAgent.state];
   }
@@ -639,9 +903,10 @@ export default class WebRTCClient extends Emitter {
     });
   }
 
-  changeAudioInputDevice(id: string, session: ?Inviter) {
+  // `force` changes the device of `session` even when it's already the one of the next calls
+  changeAudioInputDevice(id: string, session: ?Inviter, force: boolean = false) {
     const currentId = this.getAudioDeviceId();
-    if (id === currentId) {
+    if (id === currentId && !force) {
       return null;
     }
 
@@ -649,6 +914,9 @@ export default class WebRTCClient extends Emitter {
     if (this.audio && this.audio.deviceId) {
       // $FlowFixMe
       this.audio.deviceId.exact = id;
+    } else if (this.audio) {
+      // Used by the next calls
+      this.audio = { ...(typeof this.audio === 'object' ? this.audio : {}), deviceId: { exact: id } };
     }
 
     if (session) {
@@ -657,6 +925,13 @@ export default class WebRTCClient extends Emitter {
 
       // $FlowFixMe
       return navigator.mediaDevices.getUserMedia({ audio: { deviceId: { exact: id } } }).then(async stream => {
+        const chain = this.audioChains[this.getSipSessionId(session)];
+        if (chain) {
+          chain.process(stream);
+          this._sendProcessedAudio(session);
+          return stream;
+        }
+
         const audioTrack = stream.getAudioTracks()[0];
         const sender = pc && pc.getSenders().find(s => s && s.track && s.track.kind === audioTrack.kind);
 
@@ -669,9 +944,9 @@ export default class WebRTCClient extends Emitter {
     }
   }
 
-  changeVideoInputDevice(id: string, session: ?Inviter) {
+  changeVideoInputDevice(id: string, session: ?Inviter, force: boolean = false) {
     const currentId = this.getVideoDeviceId();
-    if (id === currentId) {
+    if (id === currentId && !force) {
       return null;
     }
 
@@ -679,6 +954,8 @@ export default class WebRTCClient extends Emitter {
     if (this.video && this.video.deviceId) {
       // $FlowFixMe
       this.video.deviceId.exact = id;
+    } else if (this.video) {
+      this.video = { ...(typeof this.video === 'object' ? this.video : {}), deviceId: { exact: id } };
     }
 
     if (session) {
@@ -697,7 +974,10 @@ export default class WebRTCClient extends Emitter {
       }
 
       // $FlowFixMe
-      return navigator.mediaDevices.getUserMedia({ video: { deviceId: { exact: id } } }).then(async stream => {
+      return navigator.mediaDevices.getUserMedia({ video: { deviceId: { exact: id } } }).then(async rawStream => {
+        // Sends the camera through the video effects, when enabled
+        const pipeline = this.videoPipelines[this.getSipSessionId(session)];
+        const stream = (pipeline && pipeline.process(rawStream)) || rawStream;
         const videoTrack = stream.getVideoTracks()[0];
         const sender = pc && pc.getSenders().find(s => s && s.track && s.track.kind === videoTrack.kind);
 
@@ -890,6 +1170,79 @@ export default class WebRTCClient extends Emitter {
 
   onCallEnded(session: Session) {
     this._stopSendingStats(session);
+    this._stopWatchingIce(session);
+    this.removeFromMerge(session, false);
+
+    const sessionId = this.getSipSessionId(session);
+    if (this.audioChains[sessionId]) {
+      this.audioChains[sessionId].stop();
+      delete this.audioChains[sessionId];
+    }
+    if (this.videoPipelines[sessionId]) {
+      this.videoPipelines[sessionId].stop();
+      delete this.videoPipelines[sessionId];
+    }
+    delete this.processedSessions[sessionId];
+
+    delete this.callQualities[sessionId];
+    delete this.callQualitySummaries[sessionId];
+    delete this.sessionMediaPreferences[sessionId];
+  }
+
+  getMediaPreferences(session: Session): MediaPreferences {
+    return {
+      ...(this.config.mediaPreferences || {}),
+      ...(this.sessionMediaPreferences[this.getSipSessionId(session)] || {}),
+    };
+  }
+
+  // Can be called before answering, or during the call to renegotiate the codecs and the bandwidth
+  setMediaPreferences(session: Session, mediaPreferences: MediaPreferences): Promise<any> {
+    const sessionId = this.getSipSessionId(session);
+    const previous = this.getMediaPreferences(session);
+    this.sessionMediaPreferences[sessionId] = {
+      ...(this.sessionMediaPreferences[sessionId] || {}),
+      ...mediaPreferences,
+    };
+    const next = this.getMediaPreferences(session);
+
+    const sdh = session.sessionDescriptionHandler;
+    if (!sdh || session.state !== SessionState.Established) {
+      return Promise.resolve();
+    }
+
+    logger.info('sdk webrtc media preferences changed', { id: session.id, mediaPreferences: next });
+    // The senders bitrate is capped right away, the remote side needs a new SDP
+    sdh.setMediaPreferences(next);
+    if (JSON.stringify(previous) === JSON.stringify(next)) {
+      return Promise.resolve();
+    }
+
+    return this.reinvite(session);
+  }
+
+  // Layers above `rid` are not sent anymore, `null` sends them all
+  setSimulcastMaxLayer(session: Session, rid: ?string): Promise<void> {
+    const sdh = session.sessionDescriptionHandler;
+    if (!sdh || typeof sdh.setSimulcastMaxLayer !== 'function') {
+      return Promise.resolve();
+    }
+    logger.info('sdk webrtc simulcast max layer', { id: session.id, rid });
+
+    return sdh.setSimulcastMaxLayer(rid);
+  }
+
+  getCallQuality(session: Session): ?CallQuality {
+    return this.callQualities[this.getSipSessionId(session)] || null;
+  }
+
+  // Used by the summaries of the next calls
+  setCallQualityThresholds(thresholds: CallQualityThresholds) {
+    this.callQualityThresholds = thresholds;
+  }
+
+  getCallQualitySummary(session: Session): ?CallQualitySummary {
+    return this.callQualitySummaries[this.getSipSessionId(session)] || null;
   }
 
   attemptReconnection(): void {
@@ -1067,7 +1420,11 @@ export default class WebRTCClient extends Emitter {
           },
         };
 
-        return new WazoSessionDescriptionHandler(uaLogger, defaultMediaStreamFactory(), sdhOptions, isWeb, session);
+        const mediaStreamFactory = defaultMediaStreamFactory();
+        const sdh = new WazoSessionDescriptionHandler(uaLogger, mediaStreamFactory, sdhOptions, isWeb, session);
+        sdh.setMediaPreferences(this.getMediaPreferences(session));
+
+        return sdh;
       },
       transportOptions: {
         traceSip: configOverrides.traceSip || false,
@@ -1178,6 +1535,8 @@ export default class WebRTCClient extends Emitter {
 
     this._setupLocalMedia(session);
     this._setupRemoteMedia(session);
+    this._setupAudioProcessing(session);
+    this._setupVideoProcessing(session);
 
     if (session.sessionDescriptionHandler.peerConnection) {
       session.sessionDescriptionHandler.peerConnection.addEventListener('track', event => {
@@ -1196,6 +1555,124 @@ export default class WebRTCClient extends Emitter {
     }
 
     this._startSendingStats(session);
+    this._watchIceConnection(session);
+  }
+
+  // Restarts ICE when the media path is lost without any transport drop, eg: when switching from Wi-Fi to LTE
+  _watchIceConnection(session: Session) {
+    const sessionId = this.getSipSessionId(session);
+    const pc = session.sessionDescriptionHandler ? session.sessionDescriptionHandler.peerConnection : null;
+    if (!pc || sessionId in this.iceRecoveries) {
+      return;
+    }
+
+    const recovery = {
+      attempts: 0,
+      timeout: null,
+      onStateChange: () => this._onIceConnectionStateChange(session, pc.iceConnectionState),
+    };
+    this.iceRecoveries[sessionId] = recovery;
+    pc.addEventListener('iceconnectionstatechange', recovery.onStateChange);
+  }
+
+  _onIceConnectionStateChange(session: Session, state: string) {
+    const recovery = this.iceRecoveries[this.getSipSessionId(session)];
+    if (!recovery) {
+      return;
+    }
+    logger.info('ice connection state', { id: session.id, state, attempts: recovery.attempts });
+
+    switch (state) {
+      case 'disconnected':
+        if (!recovery.timeout) {
+          this._scheduleIceRestart(session, this.config.iceDisconnectedTimeout || DEFAULT_ICE_DISCONNECTED_TIMEOUT);
+        }
+        break;
+      case 'failed':
+        this._scheduleIceRestart(session, 0);
+        break;
+      case 'connected':
+      case 'completed':
+        this._clearIceRestart(recovery);
+        if (recovery.attempts) {
+          this.eventEmitter.emit(ON_ICE_RESTARTED, session, recovery.attempts);
+          recovery.attempts = 0;
+        }
+        break;
+      default:
+    }
+  }
+
+  _scheduleIceRestart(session: Session, delay: number) {
+    const recovery = this.iceRecoveries[this.getSipSessionId(session)];
+    if (!recovery) {
+      return;
+    }
+
+    this._clearIceRestart(recovery);
+    recovery.timeout = setTimeout(() => {
+      recovery.timeout = null;
+      this._restartIce(session);
+    }, delay);
+  }
+
+  _restartIce(session: Session) {
+    const recovery = this.iceRecoveries[this.getSipSessionId(session)];
+    const pc = session.sessionDescriptionHandler ? session.sessionDescriptionHandler.peerConnection : null;
+    if (!recovery || !pc || session.state !== SessionState.Established
+      || ['connected', 'completed'].indexOf(pc.iceConnectionState) !== -1) {
+      return;
+    }
+
+    const retryDelay = this.config.iceRestartDelay || DEFAULT_ICE_RESTART_DELAY;
+    if (!this.isConnected()) {
+      // The re-INVITE can't be sent yet, attempts are only counted once the transport is back
+      this._scheduleIceRestart(session, retryDelay);
+      return;
+    }
+
+    const maxAttempts = this.config.iceRestartMaxAttempts || DEFAULT_ICE_RESTART_MAX_ATTEMPTS;
+    if (recovery.attempts >= maxAttempts) {
+      logger.warn('ice restart failed', { id: session.id, attempts: recovery.attempts });
+      recovery.attempts = 0;
+      this.eventEmitter.emit(ON_ICE_RESTART_FAILED, session);
+      return;
+    }
+
+    recovery.attempts++;
+    this.eventEmitter.emit(ON_ICE_RESTARTING, session, recovery.attempts);
+
+    try {
+      // `reinvite` sends an offer with `iceRestart`
+      this.reinvite(session).catch(e => logger.warn('ice restart reinvite error', { message: e.message }));
+    } catch (e) {
+      logger.warn('ice restart reinvite error', { message: e.message });
+    }
+
+    // Tries again if the connection is still not back
+    this._scheduleIceRestart(session, retryDelay);
+  }
+
+  _clearIceRestart(recovery: IceRecovery) {
+    if (recovery.timeout) {
+      clearTimeout(recovery.timeout);
+      recovery.timeout = null;
+    }
+  }
+
+  _stopWatchingIce(session: Session) {
+    const sessionId = this.getSipSessionId(session);
+    const recovery = this.iceRecoveries[sessionId];
+    if (!recovery) {
+      return;
+    }
+
+    this._clearIceRestart(recovery);
+    const pc = session.sessionDescriptionHandler ? session.sessionDescriptionHandler.peerConnection : null;
+    if (pc) {
+      pc.removeEventListener('iceconnectionstatechange', recovery.onStateChange);
+    }
+    delete this.iceRecoveries[sessionId];
   }
 
   _setupRemoteMedia(session: Session, event: ?any) {
@@ -1312,6 +1789,196 @@ export default class WebRTCClient extends Emitter {
     }
   }
 
+  _updateMixer(): void {
+    const { audioContext } = this;
+    this.mixerNodes.forEach(node => node.disconnect());
+    this.mixerNodes = [];
+    this.mixerGains = [];
+    if (!audioContext) {
+      return;
+    }
+
+    const sessions = Object.keys(this.mergedSessions).map(sessionId => this.mergedSessions[sessionId]);
+    const remoteSources = sessions.map(session => {
+      const remoteStream = this.getRemoteMediaStream(session);
+      return remoteStream && remoteStream.getAudioTracks().length
+        ? audioContext.createMediaStreamSource(remoteStream) : null;
+    });
+
+    sessions.forEach((session, index) => {
+      const destination = audioContext.createMediaStreamDestination();
+      const localStream = this._getOutgoingAudioStream(session);
+
+      if (localStream && localStream.getAudioTracks().length) {
+        const localSource = audioContext.createMediaStreamSource(localStream);
+        const gain = audioContext.createGain();
+        gain.gain.value = this.mixerMuted ? 0 : 1;
+        localSource.connect(gain);
+        gain.connect(destination);
+        this.mixerNodes.push(localSource, gain);
+        this.mixerGains.push(gain);
+      }
+
+      remoteSources.forEach((remoteSource, otherIndex) => {
+        if (remoteSource && otherIndex !== index) {
+          remoteSource.connect(destination);
+        }
+      });
+
+      this._replaceAudioTrack(session, destination.stream.getAudioTracks()[0]);
+    });
+
+    remoteSources.forEach(remoteSource => {
+      if (remoteSource) {
+        this.mixerNodes.push(remoteSource);
+      }
+    });
+  }
+
+  _setupAudioProcessing(session: Session): void {
+    const sessionId = this.getSipSessionId(session);
+    const localStream = this.getLocalMediaStream(session);
+    if (!this.audioContext || sessionId in this.audioChains || !localStream) {
+      return;
+    }
+
+    const chain = new AudioProcessingChain(this.audioContext, this.audioProcessors, this.disabledAudioProcessors);
+    chain.process(localStream);
+    this.audioChains[sessionId] = chain;
+    this.processedSessions[sessionId] = session;
+
+    // The raw microphone is sent until the context runs, a suspended one would send silence
+    this._resumeAudioContext().then(() => {
+      if (this.audioChains[sessionId] === chain) {
+        this._sendProcessedAudio(session);
+      }
+    }).catch(e => logger.warn('audio context resume error', { message: e.message }));
+  }
+
+  // Created without user gesture, the context may be suspended and would output silence
+  _resumeAudioContext(): Promise<void> {
+    const { audioContext } = this;
+    if (!audioContext || audioContext.state !== 'suspended') {
+      return Promise.resolve();
+    }
+
+    return audioContext.resume();
+  }
+
+  _updateAudioProcessing(): void {
+    let shouldUpdateMixer = false;
+
+    Object.keys(this.audioChains).forEach(sessionId => {
+      const session = this.processedSessions[sessionId];
+      this.audioChains[sessionId].setProcessors(this.audioProcessors, this.disabledAudioProcessors);
+
+      if (this.isMerged(session)) {
+        shouldUpdateMixer = true;
+      } else {
+        this._sendProcessedAudio(session);
+      }
+    });
+
+    // The mixer takes the processed streams as input
+    if (shouldUpdateMixer) {
+      this._updateMixer();
+    }
+  }
+
+  // Switching between the raw and the processed track doesn't need a re-INVITE
+  _sendProcessedAudio(session: Session): void {
+    if (this.isMerged(session)) {
+      this._updateMixer();
+      return;
+    }
+
+    const chain = this.audioChains[this.getSipSessionId(session)];
+    if (chain) {
+      this._replaceAudioTrack(session, chain.getOutputTrack());
+    }
+  }
+
+  _setupVideoProcessing(session: Session): void {
+    const sessionId = this.getSipSessionId(session);
+    const localStream = this.getLocalMediaStream(session);
+    if (!VideoProcessingPipeline.isSupported() || sessionId in this.videoPipelines || !localStream
+      || !localStream.getVideoTracks().length) {
+      return;
+    }
+
+    const pipeline = new VideoProcessingPipeline({
+      effects: this.videoEffects,
+      disabledEffects: this.disabledVideoEffects,
+      segmenter: this.videoSegmenter,
+    });
+    pipeline.process(localStream);
+    this.videoPipelines[sessionId] = pipeline;
+    this.processedSessions[sessionId] = session;
+    this._sendProcessedVideo(session);
+  }
+
+  _updateVideoProcessing(): void {
+    Object.keys(this.processedSessions).forEach(sessionId => {
+      const session = this.processedSessions[sessionId];
+      // The camera can be turned on after the call was accepted
+      this._setupVideoProcessing(session);
+
+      const pipeline = this.videoPipelines[sessionId];
+      if (pipeline) {
+        pipeline.setEffects(this.videoEffects, this.disabledVideoEffects);
+        this._sendProcessedVideo(session);
+      }
+    });
+  }
+
+  // Switching between the camera and the canvas track doesn't need a re-INVITE
+  _sendProcessedVideo(session: Session): void {
+    const sessionId = this.getSipSessionId(session);
+    const pipeline = this.videoPipelines[sessionId];
+    const pc = session.sessionDescriptionHandler ? session.sessionDescriptionHandler.peerConnection : null;
+    const stream = pipeline ? pipeline.getOutputStream() : null;
+    const track = pipeline ? pipeline.getOutputTrack() : null;
+    if (!pipeline || pipeline.paused || !track || !stream || !pc || !pc.getSenders) {
+      return;
+    }
+
+    const sender = pc.getSenders().find(s => s && s.track && s.track.kind === 'video');
+    if (sender && sender.track !== track) {
+      // Keeps the camera state of the call
+      track.enabled = sender.track.enabled;
+      sender.replaceTrack(track);
+      this._addLocalToVideoSession(sessionId, stream);
+    }
+  }
+
+  _getOutgoingAudioStream(session: Session): ?MediaStream {
+    const chain = this.audioChains[this.getSipSessionId(session)];
+    return chain && chain.getOutputStream() ? chain.getOutputStream() : this.getLocalMediaStream(session);
+  }
+
+  _setMixerMuted(muted: boolean): void {
+    this.mixerMuted = muted;
+    this.mixerGains.forEach(gain => {
+      // eslint-disable-next-line no-param-reassign
+      gain.gain.value = muted ? 0 : 1;
+    });
+  }
+
+  _replaceAudioTrack(session: Inviter, track: ?MediaStreamTrack): void {
+    const pc = session.sessionDescriptionHandler ? session.sessionDescriptionHandler.peerConnection : null;
+    if (!track || !pc || !pc.getSenders) {
+      return;
+    }
+
+    const sender = pc.getSenders().find(s => s && s.track && s.track.kind === 'audio');
+    if (sender && sender.track !== track) {
+      // Keeps the mute state of the call
+      // eslint-disable-next-line no-param-reassign
+      track.enabled = sender.track.enabled;
+      sender.replaceTrack(track);
+    }
+  }
+
   _toggleVideo(session: Inviter, muteCamera: boolean) {
     const pc = session.sessionDescriptionHandler.peerConnection;
 
@@ -1376,6 +2043,19 @@ export default class WebRTCClient extends Emitter {
         sessionId,
         ...stats,
       });
+
+      if (!results || !results.length) {
+        return;
+      }
+
+      const quality = CallQuality.parse(results, this.callQualities[sessionId]);
+      this.callQualities[sessionId] = quality;
+      if (!this.callQualitySummaries[sessionId]) {
+        this.callQualitySummaries[sessionId] = new CallQualitySummary(this.callQualityThresholds);
+      }
+      this.callQualitySummaries[sessionId].add(quality);
+
+      this.eventEmitter.emit(ON_CALL_QUALITY, session, quality);
     }, SEND_STATS_DELAY);
   }
 
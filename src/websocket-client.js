@@ -50,6 +50,17 @@ export const CALL_ENDED = 'call_ended';
 export const CALL_UPDATED = 'call_updated';
 export const CALL_HELD = 'call_held';
 export const CALL_RESUMED = 'call_resumed';
+export const TRANSFER_CREATED = 'transfer_created';
+export const TRANSFER_UPDATED = 'transfer_updated';
+export const TRANSFER_ANSWERED = 'transfer_answered';
+export const TRANSFER_CANCELLED = 'transfer_cancelled';
+export const TRANSFER_COMPLETED = 'transfer_completed';
+export const TRANSFER_ABANDONED = 'transfer_abandoned';
+export const TRANSFER_ENDED = 'transfer_ended';
+export const CALL_PARKED = 'call_parked';
+export const CALL_UNPARKED = 'call_unparked';
+export const PARKED_CALL_HUNGUP = 'parked_call_hungup';
+export const PARKED_CALL_TIMED_OUT = 'parked_call_timed_out';
 export const AUTH_USER_EXTERNAL_AUTH_ADDED = 'auth_user_external_auth_added';
 export const AUTH_USER_EXTERNAL_AUTH_DELETED = 'auth_user_external_auth_deleted';
 export const CHATD_PRESENCE_UPDATED = 'chatd_presence_updated';
@@ -59,6 +70,10 @@ export const CONFERENCE_USER_PARTICIPANT_JOINED = 'conference_user_participant_j
 export const CONFERENCE_USER_PARTICIPANT_LEFT = 'conference_user_participant_left';
 export const CONFERENCE_USER_PARTICIPANT_TALK_STARTED = 'conference_user_participant_talk_started';
 export const CONFERENCE_USER_PARTICIPANT_TALK_STOPPED = 'conference_user_participant_talk_stopped';
+export const CONFERENCE_PARTICIPANT_MUTED = 'conference_participant_muted';
+export const CONFERENCE_PARTICIPANT_UNMUTED = 'conference_participant_unmuted';
+export const CONFERENCE_RECORD_STARTED = 'conference_record_started';
+export const CONFERENCE_RECORD_STOPPED = 'conference_record_stopped';
 export const SWITCHBOARD_QUEUED_CALLS_UPDATED = 'switchboard_queued_calls_updated';
 export const SWITCHBOARD_QUEUED_CALL_ANSWERED = 'switchboard_queued_call_answered';
 export const SWITCHBOARD_HELD_CALLS_UPDATED = 'switchboard_held_calls_updated';
@@ -401,6 +416,17 @@ WebSocketClient.eventLists = [
   CALL_UPDATED,
   CALL_HELD,
   CALL_RESUMED,
+  TRANSFER_CREATED,
+  TRANSFER_UPDATED,
+  TRANSFER_ANSWERED,
+  TRANSFER_CANCELLED,
+  TRANSFER_COMPLETED,
+  TRANSFER_ABANDONED,
+  TRANSFER_ENDED,
+  CALL_PARKED,
+  CALL_UNPARKED,
+  PARKED_CALL_HUNGUP,
+  PARKED_CALL_TIMED_OUT,
   AUTH_USER_EXTERNAL_AUTH_ADDED,
   AUTH_USER_EXTERNAL_AUTH_DELETED,
   CHATD_PRESENCE_UPDATED,
@@ -410,6 +436,10 @@ WebSocketClient.eventLists = [
   CONFERENCE_USER_PARTICIPANT_LEFT,
   CONFERENCE_USER_PARTICIPANT_TALK_STARTED,
   CONFERENCE_USER_PARTICIPANT_TALK_STOPPED,
+  CONFERENCE_PARTICIPANT_MUTED,
+  CONFERENCE_PARTICIPANT_UNMUTED,
+  CONFERENCE_RECORD_STARTED,
+  CONFERENCE_RECORD_STOPPED,
   SWITCHBOARD_QUEUED_CALLS_UPDATED,
   SWITCHBOARD_QUEUED_CALL_ANSWERED,
   SWITCHBOARD_HELD_CALLS_UPDATED,